@@ -10,13 +10,27 @@ const http = require("http");
 const WebSocket = require("ws");
 
 const { signString } = require("./utils/tools");
-const authToken = require("./service/authTokenService");
-const createOrder = require("./service/createOrderService");
-const createMandetOrder = require("./service/createMandetOrderService");
+const notifyService = require("./service/notifyService");
+const mandateService = require("./service/mandateService");
+const billingService = require("./service/billingService");
+const subscriptionService = require("./service/subscriptionService");
+const apiKeyService = require("./service/apiKeyService");
+const webhookService = require("./service/webhookService");
+const applyFabricTokenService = require("./service/applyFabricTokenService");
+const selectMerchant = require("./middleware/selectMerchant");
+const requireApiKey = require("./middleware/requireApiKey");
+const authRoutes = require("./routes/auth");
+const orderRoutes = require("./routes/orders");
+const mandateRoutes = require("./routes/mandates");
+const customerRoutes = require("./routes/customers");
+const { attachStatusSocket } = require("./service/statusSocketService");
 
 const app = express();
 const server = http.createServer(app);
 
+// Order status push channel (/ws), subscribed with tickets issued at order creation
+const statusSocket = attachStatusSocket(server);
+
 // =============================================
 // MIDDLEWARE SETUP
 // =============================================
@@ -65,6 +79,9 @@ app.use((req, res, next) => {
   next();
 });
 
+// Merchant selection (X-API-Key header or /merchants/:merchantId prefix)
+app.use(selectMerchant);
+
 // =============================================
 // HEALTH & STATUS ENDPOINTS
 // =============================================
@@ -76,10 +93,45 @@ app.get("/", (req, res) => {
     status: "running",
     endpoints: {
       health: "GET /health",
-      authToken: "POST /apply/h5token",
-      createOrder: "POST /create/order",
-      createMandateOrder: "POST /create/mandetOrder",
-      notify: "POST /api/v1/notify"
+      authToken: "POST /api/v1/auth/token (alias: POST /apply/h5token)",
+      createOrder: "POST /api/v1/orders/create (alias: POST /create/order)",
+      createMandateOrder: "POST /api/v1/orders/mandate (alias: POST /create/mandetOrder)",
+      createCheckoutOrder: "POST /api/v1/orders/checkout",
+      createQrOrder: "POST /api/v1/orders/qr",
+      orderDetails: "GET /api/v1/orders/:merchOrderId",
+      orderStatus: "GET /api/v1/orders/:merchOrderId/status",
+      statusEvents: "GET /api/v1/orders/:merchOrderId/events",
+      statusTicket: "POST /api/v1/orders/:merchOrderId/status-ticket",
+      statusSocket: "WS /ws",
+      cancelOrder: "POST /api/v1/orders/:merchOrderId/cancel",
+      createRefund: "POST /api/v1/orders/:merchOrderId/refunds",
+      listRefunds: "GET /api/v1/orders/:merchOrderId/refunds",
+      queryRefund: "GET /api/v1/orders/:merchOrderId/refunds/:refundRequestNo",
+      mandateStatus: "GET /api/v1/mandates/:contractNo",
+      pauseMandate: "POST /api/v1/mandates/:contractNo/pause",
+      resumeMandate: "POST /api/v1/mandates/:contractNo/resume",
+      terminateMandate: "POST /api/v1/mandates/:contractNo/terminate",
+      createSchedule: "POST /api/v1/mandates/:contractNo/schedules",
+      listSchedules: "GET /api/v1/mandates/:contractNo/schedules",
+      scheduleDetails: "GET /api/v1/mandates/:contractNo/schedules/:scheduleId",
+      cancelSchedule: "POST /api/v1/mandates/:contractNo/schedules/:scheduleId/cancel",
+      listPlans: "GET /api/v1/plans",
+      createSubscription: "POST /api/v1/subscriptions",
+      listSubscriptions: "GET /api/v1/subscriptions",
+      subscriptionDetails: "GET /api/v1/subscriptions/:subscriptionId",
+      cancelSubscription: "POST /api/v1/subscriptions/:subscriptionId/cancel",
+      customerProfile: "GET /api/v1/me",
+      customerOrders: "GET /api/v1/me/orders",
+      customerMandates: "GET /api/v1/me/mandates",
+      notify: "POST /api/v1/notify",
+      listApiKeys: "GET /api/v1/admin/api-keys",
+      createApiKey: "POST /api/v1/admin/api-keys",
+      rotateApiKey: "POST /api/v1/admin/api-keys/:keyId/rotate",
+      revokeApiKey: "DELETE /api/v1/admin/api-keys/:keyId",
+      auditLog: "GET /api/v1/admin/audit",
+      webhookDeliveries: "GET /api/v1/admin/webhooks/deliveries",
+      webhookDeadLetters: "GET /api/v1/admin/webhooks/dead-letters",
+      replayWebhook: "POST /api/v1/admin/webhooks/deliveries/:deliveryId/replay"
     },
     timestamp: new Date().toISOString()
   });
@@ -96,7 +148,8 @@ app.get("/health", (req, res) => {
       heapUsed: `${(process.memoryUsage().heapUsed / 1024 / 1024).toFixed(2)} MB`
     },
     nodeVersion: process.version,
-    platform: process.platform
+    platform: process.platform,
+    fabricToken: applyFabricTokenService.getMetrics()
   };
   
   res.json(health);
@@ -106,18 +159,45 @@ app.get("/health", (req, res) => {
 // API ENDPOINTS
 // =============================================
 
-// Authentication token endpoint
-app.post("/apply/h5token", async (req, res) => {
+// Customer authentication, orders and mandates (each with its legacy aliases)
+app.use(authRoutes);
+app.use(orderRoutes);
+app.use(mandateRoutes);
+
+// The signed-in customer's profile, orders and mandates
+app.use(customerRoutes);
+
+// Notification webhook endpoint
+app.post("/api/v1/notify", async (req, res) => {
   try {
-    console.log("Auth token request received:", {
+    console.log("Notification received:", {
       timestamp: new Date().toISOString(),
-      body: req.body
+      merch_order_id: req.body && req.body.merch_order_id,
+      trade_status: req.body && req.body.trade_status
     });
     
-    // Call the existing service
-    await authToken.authToken(req, res);
+    // Verify the Fabric signature, then hand the event to subscribers
+    await notifyService.handleNotify(req, res);
   } catch (error) {
-    console.error("Error in /apply/h5token:", error);
+    console.error("Error in /api/v1/notify:", error);
+    res.status(500).json({
+      error_code: "INTERNAL_ERROR",
+      error_msg: "Failed to process notification",
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// =============================================
+// ADMIN ENDPOINTS
+// =============================================
+
+// API key management (keys of the calling key's merchant)
+app.get("/api/v1/admin/api-keys", requireApiKey("admin:keys"), async (req, res) => {
+  try {
+    await apiKeyService.listKeys(req, res);
+  } catch (error) {
+    console.error("Error in GET /api/v1/admin/api-keys:", error);
     res.status(500).json({
       error_code: "INTERNAL_ERROR",
       error_msg: "Internal server error",
@@ -126,19 +206,24 @@ app.post("/apply/h5token", async (req, res) => {
   }
 });
 
-// Create regular order endpoint
-app.post("/create/order", async (req, res) => {
+app.post("/api/v1/admin/api-keys", requireApiKey("admin:keys"), async (req, res) => {
   try {
-    console.log("Create order request received:", {
-      timestamp: new Date().toISOString(),
-      body: req.body
+    await apiKeyService.createKey(req, res);
+  } catch (error) {
+    console.error("Error in POST /api/v1/admin/api-keys:", error);
+    res.status(500).json({
+      error_code: "INTERNAL_ERROR",
+      error_msg: "Internal server error",
+      timestamp: new Date().toISOString()
     });
-    
-    // Call the existing service
-    const result = await createOrder.createOrder(req, res);
-    return res.status(200).send(result);
+  }
+});
+
+app.post("/api/v1/admin/api-keys/:keyId/rotate", requireApiKey("admin:keys"), async (req, res) => {
+  try {
+    await apiKeyService.rotateKey(req, res);
   } catch (error) {
-    console.error("Error in /create/order:", error);
+    console.error("Error in POST /api/v1/admin/api-keys/:keyId/rotate:", error);
     res.status(500).json({
       error_code: "INTERNAL_ERROR",
       error_msg: "Internal server error",
@@ -147,18 +232,25 @@ app.post("/create/order", async (req, res) => {
   }
 });
 
-// Create mandate order endpoint
-app.post("/create/mandetOrder", async (req, res) => {
+app.delete("/api/v1/admin/api-keys/:keyId", requireApiKey("admin:keys"), async (req, res) => {
   try {
-    console.log("Create mandate order request received:", {
-      timestamp: new Date().toISOString(),
-      body: req.body
+    await apiKeyService.revokeKey(req, res);
+  } catch (error) {
+    console.error("Error in DELETE /api/v1/admin/api-keys/:keyId:", error);
+    res.status(500).json({
+      error_code: "INTERNAL_ERROR",
+      error_msg: "Internal server error",
+      timestamp: new Date().toISOString()
     });
-    
-    // Call the existing service
-    await createMandetOrder.createMandetOrder(req, res);
+  }
+});
+
+// Audit log of API key usage and changes
+app.get("/api/v1/admin/audit", requireApiKey("admin:audit"), async (req, res) => {
+  try {
+    await apiKeyService.listAuditEntries(req, res);
   } catch (error) {
-    console.error("Error in /create/mandetOrder:", error);
+    console.error("Error in GET /api/v1/admin/audit:", error);
     res.status(500).json({
       error_code: "INTERNAL_ERROR",
       error_msg: "Internal server error",
@@ -167,33 +259,41 @@ app.post("/create/mandetOrder", async (req, res) => {
   }
 });
 
-// Notification webhook endpoint
-app.post("/api/v1/notify", async (req, res) => {
+// Outbound webhook deliveries of the calling key's merchant
+app.get("/api/v1/admin/webhooks/deliveries", requireApiKey("admin:webhooks"), async (req, res) => {
   try {
-    console.log("Notification received:", {
-      timestamp: new Date().toISOString(),
-      body: req.body,
-      headers: req.headers
+    await webhookService.listDeliveries(req, res);
+  } catch (error) {
+    console.error("Error in GET /api/v1/admin/webhooks/deliveries:", error);
+    res.status(500).json({
+      error_code: "INTERNAL_ERROR",
+      error_msg: "Internal server error",
+      timestamp: new Date().toISOString()
     });
-    
-    // Handle notification logic here
-    // You should:
-    // 1. Verify the signature
-    // 2. Process the payment status
-    // 3. Update your database
-    // 4. Send confirmation if needed
-    
-    // For now, just acknowledge
-    res.status(200).json({
-      status: "success",
-      message: "Notification received and processed",
+  }
+});
+
+app.get("/api/v1/admin/webhooks/dead-letters", requireApiKey("admin:webhooks"), async (req, res) => {
+  try {
+    await webhookService.listDeadLetters(req, res);
+  } catch (error) {
+    console.error("Error in GET /api/v1/admin/webhooks/dead-letters:", error);
+    res.status(500).json({
+      error_code: "INTERNAL_ERROR",
+      error_msg: "Internal server error",
       timestamp: new Date().toISOString()
     });
+  }
+});
+
+app.post("/api/v1/admin/webhooks/deliveries/:deliveryId/replay", requireApiKey("admin:webhooks"), async (req, res) => {
+  try {
+    await webhookService.replayDelivery(req, res);
   } catch (error) {
-    console.error("Error in /api/v1/notify:", error);
+    console.error("Error in POST /api/v1/admin/webhooks/deliveries/:deliveryId/replay:", error);
     res.status(500).json({
       error_code: "INTERNAL_ERROR",
-      error_msg: "Failed to process notification",
+      error_msg: "Internal server error",
       timestamp: new Date().toISOString()
     });
   }
@@ -211,10 +311,47 @@ app.use((req, res) => {
     available_endpoints: [
       "GET /",
       "GET /health",
+      "POST /api/v1/auth/token",
       "POST /apply/h5token",
-      "POST /create/order", 
+      "POST /api/v1/orders/create",
+      "POST /create/order",
+      "POST /api/v1/orders/mandate",
       "POST /create/mandetOrder",
-      "POST /api/v1/notify"
+      "POST /api/v1/orders/checkout",
+      "POST /api/v1/orders/qr",
+      "GET /api/v1/orders/:merchOrderId",
+      "GET /api/v1/orders/:merchOrderId/status",
+      "GET /api/v1/orders/:merchOrderId/events",
+      "POST /api/v1/orders/:merchOrderId/status-ticket",
+      "POST /api/v1/orders/:merchOrderId/cancel",
+      "POST /api/v1/orders/:merchOrderId/refunds",
+      "GET /api/v1/orders/:merchOrderId/refunds",
+      "GET /api/v1/orders/:merchOrderId/refunds/:refundRequestNo",
+      "GET /api/v1/mandates/:contractNo",
+      "POST /api/v1/mandates/:contractNo/pause",
+      "POST /api/v1/mandates/:contractNo/resume",
+      "POST /api/v1/mandates/:contractNo/terminate",
+      "POST /api/v1/mandates/:contractNo/schedules",
+      "GET /api/v1/mandates/:contractNo/schedules",
+      "GET /api/v1/mandates/:contractNo/schedules/:scheduleId",
+      "POST /api/v1/mandates/:contractNo/schedules/:scheduleId/cancel",
+      "GET /api/v1/plans",
+      "POST /api/v1/subscriptions",
+      "GET /api/v1/subscriptions",
+      "GET /api/v1/subscriptions/:subscriptionId",
+      "POST /api/v1/subscriptions/:subscriptionId/cancel",
+      "GET /api/v1/me",
+      "GET /api/v1/me/orders",
+      "GET /api/v1/me/mandates",
+      "POST /api/v1/notify",
+      "GET /api/v1/admin/api-keys",
+      "POST /api/v1/admin/api-keys",
+      "POST /api/v1/admin/api-keys/:keyId/rotate",
+      "DELETE /api/v1/admin/api-keys/:keyId",
+      "GET /api/v1/admin/audit",
+      "GET /api/v1/admin/webhooks/deliveries",
+      "GET /api/v1/admin/webhooks/dead-letters",
+      "POST /api/v1/admin/webhooks/deliveries/:deliveryId/replay"
     ],
     timestamp: new Date().toISOString()
   });
@@ -256,16 +393,47 @@ server.listen(PORT, () => {
   -------------------
   GET  /                    - API Documentation
   GET  /health             - Health Check
-  POST /apply/h5token      - Authentication Token
-  POST /create/order       - Create Regular Order
-  POST /create/mandetOrder - Create Mandate Order
+  POST /api/v1/auth/token  - Authentication Token (alias: /apply/h5token)
+  POST /api/v1/orders/create - Create Regular Order (alias: /create/order)
+  POST /api/v1/orders/mandate - Create Mandate Order (alias: /create/mandetOrder)
+  POST /api/v1/orders/checkout - Create Web Checkout Order
+  POST /api/v1/orders/qr   - Create QR Code Order
+  GET  /api/v1/orders/:id  - Order Details
+  GET  /api/v1/orders/:id/status - Order Status (Fabric)
+  GET  /api/v1/orders/:id/events - Order Status Stream (SSE)
+  POST /api/v1/orders/:id/status-ticket - Status Ticket (/ws, SSE)
+  POST /api/v1/orders/:id/cancel - Cancel Order
+  POST /api/v1/orders/:id/refunds - Refund Order
+  GET  /api/v1/orders/:id/refunds - List Refunds
+  GET  /api/v1/mandates/:contractNo - Mandate Status
+  POST /api/v1/mandates/:contractNo/pause|resume|terminate - Manage Mandate
+  *    /api/v1/mandates/:contractNo/schedules - Recurring Billing
+  GET  /api/v1/plans       - Subscription Plans
+  *    /api/v1/subscriptions - Customer Subscriptions
+  GET  /api/v1/me[/orders|/mandates] - Signed-in Customer
   POST /api/v1/notify      - Payment Notification
+  WS   /ws                 - Order Status Push
+  *    /api/v1/admin/api-keys - API Key Management
+  GET  /api/v1/admin/audit - Audit Log
+  *    /api/v1/admin/webhooks - Webhook Deliveries
   
   =================================
   Ready to process payments!
   `);
 });
 
+// Deliver outbound merchant webhooks
+webhookService.start();
+
+// Activate mandates once their signing orders are paid
+mandateService.start();
+
+// Charge due mandate billing cycles
+billingService.start();
+
+// Start subscriptions once signed and follow their charges
+subscriptionService.start();
+
 // Handle server errors
 server.on("error", (error) => {
   if (error.code === "EADDRINUSE") {
@@ -283,6 +451,11 @@ server.on("error", (error) => {
 // Graceful shutdown
 process.on("SIGTERM", () => {
   console.log("🛑 Received SIGTERM, shutting down gracefully...");
+  statusSocket.close();
+  webhookService.stop();
+  mandateService.stop();
+  billingService.stop();
+  subscriptionService.stop();
   server.close(() => {
     console.log("✅ Server closed");
     process.exit(0);
@@ -297,6 +470,11 @@ process.on("SIGTERM", () => {
 
 process.on("SIGINT", () => {
   console.log("🛑 Received SIGINT, shutting down...");
+  statusSocket.close();
+  webhookService.stop();
+  mandateService.stop();
+  billingService.stop();
+  subscriptionService.stop();
   server.close(() => {
     process.exit(0);
   });
@@ -17,6 +17,7 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
  * Application configuration
  * @typedef {Object} AppConfig
  * @property {string} baseUrl - Fabric API base URL
+ * @property {string} webCheckoutUrl - Fabric web checkout page that signed checkout parameters are appended to
  * @property {string} fabricAppId - Fabric application ID
  * @property {string} appSecret - Fabric application secret
  * @property {string} merchantAppId - Merchant application ID
@@ -24,17 +25,83 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
  * @property {string} privateKey - RSA private key for signing
  * @property {string} [publicKey] - RSA public key for verification (optional)
  * @property {number} apiTimeout - API request timeout in milliseconds
+ * @property {boolean} enableApiLogging - Log every outgoing Fabric API request
+ * @property {boolean} fabricTlsRejectUnauthorized - Verify Fabric's TLS certificate
+ * @property {Object} fabricRetry - Retry policy for Fabric API calls
+ * @property {number} tokenRefreshAheadSeconds - Refresh the Fabric token this long before it expires
  * @property {string} env - Current environment
  * @property {boolean} enableDebugLogging - Enable detailed debug logging
  * @property {string} currency - Default transaction currency
  * @property {string} orderTimeout - Default order timeout
+ * @property {Object} qrCode - QR image settings for QrCode orders
+ * @property {string} qrCode.errorCorrectionLevel - L, M, Q or H
+ * @property {number} qrCode.width - Image width in pixels
+ * @property {number} qrCode.margin - Quiet zone around the code, in modules
  * @property {string} payeeIdentifier - Payee identifier
  * @property {string} payeeIdentifierType - Payee identifier type
  * @property {string} payeeType - Payee type
  * @property {string} notifyUrl - Webhook notification URL
  * @property {string} redirectUrl - Payment redirect URL
  * @property {string} [mandateTemplateId] - Mandate template ID (optional)
+ * @property {string|null} mandatePlansFile - JSON or YAML file listing the mandate plans of merchants that define none
  * @property {string[]} allowedOrigins - CORS allowed origins
+ * @property {Object} orderStore - Order repository settings
+ * @property {string} orderStore.driver - Storage driver ("memory" or "file")
+ * @property {string} orderStore.filePath - JSON file used by the file driver
+ * @property {Object} mandates - Mandate contract settings (see store/mandateStore)
+ * @property {Object} mandates.store - Storage settings ({ driver, filePath })
+ * @property {Object} billing - Recurring mandate debit settings (see service/billingService)
+ * @property {number[]} billing.retryDelaysHours - Delay before each retry of a failed debit (dunning)
+ * @property {number} billing.confirmAfterSeconds - When a debit without an outcome is checked with an order query
+ * @property {string} billing.timezone - Time zone of cron schedules
+ * @property {number} billing.pollIntervalMs - How often schedules and debits are checked
+ * @property {Object} billing.store - Storage settings ({ driver, filePath })
+ * @property {Object} subscriptions - Customer subscription settings (see store/subscriptionStore)
+ * @property {Object} subscriptions.store - Storage settings ({ driver, filePath })
+ * @property {Object} customers - Customer records of signed-in customers (see store/customerStore)
+ * @property {Object} customers.store - Storage settings ({ driver, filePath })
+ * @property {Object} merchants - Merchant registry settings (see config/merchantRegistry)
+ * @property {string|null} merchants.file - JSON or YAML file listing merchants
+ * @property {string} merchants.envPrefix - Prefix of per-merchant environment variables
+ * @property {string} merchants.defaultId - Merchant used when a request selects none
+ * @property {Object} apiKeys - API key authentication settings (see store/apiKeyStore)
+ * @property {boolean} apiKeys.required - Reject gated routes called without a key
+ * @property {string[]} apiKeys.keys - Keys of the default merchant ("sha256:<hex>" or plaintext, optionally "=scope scope")
+ * @property {string[]} apiKeys.defaultScopes - Scopes of configured keys that list none
+ * @property {number} apiKeys.rotationOverlapSeconds - How long a rotated key keeps working
+ * @property {Object} apiKeys.store - Key store settings ({ driver, filePath })
+ * @property {Object} audit - Audit log settings ({ driver, filePath })
+ * @property {Object} idempotency - Idempotency-Key settings (see store/idempotencyStore)
+ * @property {number} idempotency.retentionSeconds - How long a stored response is replayed
+ * @property {number} idempotency.lockTimeoutSeconds - When an unfinished request is considered abandoned
+ * @property {Object} idempotency.store - Storage settings ({ driver, filePath })
+ * @property {Object} notify - Inbound Fabric callback replay protection (see store/notifyReplayStore)
+ * @property {number} notify.maxSkewSeconds - Largest accepted difference between the callback timestamp and our clock
+ * @property {number} notify.nonceTtlSeconds - How long a seen nonce_str is remembered
+ * @property {number} notify.retentionSeconds - How long a processed notification is answered as a duplicate
+ * @property {Object} notify.store - Storage settings ({ driver, filePath })
+ * @property {Object} customerSessions - Customer sessions issued after payment.authtoken (see service/customerSessionService)
+ * @property {string} customerSessions.secret - HMAC secret of the session JWTs (random per process if unset)
+ * @property {number} customerSessions.ttlSeconds - How long a customer session is accepted
+ * @property {string} customerSessions.issuer - iss claim of the session JWTs
+ * @property {boolean} customerSessions.trustClientOpenId - Let the default merchant send open_id without a session
+ * @property {Object} statusUpdates - Order status push settings (see service/statusSocketService)
+ * @property {string} statusUpdates.ticketSecret - HMAC secret for status tickets (random per process if unset)
+ * @property {number} statusUpdates.ticketTtlSeconds - How long a status ticket can be used to subscribe
+ * @property {string} statusUpdates.socketPath - WebSocket endpoint path
+ * @property {number} statusUpdates.heartbeatSeconds - Interval of WebSocket pings and SSE heartbeats
+ * @property {number} statusUpdates.maxSubscriptions - Orders one socket may watch
+ * @property {Object} webhooks - Outbound merchant webhook settings (see service/webhookService)
+ * @property {string} webhooks.url - Endpoint of the default merchant (empty disables)
+ * @property {string} webhooks.secret - HMAC secret of that endpoint
+ * @property {string[]} webhooks.events - Event types it receives (empty means all)
+ * @property {string} webhooks.signing - "hmac" or "rsa" (signed with the merchant's private key)
+ * @property {number} webhooks.timeoutMs - Timeout of one delivery attempt
+ * @property {number} webhooks.maxAttempts - Attempts before a delivery is dead-lettered
+ * @property {number} webhooks.retryBaseSeconds - Delay before the first retry, doubled for each further one
+ * @property {number} webhooks.retryMaxSeconds - Longest delay between retries
+ * @property {number} webhooks.pollIntervalMs - How often the queue is checked for due deliveries
+ * @property {Object} webhooks.store - Queue storage settings ({ driver, filePath })
  * @property {Object} security - Security related configurations
  * @property {number} security.rateLimitWindowMs - Rate limiting window
  * @property {number} security.rateLimitMaxRequests - Max requests per window
@@ -53,6 +120,10 @@ const config = {
   baseUrl: process.env.FABRIC_BASE_URL || 
     'https://developerportal.ethiotelebirr.et:38443/apiaccess/payment/gateway',
   
+  // Fabric web checkout page (customers paying from a browser are sent here)
+  webCheckoutUrl: process.env.WEB_CHECKOUT_URL ||
+    'https://developerportal.ethiotelebirr.et:38443/payment/web/paygate',
+  
   // Fabric API credentials
   fabricAppId: process.env.FABRIC_APP_ID || '7ca6ef17-df90-45a9-a589-62ea3d94d3fb',
   appSecret: process.env.FABRIC_APP_SECRET || 'aae8a4cc8044212577ae5edf0f0a74d9',
@@ -87,6 +158,31 @@ MIIEvgIBADANBgkqhkiG9w0BAQEFAASCBKgwggSkAgEAAoIBAQC/ZcoOng1sJZ4CegopQVCw3HYqqVRL
   // API timeout in milliseconds
   apiTimeout: parseInt(process.env.API_TIMEOUT) || 30000, // 30 seconds
   
+  // Log every outgoing Fabric API request
+  enableApiLogging: process.env.ENABLE_API_LOGGING === 'true',
+  
+  // Verify Fabric's TLS certificate (the developer portal uses a self-signed one)
+  fabricTlsRejectUnauthorized: process.env.FABRIC_TLS_REJECT_UNAUTHORIZED
+    ? process.env.FABRIC_TLS_REJECT_UNAUTHORIZED === 'true'
+    : NODE_ENV !== 'development',
+  
+  // Retry policy for Fabric API calls
+  fabricRetry: {
+    // Retries for transient failures of idempotent methods (0 disables)
+    maxRetries: process.env.FABRIC_MAX_RETRIES !== undefined
+      ? parseInt(process.env.FABRIC_MAX_RETRIES) || 0
+      : 2,
+    baseDelayMs: parseInt(process.env.FABRIC_RETRY_BASE_DELAY_MS) || 200,
+    maxDelayMs: parseInt(process.env.FABRIC_RETRY_MAX_DELAY_MS) || 2000,
+    // Fabric error codes meaning the access token was rejected
+    tokenInvalidCodes: process.env.FABRIC_TOKEN_INVALID_CODES
+      ? process.env.FABRIC_TOKEN_INVALID_CODES.split(',')
+      : ['401', 'TOKEN_INVALID', 'TOKEN_EXPIRED', 'INVALID_TOKEN'],
+  },
+  
+  // Refresh the Fabric token in the background this long before it expires
+  tokenRefreshAheadSeconds: parseInt(process.env.FABRIC_TOKEN_REFRESH_AHEAD_SECONDS) || 120,
+  
   // ============================================
   // Payment Settings
   // ============================================
@@ -97,6 +193,15 @@ MIIEvgIBADANBgkqhkiG9w0BAQEFAASCBKgwggSkAgEAAoIBAQC/ZcoOng1sJZ4CegopQVCw3HYqqVRL
   // Default order timeout
   orderTimeout: process.env.ORDER_TIMEOUT || '120m',
   
+  // QR images rendered for QrCode orders (see service/createOrderService)
+  qrCode: {
+    // L, M, Q or H; higher levels survive more damage but make denser codes
+    errorCorrectionLevel: process.env.QR_ERROR_CORRECTION_LEVEL || 'M',
+    width: parseInt(process.env.QR_IMAGE_WIDTH) || 300,
+    // Quiet zone in modules
+    margin: process.env.QR_IMAGE_MARGIN !== undefined ? parseInt(process.env.QR_IMAGE_MARGIN) || 0 : 4,
+  },
+  
   // Payee information
   payeeIdentifier: process.env.PAYEE_IDENTIFIER || '220311',
   payeeIdentifierType: process.env.PAYEE_IDENTIFIER_TYPE || '04',
@@ -104,6 +209,8 @@ MIIEvgIBADANBgkqhkiG9w0BAQEFAASCBKgwggSkAgEAAoIBAQC/ZcoOng1sJZ4CegopQVCw3HYqqVRL
   
   // Mandate configuration (if applicable)
   mandateTemplateId: process.env.MANDATE_TEMPLATE_ID || '103001',
+  // Plans mandate orders choose from (template, first debit, frequency, maximum amount)
+  mandatePlansFile: process.env.MANDATE_PLANS_FILE || null,
   
   // ============================================
   // Webhook & Redirect URLs
@@ -117,6 +224,190 @@ MIIEvgIBADANBgkqhkiG9w0BAQEFAASCBKgwggSkAgEAAoIBAQC/ZcoOng1sJZ4CegopQVCw3HYqqVRL
   redirectUrl: process.env.REDIRECT_URL || 
     'https://node-api-muxu.onrender.com/api/v1/notify',
   
+  // ============================================
+  // Order Store
+  // ============================================
+  
+  orderStore: {
+    // "memory" keeps orders in process, "file" persists them to filePath
+    driver: process.env.ORDER_STORE_DRIVER || 'memory',
+    filePath: process.env.ORDER_STORE_FILE || './data/orders.json',
+  },
+  
+  // ============================================
+  // Mandates
+  // ============================================
+  
+  mandates: {
+    store: {
+      driver: process.env.MANDATE_STORE_DRIVER || 'memory',
+      filePath: process.env.MANDATE_STORE_FILE || './data/mandates.json',
+    },
+  },
+  
+  // ============================================
+  // Recurring Mandate Billing
+  // ============================================
+  
+  billing: {
+    // One retry per entry; a debit that fails them all is given up
+    retryDelaysHours: process.env.BILLING_RETRY_DELAYS_HOURS ?
+      process.env.BILLING_RETRY_DELAYS_HOURS.split(',').map(hours => parseFloat(hours)).filter(hours => hours > 0) :
+      [24, 72, 168],
+    confirmAfterSeconds: parseInt(process.env.BILLING_CONFIRM_AFTER_SECONDS) || 120,
+    timezone: process.env.BILLING_TIMEZONE || 'UTC',
+    pollIntervalMs: parseInt(process.env.BILLING_POLL_INTERVAL_MS) || 60000,
+    // Use the file driver in production; debits in flight are then confirmed, never resent, after a restart
+    store: {
+      driver: process.env.BILLING_STORE_DRIVER || 'memory',
+      filePath: process.env.BILLING_STORE_FILE || './data/billing.json',
+    },
+  },
+  
+  // ============================================
+  // Subscriptions
+  // ============================================
+  
+  subscriptions: {
+    store: {
+      driver: process.env.SUBSCRIPTION_STORE_DRIVER || 'memory',
+      filePath: process.env.SUBSCRIPTION_STORE_FILE || './data/subscriptions.json',
+    },
+  },
+  
+  // ============================================
+  // Customers
+  // ============================================
+  
+  customers: {
+    store: {
+      driver: process.env.CUSTOMER_STORE_DRIVER || 'memory',
+      filePath: process.env.CUSTOMER_STORE_FILE || './data/customers.json',
+    },
+  },
+  
+  // ============================================
+  // Merchant Registry
+  // ============================================
+  
+  merchants: {
+    // JSON or YAML file listing merchants
+    file: process.env.MERCHANTS_FILE || null,
+    // Merchants can also be defined as <prefix><ID>_<SETTING>, e.g. TENANT_SHOP1_MERCHANT_CODE
+    envPrefix: process.env.MERCHANT_ENV_PREFIX || 'TENANT_',
+    // Merchant used when a request selects none; the settings above form "default"
+    defaultId: process.env.DEFAULT_MERCHANT_ID || 'default',
+  },
+  
+  // ============================================
+  // API Keys
+  // ============================================
+  
+  apiKeys: {
+    // Gated routes reject requests without a valid X-API-Key
+    required: process.env.API_KEYS_REQUIRED !== 'false',
+    // Keys of the default merchant, comma-separated. Prefer "sha256:<hex>" hashes
+    // over plaintext; append "=scope scope" to limit a key's scopes
+    keys: process.env.API_KEYS ? process.env.API_KEYS.split(',') : [],
+    // Scopes of configured keys that don't list their own
+    defaultScopes: process.env.API_KEY_DEFAULT_SCOPES
+      ? process.env.API_KEY_DEFAULT_SCOPES.split(',')
+      : ['orders:create', 'orders:read', 'orders:cancel', 'orders:refund', 'mandates:*', 'subscriptions:*', 'auth:token'],
+    // How long the previous key keeps working after a rotation
+    rotationOverlapSeconds: parseInt(process.env.API_KEY_ROTATION_OVERLAP_SECONDS) || 24 * 60 * 60,
+    store: {
+      driver: process.env.API_KEY_STORE_DRIVER || 'memory',
+      filePath: process.env.API_KEY_STORE_FILE || './data/api-keys.json',
+    },
+  },
+  
+  // Audit log of API key usage and changes
+  audit: {
+    driver: process.env.AUDIT_STORE_DRIVER || 'memory',
+    filePath: process.env.AUDIT_STORE_FILE || './data/audit.json',
+  },
+  
+  // ============================================
+  // Idempotency
+  // ============================================
+  
+  idempotency: {
+    // Responses are replayed for retries with the same key within this window
+    retentionSeconds: parseInt(process.env.IDEMPOTENCY_RETENTION_SECONDS) || 24 * 60 * 60,
+    // A request still unfinished after this long is treated as abandoned
+    lockTimeoutSeconds: parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS) || 120,
+    store: {
+      driver: process.env.IDEMPOTENCY_STORE_DRIVER || 'memory',
+      filePath: process.env.IDEMPOTENCY_STORE_FILE || './data/idempotency.json',
+    },
+  },
+  
+  // ============================================
+  // Inbound Notify Replay Protection
+  // ============================================
+  
+  notify: {
+    // Callbacks whose timestamp is further than this from our clock are rejected
+    maxSkewSeconds: parseInt(process.env.NOTIFY_MAX_SKEW_SECONDS) || 5 * 60,
+    // Keep nonces at least twice the skew window, or a replay can outlive its nonce
+    nonceTtlSeconds: parseInt(process.env.NOTIFY_NONCE_TTL_SECONDS) || 15 * 60,
+    retentionSeconds: parseInt(process.env.NOTIFY_RETENTION_SECONDS) || 30 * 24 * 60 * 60,
+    store: {
+      driver: process.env.NOTIFY_STORE_DRIVER || 'memory',
+      filePath: process.env.NOTIFY_STORE_FILE || './data/notify.json',
+    },
+  },
+  
+  // ============================================
+  // Customer Sessions
+  // ============================================
+  
+  customerSessions: {
+    // Set a fixed secret when running more than one instance or sessions break on restart
+    secret: process.env.CUSTOMER_SESSION_SECRET || '',
+    ttlSeconds: parseInt(process.env.CUSTOMER_SESSION_TTL_SECONDS) || 12 * 60 * 60,
+    issuer: process.env.CUSTOMER_SESSION_ISSUER || 'fabric-payment-api',
+    // Only for merchant backends that verify customers themselves: accept a
+    // request body's open_id without a customer session
+    trustClientOpenId: process.env.TRUST_CLIENT_OPEN_ID === 'true',
+  },
+  
+  // ============================================
+  // Order Status Push (WebSocket and Server-Sent Events)
+  // ============================================
+  
+  statusUpdates: {
+    // Set a fixed secret when running more than one instance or tickets break on restart
+    ticketSecret: process.env.STATUS_TICKET_SECRET || '',
+    ticketTtlSeconds: parseInt(process.env.STATUS_TICKET_TTL_SECONDS) || 30 * 60,
+    socketPath: process.env.STATUS_SOCKET_PATH || '/ws',
+    heartbeatSeconds: parseInt(process.env.STATUS_SOCKET_HEARTBEAT_SECONDS) || 30,
+    maxSubscriptions: parseInt(process.env.STATUS_SOCKET_MAX_SUBSCRIPTIONS) || 10,
+  },
+  
+  // ============================================
+  // Outbound Merchant Webhooks
+  // ============================================
+  
+  webhooks: {
+    // Endpoint of the default merchant; other merchants set "webhooks" in the merchants file
+    url: process.env.WEBHOOK_URL || '',
+    secret: process.env.WEBHOOK_SECRET || '',
+    events: process.env.WEBHOOK_EVENTS ?
+      process.env.WEBHOOK_EVENTS.split(',').map(event => event.trim()).filter(Boolean) : [],
+    signing: process.env.WEBHOOK_SIGNING || 'hmac',
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 10,
+    retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30,
+    retryMaxSeconds: parseInt(process.env.WEBHOOK_RETRY_MAX_SECONDS) || 6 * 60 * 60,
+    pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000,
+    // Use the file driver in production so queued deliveries survive a restart
+    store: {
+      driver: process.env.WEBHOOK_STORE_DRIVER || 'memory',
+      filePath: process.env.WEBHOOK_STORE_FILE || './data/webhooks.json',
+    },
+  },
+  
   // ============================================
   // CORS Configuration
   // ============================================
@@ -177,6 +468,38 @@ const validateConfig = () => {
     warnings.push('CORS is configured to allow all origins in production');
   }
   
+  if (config.apiKeys.required && config.apiKeys.keys.length === 0 && !config.merchants.file) {
+    warnings.push('No API keys are configured; gated endpoints will reject every request');
+  }
+  
+  if (config.notify.nonceTtlSeconds < 2 * config.notify.maxSkewSeconds) {
+    warnings.push('NOTIFY_NONCE_TTL_SECONDS is shorter than twice NOTIFY_MAX_SKEW_SECONDS; replays may pass the nonce check');
+  }
+  
+  if (!config.customerSessions.secret && config.env === 'production') {
+    warnings.push('CUSTOMER_SESSION_SECRET is not set; customer sessions will not survive a restart');
+  }
+  
+  if (!config.statusUpdates.ticketSecret && config.env === 'production') {
+    warnings.push('STATUS_TICKET_SECRET is not set; status tickets will not survive a restart');
+  }
+  
+  if (config.webhooks.url && config.webhooks.store.driver === 'memory' && config.env === 'production') {
+    warnings.push('Webhook queue uses the memory driver; pending deliveries are lost on restart');
+  }
+  
+  if (config.billing.store.driver === 'memory' && config.env === 'production') {
+    warnings.push('Billing schedules use the memory driver; schedules and debits are lost on restart');
+  }
+  
+  if (config.subscriptions.store.driver === 'memory' && config.env === 'production') {
+    warnings.push('Subscriptions use the memory driver; subscriptions are lost on restart');
+  }
+  
+  if (config.customers.store.driver === 'memory' && config.env === 'production') {
+    warnings.push('Customer records use the memory driver; customer profiles are lost on restart');
+  }
+  
   if (!config.publicKey && config.env === 'production') {
     warnings.push('Public key is not configured for signature verification');
   }
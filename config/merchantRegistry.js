@@ -0,0 +1,655 @@
+/**
+ * @module config/merchantRegistry
+ * @description Registry of merchants (tenants), each with its own Fabric credentials, keys and payment settings
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const config = require('./config');
+
+/**
+ * @typedef {Object} Merchant
+ * @property {string} id - Merchant ID, used in paths and on order records
+ * @property {string} name - Display name
+ * @property {string} baseUrl - Fabric API base URL
+ * @property {string} webCheckoutUrl - Fabric web checkout page
+ * @property {string} fabricAppId - Fabric application ID
+ * @property {string} appSecret - Fabric application secret
+ * @property {string} merchantAppId - Merchant application ID
+ * @property {string} merchantCode - Merchant code
+ * @property {string} privateKey - RSA private key for signing
+ * @property {string} [publicKey] - Fabric public key for verifying notifications
+ * @property {string} notifyUrl - Webhook notification URL
+ * @property {string} redirectUrl - Payment redirect URL
+ * @property {string} payeeIdentifier - Payee identifier
+ * @property {string} payeeIdentifierType - Payee identifier type
+ * @property {string} payeeType - Payee type
+ * @property {string} currency - Transaction currency
+ * @property {string} [mandateTemplateId] - Mandate template ID
+ * @property {MandatePlan[]} mandatePlans - Plans mandate orders may choose (empty means any order uses mandateTemplateId)
+ * @property {ConfiguredApiKey[]} apiKeys - API keys that select this merchant
+ * @property {WebhookEndpoint[]} webhooks - Endpoints that receive outbound events
+ * @property {boolean} trustClientOpenId - Accept a request body's open_id without a customer session (off by default)
+ */
+
+/**
+ * @typedef {Object} WebhookEndpoint
+ * @property {string} id - Endpoint ID (derived from the URL)
+ * @property {string} url - HTTP(S) URL deliveries are posted to
+ * @property {string[]} events - Event types sent to it (empty means all)
+ * @property {string} signing - "hmac" (with secret) or "rsa" (with the merchant's private key)
+ * @property {string|null} secret - HMAC secret
+ */
+
+/**
+ * @typedef {Object} MandatePlan
+ * @property {string} id - Plan ID, sent as plan_id
+ * @property {string} name - Display name
+ * @property {string} mandateTemplateId - Fabric mandate template the customer signs
+ * @property {string|null} executeTime - Fixed first execution date (YYYY-MM-DD)
+ * @property {number} executeAfterDays - First execution this many days after signing, unless executeTime is set
+ * @property {number|null} maxExecuteAfterDays - Latest first execution a request may choose, in days; null lets it choose none
+ * @property {string|null} frequency - Debit frequency ("monthly", "weekly" or "cron"); null allows any
+ * @property {number} interval - Months or weeks between debits
+ * @property {string|null} cron - Cron expression of "cron" plans
+ * @property {number|null} maxAmount - Largest amount a single order or debit may charge
+ * @property {number|null} amount - Price per period of a subscription plan; plans without one cannot be subscribed to
+ * @property {number} trialDays - Days before the first subscription charge
+ * @property {number|null} signupAmount - Charged by the signing order of a subscription (defaults to amount)
+ */
+
+/**
+ * @typedef {Object} ConfiguredApiKey
+ * @property {string} hash - SHA-256 hex digest of the key
+ * @property {string[]} scopes - Scopes granted to the key
+ * @property {string|null} notBefore - ISO time the key becomes valid
+ * @property {string|null} expiresAt - ISO time the key stops working
+ */
+
+/**
+ * Environment variable suffixes and the merchant fields they set
+ * @type {Object}
+ * @constant
+ */
+const ENV_FIELDS = {
+  NAME: 'name',
+  BASE_URL: 'baseUrl',
+  WEB_CHECKOUT_URL: 'webCheckoutUrl',
+  FABRIC_APP_ID: 'fabricAppId',
+  FABRIC_APP_SECRET: 'appSecret',
+  MERCHANT_APP_ID: 'merchantAppId',
+  MERCHANT_CODE: 'merchantCode',
+  PRIVATE_KEY: 'privateKey',
+  PUBLIC_KEY: 'publicKey',
+  NOTIFY_URL: 'notifyUrl',
+  REDIRECT_URL: 'redirectUrl',
+  PAYEE_IDENTIFIER: 'payeeIdentifier',
+  PAYEE_IDENTIFIER_TYPE: 'payeeIdentifierType',
+  PAYEE_TYPE: 'payeeType',
+  CURRENCY: 'currency',
+  MANDATE_TEMPLATE_ID: 'mandateTemplateId',
+  API_KEYS: 'apiKeys',
+  WEBHOOK_URL: 'webhookUrl',
+  WEBHOOK_SECRET: 'webhookSecret',
+  WEBHOOK_EVENTS: 'webhookEvents',
+  WEBHOOK_SIGNING: 'webhookSigning',
+  TRUST_CLIENT_OPEN_ID: 'trustClientOpenId',
+};
+
+/**
+ * Supported webhook signing methods
+ * @type {string[]}
+ * @constant
+ */
+const WEBHOOK_SIGNING_METHODS = ['hmac', 'rsa'];
+
+/**
+ * Debit frequencies a mandate plan may fix (see store/billingStore FREQUENCIES)
+ * @type {string[]}
+ * @constant
+ */
+const MANDATE_PLAN_FREQUENCIES = ['monthly', 'weekly', 'cron'];
+
+/**
+ * Format of plan IDs and fixed execution dates
+ * @type {Object<string, RegExp>}
+ * @constant
+ */
+const MANDATE_PLAN_PATTERNS = {
+  id: /^[A-Za-z0-9_-]{1,64}$/,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+};
+
+/**
+ * Fields every merchant must define itself, or inherit (notifyUrl)
+ * @type {string[]}
+ * @constant
+ */
+const REQUIRED_FIELDS = ['fabricAppId', 'appSecret', 'merchantAppId', 'merchantCode', 'privateKey', 'notifyUrl'];
+
+/**
+ * Fields a merchant inherits from the global configuration when unset
+ * @type {string[]}
+ * @constant
+ */
+const INHERITED_FIELDS = [
+  'baseUrl',
+  'webCheckoutUrl',
+  'publicKey',
+  'notifyUrl',
+  'redirectUrl',
+  'payeeIdentifierType',
+  'payeeType',
+  'currency',
+  'mandateTemplateId',
+];
+
+/**
+ * Registered merchants by ID
+ * @type {Map<string, Merchant>}
+ */
+let merchants = new Map();
+
+/**
+ * ID of the merchant used when a request selects none
+ * @type {string}
+ */
+let defaultMerchantId = 'default';
+
+/**
+ * Reads a list of mandate plans (or an object keyed by plan ID) from a JSON or YAML file
+ * @private
+ * @param {string|null} filePath - Plan file
+ * @returns {Object[]|undefined} Plan entries, or undefined without a file
+ */
+const readMandatePlanFile = (filePath) => {
+  if (!filePath) {
+    return undefined;
+  }
+
+  const resolved = path.resolve(filePath);
+  const text = fs.readFileSync(resolved, 'utf8');
+  const parsed = /\.ya?ml$/i.test(resolved) ? yaml.load(text) : JSON.parse(text);
+
+  return parsed && parsed.plans !== undefined ? parsed.plans : parsed;
+};
+
+/**
+ * Builds the merchant described by the top-level configuration
+ * @private
+ * @returns {Object} Merchant settings
+ */
+const getLegacyMerchant = () => ({
+  id: 'default',
+  name: 'Default merchant',
+  baseUrl: config.baseUrl,
+  webCheckoutUrl: config.webCheckoutUrl,
+  fabricAppId: config.fabricAppId,
+  appSecret: config.appSecret,
+  merchantAppId: config.merchantAppId,
+  merchantCode: config.merchantCode,
+  privateKey: config.privateKey,
+  publicKey: config.publicKey,
+  notifyUrl: config.notifyUrl,
+  redirectUrl: config.redirectUrl,
+  payeeIdentifier: config.payeeIdentifier,
+  payeeIdentifierType: config.payeeIdentifierType,
+  payeeType: config.payeeType,
+  currency: config.currency,
+  mandateTemplateId: config.mandateTemplateId,
+  apiKeys: (config.apiKeys && config.apiKeys.keys) || [],
+  webhookUrl: config.webhooks && config.webhooks.url,
+  webhookSecret: config.webhooks && config.webhooks.secret,
+  webhookEvents: config.webhooks && config.webhooks.events,
+  webhookSigning: config.webhooks && config.webhooks.signing,
+  trustClientOpenId: config.customerSessions && config.customerSessions.trustClientOpenId,
+});
+
+/**
+ * Hashes an API key for storage and lookup
+ * @function hashApiKey
+ * @param {string} apiKey - Plaintext API key
+ * @returns {string} SHA-256 hex digest
+ */
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+
+/**
+ * Normalizes a configured API key. Strings are "sha256:<hex>" or a plaintext
+ * key, optionally followed by "=scope scope"; objects may set hash or key,
+ * scopes, notBefore and expiresAt.
+ * @private
+ * @param {string|Object} entry - Configured key
+ * @param {string} merchantId - Owning merchant, for error messages
+ * @returns {ConfiguredApiKey} Normalized key
+ * @throws {Error} If the key or its hash is missing or malformed
+ */
+const normalizeApiKey = (entry, merchantId) => {
+  let key = entry;
+
+  if (typeof entry === 'string') {
+    const separator = entry.indexOf('=');
+    const value = (separator === -1 ? entry : entry.slice(0, separator)).trim();
+    key = separator === -1 ? {} : { scopes: entry.slice(separator + 1).trim().split(/\s+/) };
+
+    if (value.indexOf('sha256:') === 0) {
+      key.hash = value.slice('sha256:'.length);
+    } else {
+      key.key = value;
+    }
+  }
+
+  const hash = key.hash ? String(key.hash).toLowerCase() : key.key ? hashApiKey(key.key) : null;
+  if (!hash || !/^[0-9a-f]{64}$/.test(hash)) {
+    throw new Error('Merchant "' + merchantId + '" has an API key without a valid sha256 hash');
+  }
+
+  let scopes = key.scopes;
+  if (typeof scopes === 'string') {
+    scopes = scopes.split(/[\s,]+/);
+  }
+  scopes = (scopes || []).map(scope => String(scope).trim()).filter(Boolean);
+
+  return {
+    hash: hash,
+    scopes: scopes.length > 0 ? scopes : ((config.apiKeys && config.apiKeys.defaultScopes) || []),
+    notBefore: key.notBefore ? new Date(key.notBefore).toISOString() : null,
+    expiresAt: key.expiresAt ? new Date(key.expiresAt).toISOString() : null,
+  };
+};
+
+/**
+ * Normalizes a configured webhook endpoint
+ * @private
+ * @param {Object} entry - Endpoint settings ({ url, events, signing, secret })
+ * @param {string} merchantId - Owning merchant, for error messages
+ * @returns {WebhookEndpoint} Normalized endpoint
+ * @throws {Error} If the URL, signing method or secret is invalid
+ */
+const normalizeWebhook = (entry, merchantId) => {
+  if (!entry || !/^https?:\/\/\S+$/i.test(String(entry.url || ''))) {
+    throw new Error('Merchant "' + merchantId + '" has a webhook without a valid http(s) url');
+  }
+
+  const signing = String(entry.signing || 'hmac').toLowerCase();
+  if (!WEBHOOK_SIGNING_METHODS.includes(signing)) {
+    throw new Error('Merchant "' + merchantId + '" has a webhook with unknown signing "' + entry.signing + '"');
+  }
+
+  if (signing === 'hmac' && !entry.secret) {
+    throw new Error('Merchant "' + merchantId + '" has an HMAC-signed webhook without a secret');
+  }
+
+  let events = entry.events;
+  if (typeof events === 'string') {
+    events = events.split(/[\s,]+/);
+  }
+
+  return {
+    id: 'wh_' + crypto.createHash('sha256').update(String(entry.url)).digest('hex').slice(0, 12),
+    url: String(entry.url),
+    events: (events || []).map(event => String(event).trim()).filter(Boolean),
+    signing: signing,
+    secret: entry.secret ? String(entry.secret) : null,
+  };
+};
+
+/**
+ * Normalizes a configured mandate plan
+ * @private
+ * @param {Object} entry - Plan settings
+ * @param {Object} merchant - Owning merchant, for its template and error messages
+ * @returns {MandatePlan} Normalized plan
+ * @throws {Error} If a setting is missing or malformed
+ */
+const normalizeMandatePlan = (entry, merchant) => {
+  const fail = (message) => {
+    throw new Error('Merchant "' + merchant.id + '" has mandate plan "' + (entry && entry.id) + '" ' + message);
+  };
+
+  if (!entry || !MANDATE_PLAN_PATTERNS.id.test(String(entry.id || ''))) {
+    fail('without a valid id (1-64 letters, digits, "-" or "_")');
+  }
+
+  const mandateTemplateId = entry.mandateTemplateId || merchant.mandateTemplateId;
+  if (!mandateTemplateId) {
+    fail('without a mandateTemplateId');
+  }
+
+  if (entry.executeTime && !MANDATE_PLAN_PATTERNS.date.test(String(entry.executeTime))) {
+    fail('with an executeTime that is not YYYY-MM-DD');
+  }
+
+  const executeAfterDays = entry.executeAfterDays === undefined ? 0 : Number(entry.executeAfterDays);
+  if (!Number.isInteger(executeAfterDays) || executeAfterDays < 0) {
+    fail('with an executeAfterDays that is not a non-negative integer');
+  }
+
+  const maxExecuteAfterDays = entry.maxExecuteAfterDays === undefined || entry.maxExecuteAfterDays === null
+    ? null : Number(entry.maxExecuteAfterDays);
+  if (maxExecuteAfterDays !== null && (!Number.isInteger(maxExecuteAfterDays) || maxExecuteAfterDays < executeAfterDays)) {
+    fail('with a maxExecuteAfterDays below executeAfterDays');
+  }
+
+  const frequency = entry.frequency ? String(entry.frequency).toLowerCase() : null;
+  if (frequency && !MANDATE_PLAN_FREQUENCIES.includes(frequency)) {
+    fail('with unknown frequency "' + entry.frequency + '"');
+  }
+
+  if (frequency === 'cron' && (typeof entry.cron !== 'string' || entry.cron.trim() === '')) {
+    fail('with frequency "cron" but no cron expression');
+  }
+
+  const interval = entry.interval === undefined ? 1 : Number(entry.interval);
+  if (!Number.isInteger(interval) || interval < 1) {
+    fail('with an interval that is not a positive integer');
+  }
+
+  const maxAmount = entry.maxAmount === undefined || entry.maxAmount === null ? null : parseFloat(entry.maxAmount);
+  if (maxAmount !== null && (isNaN(maxAmount) || maxAmount <= 0)) {
+    fail('with a maxAmount that is not a positive number');
+  }
+
+  const amount = entry.amount === undefined || entry.amount === null ? null : parseFloat(entry.amount);
+  const signupAmount = entry.signupAmount === undefined || entry.signupAmount === null ? amount : parseFloat(entry.signupAmount);
+  [['amount', amount], ['signupAmount', signupAmount]].forEach(([field, value]) => {
+    if (value !== null && (isNaN(value) || value <= 0)) {
+      fail('with a ' + field + ' that is not a positive number');
+    }
+    if (value !== null && maxAmount !== null && value > maxAmount) {
+      fail('with a ' + field + ' above its maxAmount');
+    }
+  });
+
+  if (signupAmount !== null && amount === null) {
+    fail('with a signupAmount but no amount');
+  }
+
+  const trialDays = entry.trialDays === undefined ? 0 : Number(entry.trialDays);
+  if (!Number.isInteger(trialDays) || trialDays < 0) {
+    fail('with a trialDays that is not a non-negative integer');
+  }
+
+  return {
+    id: String(entry.id),
+    name: entry.name ? String(entry.name) : String(entry.id),
+    mandateTemplateId: String(mandateTemplateId),
+    executeTime: entry.executeTime ? String(entry.executeTime) : null,
+    executeAfterDays: executeAfterDays,
+    maxExecuteAfterDays: entry.executeTime ? null : maxExecuteAfterDays,
+    frequency: frequency,
+    interval: frequency === 'cron' ? 1 : interval,
+    cron: frequency === 'cron' ? entry.cron.trim() : null,
+    maxAmount: maxAmount,
+    amount: amount,
+    trialDays: trialDays,
+    signupAmount: signupAmount,
+  };
+};
+
+/**
+ * Validates a merchant entry and fills in inherited settings
+ * @private
+ * @param {Object} entry - Merchant settings
+ * @param {string} source - Where the entry came from, for error messages
+ * @returns {Merchant} Normalized merchant
+ * @throws {Error} If the ID or a required field is missing
+ */
+const normalizeMerchant = (entry, source) => {
+  if (!entry || !entry.id) {
+    throw new Error('Merchant in ' + source + ' is missing an id');
+  }
+
+  const merchant = Object.assign({}, entry, { id: String(entry.id) });
+
+  INHERITED_FIELDS.forEach(field => {
+    if (merchant[field] === undefined || merchant[field] === '') {
+      merchant[field] = config[field];
+    }
+  });
+
+  const missing = REQUIRED_FIELDS.filter(field => !merchant[field]);
+  if (missing.length > 0) {
+    throw new Error('Merchant "' + merchant.id + '" in ' + source + ' is missing ' + missing.join(', '));
+  }
+
+  if (typeof merchant.apiKeys === 'string') {
+    merchant.apiKeys = merchant.apiKeys.split(',');
+  }
+  merchant.apiKeys = (merchant.apiKeys || [])
+    .filter(key => key && (typeof key !== 'string' || key.trim()))
+    .map(key => (typeof key === 'string' ? key.trim() : key))
+    .map(key => normalizeApiKey(key, merchant.id));
+
+  // The flat webhook* fields (environment variables) describe one more endpoint
+  const webhooks = (merchant.webhooks || []).slice();
+  if (merchant.webhookUrl) {
+    webhooks.unshift({
+      url: merchant.webhookUrl,
+      secret: merchant.webhookSecret,
+      events: merchant.webhookEvents,
+      signing: merchant.webhookSigning,
+    });
+  }
+  ['webhookUrl', 'webhookSecret', 'webhookEvents', 'webhookSigning'].forEach(field => {
+    delete merchant[field];
+  });
+  merchant.webhooks = webhooks
+    .map(webhook => normalizeWebhook(webhook, merchant.id))
+    .filter((webhook, index, all) => all.findIndex(other => other.id === webhook.id) === index);
+
+  // Merchants without plans of their own offer the top-level catalog
+  let plans = merchant.mandatePlans !== undefined ? merchant.mandatePlans : readMandatePlanFile(config.mandatePlansFile);
+  if (plans && !Array.isArray(plans) && typeof plans === 'object') {
+    plans = Object.keys(plans).map(id => Object.assign({ id: id }, plans[id]));
+  }
+  merchant.mandatePlans = (plans || []).map(plan => normalizeMandatePlan(plan, merchant));
+  merchant.mandatePlans.forEach((plan, index, all) => {
+    if (all.findIndex(other => other.id === plan.id) !== index) {
+      throw new Error('Merchant "' + merchant.id + '" defines mandate plan "' + plan.id + '" twice');
+    }
+  });
+
+  merchant.trustClientOpenId = merchant.trustClientOpenId === true || merchant.trustClientOpenId === 'true';
+  merchant.name = merchant.name || merchant.id;
+  merchant.payeeIdentifier = merchant.payeeIdentifier || merchant.merchantCode;
+
+  return merchant;
+};
+
+/**
+ * Reads merchants from a JSON or YAML file.
+ * The file may hold a list of merchants, { merchants: [...] }, or an object
+ * keyed by merchant ID. privateKeyFile / publicKeyFile are read relative to it.
+ * @private
+ * @param {string} filePath - Registry file
+ * @returns {Object[]} Merchant entries
+ */
+const readMerchantFile = (filePath) => {
+  const resolved = path.resolve(filePath);
+  const text = fs.readFileSync(resolved, 'utf8');
+  const parsed = /\.ya?ml$/i.test(resolved) ? yaml.load(text) : JSON.parse(text);
+
+  let entries = parsed && parsed.merchants !== undefined ? parsed.merchants : parsed;
+  if (entries && !Array.isArray(entries) && typeof entries === 'object') {
+    entries = Object.keys(entries).map(id => Object.assign({ id: id }, entries[id]));
+  }
+
+  return (entries || []).map(entry => {
+    const merchant = Object.assign({}, entry);
+
+    ['privateKey', 'publicKey'].forEach(field => {
+      const keyFile = merchant[field + 'File'];
+      if (keyFile && !merchant[field]) {
+        merchant[field] = fs.readFileSync(path.resolve(path.dirname(resolved), keyFile), 'utf8');
+      }
+      delete merchant[field + 'File'];
+    });
+
+    return merchant;
+  });
+};
+
+/**
+ * Reads merchants from prefixed environment variables,
+ * e.g. TENANT_SHOP1_MERCHANT_CODE sets merchantCode of merchant "shop1"
+ * @private
+ * @param {Object} env - Environment variables
+ * @param {string} prefix - Variable prefix
+ * @returns {Object[]} Merchant entries
+ */
+const readMerchantEnv = (env, prefix) => {
+  const suffixes = Object.keys(ENV_FIELDS).sort((a, b) => b.length - a.length);
+  const entries = {};
+
+  Object.keys(env).forEach(name => {
+    if (!prefix || name.indexOf(prefix) !== 0) {
+      return;
+    }
+
+    const rest = name.slice(prefix.length);
+    const suffix = suffixes.find(candidate => rest.length > candidate.length + 1 && rest.endsWith('_' + candidate));
+    if (!suffix) {
+      return;
+    }
+
+    const id = rest.slice(0, rest.length - suffix.length - 1).toLowerCase();
+    entries[id] = entries[id] || { id: id };
+    // Keys are often stored on one line with escaped newlines
+    entries[id][ENV_FIELDS[suffix]] = env[name].replace(/\\n/g, '\n');
+  });
+
+  return Object.keys(entries).map(id => entries[id]);
+};
+
+/**
+ * Loads the registry from the top-level configuration, the registry file and
+ * prefixed environment variables. Later sources override earlier ones by ID.
+ * @function loadMerchants
+ * @param {Object} [options] - Defaults to config.merchants
+ * @param {string|null} [options.file] - JSON or YAML registry file
+ * @param {string} [options.envPrefix] - Environment variable prefix
+ * @param {string} [options.defaultId] - Default merchant ID
+ * @param {Object} [options.env] - Environment variables (defaults to process.env)
+ * @returns {Merchant[]} Loaded merchants
+ * @throws {Error} If a merchant is invalid or the default merchant is unknown
+ */
+const loadMerchants = (options = config.merchants || {}) => {
+  const loaded = new Map();
+  loaded.set('default', normalizeMerchant(getLegacyMerchant(), 'configuration'));
+
+  if (options.file) {
+    readMerchantFile(options.file).forEach(entry => {
+      loaded.set(String(entry.id), normalizeMerchant(entry, options.file));
+    });
+  }
+
+  readMerchantEnv(options.env || process.env, options.envPrefix).forEach(entry => {
+    const existing = loaded.get(entry.id) || {};
+    loaded.set(entry.id, normalizeMerchant(Object.assign({}, existing, entry), 'environment'));
+  });
+
+  const defaultId = options.defaultId || 'default';
+  if (!loaded.has(defaultId)) {
+    throw new Error('Default merchant "' + defaultId + '" is not registered');
+  }
+
+  merchants = loaded;
+  defaultMerchantId = defaultId;
+
+  console.log('[Merchant Registry] Loaded ' + merchants.size + ' merchant(s): ' + Array.from(merchants.keys()).join(', '));
+
+  return listMerchants();
+};
+
+/**
+ * Gets a merchant by ID
+ * @function getMerchant
+ * @param {string} merchantId - Merchant ID
+ * @returns {Merchant|null} The merchant or null
+ */
+const getMerchant = (merchantId) => (merchantId && merchants.get(String(merchantId))) || null;
+
+/**
+ * Gets the merchant used when a request selects none
+ * @function getDefaultMerchant
+ * @returns {Merchant} Default merchant
+ */
+const getDefaultMerchant = () => merchants.get(defaultMerchantId);
+
+/**
+ * Gets a merchant by ID, falling back to the default merchant.
+ * Used for records created before the registry existed.
+ * @function resolveMerchant
+ * @param {string|null} [merchantId] - Merchant ID
+ * @returns {Merchant} The merchant
+ */
+const resolveMerchant = (merchantId) => getMerchant(merchantId) || getDefaultMerchant();
+
+/**
+ * Finds the configured API key with the given hash
+ * @function findConfiguredApiKey
+ * @param {string} hash - SHA-256 hex digest of the key
+ * @returns {{merchant: Merchant, apiKey: ConfiguredApiKey}|null} Owner and key, or null
+ */
+const findConfiguredApiKey = (hash) => {
+  const expected = Buffer.from(String(hash), 'hex');
+
+  for (const merchant of merchants.values()) {
+    const apiKey = merchant.apiKeys.find(candidate => {
+      const actual = Buffer.from(candidate.hash, 'hex');
+      return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    });
+
+    if (apiKey) {
+      return { merchant: merchant, apiKey: apiKey };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Finds one of a merchant's mandate plans
+ * @function getMandatePlan
+ * @param {Merchant} merchant - Merchant
+ * @param {string} planId - Plan ID
+ * @returns {MandatePlan|null} The plan or null
+ */
+const getMandatePlan = (merchant, planId) =>
+  (merchant && merchant.mandatePlans || []).find(plan => plan.id === String(planId)) || null;
+
+/**
+ * Lists registered merchants
+ * @function listMerchants
+ * @returns {Merchant[]} Merchants
+ */
+const listMerchants = () => Array.from(merchants.values());
+
+/**
+ * Adds or replaces a merchant at runtime
+ * @function registerMerchant
+ * @param {Object} entry - Merchant settings
+ * @returns {Merchant} The registered merchant
+ */
+const registerMerchant = (entry) => {
+  const merchant = normalizeMerchant(entry, 'registerMerchant');
+  merchants.set(merchant.id, merchant);
+  return merchant;
+};
+
+loadMerchants();
+
+module.exports = {
+  loadMerchants,
+  getMerchant,
+  getDefaultMerchant,
+  resolveMerchant,
+  findConfiguredApiKey,
+  getMandatePlan,
+  hashApiKey,
+  listMerchants,
+  registerMerchant,
+};
@@ -0,0 +1,76 @@
+/**
+ * @module middleware/customerSession
+ * @description Express middleware that attaches the signed-in customer to a request
+ * @version 1.0.0
+ */
+
+const customerSessionService = require('../service/customerSessionService');
+
+/**
+ * Authorization header scheme of customer sessions
+ * @type {RegExp}
+ * @constant
+ */
+const BEARER = /^Bearer\s+(\S+)$/i;
+
+/**
+ * Sends a customer session error
+ * @private
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ */
+const sendError = (res, status, code, message) => res.status(status).json({
+  error_code: code,
+  error_msg: message,
+  timestamp: new Date().toISOString(),
+});
+
+/**
+ * Creates middleware that verifies an "Authorization: Bearer <session_token>"
+ * header (issued by /api/v1/auth/token) and stores the customer on
+ * req.customer. Runs after selectMerchant; a session issued for another
+ * merchant is refused. Without the header the request passes through with
+ * no customer unless the session is required.
+ * @function customerSession
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.required=false] - Refuse requests without a session
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * router.post('/create/order', customerSession(), handler);
+ */
+const customerSession = (options = {}) => (req, res, next) => {
+  const header = req.get('Authorization');
+
+  if (!header) {
+    if (options.required) {
+      return sendError(res, 401, customerSessionService.SESSION_ERRORS.SESSION_REQUIRED, 'A customer session is required');
+    }
+    return next();
+  }
+
+  const match = BEARER.exec(header);
+  if (!match) {
+    return sendError(res, 401, customerSessionService.SESSION_ERRORS.SESSION_INVALID,
+      'Authorization must be a Bearer customer session');
+  }
+
+  let session;
+  try {
+    session = customerSessionService.verifySession(match[1]);
+  } catch (error) {
+    return sendError(res, error.status || 401, error.code, error.message);
+  }
+
+  if (session.merchant_id !== req.merchant.id) {
+    return sendError(res, 401, customerSessionService.SESSION_ERRORS.SESSION_MERCHANT_MISMATCH,
+      'Customer session was issued for another merchant');
+  }
+
+  req.customer = session;
+  next();
+};
+
+module.exports = customerSession;
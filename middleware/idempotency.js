@@ -0,0 +1,138 @@
+/**
+ * @module middleware/idempotency
+ * @description Express middleware that makes create endpoints safe to retry
+ * @version 1.0.0
+ */
+
+const idempotencyStore = require('../store/idempotencyStore');
+
+/**
+ * Longest accepted Idempotency-Key header
+ * @type {number}
+ * @constant
+ */
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Client error statuses that do not settle a request (timeout, too early,
+ * rate limited): the same request may succeed when sent again
+ * @type {number[]}
+ * @constant
+ */
+const RETRYABLE_STATUSES = [408, 425, 429];
+
+/**
+ * Sends an idempotency error
+ * @private
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ */
+const sendError = (res, status, code, message) => res.status(status).json({
+  error_code: code,
+  error_msg: message,
+  timestamp: new Date().toISOString(),
+});
+
+/**
+ * Whether a response is the final outcome of a request. Server errors,
+ * including 502/503 for Fabric failures with an unknown outcome, and
+ * retryable client errors are not.
+ * @private
+ * @param {number} statusCode - HTTP status of the response
+ * @returns {boolean} True if the response should be replayed to retries
+ */
+const isFinalStatus = (statusCode) => statusCode < 500 && !RETRYABLE_STATUSES.includes(statusCode);
+
+/**
+ * Stores a claimed key's final response, or releases the key
+ * @private
+ * @param {Object} claim - Result of idempotencyStore.begin()
+ * @param {number} statusCode - HTTP status of the response
+ * @param {*} response - Response body
+ * @param {string} [location] - Location header of the response
+ */
+const settleClaim = (claim, statusCode, response, location) => {
+  const settled = isFinalStatus(statusCode)
+    ? idempotencyStore.complete(claim.record, statusCode, response, location)
+    : idempotencyStore.release(claim.record);
+
+  settled.catch(error => {
+    console.error('[Idempotency] Failed to settle key ' + claim.record.id + ':', error.message);
+  });
+};
+
+/**
+ * Creates middleware that replays the stored response when a request is
+ * retried. The key is the Idempotency-Key header or, without one, the
+ * client-supplied merch_order_id. The first final response (2xx, 3xx or
+ * a 4xx other than RETRYABLE_STATUSES) is stored for
+ * config.idempotency.retentionSeconds; server errors, upstream failures
+ * and retryable client errors release the key so the retry runs again. Reusing a key with a different body, or while
+ * the first request is still running, is answered with 409. A client that
+ * gave up waiting does not release its key: the request may still reach
+ * Fabric, so retries wait for its outcome (or for the lock timeout).
+ * Keys are kept per merchant and, for requests with a customer session
+ * (see middleware/customerSession), per customer.
+ * @function idempotency
+ * @param {string} scope - Separates keys of different endpoints, e.g. "orders:create"
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * app.post('/create/order', idempotency('orders:create'), handler);
+ */
+const idempotency = (scope) => async (req, res, next) => {
+  const body = req.body || {};
+  const key = req.get('Idempotency-Key') || (body.merch_order_id ? 'merch_order_id:' + body.merch_order_id : null);
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return sendError(res, 400, 'INVALID_IDEMPOTENCY_KEY', 'Idempotency-Key must be at most ' + MAX_KEY_LENGTH + ' characters');
+  }
+
+  const merchantId = req.merchant ? req.merchant.id : 'default';
+  const owner = req.customer ? merchantId + ':customer:' + req.customer.open_id : merchantId;
+
+  let claim;
+  try {
+    claim = await idempotencyStore.begin(owner + ':' + scope + ':' + key, idempotencyStore.fingerprint(body));
+  } catch (error) {
+    return next(error);
+  }
+
+  if (claim.outcome === 'mismatch') {
+    return sendError(res, 409, 'IDEMPOTENCY_KEY_REUSED', 'Idempotency key was already used with a different request body');
+  }
+
+  if (claim.outcome === 'in_progress') {
+    res.set('Retry-After', '1');
+    return sendError(res, 409, 'IDEMPOTENCY_IN_PROGRESS', 'A request with this idempotency key is still being processed');
+  }
+
+  if (claim.outcome === 'replay') {
+    res.set('Idempotent-Replayed', 'true');
+    if (claim.record.location) {
+      res.location(claim.record.location);
+    }
+    return res.status(claim.record.status_code).json(claim.record.response);
+  }
+
+  let settled = false;
+  const json = res.json.bind(res);
+
+  res.json = (response) => {
+    if (!settled) {
+      settled = true;
+      settleClaim(claim, res.statusCode, response, res.get('Location'));
+    }
+    return json(response);
+  };
+
+  next();
+};
+
+module.exports = idempotency;
@@ -0,0 +1,103 @@
+/**
+ * @module middleware/selectMerchant
+ * @description Express middleware that selects the merchant (tenant) for a request
+ * @version 1.0.0
+ */
+
+const merchantRegistry = require('../config/merchantRegistry');
+const apiKeyStore = require('../store/apiKeyStore');
+const auditLog = require('../store/auditLog');
+
+/**
+ * Path prefix that selects a merchant, e.g. /merchants/shop1/create/order
+ * @type {RegExp}
+ * @constant
+ */
+const MERCHANT_PATH = /^\/merchants\/([^/?]+)(.*)$/;
+
+/**
+ * Sends a merchant selection error
+ * @private
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ */
+const sendError = (res, status, code, message) => res.status(status).json({
+  error_code: code,
+  error_msg: message,
+  timestamp: new Date().toISOString(),
+});
+
+/**
+ * Selects the merchant for a request and stores it on req.merchant.
+ * A /merchants/:merchantId path prefix is stripped so the usual routes
+ * match; an X-API-Key header selects the merchant owning the key and
+ * stores the key on req.apiKey. With neither, the default merchant is used.
+ * @function selectMerchant
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+const selectMerchant = async (req, res, next) => {
+  let merchant = null;
+
+  const match = MERCHANT_PATH.exec(req.url);
+  if (match) {
+    merchant = merchantRegistry.getMerchant(decodeURIComponent(match[1]));
+
+    if (!merchant) {
+      return sendError(res, 404, 'MERCHANT_NOT_FOUND', 'Unknown merchant: ' + match[1]);
+    }
+
+    req.url = match[2].charAt(0) === '/' ? match[2] : '/' + match[2];
+  }
+
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    let record;
+    try {
+      record = await apiKeyStore.findKey(apiKey);
+    } catch (error) {
+      return next(error);
+    }
+
+    if (!record) {
+      auditLog.recordRequest(auditLog.AUDIT_EVENTS.KEY_DENIED, req, { reason: 'unknown_key' });
+      return sendError(res, 401, 'INVALID_API_KEY', 'API key is not recognized');
+    }
+
+    const state = apiKeyStore.getKeyState(record);
+    if (state !== apiKeyStore.KEY_STATES.ACTIVE) {
+      auditLog.recordRequest(auditLog.AUDIT_EVENTS.KEY_DENIED, req, {
+        merchant_id: record.merchant_id,
+        key_id: record.id,
+        reason: state.toLowerCase(),
+      });
+      return sendError(res, 401, 'API_KEY_INACTIVE', 'API key is ' + state.toLowerCase().replace(/_/g, ' '));
+    }
+
+    const keyMerchant = merchantRegistry.getMerchant(record.merchant_id);
+    if (!keyMerchant) {
+      return sendError(res, 401, 'INVALID_API_KEY', 'API key belongs to an unknown merchant');
+    }
+
+    if (merchant && merchant.id !== keyMerchant.id) {
+      auditLog.recordRequest(auditLog.AUDIT_EVENTS.KEY_DENIED, req, {
+        merchant_id: record.merchant_id,
+        key_id: record.id,
+        reason: 'merchant_mismatch',
+      });
+      return sendError(res, 403, 'MERCHANT_MISMATCH', 'API key does not belong to merchant ' + merchant.id);
+    }
+
+    merchant = keyMerchant;
+    req.apiKey = record;
+  }
+
+  req.merchant = merchant || merchantRegistry.getDefaultMerchant();
+  next();
+};
+
+module.exports = selectMerchant;
@@ -0,0 +1,62 @@
+/**
+ * @module middleware/statusTicket
+ * @description Express middleware that lets an order's status ticket stand in for an API key
+ * @version 1.0.0
+ */
+
+const statusTicketService = require('../service/statusTicketService');
+const requireApiKey = require('./requireApiKey');
+
+/**
+ * Sends a status ticket error
+ * @private
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ */
+const sendError = (res, status, code, message) => res.status(status).json({
+  error_code: code,
+  error_msg: message,
+  timestamp: new Date().toISOString(),
+});
+
+/**
+ * Creates middleware for order routes a frontend may call with the order's
+ * status ticket (?ticket=...) instead of an API key. A request with an
+ * X-API-Key, or without a ticket, must pass requireApiKey(scope) instead.
+ * The ticket must have been issued for the :merchOrderId of the route and
+ * the request's merchant; it is stored on req.statusTicket.
+ * @function statusTicket
+ * @param {string} scope - Scope a request with an API key needs, e.g. "orders:read"
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * router.get('/api/v1/orders/:merchOrderId/status', statusTicket('orders:read'), handler);
+ */
+const statusTicket = (scope) => {
+  const requireScope = requireApiKey(scope);
+
+  return (req, res, next) => {
+    if (req.apiKey || !req.query.ticket) {
+      return requireScope(req, res, next);
+    }
+
+    let ticket;
+    try {
+      ticket = statusTicketService.verifyTicket(req.query.ticket);
+    } catch (error) {
+      return sendError(res, error.status || 401, error.code, error.message);
+    }
+
+    if (ticket.merch_order_id !== req.params.merchOrderId ||
+        (ticket.merchant_id && ticket.merchant_id !== req.merchant.id)) {
+      return sendError(res, 403, 'TICKET_MISMATCH', 'Status ticket was issued for another order');
+    }
+
+    req.statusTicket = ticket;
+    next();
+  };
+};
+
+module.exports = statusTicket;
@@ -0,0 +1,32 @@
+/**
+ * @module routes/auth
+ * @description Customer authentication routes (payment.authtoken exchange)
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const authToken = require('../service/authTokenService');
+const requireApiKey = require('../middleware/requireApiKey');
+
+const router = express.Router();
+
+// Authentication token endpoint (/apply/h5token is the legacy alias)
+router.post(['/api/v1/auth/token', '/apply/h5token'], requireApiKey('auth:token'), async (req, res) => {
+  try {
+    console.log('Auth token request received:', {
+      timestamp: new Date().toISOString(),
+      body: req.body
+    });
+
+    await authToken.authToken(req, res);
+  } catch (error) {
+    console.error('Error in ' + req.path + ':', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
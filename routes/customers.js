@@ -0,0 +1,55 @@
+/**
+ * @module routes/customers
+ * @description Routes of the signed-in customer (profile, order history and mandates)
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const customerService = require('../service/customerService');
+const customerSession = require('../middleware/customerSession');
+
+const router = express.Router();
+
+// Every /me route is scoped to the customer session; no API key is needed
+router.use('/api/v1/me', customerSession({ required: true }));
+
+router.get('/api/v1/me', async (req, res) => {
+  try {
+    await customerService.getProfile(req, res);
+  } catch (error) {
+    console.error('Error in GET /api/v1/me:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.get('/api/v1/me/orders', async (req, res) => {
+  try {
+    await customerService.listOrders(req, res);
+  } catch (error) {
+    console.error('Error in GET /api/v1/me/orders:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.get('/api/v1/me/mandates', async (req, res) => {
+  try {
+    await customerService.listMandates(req, res);
+  } catch (error) {
+    console.error('Error in GET /api/v1/me/mandates:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
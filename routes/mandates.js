@@ -0,0 +1,209 @@
+/**
+ * @module routes/mandates
+ * @description Mandate order, mandate lifecycle, recurring billing and subscription routes
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const createMandetOrder = require('../service/createMandetOrderService');
+const mandateService = require('../service/mandateService');
+const billingService = require('../service/billingService');
+const subscriptionService = require('../service/subscriptionService');
+const requireApiKey = require('../middleware/requireApiKey');
+const idempotency = require('../middleware/idempotency');
+const customerSession = require('../middleware/customerSession');
+
+const router = express.Router();
+
+// Create mandate order endpoint (/create/mandetOrder is the legacy alias)
+router.post(['/api/v1/orders/mandate', '/create/mandetOrder'], requireApiKey('mandates:create'), customerSession(), idempotency('mandates:create'), async (req, res) => {
+  try {
+    console.log('Create mandate order request received:', {
+      timestamp: new Date().toISOString(),
+      body: req.body
+    });
+
+    await createMandetOrder.createMandateOrder(req, res);
+  } catch (error) {
+    console.error('Error in ' + req.path + ':', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Mandate lifecycle endpoints
+router.get('/api/v1/mandates/:contractNo', requireApiKey('mandates:read'), async (req, res) => {
+  try {
+    await mandateService.getMandate(req, res);
+  } catch (error) {
+    console.error('Error in GET /api/v1/mandates/:contractNo:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.post('/api/v1/mandates/:contractNo/pause', requireApiKey('mandates:manage'), async (req, res) => {
+  try {
+    await mandateService.pauseMandate(req, res);
+  } catch (error) {
+    console.error('Error in POST /api/v1/mandates/:contractNo/pause:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.post('/api/v1/mandates/:contractNo/resume', requireApiKey('mandates:manage'), async (req, res) => {
+  try {
+    await mandateService.resumeMandate(req, res);
+  } catch (error) {
+    console.error('Error in POST /api/v1/mandates/:contractNo/resume:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.post('/api/v1/mandates/:contractNo/terminate', requireApiKey('mandates:manage'), async (req, res) => {
+  try {
+    await mandateService.terminateMandate(req, res);
+  } catch (error) {
+    console.error('Error in POST /api/v1/mandates/:contractNo/terminate:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Recurring billing of mandates
+router.post('/api/v1/mandates/:contractNo/schedules', requireApiKey('mandates:manage'), async (req, res) => {
+  try {
+    await billingService.createSchedule(req, res);
+  } catch (error) {
+    console.error('Error in POST /api/v1/mandates/:contractNo/schedules:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.get('/api/v1/mandates/:contractNo/schedules', requireApiKey('mandates:read'), async (req, res) => {
+  try {
+    await billingService.listSchedules(req, res);
+  } catch (error) {
+    console.error('Error in GET /api/v1/mandates/:contractNo/schedules:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.get('/api/v1/mandates/:contractNo/schedules/:scheduleId', requireApiKey('mandates:read'), async (req, res) => {
+  try {
+    await billingService.getSchedule(req, res);
+  } catch (error) {
+    console.error('Error in GET /api/v1/mandates/:contractNo/schedules/:scheduleId:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.post('/api/v1/mandates/:contractNo/schedules/:scheduleId/cancel', requireApiKey('mandates:manage'), async (req, res) => {
+  try {
+    await billingService.cancelSchedule(req, res);
+  } catch (error) {
+    console.error('Error in POST /api/v1/mandates/:contractNo/schedules/:scheduleId/cancel:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Subscriptions to priced mandate plans
+router.get('/api/v1/plans', requireApiKey('subscriptions:read'), async (req, res) => {
+  try {
+    await subscriptionService.listPlans(req, res);
+  } catch (error) {
+    console.error('Error in GET /api/v1/plans:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.post('/api/v1/subscriptions', requireApiKey('subscriptions:create'), customerSession(), idempotency('subscriptions:create'), async (req, res) => {
+  try {
+    await subscriptionService.createSubscription(req, res);
+  } catch (error) {
+    console.error('Error in POST /api/v1/subscriptions:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.get('/api/v1/subscriptions', requireApiKey('subscriptions:read'), async (req, res) => {
+  try {
+    await subscriptionService.listSubscriptions(req, res);
+  } catch (error) {
+    console.error('Error in GET /api/v1/subscriptions:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.get('/api/v1/subscriptions/:subscriptionId', requireApiKey('subscriptions:read'), async (req, res) => {
+  try {
+    await subscriptionService.getSubscription(req, res);
+  } catch (error) {
+    console.error('Error in GET /api/v1/subscriptions/:subscriptionId:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.post('/api/v1/subscriptions/:subscriptionId/cancel', requireApiKey('subscriptions:manage'), async (req, res) => {
+  try {
+    await subscriptionService.cancelSubscription(req, res);
+  } catch (error) {
+    console.error('Error in POST /api/v1/subscriptions/:subscriptionId/cancel:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+/**
+ * @module routes/orders
+ * @description Order creation, status, cancellation and refund routes
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const createOrder = require('../service/createOrderService');
+const createMandetOrder = require('../service/createMandetOrderService');
+const queryOrderService = require('../service/queryOrderService');
+const statusStreamService = require('../service/statusStreamService');
+const refundService = require('../service/refundService');
+const orderStore = require('../store/orderStore');
+const merchantRegistry = require('../config/merchantRegistry');
+const requireApiKey = require('../middleware/requireApiKey');
+const idempotency = require('../middleware/idempotency');
+const customerSession = require('../middleware/customerSession');
+const statusTicket = require('../middleware/statusTicket');
+
+const router = express.Router();
+
+// Orders are only visible to the merchant that created them
+router.param('merchOrderId', async (req, res, next, merchOrderId) => {
+  try {
+    const order = await orderStore.getOrder(merchOrderId);
+
+    if (order && merchantRegistry.resolveMerchant(order.merchant_id).id !== req.merchant.id) {
+      return res.status(404).json({
+        result_code: 'ORDER_NOT_FOUND',
+        result_msg: 'Order not found',
+        order_id: merchOrderId,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create regular order endpoint (/create/order is the legacy alias)
+router.post(['/api/v1/orders/create', '/create/order'], requireApiKey('orders:create'), customerSession(), idempotency('orders:create'), async (req, res) => {
+  try {
+    console.log('Create order request received:', {
+      timestamp: new Date().toISOString(),
+      body: req.body
+    });
+
+    // The service sends the response itself
+    await createOrder.createOrder(req, res);
+  } catch (error) {
+    console.error('Error in ' + req.path + ':', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Create web checkout order endpoint (browser payments without the super-app)
+router.post('/api/v1/orders/checkout', requireApiKey('orders:create'), customerSession(), idempotency('orders:checkout'), async (req, res) => {
+  try {
+    await createOrder.createCheckoutOrder(req, res);
+  } catch (error) {
+    console.error('Error in /api/v1/orders/checkout:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Create QR code order endpoint (point-of-sale and kiosks)
+router.post('/api/v1/orders/qr', requireApiKey('orders:create'), customerSession(), idempotency('orders:qr'), async (req, res) => {
+  try {
+    await createOrder.createQrOrder(req, res);
+  } catch (error) {
+    console.error('Error in /api/v1/orders/qr:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Order details endpoint
+router.get(['/api/v1/orders/:merchOrderId', '/orders/:merchOrderId'], requireApiKey('orders:read'), async (req, res) => {
+  try {
+    await createMandetOrder.getOrderDetails(req, res);
+  } catch (error) {
+    console.error('Error in /api/v1/orders/:merchOrderId:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Order status endpoint (queries Fabric and reconciles the local order); frontends may use the status ticket
+router.get('/api/v1/orders/:merchOrderId/status', statusTicket('orders:read'), async (req, res) => {
+  try {
+    await queryOrderService.getOrderStatus(req, res);
+  } catch (error) {
+    console.error('Error in /api/v1/orders/:merchOrderId/status:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Order status stream (Server-Sent Events fallback for /ws)
+router.get('/api/v1/orders/:merchOrderId/events', statusTicket('orders:read'), async (req, res) => {
+  try {
+    await statusStreamService.streamOrderEvents(req, res);
+  } catch (error) {
+    console.error('Error in /api/v1/orders/:merchOrderId/events:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Status ticket for the /ws push channel (the one from order creation is short-lived)
+router.post('/api/v1/orders/:merchOrderId/status-ticket', requireApiKey('orders:create'), async (req, res) => {
+  try {
+    await queryOrderService.issueStatusTicket(req, res);
+  } catch (error) {
+    console.error('Error in /api/v1/orders/:merchOrderId/status-ticket:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Order cancellation endpoint
+router.post('/api/v1/orders/:merchOrderId/cancel', requireApiKey('orders:cancel'), async (req, res) => {
+  try {
+    console.log('Cancel order request received:', {
+      timestamp: new Date().toISOString(),
+      merch_order_id: req.params.merchOrderId
+    });
+
+    await createMandetOrder.cancelOrder(req, res);
+  } catch (error) {
+    console.error('Error in /api/v1/orders/:merchOrderId/cancel:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Refund endpoints
+router.post('/api/v1/orders/:merchOrderId/refunds', requireApiKey('orders:refund'), async (req, res) => {
+  try {
+    console.log('Refund request received:', {
+      timestamp: new Date().toISOString(),
+      merch_order_id: req.params.merchOrderId,
+      body: req.body
+    });
+
+    await refundService.createRefund(req, res);
+  } catch (error) {
+    console.error('Error in POST /api/v1/orders/:merchOrderId/refunds:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.get('/api/v1/orders/:merchOrderId/refunds', requireApiKey('orders:read'), async (req, res) => {
+  try {
+    await refundService.listRefunds(req, res);
+  } catch (error) {
+    console.error('Error in GET /api/v1/orders/:merchOrderId/refunds:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.get('/api/v1/orders/:merchOrderId/refunds/:refundRequestNo', requireApiKey('orders:read'), async (req, res) => {
+  try {
+    await refundService.getRefund(req, res);
+  } catch (error) {
+    console.error('Error in GET /api/v1/orders/:merchOrderId/refunds/:refundRequestNo:', error);
+    res.status(500).json({
+      error_code: 'INTERNAL_ERROR',
+      error_msg: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,278 @@
+/**
+ * @module services/apiKeyService
+ * @description Admin endpoints for managing a merchant's API keys and reading the audit log
+ * @version 1.0.0
+ */
+
+const tools = require('../utils/tools');
+const apiKeyStore = require('../store/apiKeyStore');
+const auditLog = require('../store/auditLog');
+
+/**
+ * Sends an API key management error
+ * @private
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error with code and status
+ * @param {string} requestId - Request ID
+ * @param {string} operation - Operation name for logging
+ */
+const sendKeyError = (res, error, requestId, operation) => {
+  console.error('[API Key Service] ' + operation + ' failed:', {
+    requestId: requestId,
+    error: error.message,
+    errorCode: error.code,
+  });
+
+  return res.status(error.status || 500).json({
+    result_code: error.status ? error.code : 'INTERNAL_ERROR',
+    result_msg: error.status ? error.message : 'API key operation failed',
+    timestamp: tools.createTimeStamp(),
+    request_id: requestId,
+  });
+};
+
+/**
+ * Creates a validation error
+ * @private
+ * @param {string} message - Error message
+ * @returns {Error} Error with code VALIDATION_ERROR and status 400
+ */
+const createValidationError = (message) => {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Ensures the calling key holds every scope it is about to hand out
+ * @private
+ * @param {Object} req - Express request object
+ * @param {string[]} scopes - Scopes to hand out
+ * @throws {Error} With code INSUFFICIENT_SCOPE and status 403
+ */
+const assertCanGrant = (req, scopes) => {
+  const notGranted = scopes.filter(scope => !apiKeyStore.hasScope(req.apiKey.scopes, scope));
+
+  if (notGranted.length > 0) {
+    const error = new Error('Cannot grant scopes the calling key does not hold: ' + notGranted.join(', '));
+    error.code = 'INSUFFICIENT_SCOPE';
+    error.status = 403;
+    throw error;
+  }
+};
+
+/**
+ * Parses an optional ISO date field
+ * @private
+ * @param {*} value - Field value
+ * @param {string} name - Field name for the error message
+ * @returns {string|null} ISO timestamp or null
+ */
+const parseDate = (value, name) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw createValidationError(name + ' must be an ISO date');
+  }
+
+  return date.toISOString();
+};
+
+/**
+ * Handles API key listing requests
+ * @async
+ * @function listKeys
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listKeys = async (req, res) => {
+  const requestId = tools.createNonceStr();
+
+  try {
+    const keys = await apiKeyStore.listKeys(req.merchant.id);
+
+    return res.json({
+      result_code: '0',
+      result_msg: 'API keys retrieved',
+      merchant_id: req.merchant.id,
+      keys: keys.map(apiKeyStore.toPublicKey),
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    return sendKeyError(res, error, requestId, 'listKeys');
+  }
+};
+
+/**
+ * Handles API key creation requests. A key can only grant scopes
+ * that the calling key holds itself.
+ * @async
+ * @function createKey
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @example
+ * // POST /api/v1/admin/api-keys
+ * { "scopes": ["orders:create", "orders:refund"], "expires_at": "2026-01-01T00:00:00Z" }
+ */
+exports.createKey = async (req, res) => {
+  const requestId = tools.createNonceStr();
+  const body = req.body || {};
+
+  try {
+    const scopes = Array.isArray(body.scopes) ? body.scopes : [];
+    assertCanGrant(req, scopes);
+
+    const created = await apiKeyStore.createKey(req.merchant.id, {
+      scopes: scopes,
+      notBefore: parseDate(body.not_before, 'not_before'),
+      expiresAt: parseDate(body.expires_at, 'expires_at'),
+    });
+
+    await auditLog.record(auditLog.AUDIT_EVENTS.KEY_CREATED, {
+      merchant_id: req.merchant.id,
+      key_id: created.record.id,
+      actor_key_id: req.apiKey.id,
+      ip: req.ip,
+    });
+
+    return res.status(201).json({
+      result_code: '0',
+      result_msg: 'API key created; store it now, it is not shown again',
+      api_key: created.key,
+      key: apiKeyStore.toPublicKey(created.record),
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    return sendKeyError(res, error, requestId, 'createKey');
+  }
+};
+
+/**
+ * Handles API key rotation requests. The old key keeps working for
+ * overlap_seconds (default config.apiKeys.rotationOverlapSeconds). Like
+ * creation, the calling key must hold every scope of the rotated key.
+ * @async
+ * @function rotateKey
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @example
+ * // POST /api/v1/admin/api-keys/key_3f2a9c.../rotate
+ * { "overlap_seconds": 3600 }
+ */
+exports.rotateKey = async (req, res) => {
+  const requestId = tools.createNonceStr();
+  const body = req.body || {};
+
+  try {
+    let overlapSeconds;
+    if (body.overlap_seconds !== undefined) {
+      overlapSeconds = parseInt(body.overlap_seconds);
+      if (isNaN(overlapSeconds) || overlapSeconds < 0) {
+        throw createValidationError('overlap_seconds must be a non-negative integer');
+      }
+    }
+
+    const existing = await apiKeyStore.getKey(req.params.keyId);
+    if (existing && existing.merchant_id === req.merchant.id) {
+      assertCanGrant(req, existing.scopes);
+    }
+
+    const rotated = await apiKeyStore.rotateKey(req.merchant.id, req.params.keyId, {
+      overlapSeconds: overlapSeconds,
+    });
+
+    await auditLog.record(auditLog.AUDIT_EVENTS.KEY_ROTATED, {
+      merchant_id: req.merchant.id,
+      key_id: rotated.previous.id,
+      actor_key_id: req.apiKey.id,
+      ip: req.ip,
+      reason: 'replaced by ' + rotated.record.id + ', valid until ' + rotated.previous.expires_at,
+    });
+
+    return res.status(201).json({
+      result_code: '0',
+      result_msg: 'API key rotated; store the new key now, it is not shown again',
+      api_key: rotated.key,
+      key: apiKeyStore.toPublicKey(rotated.record),
+      previous_key: apiKeyStore.toPublicKey(rotated.previous),
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    return sendKeyError(res, error, requestId, 'rotateKey');
+  }
+};
+
+/**
+ * Handles API key revocation requests
+ * @async
+ * @function revokeKey
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.revokeKey = async (req, res) => {
+  const requestId = tools.createNonceStr();
+
+  try {
+    const record = await apiKeyStore.revokeKey(req.merchant.id, req.params.keyId);
+
+    await auditLog.record(auditLog.AUDIT_EVENTS.KEY_REVOKED, {
+      merchant_id: req.merchant.id,
+      key_id: record.id,
+      actor_key_id: req.apiKey.id,
+      ip: req.ip,
+    });
+
+    return res.json({
+      result_code: '0',
+      result_msg: 'API key revoked',
+      key: apiKeyStore.toPublicKey(record),
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    return sendKeyError(res, error, requestId, 'revokeKey');
+  }
+};
+
+/**
+ * Handles audit log requests. Supports key_id, event and limit query parameters.
+ * @async
+ * @function listAuditEntries
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listAuditEntries = async (req, res) => {
+  const requestId = tools.createNonceStr();
+  const query = req.query || {};
+
+  try {
+    const entries = await auditLog.listEntries({
+      merchantId: req.merchant.id,
+      keyId: query.key_id,
+      event: query.event,
+      limit: Math.min(parseInt(query.limit) || 100, 1000),
+    });
+
+    return res.json({
+      result_code: '0',
+      result_msg: 'Audit entries retrieved',
+      merchant_id: req.merchant.id,
+      entries: entries,
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    return sendKeyError(res, error, requestId, 'listAuditEntries');
+  }
+};
+
+module.exports = exports;
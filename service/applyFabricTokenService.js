@@ -1,57 +1,12 @@
 /**
  * @module services/fabricTokenService
- * @description Service for obtaining and managing Fabric API authentication tokens.
+ * @description Service for obtaining and managing Fabric API authentication tokens, cached per merchant.
  * @version 2.0.0
  */
 
-const axios = require('axios');
 const config = require('../config/config');
-
-// Configure axios instance for Fabric API
-const fabricApiClient = axios.create({
-  baseURL: config.baseUrl,
-  timeout: config.apiTimeout || 10000, // 10 seconds default
-  headers: {
-    'Content-Type': 'application/json',
-    'X-APP-Key': config.fabricAppId,
-  },
-});
-
-// Add request interceptor for logging (optional)
-if (config.enableApiLogging) {
-  fabricApiClient.interceptors.request.use(
-    function(request) {
-      console.log('[Fabric API] ' + (request.method ? request.method.toUpperCase() : 'GET') + ' ' + (request.url || ''));
-      return request;
-    },
-    function(error) {
-      console.error('[Fabric API] Request Error:', error.message);
-      return Promise.reject(error);
-    }
-  );
-}
-
-// Add response interceptor for consistent error handling
-fabricApiClient.interceptors.response.use(
-  function(response) {
-    return response;
-  },
-  function(error) {
-    if (error.response) {
-      console.error(
-        '[Fabric API] ' + 
-        (error.config && error.config.method ? error.config.method.toUpperCase() : 'GET') + ' ' + 
-        (error.config && error.config.url ? error.config.url : '') + 
-        ' failed with status ' + error.response.status
-      );
-    } else if (error.request) {
-      console.error('[Fabric API] No response received:', error.message);
-    } else {
-      console.error('[Fabric API] Request setup error:', error.message);
-    }
-    return Promise.reject(error);
-  }
-);
+const merchantRegistry = require('../config/merchantRegistry');
+const fabricClient = require('./fabricClient');
 
 /**
  * @typedef {Object} FabricTokenResponse
@@ -68,18 +23,76 @@ fabricApiClient.interceptors.response.use(
  */
 
 /**
- * In-memory token cache with TTL support
- * @type {TokenCache|null}
+ * @typedef {Object} TokenMetrics
+ * @property {number} hits - Calls served from the cache
+ * @property {number} misses - Calls that had to wait for a token request
+ * @property {number} coalesced - Misses that joined a request already in flight
+ * @property {number} refreshes - Completed token requests
+ * @property {number} backgroundRefreshes - Token requests made ahead of expiry
+ * @property {number} failures - Failed token requests
+ * @property {number|null} lastRefreshLatencyMs - Duration of the last token request
+ * @property {number|null} avgRefreshLatencyMs - Mean duration of completed token requests
+ * @property {string|null} lastRefreshAt - ISO timestamp of the last completed token request
+ * @property {string|null} expiresAt - ISO expiry of the cached token
+ * @property {boolean} refreshInFlight - Whether a token request is running
  */
-let tokenCache = null;
+
+/**
+ * @typedef {Object} TokenSlot
+ * @property {string} merchantId - Merchant the slot belongs to
+ * @property {TokenCache|null} cache - Cached token
+ * @property {Promise<FabricTokenResponse>|null} inflight - Token request in flight, shared by concurrent callers
+ * @property {NodeJS.Timeout|null} refreshTimer - Timer for the background refresh
+ * @property {Object} metrics - Counters behind getMetrics()
+ */
+
+/**
+ * Token state per merchant, so tenants never share a token
+ * @type {Map<string, TokenSlot>}
+ */
+const slots = new Map();
+
+/**
+ * Gets the token state of a merchant, creating it on first use
+ * @private
+ * @param {Merchant} merchant - Merchant
+ * @returns {TokenSlot} Token state
+ */
+const getSlot = function(merchant) {
+  let slot = slots.get(merchant.id);
+
+  if (!slot) {
+    slot = {
+      merchantId: merchant.id,
+      cache: null,
+      inflight: null,
+      refreshTimer: null,
+      metrics: {
+        hits: 0,
+        misses: 0,
+        coalesced: 0,
+        refreshes: 0,
+        backgroundRefreshes: 0,
+        failures: 0,
+        lastRefreshLatencyMs: null,
+        totalRefreshLatencyMs: 0,
+        lastRefreshAt: null,
+      },
+    };
+    slots.set(merchant.id, slot);
+  }
+
+  return slot;
+};
 
 /**
  * Generates a cache key for the token request
  * @private
+ * @param {Merchant} merchant - Merchant
  * @returns {string} Cache key
  */
-const getCacheKey = function() {
-  return config.fabricAppId + ':' + (config.appSecret ? config.appSecret.substring(0, 8) : '');
+const getCacheKey = function(merchant) {
+  return merchant.id + ':' + merchant.fabricAppId + ':' + (merchant.appSecret ? merchant.appSecret.substring(0, 8) : '');
 };
 
 /**
@@ -99,50 +112,159 @@ const isTokenValid = function(cache) {
 };
 
 /**
- * Clears the cached token
+ * Cancels the scheduled background refresh, if any
+ * @private
+ * @param {TokenSlot} slot - Token state
+ */
+const cancelBackgroundRefresh = function(slot) {
+  if (slot.refreshTimer) {
+    clearTimeout(slot.refreshTimer);
+    slot.refreshTimer = null;
+  }
+};
+
+/**
+ * Schedules a background refresh shortly before the cached token expires,
+ * so callers keep hitting the cache across token rotations.
+ * The timer is unref'd and never keeps the process alive.
+ * @private
+ * @param {Merchant} merchant - Merchant
+ * @param {TokenSlot} slot - Token state
+ */
+const scheduleBackgroundRefresh = function(merchant, slot) {
+  cancelBackgroundRefresh(slot);
+
+  if (!slot.cache) {
+    return;
+  }
+
+  const delay = slot.cache.expiresAt - (config.tokenRefreshAheadSeconds || 120) * 1000 - Date.now();
+  if (delay <= 0) {
+    return;
+  }
+
+  slot.refreshTimer = setTimeout(function() {
+    slot.refreshTimer = null;
+    slot.metrics.backgroundRefreshes++;
+    console.log('[Fabric Token] Refreshing token ahead of expiry for ' + merchant.id);
+
+    refreshToken(merchant).catch(function(error) {
+      // The current token stays in use until it expires; the next caller after that retries
+      console.error('[Fabric Token] Background refresh failed:', error.message);
+    });
+  }, delay);
+
+  if (slot.refreshTimer.unref) {
+    slot.refreshTimer.unref();
+  }
+};
+
+/**
+ * Clears cached tokens
  * @public
+ * @param {Merchant} [merchant] - Merchant whose token to clear; all merchants if omitted
  */
-const clearTokenCache = function() {
-  tokenCache = null;
-  console.log('[Fabric Token] Cache cleared');
+const clearTokenCache = function(merchant) {
+  const cleared = merchant ? [getSlot(merchant)] : Array.from(slots.values());
+
+  cleared.forEach(function(slot) {
+    slot.cache = null;
+    cancelBackgroundRefresh(slot);
+  });
+
+  console.log('[Fabric Token] Cache cleared' + (merchant ? ' for ' + merchant.id : ''));
 };
 
 /**
  * Requests a new authentication token from Fabric API
  * @private
  * @async
+ * @param {Merchant} merchant - Merchant the token is for
  * @returns {Promise<FabricTokenResponse>} Token response from API
  * @throws {Error} If API request fails
  */
-const requestNewToken = async function() {
+const requestNewToken = async function(merchant) {
   try {
-    const response = await fabricApiClient.post('/payment/v1/token', {
-      appSecret: config.appSecret,
-    });
-
-    const tokenData = response.data;
+    const tokenData = await fabricClient.post('/payment/v1/token', {
+      appSecret: merchant.appSecret,
+    }, { auth: false, idempotent: true, merchant: merchant });
     
     // Validate token response structure
     if (!tokenData || !tokenData.token) {
       throw new Error('Invalid token response: missing token field');
     }
 
-    console.log('[Fabric Token] New token obtained successfully');
+    console.log('[Fabric Token] New token obtained successfully for ' + merchant.id);
     return tokenData;
   } catch (error) {
     console.error('[Fabric Token] Failed to obtain new token:', {
+      merchant: merchant.id,
       message: error.message,
-      status: error.response && error.response.status,
-      data: error.response && error.response.data,
+      status: error.httpStatus,
+      data: error.data,
     });
     throw error;
   }
 };
 
 /**
- * Applies for or retrieves a cached Fabric authentication token
+ * Requests a token and caches it. Concurrent calls for the same merchant
+ * share one request.
+ * @private
+ * @async
+ * @param {Merchant} merchant - Merchant the token is for
+ * @returns {Promise<FabricTokenResponse>} Token data
+ * @throws {Error} When unable to obtain a token
+ */
+const refreshToken = function(merchant) {
+  const slot = getSlot(merchant);
+
+  if (slot.inflight) {
+    return slot.inflight;
+  }
+
+  const startTime = Date.now();
+
+  slot.inflight = requestNewToken(merchant)
+    .then(function(tokenData) {
+      const latency = Date.now() - startTime;
+
+      // Calculate expiration with fallback to default (1 hour)
+      const expiresIn = tokenData.expiresIn || 3600;
+
+      // Cache the token
+      slot.cache = {
+        data: tokenData,
+        expiresAt: Date.now() + (expiresIn * 1000),
+      };
+
+      slot.metrics.refreshes++;
+      slot.metrics.lastRefreshLatencyMs = latency;
+      slot.metrics.totalRefreshLatencyMs += latency;
+      slot.metrics.lastRefreshAt = new Date().toISOString();
+
+      scheduleBackgroundRefresh(merchant, slot);
+
+      console.log('[Fabric Token] Token cached for ' + merchant.id + ', expires in ' + expiresIn + ' seconds');
+      return tokenData;
+    }, function(error) {
+      slot.metrics.failures++;
+      throw error;
+    })
+    .finally(function() {
+      slot.inflight = null;
+    });
+
+  return slot.inflight;
+};
+
+/**
+ * Applies for or retrieves a cached Fabric authentication token.
+ * Each merchant has its own cache; concurrent callers that miss it share
+ * a single token request.
  * @async
  * @function applyFabricToken
+ * @param {Merchant} [merchant] - Merchant the token is for (defaults to the default merchant)
  * @returns {Promise<FabricTokenResponse>} Authentication token data
  * @throws {Error} When unable to obtain a valid token
  * 
@@ -154,59 +276,119 @@ const requestNewToken = async function() {
  *   console.error('Authentication failed:', error);
  * }
  */
-const applyFabricToken = async function() {
-  const cacheKey = getCacheKey();
+const applyFabricToken = async function(merchant = merchantRegistry.getDefaultMerchant()) {
+  const slot = getSlot(merchant);
+  const cacheKey = getCacheKey(merchant);
   
   // Return cached token if valid
-  if (tokenCache && isTokenValid(tokenCache)) {
+  if (slot.cache && isTokenValid(slot.cache)) {
+    slot.metrics.hits++;
     console.log('[Fabric Token] Using cached token for ' + cacheKey);
-    return tokenCache.data;
+    return slot.cache.data;
   }
 
-  console.log('[Fabric Token] Requesting new token for ' + cacheKey);
+  slot.metrics.misses++;
+
+  if (slot.inflight) {
+    slot.metrics.coalesced++;
+    console.log('[Fabric Token] Waiting for token request in flight for ' + cacheKey);
+  } else {
+    console.log('[Fabric Token] Requesting new token for ' + cacheKey);
+  }
   
   try {
-    const tokenData = await requestNewToken();
-    
-    // Calculate expiration with fallback to default (1 hour)
-    const expiresIn = tokenData.expiresIn || 3600;
-    
-    // Cache the token
-    tokenCache = {
-      data: tokenData,
-      expiresAt: Date.now() + (expiresIn * 1000),
-    };
-
-    console.log('[Fabric Token] Token cached, expires in ' + expiresIn + ' seconds');
-    return tokenData;
+    return await refreshToken(merchant);
   } catch (error) {
     // Clear invalid cache on failure
-    clearTokenCache();
+    clearTokenCache(merchant);
     
-    // Re-throw with more context
-    throw new Error('Failed to apply Fabric token: ' + error.message);
+    // Re-throw with more context, keeping the failure for callers to classify
+    throw new Error('Failed to apply Fabric token: ' + error.message, { cause: error });
   }
 };
 
 /**
  * Checks if a valid token is cached
  * @function hasValidToken
+ * @param {Merchant} [merchant] - Merchant (defaults to the default merchant)
  * @returns {boolean} True if a valid token is cached
  */
-const hasValidToken = function() {
-  return isTokenValid(tokenCache);
+const hasValidToken = function(merchant = merchantRegistry.getDefaultMerchant()) {
+  return isTokenValid(getSlot(merchant).cache);
 };
 
 /**
  * Gets the currently cached token data (if any)
  * @function getCachedToken
+ * @param {Merchant} [merchant] - Merchant (defaults to the default merchant)
  * @returns {FabricTokenResponse|null} Cached token or null
  */
-const getCachedToken = function() {
-  return tokenCache && tokenCache.data ? tokenCache.data : null;
+const getCachedToken = function(merchant = merchantRegistry.getDefaultMerchant()) {
+  const slot = getSlot(merchant);
+  return slot.cache && slot.cache.data ? slot.cache.data : null;
+};
+
+/**
+ * Summarizes the metrics of one token slot
+ * @private
+ * @param {TokenSlot} slot - Token state
+ * @returns {TokenMetrics} Snapshot of the metrics
+ */
+const summarizeSlot = function(slot) {
+  const metrics = slot.metrics;
+
+  return {
+    hits: metrics.hits,
+    misses: metrics.misses,
+    coalesced: metrics.coalesced,
+    refreshes: metrics.refreshes,
+    backgroundRefreshes: metrics.backgroundRefreshes,
+    failures: metrics.failures,
+    lastRefreshLatencyMs: metrics.lastRefreshLatencyMs,
+    avgRefreshLatencyMs: metrics.refreshes ? Math.round(metrics.totalRefreshLatencyMs / metrics.refreshes) : null,
+    lastRefreshAt: metrics.lastRefreshAt,
+    expiresAt: slot.cache ? new Date(slot.cache.expiresAt).toISOString() : null,
+    refreshInFlight: slot.inflight !== null,
+  };
+};
+
+/**
+ * Gets token cache metrics, e.g. for the health endpoint
+ * @function getMetrics
+ * @param {Merchant} [merchant] - Merchant; totals across merchants if omitted
+ * @returns {TokenMetrics|Object} Metrics of the merchant, or totals with per-merchant metrics under merchants
+ */
+const getMetrics = function(merchant) {
+  if (merchant) {
+    return summarizeSlot(getSlot(merchant));
+  }
+
+  const totals = {
+    hits: 0,
+    misses: 0,
+    coalesced: 0,
+    refreshes: 0,
+    backgroundRefreshes: 0,
+    failures: 0,
+    merchants: {},
+  };
+
+  slots.forEach(function(slot) {
+    const summary = summarizeSlot(slot);
+
+    Object.keys(totals).forEach(function(key) {
+      if (key !== 'merchants') {
+        totals[key] += summary[key];
+      }
+    });
+    totals.merchants[slot.merchantId] = summary;
+  });
+
+  return totals;
 };
 
 module.exports = applyFabricToken;
 module.exports.clearTokenCache = clearTokenCache;
 module.exports.hasValidToken = hasValidToken;
-module.exports.getCachedToken = getCachedToken;
\ No newline at end of file
+module.exports.getCachedToken = getCachedToken;
+module.exports.getMetrics = getMetrics;
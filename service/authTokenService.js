@@ -5,22 +5,12 @@
  */
 
 const applyFabricTokenService = require('./applyFabricTokenService');
+const fabricClient = require('./fabricClient');
 const tools = require('../utils/tools');
 const config = require('../config/config');
-const axios = require('axios');
-
-// Configure HTTP client for Fabric API
-const httpClient = axios.create({
-  baseURL: config.baseUrl,
-  timeout: config.apiTimeout || 15000,
-  headers: {
-    'Content-Type': 'application/json',
-    'X-APP-Key': config.fabricAppId,
-  },
-  httpsAgent: config.env === 'development' 
-    ? new (require('https').Agent)({ rejectUnauthorized: false })
-    : undefined,
-});
+const merchantRegistry = require('../config/merchantRegistry');
+const customerSessionService = require('./customerSessionService');
+const customerService = require('./customerService');
 
 /**
  * @typedef {Object} AuthTokenRequest
@@ -32,6 +22,9 @@ const httpClient = axios.create({
  * @property {string} open_id - User's open ID
  * @property {string} token_status - Token verification status
  * @property {number} timestamp - Response timestamp
+ * @property {string} [session_token] - Customer session JWT for the Authorization header of later requests
+ * @property {string} [token_type] - Always "Bearer"
+ * @property {number} [session_expires_at] - Unix time (seconds) the session expires
  * @property {string} [error_code] - Error code if verification fails
  * @property {string} [error_msg] - Error message if verification fails
  */
@@ -58,19 +51,17 @@ const httpClient = axios.create({
 /**
  * Request and response logger middleware
  * @param {string} endpoint - API endpoint
- * @param {Object} requestData - Request data
+ * @param {Object} requestData - Request data (method and biz_content)
  * @param {Object} responseData - Response data
  * @param {number} duration - Request duration in ms
  */
 const logRequest = (endpoint, requestData, responseData, duration) => {
-  const requestId = requestData && requestData.nonce_str ? requestData.nonce_str : 'unknown';
   const errorCode = responseData && responseData.error_code ? responseData.error_code : null;
-  const hasOpenId = responseData && responseData.open_id ? true : false;
+  const hasOpenId = !!getOpenId(responseData);
   
   const logData = {
     timestamp: new Date().toISOString(),
     endpoint: endpoint,
-    requestId: requestId,
     duration: duration + 'ms',
     request: {
       method: requestData && requestData.method ? requestData.method : 'unknown',
@@ -96,31 +87,30 @@ const logRequest = (endpoint, requestData, responseData, duration) => {
 };
 
 /**
- * Creates a signed request object for Fabric API
+ * Creates the business content for Fabric auth token API
  * @private
  * @param {string} appToken - Application authentication token
- * @returns {FabricAuthRequest} Signed request object
+ * @param {Merchant} merchant - Merchant the customer signs in to
+ * @returns {BusinessContent} Business content
  */
-const createSignedRequest = (appToken) => {
-  const baseRequest = {
-    timestamp: tools.createTimeStamp(),
-    method: 'payment.authtoken',
-    nonce_str: tools.createNonceStr(),
-    version: '1.0',
-    biz_content: {
-      access_token: appToken,
-      trade_type: 'InApp',
-      appid: config.merchantAppId,
-      resource_type: 'OpenId',
-    },
-  };
+const createAuthBizContent = (appToken, merchant) => ({
+  access_token: appToken,
+  trade_type: 'InApp',
+  appid: merchant.merchantAppId,
+  resource_type: 'OpenId',
+});
 
-  const signature = tools.signRequestObject(baseRequest);
-  
-  return Object.assign({}, baseRequest, {
-    sign: signature,
-    sign_type: 'SHA256WithRSA',
-  });
+/**
+ * Reads the customer's open_id from a payment.authtoken response
+ * @private
+ * @param {Object} responseData - Fabric response
+ * @returns {string|null} The open_id, or null if Fabric returned none
+ */
+const getOpenId = (responseData) => {
+  if (responseData && responseData.biz_content && responseData.biz_content.open_id) {
+    return responseData.biz_content.open_id;
+  }
+  return responseData && responseData.open_id ? responseData.open_id : null;
 };
 
 /**
@@ -154,52 +144,29 @@ const validateAuthRequest = (requestBody) => {
  * Requests authentication token verification from Fabric API
  * @async
  * @function requestAuthToken
- * @param {string} fabricToken - Fabric API authentication token
  * @param {string} appToken - Application authentication token to verify
+ * @param {Merchant} [merchant] - Merchant the customer signs in to (defaults to the default merchant)
  * @returns {Promise<AuthTokenResponse>} Authentication verification result
- * @throws {Error} If API request fails or returns invalid response
+ * @throws {FabricError} If the API request fails or Fabric rejects the token
  */
-exports.requestAuthToken = async (fabricToken, appToken) => {
-  const requestObject = createSignedRequest(appToken);
+exports.requestAuthToken = async (appToken, merchant = merchantRegistry.getDefaultMerchant()) => {
+  const requestData = {
+    method: 'payment.authtoken',
+    biz_content: createAuthBizContent(appToken, merchant),
+  };
   const startTime = Date.now();
   
   try {
-    const response = await httpClient.post('/payment/v1/auth/authToken', requestObject, {
-      headers: {
-        Authorization: fabricToken,
-      },
+    const responseData = await fabricClient.call('/payment/v1/auth/authToken', requestData.method, requestData.biz_content, {
+      merchant: merchant,
     });
-
-    const responseData = response.data;
-    const duration = Date.now() - startTime;
-    
-    logRequest('/payment/v1/auth/authToken', requestObject, responseData, duration);
     
-    if (!responseData) {
-      throw new Error('Empty response from Fabric API');
-    }
+    logRequest('/payment/v1/auth/authToken', requestData, responseData, Date.now() - startTime);
     
     return responseData;
   } catch (error) {
-    const duration = Date.now() - startTime;
-    
-    console.error('[Auth Controller] API request failed:', {
-      error: error.message,
-      status: error.response && error.response.status,
-      data: error.response && error.response.data,
-      duration: duration + 'ms',
-      requestId: requestObject.nonce_str,
-    });
-    
-    // Return a structured error response
-    return {
-      error_code: error.response && error.response.status ? error.response.status.toString() : 'REQUEST_FAILED',
-      error_msg: error.response && error.response.data && error.response.data.error_msg 
-        ? error.response.data.error_msg 
-        : error.message,
-      timestamp: tools.createTimeStamp(),
-      request_id: requestObject.nonce_str,
-    };
+    logRequest('/payment/v1/auth/authToken', requestData, fabricClient.toErrorResponse(error), Date.now() - startTime);
+    throw error;
   }
 };
 
@@ -220,7 +187,10 @@ exports.requestAuthToken = async (fabricToken, appToken) => {
  * {
  *   "open_id": "user_123456",
  *   "token_status": "valid",
- *   "timestamp": 1625097600
+ *   "timestamp": 1625097600,
+ *   "session_token": "eyJ0eXAiOiJKV1QiLCJhbGciOiJIUzI1NiIs...",
+ *   "token_type": "Bearer",
+ *   "session_expires_at": 1625140800
  * }
  */
 exports.authToken = async (req, res) => {
@@ -250,41 +220,61 @@ exports.authToken = async (req, res) => {
       timestamp: new Date().toISOString(),
     });
 
-    // Obtain Fabric API token
-    const fabricTokenResult = await applyFabricTokenService();
-    const fabricToken = fabricTokenResult.token;
-    
-    if (!fabricToken) {
-      throw new Error('Failed to obtain Fabric API token');
-    }
-
     // Verify the application token
-    const verificationResult = await exports.requestAuthToken(fabricToken, appToken);
+    const verificationResult = await exports.requestAuthToken(appToken, req.merchant);
     const totalDuration = Date.now() - startTime;
     
     // Log successful processing
     console.log('[Auth Controller] Verification completed', {
       requestId: requestId,
       duration: totalDuration + 'ms',
-      success: !verificationResult.error_code,
-      hasOpenId: !!verificationResult.open_id,
+      hasOpenId: !!getOpenId(verificationResult),
     });
-
-    // Send appropriate response
-    if (verificationResult.error_code) {
-      return res.status(400).json(verificationResult);
-    }
     
     const response = Object.assign({}, verificationResult, {
       request_id: requestId,
       processed_at: new Date().toISOString(),
     });
     
+    // Our own session, so later requests carry an open_id the client cannot forge
+    const openId = getOpenId(verificationResult);
+    if (openId) {
+      const merchant = req.merchant || merchantRegistry.getDefaultMerchant();
+      const session = customerSessionService.issueSession(openId, merchant);
+      
+      response.session_token = session.session_token;
+      response.token_type = session.token_type;
+      response.session_expires_at = session.expires_at;
+      
+      // A missing profile update must not cost the customer their sign-in
+      try {
+        await customerService.recordSignIn(openId, merchant, verificationResult.biz_content);
+      } catch (error) {
+        console.error('[Auth Controller] Failed to record customer sign-in:', {
+          requestId: requestId,
+          error: error.message,
+        });
+      }
+    }
+    
     return res.json(response);
     
   } catch (error) {
     const totalDuration = Date.now() - startTime;
     
+    if (error instanceof fabricClient.FabricError) {
+      console.warn('[Auth Controller] Verification failed', {
+        requestId: requestId,
+        code: error.code,
+        duration: totalDuration + 'ms',
+      });
+      
+      return res.status(fabricClient.toHttpStatus(error)).json(Object.assign(fabricClient.toErrorResponse(error), {
+        timestamp: tools.createTimeStamp(),
+        request_id: requestId,
+      }));
+    }
+    
     console.error('[Auth Controller] Unexpected error in authToken endpoint', {
       requestId: requestId,
       error: error.message,
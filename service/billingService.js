@@ -0,0 +1,1031 @@
+/**
+ * @module services/billingService
+ * @description Recurring mandate debits: per-contract billing schedules, a worker that charges
+ * due cycles through the Fabric mandate payment method, and dunning retries of failed debits
+ * @version 1.0.0
+ */
+
+const cronParser = require('cron-parser');
+const fabricClient = require('./fabricClient');
+const queryOrderService = require('./queryOrderService');
+const tools = require('../utils/tools');
+const config = require('../config/config');
+const merchantRegistry = require('../config/merchantRegistry');
+const orderStore = require('../store/orderStore');
+const mandateStore = require('../store/mandateStore');
+const billingStore = require('../store/billingStore');
+
+const { FREQUENCIES, SCHEDULE_STATES, DEBIT_STATES } = billingStore;
+const { MANDATE_STATES } = mandateStore;
+
+/**
+ * Fabric endpoint and method that debit a signed mandate
+ * @type {Object}
+ * @constant
+ */
+const MANDATE_PAYMENT = {
+  path: '/payment/v1/merchant/mandatePayment',
+  method: 'payment.mandatepayment',
+};
+
+/**
+ * Fabric error codes meaning an order is unknown, i.e. the attempt never
+ * reached Fabric and can safely be retried
+ * @type {string[]}
+ * @constant
+ */
+const ORDER_NOT_FOUND_CODES = ['ORDER_NOT_EXIST'];
+
+/**
+ * Longest gap between runs of a schedule that is caught up on in one pass
+ * @type {number}
+ * @constant
+ */
+const MAX_CATCH_UP_CYCLES = 1000;
+
+/**
+ * Upper bounds of the interval per frequency
+ * @type {Object}
+ * @constant
+ */
+const MAX_INTERVALS = {
+  monthly: 12,
+  weekly: 52,
+};
+
+/**
+ * Order states that settle a debit attempt, and whether it succeeded
+ * @type {Object}
+ * @constant
+ */
+const SETTLING_STATES = {
+  PAID: true,
+  REFUNDED: true,
+  FAILED: false,
+  CANCELLED: false,
+  EXPIRED: false,
+};
+
+/**
+ * Worker poll timer, set while the worker runs
+ * @type {NodeJS.Timeout|null}
+ */
+let pollTimer = null;
+
+/**
+ * Removes the order transition listener
+ * @type {Function|null}
+ */
+let stopListening = null;
+
+/**
+ * Registered debit outcome listeners
+ * @type {Function[]}
+ */
+const debitListeners = [];
+
+/**
+ * Billing pass in progress, if any
+ * @type {Promise|null}
+ */
+let processing = null;
+
+/**
+ * Whether another pass is needed after the current one
+ * @type {boolean}
+ */
+let passRequested = false;
+
+/**
+ * Parses a date ("YYYY-MM-DD", taken as midnight UTC) or an ISO date-time
+ * @private
+ * @param {string} value - Date string
+ * @returns {Date|null} The date, or null if invalid
+ */
+const parseDate = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? value + 'T00:00:00Z' : value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Adds months to a date, keeping the day of month where the month has it
+ * and using the month's last day otherwise (Jan 31 -> Feb 28)
+ * @private
+ * @param {Date} date - Start date
+ * @param {number} months - Months to add
+ * @returns {Date} Resulting date
+ */
+const addMonths = (date, months) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay),
+    date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()));
+};
+
+/**
+ * Finds the first run of a cron expression after a time
+ * @private
+ * @param {string} expression - Cron expression
+ * @param {Date} after - Time to search from
+ * @returns {Date} Next run
+ * @throws {Error} If the expression is invalid
+ */
+const nextCronRun = (expression, after) => cronParser.parseExpression(expression, {
+  currentDate: after,
+  tz: config.billing.timezone,
+}).next().toDate();
+
+/**
+ * Computes when a cycle of a schedule is due
+ * @private
+ * @param {BillingSchedule} schedule - Schedule (or schedule settings)
+ * @param {number} cycle - Cycle index
+ * @param {string|null} previousRunAt - Due time of the previous cycle (cron schedules)
+ * @returns {string} ISO due time
+ */
+const getRunAt = (schedule, cycle, previousRunAt) => {
+  const start = new Date(schedule.start_at);
+
+  switch (schedule.frequency) {
+    case FREQUENCIES.MONTHLY:
+      return addMonths(start, cycle * schedule.interval).toISOString();
+    case FREQUENCIES.WEEKLY:
+      return new Date(start.getTime() + cycle * schedule.interval * 7 * 24 * 60 * 60 * 1000).toISOString();
+    default:
+      return nextCronRun(schedule.cron, previousRunAt ? new Date(previousRunAt) : new Date(start.getTime() - 1)).toISOString();
+  }
+};
+
+/**
+ * Checks whether a cycle lies beyond the end of a schedule
+ * @private
+ * @param {BillingSchedule} schedule - Schedule
+ * @param {number} cycle - Cycle index
+ * @param {string} runAt - ISO due time of the cycle
+ * @returns {boolean} True if the cycle is never billed
+ */
+const isPastEnd = (schedule, cycle, runAt) => Boolean(
+  (schedule.max_debits && cycle >= schedule.max_debits) || (schedule.end_at && runAt > schedule.end_at)
+);
+
+/**
+ * Builds the merchant order ID of a debit attempt; every attempt gets its
+ * own order, so Fabric never sees a retry as a duplicate of a failed one
+ * @private
+ * @param {MandateDebit} debit - Debit
+ * @param {number} attempt - Attempt number
+ * @returns {string} Merchant order ID
+ */
+const createDebitOrderId = (debit, attempt) => 'DEBIT_' + debit.schedule_id.replace(/^SCHED_/, '') + '_' + debit.cycle + '_' + attempt;
+
+/**
+ * Validates billing schedule settings and turns them into schedule fields
+ * @function parseScheduleRequest
+ * @param {Object} body - amount, frequency, interval, cron, start_date, end_date, max_debits, title
+ * @param {Object} [defaults] - Fallbacks: start_date (the mandate's executeTime) and title,
+ *   the mandate's plan, whose frequency and maximum amount the schedule must keep to, and
+ *   paid_cycles, the leading cycles already paid another way (e.g. by a subscription's signing order)
+ * @returns {{errors: string[], schedule: Object|null}} Errors, or the schedule fields
+ */
+exports.parseScheduleRequest = (body, defaults = {}) => {
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: ['Schedule must be an object'], schedule: null };
+  }
+
+  const plan = defaults.plan || null;
+
+  const amount = parseFloat(body.amount);
+  if (body.amount === undefined || isNaN(amount) || amount <= 0) {
+    errors.push('amount must be a positive number');
+  } else if (plan && plan.maxAmount !== null && amount > plan.maxAmount) {
+    errors.push('amount must not exceed ' + plan.maxAmount + ' on plan ' + plan.id);
+  }
+
+  // A plan with a frequency fixes it, its interval and its cron expression
+  const fixed = plan && plan.frequency ? plan : null;
+  const frequencyValue = body.frequency !== undefined ? body.frequency : fixed && fixed.frequency;
+  const frequency = typeof frequencyValue === 'string' ? frequencyValue.toLowerCase() : frequencyValue;
+  const cron = body.cron !== undefined ? body.cron : fixed ? fixed.cron : undefined;
+  if (!Object.values(FREQUENCIES).includes(frequency)) {
+    errors.push('frequency must be one of ' + Object.values(FREQUENCIES).join(', '));
+  } else if (fixed) {
+    const sameCron = frequency !== FREQUENCIES.CRON || String(cron).trim() === fixed.cron;
+    const sameInterval = frequency === FREQUENCIES.CRON || body.interval === undefined || Number(body.interval) === fixed.interval;
+    if (frequency !== fixed.frequency || !sameCron || !sameInterval) {
+      errors.push('frequency must match plan ' + fixed.id + ' (' + (fixed.cron || fixed.frequency + ', interval ' + fixed.interval) + ')');
+    }
+  }
+
+  const interval = body.interval === undefined ? (fixed ? fixed.interval : 1) : Number(body.interval);
+  if (frequency === FREQUENCIES.CRON) {
+    if (typeof cron !== 'string' || cron.trim() === '') {
+      errors.push('cron is required for cron schedules');
+    } else if (cron.trim().split(/\s+/).length !== 5) {
+      // A seconds field would allow charging customers every few seconds
+      errors.push('cron must have five fields (minute hour day-of-month month day-of-week)');
+    } else {
+      try {
+        nextCronRun(cron, new Date());
+      } catch (error) {
+        errors.push('cron is not a valid cron expression: ' + error.message);
+      }
+    }
+  } else if (MAX_INTERVALS[frequency] && (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVALS[frequency])) {
+    errors.push('interval must be an integer from 1 to ' + MAX_INTERVALS[frequency]);
+  }
+
+  const startValue = body.start_date !== undefined ? body.start_date : defaults.start_date;
+  const start = parseDate(startValue);
+  if (!start) {
+    errors.push('start_date must be a date (YYYY-MM-DD) or an ISO date-time');
+  }
+
+  const end = body.end_date !== undefined ? parseDate(body.end_date) : null;
+  if (body.end_date !== undefined && (!end || (start && end <= start))) {
+    errors.push('end_date must be a date after start_date');
+  }
+
+  if (body.max_debits !== undefined && (!Number.isInteger(body.max_debits) || body.max_debits < 1)) {
+    errors.push('max_debits must be a positive integer');
+  }
+
+  const title = body.title !== undefined ? body.title : defaults.title;
+  if (typeof title !== 'string' || title.trim() === '' || title.length > 256) {
+    errors.push('title must be a string of 1 to 256 characters');
+  }
+
+  if (errors.length > 0) {
+    return { errors: errors, schedule: null };
+  }
+
+  const schedule = {
+    title: title,
+    amount: amount,
+    frequency: frequency,
+    interval: frequency === FREQUENCIES.CRON ? 1 : interval,
+    cron: frequency === FREQUENCIES.CRON ? cron.trim() : null,
+    start_at: start.toISOString(),
+    end_at: end ? end.toISOString() : null,
+    max_debits: body.max_debits || null,
+    cycle: defaults.paid_cycles || 0,
+  };
+  schedule.next_run_at = getRunAt(schedule, 0, null);
+  for (let cycle = 1; cycle <= schedule.cycle; cycle++) {
+    schedule.next_run_at = getRunAt(schedule, cycle, schedule.next_run_at);
+  }
+
+  if (isPastEnd(schedule, schedule.cycle, schedule.next_run_at)) {
+    return { errors: ['The schedule ends before its first debit'], schedule: null };
+  }
+
+  return { errors: [], schedule: schedule };
+};
+
+/**
+ * Stores a billing schedule for a mandate. Debits start once the mandate is ACTIVE.
+ * @async
+ * @function createMandateSchedule
+ * @param {MandateRecord} mandate - Mandate to bill
+ * @param {Object} schedule - Fields from parseScheduleRequest
+ * @returns {Promise<BillingSchedule>} The stored schedule
+ */
+exports.createMandateSchedule = async (mandate, schedule) => {
+  const merchant = merchantRegistry.resolveMerchant(mandate.merchant_id);
+  const created = await billingStore.createSchedule(Object.assign({
+    merchant_id: mandate.merchant_id,
+    contract_no: mandate.contract_no,
+    mandate_order_id: mandate.merch_order_id,
+    currency: merchant.currency || config.currency,
+  }, schedule));
+
+  console.log('[Billing Service] Schedule ' + created.id + ' created for ' + mandate.contract_no + ':', {
+    frequency: created.frequency,
+    amount: created.amount,
+    nextRunAt: created.next_run_at,
+  });
+
+  return created;
+};
+
+/**
+ * Debits a mandate at Fabric
+ * @async
+ * @function requestMandatePayment
+ * @param {MandateDebit} debit - Debit being attempted
+ * @param {string} merchOrderId - Order of this attempt
+ * @param {Merchant} merchant - Merchant the mandate belongs to
+ * @returns {Promise<Object>} Fabric response
+ * @throws {FabricError} If the API request fails or Fabric refuses the debit
+ */
+exports.requestMandatePayment = async (debit, merchOrderId, merchant) => {
+  const startTime = Date.now();
+
+  // Not in fabricClient's retried methods: a blind resend could charge twice
+  const responseData = await fabricClient.call(MANDATE_PAYMENT.path, MANDATE_PAYMENT.method, {
+    notify_url: merchant.notifyUrl,
+    appid: merchant.merchantAppId,
+    merch_code: merchant.merchantCode,
+    mctContractNo: debit.contract_no,
+    merch_order_id: merchOrderId,
+    title: debit.title,
+    total_amount: debit.amount,
+    trans_currency: debit.currency,
+  }, { merchant: merchant });
+
+  console.log('[Billing Service] ' + MANDATE_PAYMENT.path + ' - SUCCESS - ' + (Date.now() - startTime) + 'ms', {
+    merchOrderId: merchOrderId,
+    orderStatus: responseData.biz_content ? responseData.biz_content.order_status : null,
+  });
+
+  return responseData;
+};
+
+/**
+ * Hands a settled debit attempt to every listener
+ * @private
+ * @param {MandateDebit} debit - The debit after the attempt was recorded
+ * @param {boolean} succeeded - Whether the customer was charged
+ */
+const emitDebitSettled = (debit, succeeded) => {
+  debitListeners.slice().forEach(listener => {
+    Promise.resolve()
+      .then(() => listener(debit, succeeded))
+      .catch(error => {
+        console.error('[Billing Service] Debit listener failed:', {
+          debitId: debit.id,
+          error: error.message,
+        });
+      });
+  });
+};
+
+/**
+ * Records the outcome of a debit attempt. A failed attempt is retried
+ * after the next config.billing.retryDelaysHours entry; once they are used
+ * up the debit is FAILED. Outcomes of older attempts are ignored.
+ * @private
+ * @async
+ * @param {string} debitId - Debit ID
+ * @param {string} merchOrderId - Order of the attempt
+ * @param {boolean} succeeded - Whether the customer was charged
+ * @param {Object} [details] - payment_order_id or error
+ * @returns {Promise<MandateDebit|null>} The updated debit
+ */
+const settleDebit = async (debitId, merchOrderId, succeeded, details = {}) => {
+  let settled = false;
+
+  const updated = await billingStore.updateDebit(debitId, (debit) => {
+    if (debit.state !== DEBIT_STATES.PROCESSING || debit.merch_order_id !== merchOrderId) {
+      return;
+    }
+
+    const now = new Date();
+    settled = true;
+
+    if (succeeded) {
+      debit.state = DEBIT_STATES.SUCCEEDED;
+      debit.payment_order_id = details.payment_order_id || null;
+      debit.succeeded_at = now.toISOString();
+      console.log('[Billing Service] Debit ' + debit.id + ' succeeded (' + merchOrderId + ')');
+      return;
+    }
+
+    const delays = config.billing.retryDelaysHours;
+    debit.last_error = details.error || 'Payment failed';
+
+    if (debit.attempts <= delays.length) {
+      debit.state = DEBIT_STATES.PENDING;
+      debit.next_attempt_at = new Date(now.getTime() + delays[debit.attempts - 1] * 60 * 60 * 1000).toISOString();
+      console.warn('[Billing Service] Debit ' + debit.id + ' failed (' + debit.last_error + '), retrying at ' + debit.next_attempt_at);
+    } else {
+      debit.state = DEBIT_STATES.FAILED;
+      debit.failed_at = now.toISOString();
+      console.error('[Billing Service] Debit ' + debit.id + ' failed after ' + debit.attempts + ' attempt(s): ' + debit.last_error);
+    }
+  });
+
+  if (settled) {
+    emitDebitSettled(updated, succeeded);
+  }
+
+  return updated;
+};
+
+/**
+ * Settles a debit attempt from the order state Fabric reported;
+ * states without an outcome leave it PROCESSING
+ * @private
+ * @async
+ * @param {MandateDebit} debit - Debit
+ * @param {string} merchOrderId - Order of the attempt
+ * @param {string|null} status - Order state
+ * @param {Object} [details] - payment_order_id
+ * @returns {Promise<void>}
+ */
+const settleFromStatus = async (debit, merchOrderId, status, details = {}) => {
+  if (!Object.prototype.hasOwnProperty.call(SETTLING_STATES, status)) {
+    return;
+  }
+
+  await settleDebit(debit.id, merchOrderId, SETTLING_STATES[status], Object.assign({
+    error: 'Fabric reported the payment as ' + status,
+  }, details));
+};
+
+/**
+ * Brings the order of an attempt to the reported state and settles the debit
+ * @private
+ * @async
+ * @param {MandateDebit} debit - Debit
+ * @param {string} merchOrderId - Order of the attempt
+ * @param {string|null} status - Order state
+ * @param {Object} [patch] - Order fields (payment_order_id)
+ * @param {string} reason - Why the state changed
+ * @returns {Promise<void>}
+ */
+const applyOutcome = async (debit, merchOrderId, status, patch, reason) => {
+  if (status && await orderStore.getOrder(merchOrderId)) {
+    try {
+      await orderStore.syncStatus(merchOrderId, status, patch, reason);
+    } catch (error) {
+      if (error.code !== 'INVALID_STATE_TRANSITION') {
+        throw error;
+      }
+      console.warn('[Billing Service] Order ' + merchOrderId + ' cannot move to ' + status + ':', error.message);
+    }
+  }
+
+  await settleFromStatus(debit, merchOrderId, status, patch);
+};
+
+/**
+ * Turns one cycle of a due schedule into a debit, then moves the schedule
+ * to its next cycle. Cycles that fell due while the server was down are
+ * skipped so the customer is only charged once. The debit ID is derived
+ * from the cycle, so a schedule processed again after a crash does not
+ * bill the cycle twice.
+ * @private
+ * @async
+ * @param {BillingSchedule} schedule - Due schedule
+ * @returns {Promise<void>}
+ */
+const processSchedule = async (schedule) => {
+  const mandate = await mandateStore.getMandate(schedule.merchant_id, schedule.contract_no);
+  let cancelReason = null;
+
+  if (!mandate) {
+    cancelReason = 'mandate_not_found';
+  } else if (schedule.mandate_order_id && mandate.merch_order_id !== schedule.mandate_order_id) {
+    cancelReason = 'mandate_replaced';
+  } else if (mandate.status === MANDATE_STATES.TERMINATED || mandate.status === MANDATE_STATES.FAILED) {
+    cancelReason = 'mandate_' + mandate.status.toLowerCase();
+  }
+
+  if (cancelReason) {
+    await billingStore.updateSchedule(schedule.id, (current) => {
+      current.status = SCHEDULE_STATES.CANCELLED;
+      current.cancel_reason = cancelReason;
+      current.next_run_at = null;
+    });
+    console.warn('[Billing Service] Schedule ' + schedule.id + ' cancelled: ' + cancelReason);
+    return;
+  }
+
+  // Billing starts once the customer has signed
+  if (mandate.status === MANDATE_STATES.PENDING) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  let cycle = schedule.cycle;
+  let runAt = schedule.next_run_at;
+  let missed = 0;
+
+  for (let i = 0; i < MAX_CATCH_UP_CYCLES; i++) {
+    const nextRunAt = getRunAt(schedule, cycle + 1, runAt);
+    if (nextRunAt > now || isPastEnd(schedule, cycle + 1, nextRunAt)) {
+      break;
+    }
+    cycle += 1;
+    runAt = nextRunAt;
+    missed += 1;
+  }
+
+  const paused = mandate.status === MANDATE_STATES.PAUSED;
+  const result = await billingStore.createDebit({
+    schedule_id: schedule.id,
+    cycle: cycle,
+    merchant_id: schedule.merchant_id,
+    contract_no: schedule.contract_no,
+    due_at: runAt,
+    title: schedule.title,
+    amount: schedule.amount,
+    currency: schedule.currency,
+    state: paused ? DEBIT_STATES.SKIPPED : DEBIT_STATES.PENDING,
+    skip_reason: paused ? 'mandate_paused' : null,
+  });
+
+  await billingStore.updateSchedule(schedule.id, (current) => {
+    if (current.status !== SCHEDULE_STATES.ACTIVE || current.cycle !== schedule.cycle) {
+      return;
+    }
+
+    current.cycle = cycle + 1;
+    current.missed_cycles += missed;
+    current.next_run_at = getRunAt(current, cycle + 1, runAt);
+
+    if (isPastEnd(current, current.cycle, current.next_run_at)) {
+      current.status = SCHEDULE_STATES.COMPLETED;
+      current.next_run_at = null;
+    }
+  });
+
+  if (missed > 0) {
+    console.warn('[Billing Service] Schedule ' + schedule.id + ' skipped ' + missed + ' missed cycle(s)');
+  }
+
+  if (result.created) {
+    console.log('[Billing Service] Cycle ' + cycle + ' of ' + schedule.id + ' due: ' + result.record.state);
+  }
+};
+
+/**
+ * Sends one attempt of a due debit to Fabric. The attempt and its order
+ * are saved before the call; if the outcome is unknown (timeout, network
+ * error) the debit stays PROCESSING and is confirmed later with an order
+ * query instead of being sent again.
+ * @private
+ * @async
+ * @param {MandateDebit} debit - Due debit
+ * @returns {Promise<void>}
+ */
+const attemptDebit = async (debit) => {
+  const mandate = await mandateStore.getMandate(debit.merchant_id, debit.contract_no);
+
+  if (!mandate || mandate.status !== MANDATE_STATES.ACTIVE) {
+    const skipReason = mandate ? 'mandate_' + mandate.status.toLowerCase() : 'mandate_not_found';
+    await billingStore.updateDebit(debit.id, (current) => {
+      if (current.state === DEBIT_STATES.PENDING) {
+        current.state = DEBIT_STATES.SKIPPED;
+        current.skip_reason = skipReason;
+        current.next_attempt_at = null;
+      }
+    });
+    console.warn('[Billing Service] Debit ' + debit.id + ' skipped: ' + skipReason);
+    return;
+  }
+
+  let merchOrderId = null;
+  const claimedAt = new Date().toISOString();
+  await billingStore.updateDebit(debit.id, (current) => {
+    if (current.state !== DEBIT_STATES.PENDING || current.next_attempt_at > claimedAt) {
+      return;
+    }
+
+    current.state = DEBIT_STATES.PROCESSING;
+    current.attempts += 1;
+    current.merch_order_id = createDebitOrderId(current, current.attempts);
+    current.merch_order_ids.push(current.merch_order_id);
+    current.next_attempt_at = null;
+    current.last_attempt_at = claimedAt;
+    merchOrderId = current.merch_order_id;
+  });
+
+  if (!merchOrderId) {
+    return;
+  }
+
+  const merchant = merchantRegistry.resolveMerchant(debit.merchant_id);
+
+  try {
+    await orderStore.createOrder({
+      merch_order_id: merchOrderId,
+      title: debit.title,
+      amount: debit.amount,
+      currency: debit.currency,
+      trade_type: 'MandatePayment',
+      merchant_id: merchant.id,
+    });
+    await orderStore.updateOrder(merchOrderId, {
+      debit: {
+        debit_id: debit.id,
+        schedule_id: debit.schedule_id,
+        contract_no: debit.contract_no,
+        cycle: debit.cycle,
+      },
+    });
+  } catch (error) {
+    // Nothing was sent to Fabric yet, so the attempt can simply be retried
+    await settleDebit(debit.id, merchOrderId, false, { error: error.message });
+    return;
+  }
+
+  let responseData;
+  try {
+    responseData = await exports.requestMandatePayment(debit, merchOrderId, merchant);
+  } catch (error) {
+    if (error instanceof fabricClient.FabricError && error.code === fabricClient.FABRIC_ERROR_TYPES.BUSINESS) {
+      await settleDebit(debit.id, merchOrderId, false, { error: error.fabricMessage || error.message });
+      await applyOutcome(debit, merchOrderId, orderStore.ORDER_STATES.FAILED, {}, 'debit_rejected');
+      return;
+    }
+
+    console.warn('[Billing Service] Outcome of ' + merchOrderId + ' unknown (' + error.message + '); it will be confirmed with Fabric');
+    return;
+  }
+
+  const bizContent = responseData.biz_content || {};
+  const patch = bizContent.payment_order_id ? { payment_order_id: bizContent.payment_order_id } : {};
+  const status = queryOrderService.ORDER_STATUS_MAP[bizContent.order_status] || orderStore.ORDER_STATES.PENDING;
+
+  await applyOutcome(debit, merchOrderId, status, patch, 'debit:' + (bizContent.order_status || 'accepted'));
+};
+
+/**
+ * Asks Fabric about attempts that have had no outcome for
+ * config.billing.confirmAfterSeconds (lost notify, timeout, restart)
+ * @private
+ * @async
+ * @param {MandateDebit} debit - PROCESSING debit
+ * @returns {Promise<void>}
+ */
+const confirmDebit = async (debit) => {
+  const merchOrderId = debit.merch_order_id;
+  const merchant = merchantRegistry.resolveMerchant(debit.merchant_id);
+
+  try {
+    const result = await queryOrderService.reconcileOrder(merchOrderId, merchant);
+    await settleFromStatus(debit, merchOrderId, result.status);
+  } catch (error) {
+    if (error instanceof fabricClient.FabricError && ORDER_NOT_FOUND_CODES.includes(error.fabricCode)) {
+      await settleDebit(debit.id, merchOrderId, false, { error: 'Fabric never received the debit' });
+      await applyOutcome(debit, merchOrderId, orderStore.ORDER_STATES.FAILED, {}, 'debit_not_received');
+      return;
+    }
+
+    console.warn('[Billing Service] Could not confirm ' + merchOrderId + ':', error.message);
+  }
+};
+
+/**
+ * Runs one billing pass: turns due schedule cycles into debits, confirms
+ * attempts without an outcome and sends due debits and retries. Runs one
+ * pass at a time; a call during a pass schedules another pass after it.
+ * @async
+ * @function processDue
+ * @returns {Promise<void>}
+ */
+exports.processDue = () => {
+  if (processing) {
+    passRequested = true;
+    return processing;
+  }
+
+  processing = (async () => {
+    do {
+      passRequested = false;
+
+      for (const schedule of await billingStore.listDueSchedules()) {
+        await processSchedule(schedule).catch(error => {
+          console.error('[Billing Service] Failed to process schedule ' + schedule.id + ':', error.message);
+        });
+      }
+
+      const confirmBefore = new Date(Date.now() - config.billing.confirmAfterSeconds * 1000).toISOString();
+      const unconfirmed = (await billingStore.listDebits({ state: DEBIT_STATES.PROCESSING }))
+        .filter(debit => debit.last_attempt_at <= confirmBefore);
+      for (const debit of unconfirmed) {
+        await confirmDebit(debit);
+      }
+
+      // Each debit is attempted at most once per pass, even if recording its outcome failed
+      const attempted = new Set();
+      let due = (await billingStore.listDueDebits()).filter(debit => !attempted.has(debit.id));
+      while (due.length > 0) {
+        for (const debit of due) {
+          attempted.add(debit.id);
+          await attemptDebit(debit).catch(error => {
+            console.error('[Billing Service] Failed to attempt debit ' + debit.id + ':', error.message);
+          });
+        }
+        due = (await billingStore.listDueDebits()).filter(debit => !attempted.has(debit.id));
+      }
+    } while (passRequested);
+  })()
+    .catch(error => {
+      console.error('[Billing Service] Billing pass failed:', error.message);
+    })
+    .then(() => {
+      processing = null;
+    });
+
+  return processing;
+};
+
+/**
+ * Settles debit attempts whose order got an outcome elsewhere
+ * (notify callback or status query)
+ * @private
+ * @async
+ * @param {OrderRecord} order - Order after the transition
+ * @param {StatusChange} change - The transition
+ * @returns {Promise<void>}
+ */
+const handleTransition = async (order, change) => {
+  if (!order.debit) {
+    return;
+  }
+
+  const debit = await billingStore.getDebit(order.debit.debit_id);
+  if (debit) {
+    await settleFromStatus(debit, order.merch_order_id, change.status, { payment_order_id: order.payment_order_id });
+  }
+};
+
+/**
+ * Registers a listener for settled debit attempts: succeeded ones, and
+ * failed ones whether a retry is scheduled (debit PENDING) or not (FAILED).
+ * A failing listener is logged and never affects billing.
+ * @function onDebitSettled
+ * @param {Function} listener - Called with (debit, succeeded); may be async
+ * @returns {Function} Function that removes the listener
+ */
+exports.onDebitSettled = (listener) => {
+  if (typeof listener !== 'function') {
+    throw new Error('Debit listener must be a function');
+  }
+
+  debitListeners.push(listener);
+
+  return () => {
+    const index = debitListeners.indexOf(listener);
+    if (index !== -1) {
+      debitListeners.splice(index, 1);
+    }
+  };
+};
+
+/**
+ * Cancels a schedule; debits waiting for a retry are skipped
+ * @async
+ * @function stopSchedule
+ * @param {string} scheduleId - Schedule ID
+ * @param {string} [reason] - Why it was cancelled
+ * @returns {Promise<{changed: boolean, schedule: BillingSchedule|null}>} Whether it was active, and the schedule
+ */
+exports.stopSchedule = async (scheduleId, reason) => {
+  let changed = false;
+  const schedule = await billingStore.updateSchedule(scheduleId, (current) => {
+    if (current.status === SCHEDULE_STATES.ACTIVE) {
+      current.status = SCHEDULE_STATES.CANCELLED;
+      current.cancel_reason = reason || 'cancelled';
+      current.next_run_at = null;
+      changed = true;
+    }
+  });
+
+  const waiting = await billingStore.listDebits({ scheduleId: scheduleId, state: DEBIT_STATES.PENDING });
+  await Promise.all(waiting.map(debit => billingStore.updateDebit(debit.id, (current) => {
+    if (current.state === DEBIT_STATES.PENDING) {
+      current.state = DEBIT_STATES.SKIPPED;
+      current.skip_reason = 'schedule_cancelled';
+      current.next_attempt_at = null;
+    }
+  })));
+
+  if (changed) {
+    console.log('[Billing Service] Schedule ' + scheduleId + ' cancelled: ' + (reason || 'cancelled'));
+  }
+
+  return { changed: changed, schedule: schedule };
+};
+
+/**
+ * Starts the billing worker. Debits left in flight by a previous run are
+ * confirmed with Fabric on the first pass, never sent again.
+ * @function start
+ */
+exports.start = () => {
+  if (pollTimer) {
+    return;
+  }
+
+  stopListening = orderStore.onTransition(handleTransition);
+  pollTimer = setInterval(exports.processDue, config.billing.pollIntervalMs);
+  exports.processDue();
+};
+
+/**
+ * Stops the billing worker; schedules and debits stay in the store
+ * @function stop
+ */
+exports.stop = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+
+  if (stopListening) {
+    stopListening();
+    stopListening = null;
+  }
+};
+
+/**
+ * Sends a billing error response
+ * @private
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status
+ * @param {string} code - Result code
+ * @param {string} message - Result message
+ * @param {string} requestId - Request ID
+ * @param {Object} [extra] - Additional fields
+ */
+const sendBillingError = (res, status, code, message, requestId, extra) => res.status(status).json(Object.assign({
+  result_code: code,
+  result_msg: message,
+}, extra, {
+  timestamp: tools.createTimeStamp(),
+  request_id: requestId,
+}));
+
+/**
+ * Looks up the schedule named in the request, checking it belongs to the contract
+ * @private
+ * @async
+ * @param {Object} req - Express request object
+ * @returns {Promise<BillingSchedule|null>} The schedule or null
+ */
+const findRequestedSchedule = async (req) => {
+  const merchant = req.merchant || merchantRegistry.getDefaultMerchant();
+  const schedule = await billingStore.getSchedule(req.params.scheduleId);
+
+  return schedule && schedule.merchant_id === merchant.id && schedule.contract_no === req.params.contractNo
+    ? schedule : null;
+};
+
+/**
+ * Handles schedule creation requests for a mandate
+ * @async
+ * @function createSchedule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @example
+ * // POST /api/v1/mandates/CONTRACT_123456/schedules
+ * { "amount": 100, "frequency": "monthly", "start_date": "2024-08-01", "max_debits": 12 }
+ * // or { "amount": 25, "frequency": "cron", "cron": "0 9 * * MON" }
+ */
+exports.createSchedule = async (req, res) => {
+  const requestId = tools.createNonceStr();
+  const merchant = req.merchant || merchantRegistry.getDefaultMerchant();
+  const contractNo = req.params.contractNo;
+
+  try {
+    const mandate = await mandateStore.getMandate(merchant.id, contractNo);
+    if (!mandate) {
+      return sendBillingError(res, 404, 'MANDATE_NOT_FOUND', 'Mandate not found', requestId, { contract_no: contractNo });
+    }
+
+    if (mandate.status === MANDATE_STATES.TERMINATED || mandate.status === MANDATE_STATES.FAILED) {
+      return sendBillingError(res, 409, 'INVALID_MANDATE_STATE', 'Cannot bill a mandate that is ' + mandate.status,
+        requestId, { contract_no: contractNo });
+    }
+
+    const parsed = exports.parseScheduleRequest(req.body, {
+      start_date: mandate.execute_time,
+      title: 'Recurring payment ' + contractNo,
+      plan: mandate.plan,
+    });
+    if (parsed.errors.length > 0) {
+      return sendBillingError(res, 400, 'VALIDATION_ERROR', 'Invalid request parameters', requestId, { errors: parsed.errors });
+    }
+
+    const schedule = await exports.createMandateSchedule(mandate, parsed.schedule);
+    exports.processDue();
+
+    return res.status(201).json({
+      result_code: '0',
+      result_msg: 'Billing schedule created',
+      contract_no: contractNo,
+      schedule: schedule,
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    console.error('[Billing Service] createSchedule failed:', { requestId: requestId, error: error.message });
+    return sendBillingError(res, 500, 'INTERNAL_ERROR', 'Failed to create billing schedule', requestId);
+  }
+};
+
+/**
+ * Handles schedule listing requests for a mandate
+ * @async
+ * @function listSchedules
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listSchedules = async (req, res) => {
+  const requestId = tools.createNonceStr();
+  const merchant = req.merchant || merchantRegistry.getDefaultMerchant();
+
+  try {
+    const schedules = await billingStore.listSchedules({ merchantId: merchant.id, contractNo: req.params.contractNo });
+
+    return res.json({
+      result_code: '0',
+      result_msg: 'Billing schedules retrieved',
+      contract_no: req.params.contractNo,
+      schedules: schedules,
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    console.error('[Billing Service] listSchedules failed:', { requestId: requestId, error: error.message });
+    return sendBillingError(res, 500, 'INTERNAL_ERROR', 'Failed to list billing schedules', requestId);
+  }
+};
+
+/**
+ * Handles schedule detail requests: the schedule and its debits
+ * @async
+ * @function getSchedule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSchedule = async (req, res) => {
+  const requestId = tools.createNonceStr();
+
+  try {
+    const schedule = await findRequestedSchedule(req);
+    if (!schedule) {
+      return sendBillingError(res, 404, 'SCHEDULE_NOT_FOUND', 'Billing schedule not found: ' + req.params.scheduleId, requestId);
+    }
+
+    return res.json({
+      result_code: '0',
+      result_msg: 'Billing schedule retrieved',
+      schedule: schedule,
+      debits: await billingStore.listDebits({ scheduleId: schedule.id }),
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    console.error('[Billing Service] getSchedule failed:', { requestId: requestId, error: error.message });
+    return sendBillingError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch billing schedule', requestId);
+  }
+};
+
+/**
+ * Handles schedule cancellation requests. Debits waiting for a retry are
+ * skipped; an attempt already sent to Fabric still completes.
+ * @async
+ * @function cancelSchedule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.cancelSchedule = async (req, res) => {
+  const requestId = tools.createNonceStr();
+  const reason = req.body && req.body.reason;
+
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > 256)) {
+    return sendBillingError(res, 400, 'VALIDATION_ERROR', 'Invalid request parameters', requestId, {
+      errors: ['reason must be a string of at most 256 characters'],
+    });
+  }
+
+  try {
+    const existing = await findRequestedSchedule(req);
+    if (!existing) {
+      return sendBillingError(res, 404, 'SCHEDULE_NOT_FOUND', 'Billing schedule not found: ' + req.params.scheduleId, requestId);
+    }
+
+    if (existing.status === SCHEDULE_STATES.COMPLETED) {
+      return sendBillingError(res, 409, 'SCHEDULE_COMPLETED', 'Billing schedule has already completed', requestId);
+    }
+
+    const { changed, schedule } = await exports.stopSchedule(existing.id, reason);
+
+    return res.json({
+      result_code: '0',
+      result_msg: changed ? 'Billing schedule cancelled' : 'Billing schedule is already cancelled',
+      changed: changed,
+      schedule: schedule,
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    console.error('[Billing Service] cancelSchedule failed:', { requestId: requestId, error: error.message });
+    return sendBillingError(res, 500, 'INTERNAL_ERROR', 'Failed to cancel billing schedule', requestId);
+  }
+};
+
+exports.MANDATE_PAYMENT = MANDATE_PAYMENT;
+
+module.exports = exports;
@@ -0,0 +1,207 @@
+/**
+ * @module services/closeOrderService
+ * @description Service for cancelling unpaid orders through Fabric close-order API
+ * @version 1.0.0
+ */
+
+const fabricClient = require('./fabricClient');
+const queryOrderService = require('./queryOrderService');
+const tools = require('../utils/tools');
+const merchantRegistry = require('../config/merchantRegistry');
+const orderStore = require('../store/orderStore');
+
+/**
+ * States in which an order may still be closed
+ * @type {string[]}
+ * @constant
+ */
+const CLOSABLE_STATES = [orderStore.ORDER_STATES.CREATED, orderStore.ORDER_STATES.PENDING];
+
+/**
+ * States that mean the customer has already paid
+ * @type {string[]}
+ * @constant
+ */
+const PAID_STATES = [orderStore.ORDER_STATES.PAID, orderStore.ORDER_STATES.REFUNDED];
+
+/**
+ * Creates an error carrying a close-order error code and HTTP status
+ * @private
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status to respond with
+ * @returns {Error} Error with code and status set
+ */
+const createCloseError = (code, message, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+/**
+ * Requests Fabric to close an order
+ * @async
+ * @function requestCloseOrder
+ * @param {string} merchOrderId - Merchant order ID
+ * @param {Merchant} [merchant] - Merchant the order belongs to (defaults to the default merchant)
+ * @returns {Promise<Object>} Fabric response
+ * @throws {FabricError} If the API request fails or Fabric refuses to close
+ */
+exports.requestCloseOrder = async (merchOrderId, merchant = merchantRegistry.getDefaultMerchant()) => {
+  const startTime = Date.now();
+
+  const responseData = await fabricClient.call('/payment/v1/merchant/closeOrder', 'payment.closeorder', {
+    appid: merchant.merchantAppId,
+    merch_code: merchant.merchantCode,
+    merch_order_id: merchOrderId,
+  }, { merchant: merchant });
+
+  console.log('[Close Order Service] /payment/v1/merchant/closeOrder - SUCCESS - ' + (Date.now() - startTime) + 'ms');
+
+  return responseData;
+};
+
+/**
+ * Closes an unpaid order at Fabric and marks it CANCELLED.
+ * Paid orders are refused. If Fabric refuses to close, the order is
+ * reconciled with Fabric so a payment we missed is not hidden; an order
+ * paid while the close was in flight is refused the same way.
+ * @async
+ * @function closeOrder
+ * @param {string} merchOrderId - Merchant order ID
+ * @param {string} [reason] - Cancellation reason
+ * @returns {Promise<Object>} The cancelled order
+ * @throws {Error} With status set when the order cannot be cancelled
+ */
+exports.closeOrder = async (merchOrderId, reason) => {
+  const order = await orderStore.getOrder(merchOrderId);
+
+  if (!order) {
+    throw createCloseError('ORDER_NOT_FOUND', 'Order not found: ' + merchOrderId, 404);
+  }
+
+  if (order.status === orderStore.ORDER_STATES.CANCELLED) {
+    return order;
+  }
+
+  if (PAID_STATES.includes(order.status)) {
+    throw createCloseError('ORDER_ALREADY_PAID', 'Paid orders cannot be cancelled; refund them instead', 409);
+  }
+
+  if (!CLOSABLE_STATES.includes(order.status)) {
+    throw createCloseError('ORDER_NOT_CANCELLABLE', 'Order cannot be cancelled (status: ' + order.status + ')', 409);
+  }
+
+  try {
+    await exports.requestCloseOrder(merchOrderId, merchantRegistry.resolveMerchant(order.merchant_id));
+  } catch (error) {
+    if (!(error instanceof fabricClient.FabricError)) {
+      throw error;
+    }
+
+    const reconciled = await queryOrderService.reconcileOrder(merchOrderId).catch(queryError => {
+      console.error('[Close Order Service] Reconciliation after failed close failed:', queryError.message);
+      return null;
+    });
+
+    if (reconciled && PAID_STATES.includes(reconciled.local_status)) {
+      throw createCloseError('ORDER_ALREADY_PAID', 'Order was paid before it could be cancelled', 409);
+    }
+
+    if (reconciled && reconciled.local_status === orderStore.ORDER_STATES.CANCELLED) {
+      return orderStore.getOrder(merchOrderId);
+    }
+
+    throw createCloseError(
+      'CLOSE_FAILED',
+      error.fabricMessage || 'Fabric refused to close the order',
+      502
+    );
+  }
+
+  let cancelled;
+  try {
+    cancelled = await orderStore.transition(
+      merchOrderId,
+      orderStore.ORDER_STATES.CANCELLED,
+      { cancel_reason: reason || null, cancelled_at: new Date().toISOString() },
+      'closed'
+    );
+  } catch (error) {
+    if (error.code !== 'INVALID_STATE_TRANSITION') {
+      throw error;
+    }
+
+    // A notification or query moved the order while Fabric was closing it
+    const current = await orderStore.getOrder(merchOrderId);
+
+    if (current && PAID_STATES.includes(current.status)) {
+      throw createCloseError('ORDER_ALREADY_PAID', 'Order was paid before it could be cancelled', 409);
+    }
+
+    if (current && current.status === orderStore.ORDER_STATES.CANCELLED) {
+      return current;
+    }
+
+    throw createCloseError(
+      'ORDER_NOT_CANCELLABLE',
+      'Order cannot be cancelled (status: ' + (current ? current.status : 'unknown') + ')',
+      409
+    );
+  }
+
+  console.log('[Close Order Service] Order cancelled:', {
+    merchOrderId: merchOrderId,
+    prepayId: cancelled.prepay_id,
+  });
+
+  return cancelled;
+};
+
+/**
+ * Handles order cancellation requests
+ * @async
+ * @function cancelOrder
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @example
+ * // POST /api/v1/orders/ORDER_1625097600_123/cancel
+ * { "reason": "Cart abandoned" }
+ */
+exports.cancelOrder = async (req, res) => {
+  const requestId = tools.createNonceStr();
+  const merchOrderId = req.params.merchOrderId || req.params.orderId;
+
+  try {
+    const order = await exports.closeOrder(merchOrderId, req.body && req.body.reason);
+
+    return res.json({
+      result_code: '0',
+      result_msg: 'Order cancelled successfully',
+      order_id: order.merch_order_id,
+      status: order.status,
+      cancelled_at: order.cancelled_at || order.updated_at,
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    console.error('[Close Order Service] Error cancelling order:', {
+      requestId: requestId,
+      merchOrderId: merchOrderId,
+      error: error.message,
+      errorCode: error.code,
+    });
+
+    return res.status(error.status || 500).json({
+      result_code: error.code || 'ERROR',
+      result_msg: error.status ? error.message : 'Failed to cancel order',
+      order_id: merchOrderId,
+      timestamp: tools.createTimeStamp(),
+      request_id: requestId,
+    });
+  }
+};
+
+module.exports = exports;
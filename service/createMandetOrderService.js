@@ -4,29 +4,28 @@
  * @version 2.0.0
  */
 
-const applyFabricTokenService = require('./applyFabricTokenService');
+const fabricClient = require('./fabricClient');
 const tools = require('../utils/tools');
 const config = require('../config/config');
-const axios = require('axios');
-
-// Configure HTTP client for Fabric API
-const httpClient = axios.create({
-  baseURL: config.baseUrl,
-  timeout: config.apiTimeout || 15000,
-  headers: {
-    'Content-Type': 'application/json',
-    'X-APP-Key': config.fabricAppId,
-  },
-  httpsAgent: config.env === 'development' 
-    ? new (require('https').Agent)({ rejectUnauthorized: false })
-    : undefined,
-});
+const merchantRegistry = require('../config/merchantRegistry');
+const orderStore = require('../store/orderStore');
+const mandateStore = require('../store/mandateStore');
+const statusTicketService = require('./statusTicketService');
+const { markOrderFailed, markOrderUnconfirmed } = require('./orderLifecycle');
+const closeOrderService = require('./closeOrderService');
+const billingService = require('./billingService');
+const { SESSION_ERRORS } = require('./customerSessionService');
 
 /**
  * @typedef {Object} CreateOrderRequest
  * @property {string} title - Order title/description
  * @property {number|string} amount - Order amount
  * @property {string} ContractNo - Contract number for mandate
+ * @property {string} [merch_order_id] - Client-supplied merchant order ID
+ * @property {string} [open_id] - Customer open_id, if the merchant already knows it (must match the customer session, if any)
+ * @property {string} [plan_id] - Mandate plan (required when the merchant has a plan catalog)
+ * @property {string} [execute_time] - First execution date (YYYY-MM-DD), if the plan lets the request choose it
+ * @property {Object} [schedule] - Recurring billing of the mandate (see services/billingService)
  */
 
 /**
@@ -126,6 +125,13 @@ const logOrderRequest = (endpoint, requestData, responseData, duration) => {
   }
 };
 
+/**
+ * Format of client-supplied merchant order IDs (Fabric allows letters, digits and underscores)
+ * @type {RegExp}
+ * @constant
+ */
+const MERCH_ORDER_ID_PATTERN = /^[A-Za-z0-9_]{1,64}$/;
+
 /**
  * Generates a unique merchant order ID
  * @private
@@ -138,65 +144,144 @@ const generateMerchantOrderId = () => {
 };
 
 /**
- * Creates a signed request object for Fabric pre-order API
+ * Format of mandate execution dates
+ * @type {RegExp}
+ * @constant
+ */
+const EXECUTE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Gets the date a number of days from today (UTC)
+ * @private
+ * @param {number} days - Days to add
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+const daysFromToday = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+/**
+ * Checks that a string is a real calendar date
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a valid YYYY-MM-DD date
+ */
+const isDate = (value) => typeof value === 'string' && EXECUTE_TIME_PATTERN.test(value) &&
+  !isNaN(Date.parse(value)) && new Date(value).toISOString().indexOf(value) === 0;
+
+/**
+ * Builds the mandate_data block for a contract
  * @private
- * @param {string} title - Order title
- * @param {number} amount - Order amount
  * @param {string} contractNo - Contract number for mandate
- * @returns {PreOrderRequest} Signed request object
+ * @param {Merchant} merchant - Merchant the mandate is for
+ * @param {MandatePlan|null} [plan] - Plan supplying the template
+ * @param {string} [executeTime] - First execution date (defaults to today)
+ * @returns {Object} Mandate data
  */
-const createPreOrderRequest = (title, amount, contractNo) => {
-  const baseRequest = {
-    timestamp: tools.createTimeStamp(),
-    nonce_str: tools.createNonceStr(),
-    method: 'payment.preorder',
-    version: '1.0',
-    biz_content: {
-      notify_url: config.notifyUrl || 'https://node-api-muxu.onrender.com/api/v1/notify',
-      trade_type: 'InApp',
-      appid: config.merchantAppId,
-      merch_code: config.merchantCode,
-      merch_order_id: generateMerchantOrderId(),
-      title: title,
-      total_amount: parseFloat(amount),
-      trans_currency: config.currency || 'ETB',
-      timeout_express: config.orderTimeout || '120m',
-      payee_identifier: config.payeeIdentifier || '220311',
-      payee_identifier_type: config.payeeIdentifierType || '04',
-      payee_type: config.payeeType || '5000',
-      mandate_data: {
-        mctContractNo: contractNo,
-        mandateTemplateId: config.mandateTemplateId || '103001',
-        executeTime: config.mandateExecuteTime || new Date().toISOString().split('T')[0],
-      },
-      redirect_url: config.redirectUrl || 'https://node-api-muxu.onrender.com/api/v1/notify',
-    },
-  };
+const buildMandateData = (contractNo, merchant, plan, executeTime) => ({
+  mctContractNo: contractNo,
+  mandateTemplateId: plan ? plan.mandateTemplateId : merchant.mandateTemplateId || '103001',
+  executeTime: executeTime || daysFromToday(0),
+});
 
-  const signature = tools.signRequestObject(baseRequest);
-  
-  return Object.assign({}, baseRequest, {
-    sign: signature,
-    sign_type: 'SHA256WithRSA',
-  });
+/**
+ * Picks the merchant's mandate plan a request asks for and works out the
+ * first execution date. Merchants without plans sign every mandate on their
+ * template, executing today.
+ * @private
+ * @param {CreateOrderRequest} requestBody - Request body
+ * @param {Merchant} merchant - Merchant the mandate is for
+ * @returns {{errors: string[], plan: MandatePlan|null, executeTime: string|null}} Errors, or the plan and date
+ */
+const resolveMandatePlan = (requestBody, merchant) => {
+  const errors = [];
+  const plans = merchant.mandatePlans || [];
+  const planId = requestBody.plan_id;
+  const requestedTime = requestBody.execute_time;
+
+  if (plans.length === 0) {
+    if (planId !== undefined) {
+      errors.push('plan_id is not accepted: no mandate plans are configured');
+    }
+    if (requestedTime !== undefined) {
+      errors.push('execute_time is only accepted for plans that allow choosing it');
+    }
+    return { errors: errors, plan: null, executeTime: errors.length > 0 ? null : daysFromToday(0) };
+  }
+
+  const plan = planId === undefined ? null : merchantRegistry.getMandatePlan(merchant, planId);
+  if (!plan) {
+    errors.push('plan_id must be one of ' + plans.map(candidate => candidate.id).join(', '));
+    return { errors: errors, plan: null, executeTime: null };
+  }
+
+  const earliest = daysFromToday(plan.executeAfterDays);
+  let executeTime = plan.executeTime || earliest;
+
+  if (plan.executeTime && plan.executeTime < daysFromToday(0)) {
+    errors.push('Plan ' + plan.id + ' is closed: its first execution date ' + plan.executeTime + ' has passed');
+  }
+
+  if (requestedTime !== undefined) {
+    const latest = plan.maxExecuteAfterDays === null ? null : daysFromToday(plan.maxExecuteAfterDays);
+    if (latest === null) {
+      errors.push('Plan ' + plan.id + ' does not allow choosing execute_time');
+    } else if (!isDate(requestedTime) || requestedTime < earliest || requestedTime > latest) {
+      errors.push('execute_time must be a date (YYYY-MM-DD) from ' + earliest + ' to ' + latest);
+    } else {
+      executeTime = requestedTime;
+    }
+  }
+
+  if (plan.maxAmount !== null && parseFloat(requestBody.amount) > plan.maxAmount) {
+    errors.push('amount must not exceed ' + plan.maxAmount + ' on plan ' + plan.id);
+  }
+
+  return { errors: errors, plan: plan, executeTime: errors.length > 0 ? null : executeTime };
 };
 
+/**
+ * Creates the business content for Fabric pre-order API
+ * @private
+ * @param {string} title - Order title
+ * @param {number} amount - Order amount
+ * @param {Object} mandateData - Mandate data (see buildMandateData)
+ * @param {string} merchOrderId - Merchant order ID
+ * @param {Merchant} merchant - Merchant the order is for
+ * @returns {BusinessContent} Business content
+ */
+const createPreOrderBizContent = (title, amount, mandateData, merchOrderId, merchant) => ({
+  notify_url: merchant.notifyUrl,
+  trade_type: 'InApp',
+  appid: merchant.merchantAppId,
+  merch_code: merchant.merchantCode,
+  merch_order_id: merchOrderId,
+  title: title,
+  total_amount: parseFloat(amount),
+  trans_currency: merchant.currency || 'ETB',
+  timeout_express: config.orderTimeout || '120m',
+  payee_identifier: merchant.payeeIdentifier || '220311',
+  payee_identifier_type: merchant.payeeIdentifierType || '04',
+  payee_type: merchant.payeeType || '5000',
+  mandate_data: mandateData,
+  redirect_url: merchant.redirectUrl || 'https://node-api-muxu.onrender.com/api/v1/notify',
+});
+
 /**
  * Creates raw request string for client-side payment
  * @private
  * @param {string} prepayId - Prepayment ID from Fabric API
+ * @param {Merchant} merchant - Merchant the order is for
  * @returns {string} Raw request string for client SDK
  */
-const createRawRequestString = (prepayId) => {
+const createRawRequestString = (prepayId, merchant) => {
   const requestData = {
-    appid: config.merchantAppId,
-    merch_code: config.merchantCode,
+    appid: merchant.merchantAppId,
+    merch_code: merchant.merchantCode,
     nonce_str: tools.createNonceStr(),
     prepay_id: prepayId,
     timestamp: tools.createTimeStamp(),
   };
 
-  const signature = tools.signRequestObject(requestData);
+  const signature = tools.signRequestObject(requestData, merchant.privateKey);
   
   // Order parameters by ASCII code
   const rawRequest = [
@@ -216,9 +301,10 @@ const createRawRequestString = (prepayId) => {
  * Validates create order request parameters
  * @private
  * @param {CreateOrderRequest} requestBody - Request body
+ * @param {CustomerSession} [customer] - Customer session of the request, if any
  * @returns {Object} Validation result with isValid flag and errors array
  */
-const validateCreateOrderRequest = (requestBody) => {
+const validateCreateOrderRequest = (requestBody, customer) => {
   const errors = [];
   
   // Check required fields
@@ -253,6 +339,22 @@ const validateCreateOrderRequest = (requestBody) => {
     errors.push('ContractNo is too long (max 100 characters)');
   }
   
+  if (requestBody.merch_order_id !== undefined &&
+      (typeof requestBody.merch_order_id !== 'string' || !MERCH_ORDER_ID_PATTERN.test(requestBody.merch_order_id))) {
+    errors.push('merch_order_id must be 1-64 letters, digits or underscores');
+  }
+  
+  if (requestBody.open_id !== undefined &&
+      (typeof requestBody.open_id !== 'string' || requestBody.open_id.trim() === '' || requestBody.open_id.length > 128)) {
+    errors.push('open_id must be a non-empty string of at most 128 characters');
+  } else if (customer && requestBody.open_id !== undefined && requestBody.open_id !== customer.open_id) {
+    errors.push('open_id does not match the customer session');
+  }
+  
+  if (requestBody.plan_id !== undefined && (typeof requestBody.plan_id !== 'string' || requestBody.plan_id.trim() === '')) {
+    errors.push('plan_id must be a non-empty string');
+  }
+  
   return {
     isValid: errors.length === 0,
     errors: errors,
@@ -263,62 +365,128 @@ const validateCreateOrderRequest = (requestBody) => {
  * Requests order creation from Fabric API
  * @async
  * @function requestCreateOrder
- * @param {string} fabricToken - Fabric API authentication token
  * @param {string} title - Order title
  * @param {number} amount - Order amount
- * @param {string} contractNo - Contract number for mandate
+ * @param {string|Object} contract - Contract number, or full mandate data
+ * @param {string} [merchOrderId] - Merchant order ID (generated if omitted)
+ * @param {Merchant} [merchant] - Merchant the order is for (defaults to the default merchant)
  * @returns {Promise<CreateOrderResponse>} Order creation result
- * @throws {Error} If API request fails
+ * @throws {FabricError} If the API request fails or Fabric rejects the order
  */
-exports.requestCreateOrder = async (fabricToken, title, amount, contractNo) => {
-  const requestObject = createPreOrderRequest(title, amount, contractNo);
+exports.requestCreateOrder = async (title, amount, contract, merchOrderId = generateMerchantOrderId(), merchant = merchantRegistry.getDefaultMerchant()) => {
+  const mandateData = typeof contract === 'string' ? buildMandateData(contract, merchant) : contract;
+  const requestData = {
+    method: 'payment.preorder',
+    biz_content: createPreOrderBizContent(title, amount, mandateData, merchOrderId, merchant),
+  };
   const startTime = Date.now();
   
   try {
-    const response = await httpClient.post('/payment/v1/merchant/preOrder', requestObject, {
-      headers: {
-        Authorization: fabricToken,
-      },
+    const responseData = await fabricClient.call('/payment/v1/merchant/preOrder', requestData.method, requestData.biz_content, {
+      merchant: merchant,
     });
-
-    const responseData = response.data;
-    const duration = Date.now() - startTime;
-    
-    logOrderRequest('/payment/v1/merchant/preOrder', requestObject, responseData, duration);
     
-    if (!responseData) {
-      throw new Error('Empty response from Fabric API');
-    }
+    logOrderRequest('/payment/v1/merchant/preOrder', requestData, responseData, Date.now() - startTime);
     
     // Validate response structure
     if (!responseData.biz_content || !responseData.biz_content.prepay_id) {
       console.warn('[Order Controller] Response missing prepay_id:', responseData);
+      throw new fabricClient.FabricError(fabricClient.FABRIC_ERROR_TYPES.INVALID_RESPONSE, 'Response missing prepay_id', {
+        method: requestData.method,
+        data: responseData,
+      });
     }
     
     return responseData;
   } catch (error) {
-    const duration = Date.now() - startTime;
-    
     console.error('[Order Controller] Order creation failed:', {
       error: error.message,
-      status: error.response && error.response.status,
-      data: error.response && error.response.data,
-      duration: duration + 'ms',
-      requestId: requestObject.nonce_str,
+      code: error.code,
+      httpStatus: error.httpStatus,
+      fabricCode: error.fabricCode,
+      duration: (Date.now() - startTime) + 'ms',
       orderTitle: title,
       amount: amount,
     });
     
-    // Return a structured error response
+    throw error;
+  }
+};
+
+/**
+ * Records a mandate order and its PENDING mandate, then places the
+ * preorder at Fabric. The mandate becomes ACTIVE once the customer pays
+ * the order. If anything fails after the order was recorded, the order is
+ * marked failed and the error carries its ID as merchOrderId.
+ * @async
+ * @function createSigningOrder
+ * @param {Object} params - Order settings
+ * @param {string} params.title - Order title
+ * @param {number|string} params.amount - Amount charged when signing
+ * @param {Object} params.mandateData - Mandate data (see buildMandateData)
+ * @param {string} [params.merchOrderId] - Merchant order ID (generated if omitted)
+ * @param {string} [params.openId] - Customer open_id, if known
+ * @param {MandatePlan|null} [params.plan] - Plan the mandate is signed for
+ * @param {Merchant} merchant - Merchant the mandate is for
+ * @returns {Promise<{order: OrderRecord, mandate: MandateRecord, rawRequest: string, prepayId: string, statusTicket: Object}>}
+ *   The PENDING order, the mandate, the client SDK request and a status ticket
+ * @throws {Error} With code ORDER_EXISTS or MANDATE_EXISTS, or a FabricError if the preorder fails
+ *   (the order is left PENDING when Fabric may have created it)
+ */
+exports.createSigningOrder = async (params, merchant) => {
+  // Record the order before calling Fabric so failures are tracked too
+  const order = await orderStore.createOrder({
+    merch_order_id: params.merchOrderId || generateMerchantOrderId(),
+    title: params.title,
+    amount: params.amount,
+    currency: merchant.currency || 'ETB',
+    trade_type: 'InApp',
+    mandate_data: params.mandateData,
+    open_id: params.openId,
+    merchant_id: merchant.id,
+  });
+  const merchOrderId = order.merch_order_id;
+
+  try {
+    // The mandate stays PENDING until the customer signs it by paying this order
+    const mandate = await mandateStore.createMandate({
+      contract_no: order.mandate_data.mctContractNo,
+      merchant_id: merchant.id,
+      mandate_template_id: order.mandate_data.mandateTemplateId,
+      execute_time: order.mandate_data.executeTime,
+      plan: params.plan,
+      open_id: params.openId,
+      merch_order_id: merchOrderId,
+    });
+
+    const createOrderResult = await exports.requestCreateOrder(params.title, params.amount, order.mandate_data, merchOrderId, merchant);
+    const prepayId = createOrderResult.biz_content.prepay_id;
+    
+    // Create raw request for client SDK
+    const rawRequest = createRawRequestString(prepayId, merchant);
+    
+    const pendingOrder = await orderStore.transition(merchOrderId, orderStore.ORDER_STATES.PENDING, {
+      prepay_id: prepayId,
+      raw_request: rawRequest,
+    }, 'preorder_created');
+    
     return {
-      result_code: 'ERROR',
-      result_msg: 'Order creation failed',
-      error_code: error.response && error.response.status ? error.response.status.toString() : 'REQUEST_FAILED',
-      error_msg: error.response && error.response.data && error.response.data.error_msg 
-        ? error.response.data.error_msg 
-        : error.message,
-      timestamp: tools.createTimeStamp(),
+      order: pendingOrder,
+      mandate: mandate,
+      rawRequest: rawRequest,
+      prepayId: prepayId,
+      // Lets the frontend watch the order over /ws instead of polling
+      statusTicket: statusTicketService.issueTicket(pendingOrder),
     };
+  } catch (error) {
+    if (error instanceof fabricClient.FabricError && fabricClient.isOutcomeUnknown(error)) {
+      await markOrderUnconfirmed(merchOrderId);
+    } else {
+      await markOrderFailed(merchOrderId, error.code === 'MANDATE_EXISTS' ? 'mandate_exists'
+        : error instanceof fabricClient.FabricError ? 'preorder_rejected' : 'preorder_error');
+    }
+    error.merchOrderId = merchOrderId;
+    throw error;
   }
 };
 
@@ -334,23 +502,46 @@ exports.requestCreateOrder = async (fabricToken, title, amount, contractNo) => {
  * {
  *   "title": "Monthly Subscription",
  *   "amount": 100.50,
- *   "ContractNo": "CONTRACT_123456"
+ *   "ContractNo": "CONTRACT_123456",
+ *   "merch_order_id": "SUB_2024_0042",  // optional; generated if omitted
+ *   "open_id": "...",                    // optional; must match the customer session (without one, only if the merchant trusts client open_ids)
+ *   "plan_id": "premium_monthly",        // required if the merchant has mandate plans
+ *   "execute_time": "2024-08-01",        // optional; only for plans that allow choosing it
+ *   "schedule": { "amount": 100.50, "frequency": "monthly" }  // optional; recurring debits
  * }
  * 
  * // Successful response:
  * {
  *   "rawRequest": "appid=...&merch_code=...&...",
  *   "prepay_id": "prepay_123456",
- *   "merch_order_id": "ORDER_1625097600_123"
+ *   "merch_order_id": "ORDER_1625097600_123",
+ *   "plan_id": "premium_monthly",
+ *   "mandate_template_id": "103001",
+ *   "execute_time": "2024-08-01",
+ *   "schedule_id": "SCH_...",           // null without a schedule
+ *   "schedule_error": null               // set if the order was created but its schedule was not
  * }
  */
 exports.createMandateOrder = async (req, res) => {
   const requestId = tools.createNonceStr();
   const startTime = Date.now();
+  const merchant = req.merchant || merchantRegistry.getDefaultMerchant();
+  let merchOrderId = null;
   
   try {
+    // A customer's open_id comes from their session; only merchants that
+    // verify customers themselves may send one in the body
+    if (!req.customer && req.body && req.body.open_id !== undefined && !merchant.trustClientOpenId) {
+      return res.status(401).json({
+        result_code: SESSION_ERRORS.SESSION_REQUIRED,
+        result_msg: 'open_id is only accepted with a customer session (Authorization: Bearer <session_token>)',
+        timestamp: tools.createTimeStamp(),
+        request_id: requestId,
+      });
+    }
+
     // Validate request
-    const validation = validateCreateOrderRequest(req.body);
+    const validation = validateCreateOrderRequest(req.body, req.customer);
     if (!validation.isValid) {
       console.warn('[Order Controller] Validation failed for request ' + requestId + ':', validation.errors);
       
@@ -363,7 +554,43 @@ exports.createMandateOrder = async (req, res) => {
       });
     }
 
-    const { title, amount, ContractNo } = req.body;
+    const { title, amount, ContractNo, merch_order_id, open_id } = req.body;
+    
+    // Template, first execution, frequency and maximum amount come from the merchant's plan
+    const selection = resolveMandatePlan(req.body, merchant);
+    if (selection.errors.length > 0) {
+      console.warn('[Order Controller] Mandate plan rejected for request ' + requestId + ':', selection.errors);
+      
+      return res.status(400).json({
+        result_code: 'VALIDATION_ERROR',
+        result_msg: 'Invalid request parameters',
+        errors: selection.errors,
+        timestamp: tools.createTimeStamp(),
+        request_id: requestId,
+      });
+    }
+    const plan = selection.plan;
+    const mandateData = buildMandateData(ContractNo, merchant, plan, selection.executeTime);
+    
+    // Debits start at the mandate's first execution date unless the schedule says otherwise
+    let schedule = null;
+    if (req.body.schedule !== undefined) {
+      const parsed = billingService.parseScheduleRequest(req.body.schedule, {
+        start_date: mandateData.executeTime,
+        title: title,
+        plan: plan,
+      });
+      if (parsed.errors.length > 0) {
+        return res.status(400).json({
+          result_code: 'VALIDATION_ERROR',
+          result_msg: 'Invalid request parameters',
+          errors: parsed.errors.map(error => 'schedule: ' + error),
+          timestamp: tools.createTimeStamp(),
+          request_id: requestId,
+        });
+      }
+      schedule = parsed.schedule;
+    }
     
     // Log request
     console.log('[Order Controller] Creating mandate order', {
@@ -371,45 +598,40 @@ exports.createMandateOrder = async (req, res) => {
       title: title,
       amount: amount,
       contractNo: ContractNo,
+      planId: plan ? plan.id : null,
       timestamp: new Date().toISOString(),
     });
 
-    // Obtain Fabric API token
-    const fabricTokenResult = await applyFabricTokenService();
-    const fabricToken = fabricTokenResult && fabricTokenResult.token;
-    
-    if (!fabricToken) {
-      throw new Error('Failed to obtain Fabric API token');
-    }
-
-    // Create order with Fabric API
-    const createOrderResult = await exports.requestCreateOrder(fabricToken, title, amount, ContractNo);
+    const { mandate, rawRequest, prepayId, statusTicket } = await exports.createSigningOrder({
+      title: title,
+      amount: amount,
+      mandateData: mandateData,
+      merchOrderId: merch_order_id,
+      openId: req.customer ? req.customer.open_id : open_id,
+      plan: plan,
+    }, merchant);
+    merchOrderId = mandate.merch_order_id;
     const totalDuration = Date.now() - startTime;
     
-    // Check if order creation was successful
-    if (createOrderResult.result_code !== '0' || !createOrderResult.biz_content || !createOrderResult.biz_content.prepay_id) {
-      console.warn('[Order Controller] Order creation failed', {
-        requestId: requestId,
-        resultCode: createOrderResult.result_code,
-        resultMsg: createOrderResult.result_msg,
-        duration: totalDuration + 'ms',
-      });
-      
-      return res.status(400).json({
-        result_code: createOrderResult.result_code || 'ORDER_FAILED',
-        result_msg: createOrderResult.result_msg || 'Order creation failed',
-        error_code: createOrderResult.error_code,
-        error_msg: createOrderResult.error_msg,
-        timestamp: tools.createTimeStamp(),
-        request_id: requestId,
-      });
+    // The preorder exists now, so a failed schedule must not fail the request:
+    // a retry would only get ORDER_EXISTS or MANDATE_EXISTS. The schedule can
+    // be created later on the mandate's schedules endpoint instead.
+    let billingSchedule = null;
+    let scheduleError = null;
+    if (schedule) {
+      try {
+        billingSchedule = await billingService.createMandateSchedule(mandate, schedule);
+      } catch (error) {
+        console.error('[Order Controller] Billing schedule not created for ' + mandate.contract_no + ':', {
+          requestId: requestId,
+          error: error.message,
+        });
+        scheduleError = {
+          error_code: 'SCHEDULE_NOT_CREATED',
+          error_msg: 'Create the schedule with POST /api/v1/mandates/' + mandate.contract_no + '/schedules',
+        };
+      }
     }
-
-    const prepayId = createOrderResult.biz_content.prepay_id;
-    const merchOrderId = createOrderResult.biz_content.merch_order_id;
-    
-    // Create raw request for client SDK
-    const rawRequest = createRawRequestString(prepayId);
     
     // Log successful order creation
     console.log('[Order Controller] Order created successfully', {
@@ -426,6 +648,13 @@ exports.createMandateOrder = async (req, res) => {
       rawRequest: rawRequest,
       prepay_id: prepayId,
       merch_order_id: merchOrderId,
+      plan_id: mandate.plan_id,
+      mandate_template_id: mandate.mandate_template_id,
+      execute_time: mandate.execute_time,
+      status_ticket: statusTicket.ticket,
+      status_ticket_expires_at: statusTicket.expires_at,
+      schedule_id: billingSchedule ? billingSchedule.id : null,
+      schedule_error: scheduleError,
       request_id: requestId,
       timestamp: tools.createTimeStamp(),
       processed_at: new Date().toISOString(),
@@ -435,6 +664,59 @@ exports.createMandateOrder = async (req, res) => {
     
   } catch (error) {
     const totalDuration = Date.now() - startTime;
+    merchOrderId = merchOrderId || error.merchOrderId || null;
+    
+    if (error.code === 'ORDER_EXISTS') {
+      console.warn('[Order Controller] Merchant order ID already used:', {
+        requestId: requestId,
+        error: error.message,
+      });
+      
+      return res.status(409).json({
+        result_code: 'ORDER_EXISTS',
+        result_msg: error.message,
+        timestamp: tools.createTimeStamp(),
+        request_id: requestId,
+      });
+    }
+    
+    if (error.code === 'MANDATE_EXISTS') {
+      console.warn('[Order Controller] Contract number already has a mandate:', {
+        requestId: requestId,
+        error: error.message,
+      });
+      
+      return res.status(409).json({
+        result_code: 'MANDATE_EXISTS',
+        result_msg: error.message,
+        merch_order_id: merchOrderId,
+        timestamp: tools.createTimeStamp(),
+        request_id: requestId,
+      });
+    }
+    
+    if (error instanceof fabricClient.FabricError) {
+      console.warn('[Order Controller] Order creation failed', {
+        requestId: requestId,
+        code: error.code,
+        fabricCode: error.fabricCode,
+        duration: totalDuration + 'ms',
+      });
+      
+      // Only a rejection is the caller's to fix; an unconfirmed order stays
+      // PENDING and its status endpoint tells whether Fabric created it
+      return res.status(fabricClient.toHttpStatus(error)).json(Object.assign(fabricClient.isOutcomeUnknown(error) ? {
+        result_code: 'ORDER_UNCONFIRMED',
+        result_msg: 'Fabric did not confirm the order; query its status before retrying',
+        merch_order_id: merchOrderId,
+      } : {
+        result_code: error.fabricCode || 'ORDER_FAILED',
+        result_msg: error.fabricMessage || 'Order creation failed',
+      }, fabricClient.toErrorResponse(error), {
+        timestamp: tools.createTimeStamp(),
+        request_id: requestId,
+      }));
+    }
     
     console.error('[Order Controller] Unexpected error in createMandateOrder endpoint', {
       requestId: requestId,
@@ -453,23 +735,31 @@ exports.createMandateOrder = async (req, res) => {
 };
 
 /**
- * Get order details (mock/stub for future implementation)
+ * Get order details from the order store
  * @function getOrderDetails
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 exports.getOrderDetails = async (req, res) => {
   try {
-    const orderId = req.params.orderId;
+    const orderId = req.params.merchOrderId || req.params.orderId;
+    const order = await orderStore.getOrder(orderId);
     
-    // In a real implementation, you would fetch from database
-    // This is a stub for future implementation
+    if (!order) {
+      return res.status(404).json({
+        result_code: 'ORDER_NOT_FOUND',
+        result_msg: 'Order not found',
+        order_id: orderId,
+        timestamp: tools.createTimeStamp(),
+      });
+    }
     
     res.json({
       result_code: '0',
       result_msg: 'Order details retrieved',
-      order_id: orderId,
-      status: 'pending',
+      order_id: order.merch_order_id,
+      status: order.status,
+      order: order,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -483,30 +773,9 @@ exports.getOrderDetails = async (req, res) => {
 };
 
 /**
- * Cancel order (mock/stub for future implementation)
+ * Cancel order by closing it at Fabric
  * @function cancelOrder
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-exports.cancelOrder = async (req, res) => {
-  try {
-    const orderId = req.params.orderId;
-    
-    // In a real implementation, you would update order status in database
-    // and possibly call Fabric API to cancel
-    
-    res.json({
-      result_code: '0',
-      result_msg: 'Order cancelled successfully',
-      order_id: orderId,
-      cancelled_at: new Date().toISOString(),
-    });
-  } catch (error) {
-    console.error('[Order Controller] Error cancelling order:', error.message);
-    res.status(500).json({
-      result_code: 'ERROR',
-      result_msg: 'Failed to cancel order',
-      timestamp: tools.createTimeStamp(),
-    });
-  }
-};
\ No newline at end of file
+exports.cancelOrder = (req, res) => closeOrderService.cancelOrder(req, res);
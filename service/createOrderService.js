@@ -4,25 +4,23 @@
  * @version 2.0.0
  */
 
-const applyFabricTokenService = require('./applyFabricTokenService');
+const QRCode = require('qrcode');
+const fabricClient = require('./fabricClient');
 const tools = require('../utils/tools');
-const axios = require('axios');
 const config = require('../config/config');
-
-// Configure HTTP client for Fabric API
-const httpClient = axios.create({
-  baseURL: config.baseUrl,
-  timeout: config.apiTimeout || 15000,
-  headers: {
-    'Content-Type': 'application/json',
-    'X-APP-Key': config.fabricAppId,
-  },
-});
+const merchantRegistry = require('../config/merchantRegistry');
+const orderStore = require('../store/orderStore');
+const statusTicketService = require('./statusTicketService');
+const { markOrderFailed, markOrderUnconfirmed } = require('./orderLifecycle');
 
 /**
  * @typedef {Object} CreateOrderRequest
  * @property {string} title - Order title/description
  * @property {number|string} amount - Order amount
+ * @property {string} [merch_order_id] - Client-supplied merchant order ID
+ * @property {string} [redirect_url] - Where Fabric sends the customer after a web checkout
+ * @property {boolean} [redirect] - Answer a web checkout with a 303 redirect to the checkout page
+ * @property {string} [qr_format] - QR image formats to render: "svg", "png" or "both" (default)
  */
 
 /**
@@ -85,6 +83,53 @@ const logOrderRequest = (requestData, responseData, operation, duration) => {
   console.log('[Order Service] ' + JSON.stringify(logData));
 };
 
+/**
+ * Fabric trade types supported by the order endpoints
+ * @type {Object}
+ * @constant
+ */
+const TRADE_TYPES = {
+  IN_APP: 'InApp',
+  CHECKOUT: 'Checkout',
+  QR_CODE: 'QrCode',
+};
+
+/**
+ * QR image formats a client may ask for, and the images each renders
+ * @type {Object}
+ * @constant
+ */
+const QR_FORMATS = {
+  svg: ['svg'],
+  png: ['png'],
+  both: ['svg', 'png'],
+};
+
+/**
+ * Success messages by trade type
+ * @type {Object}
+ * @constant
+ */
+const RESULT_MESSAGES = {
+  [TRADE_TYPES.IN_APP]: 'Order created successfully',
+  [TRADE_TYPES.CHECKOUT]: 'Checkout order created successfully',
+  [TRADE_TYPES.QR_CODE]: 'QR order created successfully',
+};
+
+/**
+ * Longest accepted redirect_url
+ * @type {number}
+ * @constant
+ */
+const MAX_REDIRECT_URL_LENGTH = 512;
+
+/**
+ * Format of client-supplied merchant order IDs (Fabric allows letters, digits and underscores)
+ * @type {RegExp}
+ * @constant
+ */
+const MERCH_ORDER_ID_PATTERN = /^[A-Za-z0-9_]{1,64}$/;
+
 /**
  * Generates a unique merchant order ID
  * @private
@@ -97,66 +142,61 @@ const generateMerchantOrderId = () => {
 };
 
 /**
- * Creates a signed request object for Fabric pre-order API
+ * Creates the business content for Fabric pre-order API
  * @private
  * @param {string} title - Order title
  * @param {number} amount - Order amount
- * @returns {PreOrderRequest} Signed request object
+ * @param {string} merchOrderId - Merchant order ID
+ * @param {Merchant} merchant - Merchant the order is for
+ * @param {Object} [options] - Preorder options
+ * @param {string} [options.tradeType] - One of TRADE_TYPES (default InApp)
+ * @param {string} [options.redirectUrl] - Overrides the merchant's redirect URL
+ * @returns {Object} Business content
  */
-const createPreOrderRequest = (title, amount) => {
-  const baseRequest = {
-    timestamp: tools.createTimeStamp(),
-    nonce_str: tools.createNonceStr(),
-    method: 'payment.preorder',
-    version: '1.0',
-    biz_content: {
-      trade_type: 'InApp',
-      appid: config.merchantAppId,
-      merch_code: config.merchantCode,
-      merch_order_id: generateMerchantOrderId(),
-      title: title || 'Untitled Order',
-      total_amount: parseFloat(amount),
-      trans_currency: config.currency || 'ETB',
-      timeout_express: config.orderTimeout || '120m',
-      payee_identifier: config.payeeIdentifier || config.merchantCode,
-      payee_identifier_type: config.payeeIdentifierType || '04',
-      payee_type: config.payeeType || '5000',
-    },
+const createPreOrderBizContent = (title, amount, merchOrderId, merchant, options = {}) => {
+  const bizContent = {
+    trade_type: options.tradeType || TRADE_TYPES.IN_APP,
+    appid: merchant.merchantAppId,
+    merch_code: merchant.merchantCode,
+    merch_order_id: merchOrderId,
+    title: title || 'Untitled Order',
+    total_amount: parseFloat(amount),
+    trans_currency: merchant.currency || 'ETB',
+    timeout_express: config.orderTimeout || '120m',
+    payee_identifier: merchant.payeeIdentifier || merchant.merchantCode,
+    payee_identifier_type: merchant.payeeIdentifierType || '04',
+    payee_type: merchant.payeeType || '5000',
   };
 
   // Add optional fields if configured
-  if (config.notifyUrl) {
-    baseRequest.biz_content.notify_url = config.notifyUrl;
+  if (merchant.notifyUrl) {
+    bizContent.notify_url = merchant.notifyUrl;
   }
 
-  if (config.redirectUrl) {
-    baseRequest.biz_content.redirect_url = config.redirectUrl;
+  if (options.redirectUrl || merchant.redirectUrl) {
+    bizContent.redirect_url = options.redirectUrl || merchant.redirectUrl;
   }
 
-  const signature = tools.signRequestObject(baseRequest);
-  
-  return Object.assign({}, baseRequest, {
-    sign: signature,
-    sign_type: 'SHA256WithRSA',
-  });
+  return bizContent;
 };
 
 /**
  * Creates raw request string for client-side payment
  * @private
  * @param {string} prepayId - Prepayment ID from Fabric API
+ * @param {Merchant} merchant - Merchant the order is for
  * @returns {string} Raw request string for client SDK
  */
-const createRawRequestString = (prepayId) => {
+const createRawRequestString = (prepayId, merchant) => {
   const requestData = {
-    appid: config.merchantAppId,
-    merch_code: config.merchantCode,
+    appid: merchant.merchantAppId,
+    merch_code: merchant.merchantCode,
     nonce_str: tools.createNonceStr(),
     prepay_id: prepayId,
     timestamp: tools.createTimeStamp(),
   };
 
-  const signature = tools.signRequestObject(requestData);
+  const signature = tools.signRequestObject(requestData, merchant.privateKey);
   
   // Order parameters by ASCII code (as required by Fabric API)
   const rawRequest = [
@@ -172,15 +212,152 @@ const createRawRequestString = (prepayId) => {
   return rawRequest;
 };
 
+/**
+ * Creates the signed Fabric web checkout URL for a prepay ID.
+ * The customer pays on this page in any browser, without the super-app.
+ * @private
+ * @param {string} prepayId - Prepayment ID from Fabric API
+ * @param {Merchant} merchant - Merchant the order is for
+ * @returns {string} Checkout URL
+ */
+const createCheckoutUrl = (prepayId, merchant) => {
+  const pageUrl = merchant.webCheckoutUrl || config.webCheckoutUrl;
+  const separator = pageUrl.indexOf('?') === -1 ? '?' : /[?&]$/.test(pageUrl) ? '' : '&';
+
+  return pageUrl + separator + createRawRequestString(prepayId, merchant) +
+    '&version=1.0&trade_type=' + TRADE_TYPES.CHECKOUT;
+};
+
+/**
+ * Renders a QR payload as images, locally and without any external service
+ * @private
+ * @async
+ * @param {string} payload - QR payload returned by Fabric
+ * @param {string[]} formats - Image formats to render ("svg", "png")
+ * @returns {Promise<Object>} { svg: SVG markup, png: PNG data URL } for the requested formats
+ */
+const renderQrImages = async (payload, formats) => {
+  const options = {
+    errorCorrectionLevel: config.qrCode.errorCorrectionLevel,
+    margin: config.qrCode.margin,
+    width: config.qrCode.width,
+  };
+  const images = {};
+
+  if (formats.includes('svg')) {
+    images.svg = await QRCode.toString(payload, Object.assign({ type: 'svg' }, options));
+  }
+
+  if (formats.includes('png')) {
+    images.png = await QRCode.toDataURL(payload, Object.assign({ type: 'image/png' }, options));
+  }
+
+  return images;
+};
+
+/**
+ * Builds what the client needs to start the payment for a trade type,
+ * and the fields stored with the order
+ * @private
+ * @async
+ * @param {string} tradeType - One of TRADE_TYPES
+ * @param {Object} bizContent - biz_content of the preorder response
+ * @param {Merchant} merchant - Merchant the order is for
+ * @param {Object} body - Request body
+ * @returns {Promise<{patch: Object, payment: Object}>} Order fields and response fields
+ * @throws {FabricError} If a QR preorder response carries no QR payload
+ */
+const createClientPayment = async (tradeType, bizContent, merchant, body) => {
+  const prepayId = bizContent.prepay_id;
+  const rawRequest = createRawRequestString(prepayId, merchant);
+
+  if (tradeType === TRADE_TYPES.CHECKOUT) {
+    const checkoutUrl = createCheckoutUrl(prepayId, merchant);
+
+    return {
+      patch: {
+        prepay_id: prepayId,
+        raw_request: rawRequest,
+        checkout_url: checkoutUrl,
+        redirect_url: body.redirect_url || merchant.redirectUrl || null,
+      },
+      payment: { checkout_url: checkoutUrl },
+    };
+  }
+
+  if (tradeType === TRADE_TYPES.QR_CODE) {
+    if (!bizContent.qr_code) {
+      throw new fabricClient.FabricError(fabricClient.FABRIC_ERROR_TYPES.INVALID_RESPONSE, 'Response missing qr_code', {
+        method: 'payment.preorder',
+        data: bizContent,
+      });
+    }
+
+    // Fabric already issued the order, so a failed render only drops the images
+    const qrImage = await renderQrImages(bizContent.qr_code, QR_FORMATS[body.qr_format || 'both']).catch(error => {
+      console.error('[Order Service] Failed to render QR images:', {
+        prepayId: prepayId,
+        error: error.message,
+      });
+      return null;
+    });
+
+    return {
+      patch: { prepay_id: prepayId, qr_code: bizContent.qr_code },
+      payment: qrImage ? { qr_code: bizContent.qr_code, qr_image: qrImage } : { qr_code: bizContent.qr_code },
+    };
+  }
+
+  return {
+    patch: { prepay_id: prepayId, raw_request: rawRequest },
+    payment: { rawRequest: rawRequest },
+  };
+};
+
+/**
+ * Checks that a redirect URL is an absolute http(s) URL
+ * @private
+ * @param {*} value - Client-supplied redirect URL
+ * @returns {boolean} True if valid
+ */
+const isValidRedirectUrl = (value) => {
+  if (typeof value !== 'string' || value.length > MAX_REDIRECT_URL_LENGTH) {
+    return false;
+  }
+
+  try {
+    const protocol = new URL(value).protocol;
+    return protocol === 'https:' || protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
+};
+
 /**
  * Validates create order request parameters
  * @private
- * @param {CreateOrderRequest} requestBody - Request body
+ * @param {string} title - Order title
+ * @param {number|string} amount - Order amount
+ * @param {string} [merchOrderId] - Client-supplied merchant order ID
+ * @param {string} [redirectUrl] - Client-supplied redirect URL
+ * @param {string} [qrFormat] - Client-supplied QR image format
  * @returns {Object} Validation result with isValid flag and errors array
  */
-const validateOrderRequest = (title, amount) => {
+const validateOrderRequest = (title, amount, merchOrderId, redirectUrl, qrFormat) => {
   const errors = [];
   
+  if (qrFormat !== undefined && !Object.prototype.hasOwnProperty.call(QR_FORMATS, qrFormat)) {
+    errors.push('qr_format must be one of: ' + Object.keys(QR_FORMATS).join(', '));
+  }
+  
+  if (redirectUrl !== undefined && !isValidRedirectUrl(redirectUrl)) {
+    errors.push('redirect_url must be an http(s) URL of at most ' + MAX_REDIRECT_URL_LENGTH + ' characters');
+  }
+  
+  if (merchOrderId !== undefined && (typeof merchOrderId !== 'string' || !MERCH_ORDER_ID_PATTERN.test(merchOrderId))) {
+    errors.push('merch_order_id must be 1-64 letters, digits or underscores');
+  }
+  
   if (!title || typeof title !== 'string' || title.trim() === '') {
     errors.push('Valid title is required');
   } else if (title.length > 256) {
@@ -210,109 +387,78 @@ const validateOrderRequest = (title, amount) => {
  * Requests order creation from Fabric API
  * @async
  * @function requestCreateOrder
- * @param {string} fabricToken - Fabric API authentication token
  * @param {string} title - Order title
  * @param {number} amount - Order amount
+ * @param {string} [merchOrderId] - Merchant order ID (generated if omitted)
+ * @param {Merchant} [merchant] - Merchant the order is for (defaults to the default merchant)
+ * @param {Object} [options] - Preorder options ({ tradeType, redirectUrl })
  * @returns {Promise<CreateOrderResponse>} Order creation result
- * @throws {Error} If API request fails
+ * @throws {FabricError} If the API request fails or Fabric rejects the order
  */
-exports.requestCreateOrder = async (fabricToken, title, amount) => {
-  const requestObject = createPreOrderRequest(title, amount);
+exports.requestCreateOrder = async (title, amount, merchOrderId = generateMerchantOrderId(), merchant = merchantRegistry.getDefaultMerchant(), options = {}) => {
+  const requestData = { biz_content: createPreOrderBizContent(title, amount, merchOrderId, merchant, options) };
   const startTime = Date.now();
   
-  try {
-    console.log('[Order Service] Creating order:', {
-      title: title,
-      amount: amount,
-      merchantOrderId: requestObject.biz_content.merch_order_id,
-    });
+  console.log('[Order Service] Creating order:', {
+    title: title,
+    amount: amount,
+    merchantOrderId: merchOrderId,
+    tradeType: requestData.biz_content.trade_type,
+  });
 
-    const response = await httpClient.post('/payment/v1/merchant/preOrder', requestObject, {
-      headers: {
-        Authorization: fabricToken,
-      },
+  try {
+    const responseData = await fabricClient.call('/payment/v1/merchant/preOrder', 'payment.preorder', requestData.biz_content, {
+      merchant: merchant,
     });
-
-    const responseData = response.data;
-    const duration = Date.now() - startTime;
-    
-    logOrderRequest(requestObject, responseData, 'createOrder', duration);
     
-    if (!responseData) {
-      throw new Error('Empty response from Fabric API');
-    }
+    logOrderRequest(requestData, responseData, 'createOrder', Date.now() - startTime);
     
     // Validate response structure
     if (!responseData.biz_content || !responseData.biz_content.prepay_id) {
       console.warn('[Order Service] Response missing prepay_id:', responseData);
-      
-      if (responseData.result_code !== '0') {
-        throw new Error(`Order creation failed: ${responseData.result_msg || 'Unknown error'}`);
-      }
+      throw new fabricClient.FabricError(fabricClient.FABRIC_ERROR_TYPES.INVALID_RESPONSE, 'Response missing prepay_id', {
+        method: 'payment.preorder',
+        data: responseData,
+      });
     }
     
     console.log('[Order Service] Order created successfully:', {
       prepayId: responseData.biz_content.prepay_id,
-      merchantOrderId: responseData.biz_content.merch_order_id,
+      merchantOrderId: merchOrderId,
     });
     
     return responseData;
   } catch (error) {
-    const duration = Date.now() - startTime;
-    
-    const errorData = {
+    console.error('[Order Service] Order creation failed:', {
       operation: 'createOrder',
       error: error.message,
-      status: error.response && error.response.status,
-      data: error.response && error.response.data,
-      duration: duration + 'ms',
-      requestId: requestObject.nonce_str,
+      code: error.code,
+      duration: (Date.now() - startTime) + 'ms',
       title: title,
       amount: amount,
-    };
-    
-    console.error('[Order Service] Order creation failed:', errorData);
-    
-    // Create a user-friendly error response
-    let errorMessage = 'Order creation failed';
-    let errorCode = 'REQUEST_FAILED';
-    
-    if (error.response) {
-      errorCode = error.response.status ? error.response.status.toString() : 'API_ERROR';
-      if (error.response.data && error.response.data.error_msg) {
-        errorMessage = error.response.data.error_msg;
-      }
-    }
+    });
     
-    // Throw error with context
-    const enhancedError = new Error(errorMessage);
-    enhancedError.code = errorCode;
-    enhancedError.details = errorData;
-    throw enhancedError;
+    throw error;
   }
 };
 
 /**
- * Handles order creation requests
+ * Creates an order of the given trade type and answers the request.
+ * InApp orders return the rawRequest for the super-app SDK; Checkout
+ * orders return the web checkout URL, or redirect to it when asked to;
+ * QrCode orders return the QR payload and its rendered images, or the
+ * payload alone if the images cannot be rendered.
+ * @private
  * @async
- * @function createOrder
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @returns {Promise<string>} Raw request string for client SDK
- * 
- * @example
- * // Request body:
- * {
- *   "title": "Monthly Subscription",
- *   "amount": 100.50
- * }
- * 
- * // Response:
- * "appid=...&merch_code=...&prepay_id=...&timestamp=...&sign=...&sign_type=SHA256WithRSA"
+ * @param {string} tradeType - One of TRADE_TYPES
  */
-exports.createOrder = async (req, res) => {
+const handleCreateOrder = async (req, res, tradeType) => {
   const startTime = Date.now();
   const requestId = tools.createNonceStr();
+  const merchant = req.merchant || merchantRegistry.getDefaultMerchant();
+  let merchantOrderId = null;
   
   try {
     console.log('[Order Service] Processing order request:', {
@@ -321,10 +467,11 @@ exports.createOrder = async (req, res) => {
       timestamp: new Date().toISOString(),
     });
 
-    const { title, amount } = req.body;
+    const { title, amount, merch_order_id, redirect_url, qr_format } = req.body;
     
     // Validate request parameters
-    const validation = validateOrderRequest(title, amount);
+    const validation = validateOrderRequest(title, amount, merch_order_id, redirect_url,
+      tradeType === TRADE_TYPES.QR_CODE ? qr_format : undefined);
     if (!validation.isValid) {
       console.warn('[Order Service] Validation failed:', {
         requestId: requestId,
@@ -340,39 +487,34 @@ exports.createOrder = async (req, res) => {
       });
     }
 
-    // Obtain Fabric API token
-    console.log('[Order Service] Obtaining Fabric token...');
-    const fabricTokenResult = await applyFabricTokenService();
-    const fabricToken = fabricTokenResult && fabricTokenResult.token;
-    
-    if (!fabricToken) {
-      throw new Error('Failed to obtain Fabric API token');
-    }
-
-    console.log('[Order Service] Fabric token obtained successfully');
+    // Record the order before calling Fabric so failures are tracked too
+    const order = await orderStore.createOrder({
+      merch_order_id: merch_order_id || generateMerchantOrderId(),
+      title: title,
+      amount: amount,
+      currency: merchant.currency || 'ETB',
+      trade_type: tradeType,
+      open_id: req.customer ? req.customer.open_id : null,
+      merchant_id: merchant.id,
+    });
+    merchantOrderId = order.merch_order_id;
 
     // Create order with Fabric API
-    const createOrderResult = await exports.requestCreateOrder(fabricToken, title, amount);
-    
-    // Check if order creation was successful
-    if (createOrderResult.result_code !== '0' || !createOrderResult.biz_content || !createOrderResult.biz_content.prepay_id) {
-      console.warn('[Order Service] API returned error:', createOrderResult);
-      
-      return res.status(400).json({
-        result_code: createOrderResult.result_code || 'ORDER_FAILED',
-        result_msg: createOrderResult.result_msg || 'Order creation failed',
-        error_code: createOrderResult.error_code,
-        error_msg: createOrderResult.error_msg,
-        timestamp: tools.createTimeStamp(),
-        request_id: requestId,
-      });
-    }
+    const createOrderResult = await exports.requestCreateOrder(title, amount, merchantOrderId, merchant, {
+      tradeType: tradeType,
+      redirectUrl: redirect_url,
+    });
 
     const prepayId = createOrderResult.biz_content.prepay_id;
-    const merchantOrderId = createOrderResult.biz_content.merch_order_id;
     
-    // Create raw request for client SDK
-    const rawRequest = createRawRequestString(prepayId);
+    // Raw request for the client SDK, checkout page URL for browsers or QR code for kiosks
+    const clientPayment = await createClientPayment(tradeType, createOrderResult.biz_content, merchant, req.body);
+    
+    const pendingOrder = await orderStore.transition(merchantOrderId, orderStore.ORDER_STATES.PENDING,
+      clientPayment.patch, 'preorder_created');
+    
+    // Lets the frontend watch the order over /ws instead of polling
+    const statusTicket = statusTicketService.issueTicket(pendingOrder);
     
     const totalDuration = Date.now() - startTime;
     
@@ -380,26 +522,78 @@ exports.createOrder = async (req, res) => {
       requestId: requestId,
       prepayId: prepayId,
       merchantOrderId: merchantOrderId,
+      tradeType: tradeType,
       duration: totalDuration + 'ms',
     });
 
-    // Send success response with raw request
-    const response = {
+    // Send success response with what the client needs to start the payment
+    const response = Object.assign({
       result_code: '0',
-      result_msg: 'Order created successfully',
-      rawRequest: rawRequest,
+      result_msg: RESULT_MESSAGES[tradeType],
+    }, clientPayment.payment, {
       prepay_id: prepayId,
       merch_order_id: merchantOrderId,
+      status_ticket: statusTicket.ticket,
+      status_ticket_expires_at: statusTicket.expires_at,
       request_id: requestId,
       timestamp: tools.createTimeStamp(),
       processed_at: new Date().toISOString(),
-    };
+    });
+    
+    // Browsers posting a form can be sent straight to the checkout page
+    if (tradeType === TRADE_TYPES.CHECKOUT && (req.body.redirect === true || req.body.redirect === 'true')) {
+      res.status(303).location(response.checkout_url);
+    }
     
     return res.json(response);
     
   } catch (error) {
     const totalDuration = Date.now() - startTime;
     
+    const unconfirmed = error instanceof fabricClient.FabricError && fabricClient.isOutcomeUnknown(error);
+    
+    if (merchantOrderId && unconfirmed) {
+      await markOrderUnconfirmed(merchantOrderId);
+    } else if (merchantOrderId) {
+      await markOrderFailed(merchantOrderId, error instanceof fabricClient.FabricError ? 'preorder_rejected' : 'preorder_error');
+    }
+    
+    if (error.code === 'ORDER_EXISTS') {
+      console.warn('[Order Service] Merchant order ID already used:', {
+        requestId: requestId,
+        error: error.message,
+      });
+      
+      return res.status(409).json({
+        result_code: 'ORDER_EXISTS',
+        result_msg: error.message,
+        timestamp: tools.createTimeStamp(),
+        request_id: requestId,
+      });
+    }
+    
+    if (error instanceof fabricClient.FabricError) {
+      console.warn('[Order Service] API returned error:', {
+        requestId: requestId,
+        code: error.code,
+        fabricCode: error.fabricCode,
+      });
+      
+      // Only a rejection is the caller's to fix; an unconfirmed order stays
+      // PENDING and its status endpoint tells whether Fabric created it
+      return res.status(fabricClient.toHttpStatus(error)).json(Object.assign(unconfirmed ? {
+        result_code: 'ORDER_UNCONFIRMED',
+        result_msg: 'Fabric did not confirm the order; query its status before retrying',
+        merch_order_id: merchantOrderId,
+      } : {
+        result_code: error.fabricCode || 'ORDER_FAILED',
+        result_msg: error.fabricMessage || 'Order creation failed',
+      }, fabricClient.toErrorResponse(error), {
+        timestamp: tools.createTimeStamp(),
+        request_id: requestId,
+      }));
+    }
+    
     console.error('[Order Service] Unexpected error in createOrder:', {
       requestId: requestId,
       error: error.message,
@@ -423,21 +617,91 @@ exports.createOrder = async (req, res) => {
 };
 
 /**
- * Get order status (stub for future implementation)
+ * Handles order creation requests for the telebirr super-app (InApp)
+ * @async
+ * @function createOrder
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * 
+ * @example
+ * // Request body:
+ * {
+ *   "title": "Monthly Subscription",
+ *   "amount": 100.50,
+ *   "merch_order_id": "INV_2024_0042"  // optional; generated if omitted
+ * }
+ * 
+ * // Response (rawRequest is handed to the client SDK):
+ * { "result_code": "0", "rawRequest": "appid=...&merch_code=...&prepay_id=...&timestamp=...&sign=...&sign_type=SHA256WithRSA", ... }
+ */
+exports.createOrder = (req, res) => handleCreateOrder(req, res, TRADE_TYPES.IN_APP);
+
+/**
+ * Handles web checkout order creation, for customers paying in a desktop
+ * or mobile browser instead of the super-app
+ * @async
+ * @function createCheckoutOrder
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * 
+ * @example
+ * // Request body:
+ * {
+ *   "title": "Concert Ticket",
+ *   "amount": 250,
+ *   "redirect_url": "https://shop.example/orders/42/thanks",  // optional; defaults to REDIRECT_URL
+ *   "redirect": true  // optional; answer 303 with Location: checkout_url
+ * }
+ * 
+ * // Response:
+ * { "result_code": "0", "checkout_url": "https://.../payment/web/paygate?appid=...&sign=...&version=1.0&trade_type=Checkout", ... }
+ */
+exports.createCheckoutOrder = (req, res) => handleCreateOrder(req, res, TRADE_TYPES.CHECKOUT);
+
+/**
+ * Handles QR code order creation for point-of-sale and kiosk use. The QR
+ * payload from Fabric is rendered locally as SVG and/or PNG; the customer
+ * scans it with the telebirr app, and the kiosk watches the order with the
+ * returned status_ticket until the payment lands.
+ * @async
+ * @function createQrOrder
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * 
+ * @example
+ * // Request body:
+ * {
+ *   "title": "Coffee",
+ *   "amount": 85,
+ *   "qr_format": "svg"  // optional; "svg", "png" or "both" (default)
+ * }
+ * 
+ * // Response:
+ * { "result_code": "0", "qr_code": "...", "qr_image": { "svg": "<svg ...>" }, "status_ticket": "...", ... }
+ */
+exports.createQrOrder = (req, res) => handleCreateOrder(req, res, TRADE_TYPES.QR_CODE);
+
+/**
+ * Get order status from the order store
  * @async
  * @function getOrderStatus
- * @param {string} prepayId - Prepayment ID
- * @returns {Promise<Object>} Order status
+ * @param {string} orderId - Merchant order ID or prepay ID
+ * @returns {Promise<Object|null>} Order status, or null if the order is unknown
  */
-exports.getOrderStatus = async (prepayId) => {
-  // This is a stub for future implementation
-  // In a real implementation, you would query Fabric API or your database
-  console.log('[Order Service] Getting order status for prepayId:', prepayId);
+exports.getOrderStatus = async (orderId) => {
+  console.log('[Order Service] Getting order status for:', orderId);
+  
+  const order = await orderStore.getOrder(orderId) || await orderStore.findByPrepayId(orderId);
+  
+  if (!order) {
+    return null;
+  }
   
   return {
-    prepay_id: prepayId,
-    status: 'pending',
-    last_updated: new Date().toISOString(),
+    merch_order_id: order.merch_order_id,
+    prepay_id: order.prepay_id,
+    status: order.status,
+    last_updated: order.updated_at,
   };
 };
 
@@ -457,4 +721,6 @@ exports.validateRawRequest = (rawRequest) => {
   return requiredParams.every(param => rawRequest.includes(param));
 };
 
+exports.TRADE_TYPES = TRADE_TYPES;
+
 module.exports = exports;
@@ -0,0 +1,210 @@
+/**
+ * @module services/customerService
+ * @description Customer profiles of signed-in customers and their own orders and mandates
+ * (the /api/v1/me endpoints, scoped to the request's customer session)
+ * @version 1.0.0
+ */
+
+const tools = require('../utils/tools');
+const merchantRegistry = require('../config/merchantRegistry');
+const orderStore = require('../store/orderStore');
+const mandateStore = require('../store/mandateStore');
+const customerStore = require('../store/customerStore');
+
+const { ORDER_STATES } = orderStore;
+const { MANDATE_STATES } = mandateStore;
+
+/**
+ * Longest display name kept from Fabric's user info
+ * @type {number}
+ * @constant
+ */
+const MAX_DISPLAY_NAME_LENGTH = 128;
+
+/**
+ * Sends a customer error response
+ * @private
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status
+ * @param {string} code - Result code
+ * @param {string} message - Result message
+ * @param {string} requestId - Request ID
+ * @param {Object} [extra] - Additional fields
+ */
+const sendCustomerError = (res, status, code, message, requestId, extra) => res.status(status).json(Object.assign({
+  result_code: code,
+  result_msg: message,
+}, extra, {
+  timestamp: tools.createTimeStamp(),
+  request_id: requestId,
+}));
+
+/**
+ * Reads the customer's display name from a payment.authtoken response
+ * @private
+ * @param {Object} bizContent - biz_content of the response
+ * @returns {string|null} Display name, or null if Fabric returned none
+ */
+const getDisplayName = (bizContent) => {
+  const name = bizContent && (bizContent.nickName || bizContent.nick_name);
+  return typeof name === 'string' && name.trim() !== ''
+    ? name.trim().slice(0, MAX_DISPLAY_NAME_LENGTH)
+    : null;
+};
+
+/**
+ * Reads and validates the ?status filter of a listing request
+ * @private
+ * @param {Object} req - Express request object
+ * @param {Object} states - Allowed states
+ * @returns {{status: string|undefined, error: string|null}} Status filter, or an error
+ */
+const readStatusFilter = (req, states) => {
+  const status = req.query.status ? String(req.query.status).toUpperCase() : undefined;
+
+  if (status && !Object.values(states).includes(status)) {
+    return { status: undefined, error: 'status must be one of ' + Object.values(states).join(', ') };
+  }
+
+  return { status: status, error: null };
+};
+
+/**
+ * Records a customer verified by payment.authtoken
+ * @async
+ * @function recordSignIn
+ * @param {string} openId - Customer open_id
+ * @param {Merchant} merchant - Merchant the customer signed in to
+ * @param {Object} [bizContent] - biz_content of the payment.authtoken response (user info)
+ * @returns {Promise<CustomerRecord>} The stored customer
+ */
+exports.recordSignIn = (openId, merchant, bizContent) => customerStore.recordSignIn(merchant.id, openId, {
+  display_name: getDisplayName(bizContent),
+});
+
+/**
+ * Handles profile requests of the session customer; mandates lists the
+ * contract numbers of the customer's mandates, newest first, read from the
+ * mandate store like GET /api/v1/me/mandates
+ * @async
+ * @function getProfile
+ * @param {Object} req - Express request object (req.customer set by middleware/customerSession)
+ * @param {Object} res - Express response object
+ *
+ * @example
+ * // GET /api/v1/me  (Authorization: Bearer <session_token>)
+ * {
+ *   "result_code": "0",
+ *   "customer": {
+ *     "open_id": "...",
+ *     "display_name": "Abebe",
+ *     "first_seen_at": "2024-06-01T08:00:00.000Z",
+ *     "last_seen_at": "2024-06-12T10:30:00.000Z",
+ *     "mandates": ["CONTRACT_123456"],
+ *     ...
+ *   }
+ * }
+ */
+exports.getProfile = async (req, res) => {
+  const requestId = tools.createNonceStr();
+
+  try {
+    const customer = await customerStore.getCustomer(req.customer.merchant_id, req.customer.open_id);
+    if (!customer) {
+      return sendCustomerError(res, 404, 'CUSTOMER_NOT_FOUND', 'Customer not found', requestId);
+    }
+
+    const mandates = await mandateStore.listMandates({
+      merchantId: req.customer.merchant_id,
+      openId: req.customer.open_id,
+    });
+
+    return res.json({
+      result_code: '0',
+      result_msg: 'Customer retrieved',
+      customer: Object.assign({}, customer, {
+        mandates: mandates.map(mandate => mandate.contract_no),
+      }),
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    console.error('[Customer Service] getProfile failed:', { requestId: requestId, error: error.message });
+    return sendCustomerError(res, 500, 'INTERNAL_ERROR', 'Failed to fetch customer', requestId);
+  }
+};
+
+/**
+ * Handles order history requests of the session customer, newest first,
+ * optionally filtered by status
+ * @async
+ * @function listOrders
+ * @param {Object} req - Express request object (req.customer set by middleware/customerSession)
+ * @param {Object} res - Express response object
+ */
+exports.listOrders = async (req, res) => {
+  const requestId = tools.createNonceStr();
+  const filter = readStatusFilter(req, ORDER_STATES);
+
+  if (filter.error) {
+    return sendCustomerError(res, 400, 'VALIDATION_ERROR', 'Invalid request parameters', requestId, {
+      errors: [filter.error],
+    });
+  }
+
+  try {
+    const { merchant_id: merchantId, open_id: openId } = req.customer;
+    const orders = await orderStore.listOrders(order => order.open_id === openId &&
+      merchantRegistry.resolveMerchant(order.merchant_id).id === merchantId &&
+      (!filter.status || order.status === filter.status));
+
+    return res.json({
+      result_code: '0',
+      result_msg: 'Orders retrieved',
+      orders: orders,
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    console.error('[Customer Service] listOrders failed:', { requestId: requestId, error: error.message });
+    return sendCustomerError(res, 500, 'INTERNAL_ERROR', 'Failed to list orders', requestId);
+  }
+};
+
+/**
+ * Handles mandate listing requests of the session customer, newest first,
+ * optionally filtered by status
+ * @async
+ * @function listMandates
+ * @param {Object} req - Express request object (req.customer set by middleware/customerSession)
+ * @param {Object} res - Express response object
+ */
+exports.listMandates = async (req, res) => {
+  const requestId = tools.createNonceStr();
+  const filter = readStatusFilter(req, MANDATE_STATES);
+
+  if (filter.error) {
+    return sendCustomerError(res, 400, 'VALIDATION_ERROR', 'Invalid request parameters', requestId, {
+      errors: [filter.error],
+    });
+  }
+
+  try {
+    const mandates = await mandateStore.listMandates({
+      merchantId: req.customer.merchant_id,
+      openId: req.customer.open_id,
+      status: filter.status,
+    });
+
+    return res.json({
+      result_code: '0',
+      result_msg: 'Mandates retrieved',
+      mandates: mandates,
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    console.error('[Customer Service] listMandates failed:', { requestId: requestId, error: error.message });
+    return sendCustomerError(res, 500, 'INTERNAL_ERROR', 'Failed to list mandates', requestId);
+  }
+};
@@ -0,0 +1,148 @@
+/**
+ * @module services/customerSessionService
+ * @description Signed customer sessions issued once Fabric has verified a customer's authToken
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const pmlib = require('../utils/sign-util-lib');
+
+/**
+ * Customer session error codes
+ * @type {Object}
+ * @constant
+ */
+const SESSION_ERRORS = {
+  SESSION_REQUIRED: 'SESSION_REQUIRED',
+  SESSION_INVALID: 'SESSION_INVALID',
+  SESSION_EXPIRED: 'SESSION_EXPIRED',
+  SESSION_MERCHANT_MISMATCH: 'SESSION_MERCHANT_MISMATCH',
+};
+
+/**
+ * JWS algorithm of session tokens
+ * @type {string}
+ * @constant
+ */
+const SESSION_ALGORITHM = 'HS256';
+
+/**
+ * kid header of session tokens
+ * @type {string}
+ * @constant
+ */
+const SESSION_KEY_ID = 'customer-session';
+
+/**
+ * @typedef {Object} CustomerSession
+ * @property {string} session_id - Unique ID of the session (jti claim)
+ * @property {string} open_id - Customer open_id verified by payment.authtoken
+ * @property {string} merchant_id - Merchant the customer signed in to
+ * @property {number} issued_at - Unix time (seconds) the session was issued
+ * @property {number} expires_at - Unix time (seconds) after which the session is refused
+ */
+
+/**
+ * HMAC key; generated per process when no secret is configured, which
+ * invalidates outstanding sessions on restart
+ * @type {Object}
+ */
+const sessionKey = config.customerSessions.secret
+  ? { utf8: config.customerSessions.secret }
+  : { hex: crypto.randomBytes(32).toString('hex') };
+
+/**
+ * Creates an error carrying a session error code and HTTP status
+ * @private
+ * @param {string} code - One of SESSION_ERRORS
+ * @param {string} message - Error message
+ * @returns {Error} Error with code and status 401
+ */
+const createSessionError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = 401;
+  return error;
+};
+
+/**
+ * Issues a session for a customer verified by payment.authtoken
+ * @function issueSession
+ * @param {string} openId - Customer open_id returned by Fabric
+ * @param {Merchant} merchant - Merchant the customer signed in to
+ * @param {number} [ttlSeconds] - Lifetime (defaults to config.customerSessions.ttlSeconds)
+ * @returns {{session_token: string, token_type: string, expires_at: number}} Session JWT and its unix expiry
+ *
+ * @example
+ * const { session_token } = issueSession(verificationResult.open_id, req.merchant);
+ * // Authorization: Bearer <session_token>
+ */
+const issueSession = (openId, merchant, ttlSeconds = config.customerSessions.ttlSeconds) => {
+  const token = pmlib.createJws(sessionKey, {
+    iss: config.customerSessions.issuer,
+    sub: openId,
+    mid: merchant.id,
+  }, {}, ttlSeconds, SESSION_ALGORITHM, SESSION_KEY_ID);
+
+  return {
+    session_token: token,
+    token_type: 'Bearer',
+    expires_at: pmlib.rs.jws.JWS.parse(token).payloadObj.exp,
+  };
+};
+
+/**
+ * Verifies a session token and returns the customer it belongs to
+ * @function verifySession
+ * @param {string} token - Session JWT from issueSession()
+ * @returns {CustomerSession} Decoded session
+ * @throws {Error} With code SESSION_INVALID or SESSION_EXPIRED and status 401
+ */
+const verifySession = (token) => {
+  if (!token || typeof token !== 'string' || token.split('.').length !== 3) {
+    throw createSessionError(SESSION_ERRORS.SESSION_INVALID, 'Customer session is malformed');
+  }
+
+  let parsed;
+  try {
+    parsed = pmlib.rs.jws.JWS.parse(token);
+  } catch (error) {
+    throw createSessionError(SESSION_ERRORS.SESSION_INVALID, 'Customer session is malformed');
+  }
+
+  const payload = parsed.payloadObj;
+  if (!parsed.headerObj || parsed.headerObj.kid !== SESSION_KEY_ID || !payload ||
+      typeof payload.sub !== 'string' || typeof payload.mid !== 'string') {
+    throw createSessionError(SESSION_ERRORS.SESSION_INVALID, 'Customer session is malformed');
+  }
+
+  let signatureValid;
+  try {
+    signatureValid = pmlib.rs.jws.JWS.verify(token, sessionKey, [SESSION_ALGORITHM]);
+  } catch (error) {
+    signatureValid = false;
+  }
+
+  if (!signatureValid || payload.iss !== config.customerSessions.issuer) {
+    throw createSessionError(SESSION_ERRORS.SESSION_INVALID, 'Customer session signature is invalid');
+  }
+
+  if (typeof payload.exp !== 'number' || payload.exp <= Math.floor(Date.now() / 1000)) {
+    throw createSessionError(SESSION_ERRORS.SESSION_EXPIRED, 'Customer session has expired');
+  }
+
+  return {
+    session_id: payload.jti,
+    open_id: payload.sub,
+    merchant_id: payload.mid,
+    issued_at: payload.iat,
+    expires_at: payload.exp,
+  };
+};
+
+module.exports = {
+  issueSession,
+  verifySession,
+  SESSION_ERRORS,
+};
@@ -0,0 +1,462 @@
+/**
+ * @module services/fabricClient
+ * @description Shared HTTP client for Fabric API: transport, token injection, request signing, response parsing and retries
+ * @version 1.0.0
+ */
+
+const axios = require('axios');
+const https = require('https');
+const config = require('../config/config');
+const merchantRegistry = require('../config/merchantRegistry');
+const tools = require('../utils/tools');
+
+/**
+ * Fabric error types
+ * @type {Object}
+ * @constant
+ */
+const FABRIC_ERROR_TYPES = {
+  HTTP: 'FABRIC_HTTP_ERROR',
+  NETWORK: 'FABRIC_NETWORK_ERROR',
+  TIMEOUT: 'FABRIC_TIMEOUT',
+  BUSINESS: 'FABRIC_BUSINESS_ERROR',
+  INVALID_RESPONSE: 'FABRIC_INVALID_RESPONSE',
+  TOKEN: 'FABRIC_TOKEN_ERROR',
+};
+
+/**
+ * Error raised for every failed Fabric call
+ * @class FabricError
+ * @extends Error
+ * @property {string} code - One of FABRIC_ERROR_TYPES
+ * @property {number|null} httpStatus - HTTP status returned by Fabric, if any
+ * @property {string|null} fabricCode - Error/result code reported by Fabric, if any
+ * @property {string|null} fabricMessage - Error message reported by Fabric, if any
+ * @property {string|null} path - Fabric endpoint
+ * @property {string|null} method - Fabric API method (e.g. "payment.preorder")
+ * @property {Object|null} data - Raw response body
+ * @property {boolean} requestSent - False when the call failed before its request was sent
+ */
+class FabricError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'FabricError';
+    this.code = code;
+    this.httpStatus = details.httpStatus || null;
+    this.fabricCode = details.fabricCode || null;
+    this.fabricMessage = details.fabricMessage || null;
+    this.path = details.path || null;
+    this.method = details.method || null;
+    this.data = details.data || null;
+    this.requestSent = details.requestSent !== false;
+  }
+}
+
+// Single HTTP client for Fabric API; base URL and X-APP-Key are set per merchant
+const httpClient = axios.create({
+  baseURL: config.baseUrl,
+  timeout: config.apiTimeout || 30000,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+  httpsAgent: new https.Agent({ rejectUnauthorized: config.fabricTlsRejectUnauthorized !== false }),
+});
+
+if (config.enableApiLogging) {
+  httpClient.interceptors.request.use(function(request) {
+    console.log('[Fabric Client] ' + (request.method ? request.method.toUpperCase() : 'GET') + ' ' + (request.url || ''));
+    return request;
+  });
+}
+
+/**
+ * Reads the error/result code and message from a Fabric response envelope.
+ * Fabric uses both { result_code, result_msg } and { result, code, msg };
+ * either shape is accepted.
+ * @private
+ * @param {Object} data - Response body
+ * @returns {{failed: boolean, code: string|null, message: string|null}} Envelope status
+ */
+const readEnvelope = (data) => {
+  const code = data.error_code || data.result_code || data.code || null;
+  const message = data.error_msg || data.result_msg || data.msg || null;
+  const failed = Boolean(data.error_code) ||
+    (data.result_code !== undefined && String(data.result_code) !== '0') ||
+    (data.result !== undefined && data.result !== 'SUCCESS') ||
+    (data.result === undefined && data.result_code === undefined &&
+      data.code !== undefined && String(data.code) !== '0');
+
+  return { failed: failed, code: code !== null ? String(code) : null, message: message };
+};
+
+/**
+ * Converts an axios error into a FabricError
+ * @private
+ * @param {Error} error - axios error
+ * @param {string} path - Fabric endpoint
+ * @param {string} [method] - Fabric API method
+ * @returns {FabricError} Typed error
+ */
+const toFabricError = (error, path, method) => {
+  if (error instanceof FabricError) {
+    return error;
+  }
+
+  if (error.response) {
+    const data = error.response.data || {};
+    const envelope = typeof data === 'object' ? readEnvelope(data) : { code: null, message: null };
+
+    return new FabricError(
+      FABRIC_ERROR_TYPES.HTTP,
+      envelope.message || 'Fabric responded with HTTP ' + error.response.status,
+      {
+        httpStatus: error.response.status,
+        fabricCode: envelope.code,
+        fabricMessage: envelope.message,
+        path: path,
+        method: method,
+        data: data,
+      }
+    );
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new FabricError(FABRIC_ERROR_TYPES.TIMEOUT, 'Fabric request timed out: ' + error.message, { path: path, method: method });
+  }
+
+  return new FabricError(FABRIC_ERROR_TYPES.NETWORK, 'Fabric request failed: ' + error.message, { path: path, method: method });
+};
+
+/**
+ * Fabric API methods that are safe to send more than once
+ * @type {string[]}
+ * @constant
+ */
+const IDEMPOTENT_METHODS = ['payment.queryorder', 'payment.queryrefund', 'payment.closeorder', 'payment.querymandate'];
+
+/**
+ * Gets the token service.
+ * Required lazily because the token service itself uses this client.
+ * @private
+ * @returns {Object} services/fabricTokenService
+ */
+const getTokenService = () => require('./applyFabricTokenService');
+
+/**
+ * Gets a Fabric access token. A failed token request keeps the type of
+ * its underlying failure, so a network error or timeout stays transient.
+ * @private
+ * @async
+ * @param {Merchant} merchant - Merchant the token is for
+ * @returns {Promise<string>} Access token
+ */
+const getAccessToken = async (merchant) => {
+  try {
+    const tokenResult = await getTokenService()(merchant);
+    if (!tokenResult || !tokenResult.token) {
+      throw new Error('Token response missing token');
+    }
+    return tokenResult.token;
+  } catch (error) {
+    const cause = error instanceof FabricError ? error : error.cause;
+    const transient = cause instanceof FabricError && isTransient(cause);
+
+    throw new FabricError(
+      transient ? cause.code : FABRIC_ERROR_TYPES.TOKEN,
+      'Failed to obtain Fabric API token: ' + error.message,
+      transient ? { httpStatus: cause.httpStatus, path: cause.path, method: cause.method, requestSent: false } : { requestSent: false }
+    );
+  }
+};
+
+/**
+ * Whether Fabric rejected the access token
+ * @private
+ * @param {FabricError} error - Failed call
+ * @returns {boolean} True on 401 or a token-invalid error code
+ */
+const isTokenRejected = (error) => error.httpStatus === 401 ||
+  (error.fabricCode !== null && (config.fabricRetry.tokenInvalidCodes || []).includes(error.fabricCode));
+
+/**
+ * Whether a failure may succeed if the request is sent again. Fabric may
+ * also have acted on a request that failed this way, so its outcome is unknown.
+ * @function isTransient
+ * @param {FabricError} error - Failed call
+ * @returns {boolean} True for network errors, timeouts and 5xx responses
+ */
+const isTransient = (error) => error.code === FABRIC_ERROR_TYPES.NETWORK ||
+  error.code === FABRIC_ERROR_TYPES.TIMEOUT ||
+  (error.code === FABRIC_ERROR_TYPES.HTTP && error.httpStatus >= 500);
+
+/**
+ * Whether Fabric may have acted on a failed call: the request was sent but
+ * no usable answer came back
+ * @function isOutcomeUnknown
+ * @param {FabricError} error - Failed call
+ * @returns {boolean} True for transient failures and unreadable responses of sent requests
+ */
+const isOutcomeUnknown = (error) => error.requestSent !== false &&
+  (isTransient(error) || error.code === FABRIC_ERROR_TYPES.INVALID_RESPONSE);
+
+/**
+ * HTTP status to answer an API request with when its Fabric call failed:
+ * 400 when Fabric rejected the request, 503 when Fabric could not be reached
+ * and 502 for any other upstream failure
+ * @function toHttpStatus
+ * @param {FabricError} error - Failed call
+ * @returns {number} HTTP status
+ */
+const toHttpStatus = (error) => {
+  if (error.code === FABRIC_ERROR_TYPES.BUSINESS) {
+    return 400;
+  }
+
+  return error.code === FABRIC_ERROR_TYPES.NETWORK || error.code === FABRIC_ERROR_TYPES.TIMEOUT ? 503 : 502;
+};
+
+/**
+ * Computes the delay before a retry: exponential backoff with jitter,
+ * so concurrent callers do not retry in lockstep
+ * @private
+ * @param {number} retry - Retry number, starting at 0
+ * @param {Object} policy - Retry policy ({ baseDelayMs, maxDelayMs })
+ * @returns {number} Delay in milliseconds
+ */
+const getBackoffDelay = (retry, policy) => {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, retry));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+};
+
+/**
+ * Sends a request, refreshing the token and retrying where safe.
+ * A rejected token is cleared and the request is sent once more with a
+ * fresh one. Transient failures are retried only for idempotent requests,
+ * or when the request was never sent (e.g. the token could not be fetched),
+ * up to the configured retry budget.
+ * @private
+ * @async
+ * @param {string} path - Fabric endpoint
+ * @param {Object} options - Options ({ auth, idempotent, method, merchant, retry })
+ * @param {Function} attempt - Sends one request; called with the access token (or null)
+ * @returns {Promise<*>} Result of the successful attempt
+ * @throws {FabricError} The last failure once retries are exhausted
+ */
+const withRetry = async (path, options, attempt) => {
+  const policy = Object.assign({}, config.fabricRetry, options.retry);
+  const auth = options.auth !== false;
+  let retries = 0;
+  let tokenRefreshed = false;
+
+  for (;;) {
+    try {
+      const token = auth ? await getAccessToken(options.merchant) : null;
+      return await attempt(token);
+    } catch (error) {
+      if (!(error instanceof FabricError)) {
+        throw error;
+      }
+
+      if (auth && !tokenRefreshed && isTokenRejected(error)) {
+        tokenRefreshed = true;
+        console.warn('[Fabric Client] Token rejected on ' + path + ', refreshing and retrying');
+        getTokenService().clearTokenCache(options.merchant);
+        continue;
+      }
+
+      if ((options.idempotent || !error.requestSent) && retries < policy.maxRetries && isTransient(error)) {
+        const delay = getBackoffDelay(retries, policy);
+        retries++;
+        console.warn('[Fabric Client] Retrying ' + path + ' in ' + delay + 'ms (' + retries + '/' + policy.maxRetries + ')');
+        await new Promise(resolve => setTimeout(resolve, delay));
+        continue;
+      }
+
+      throw error;
+    }
+  }
+};
+
+/**
+ * Builds a signed Fabric request
+ * @function buildSignedRequest
+ * @param {string} method - Fabric API method (e.g. "payment.preorder")
+ * @param {Object} bizContent - Business content
+ * @param {Merchant} [merchant] - Merchant whose key signs the request (defaults to the default merchant)
+ * @returns {Object} Request object with sign and sign_type set
+ *
+ * @example
+ * const request = buildSignedRequest('payment.queryorder', { merch_order_id: 'ORDER_1' });
+ */
+const buildSignedRequest = (method, bizContent, merchant = merchantRegistry.getDefaultMerchant()) => {
+  const baseRequest = {
+    timestamp: tools.createTimeStamp(),
+    nonce_str: tools.createNonceStr(),
+    method: method,
+    version: '1.0',
+    biz_content: bizContent,
+  };
+
+  return Object.assign({}, baseRequest, {
+    sign: tools.signRequestObject(baseRequest, merchant.privateKey),
+    sign_type: 'SHA256WithRSA',
+  });
+};
+
+/**
+ * Sends one request to Fabric
+ * @private
+ * @async
+ * @param {string} path - Fabric endpoint
+ * @param {Object} body - Request body
+ * @param {string|null} token - Access token
+ * @param {Merchant} merchant - Merchant sending the request
+ * @param {string} [method] - Fabric API method, for errors and logs
+ * @returns {Promise<Object>} Response body
+ * @throws {FabricError} On transport errors or non-2xx responses
+ */
+const send = async (path, body, token, merchant, method) => {
+  const headers = {
+    'X-APP-Key': merchant.fabricAppId,
+  };
+
+  if (token) {
+    headers.Authorization = token;
+  }
+
+  const startTime = Date.now();
+
+  try {
+    const response = await httpClient.post(path, body, {
+      baseURL: merchant.baseUrl || config.baseUrl,
+      headers: headers,
+    });
+
+    if (config.enableDebugLogging) {
+      console.log('[Fabric Client] ' + path + ' - ' + response.status + ' - ' + (Date.now() - startTime) + 'ms');
+    }
+
+    return response.data;
+  } catch (error) {
+    const fabricError = toFabricError(error, path, method);
+
+    console.error('[Fabric Client] Request failed:', {
+      path: path,
+      method: method,
+      merchant: merchant.id,
+      code: fabricError.code,
+      httpStatus: fabricError.httpStatus,
+      fabricCode: fabricError.fabricCode,
+      error: fabricError.message,
+      duration: (Date.now() - startTime) + 'ms',
+      requestId: body && body.nonce_str,
+    });
+
+    throw fabricError;
+  }
+};
+
+/**
+ * Posts a body to a Fabric endpoint
+ * @async
+ * @function post
+ * @param {string} path - Fabric endpoint
+ * @param {Object} body - Request body
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.auth=true] - Inject the Fabric access token
+ * @param {boolean} [options.idempotent=false] - Retry transient failures
+ * @param {string} [options.method] - Fabric API method, for errors and logs
+ * @param {Merchant} [options.merchant] - Merchant to act for (defaults to the default merchant)
+ * @param {Object} [options.retry] - Overrides for config.fabricRetry
+ * @returns {Promise<Object>} Response body
+ * @throws {FabricError} On transport errors or non-2xx responses
+ */
+const post = (path, body, options = {}) => {
+  const merchant = options.merchant || merchantRegistry.getDefaultMerchant();
+
+  return withRetry(path, Object.assign({}, options, { merchant: merchant }), token => send(path, body, token, merchant, options.method));
+};
+
+/**
+ * Calls a Fabric API method: signs the request, injects the token, posts it
+ * and parses the response envelope. Each attempt is signed afresh so a
+ * retry never reuses a nonce.
+ * @async
+ * @function call
+ * @param {string} path - Fabric endpoint (e.g. "/payment/v1/merchant/preOrder")
+ * @param {string} method - Fabric API method (e.g. "payment.preorder")
+ * @param {Object} bizContent - Business content
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.idempotent] - Retry transient failures (defaults by method)
+ * @param {Merchant} [options.merchant] - Merchant to act for (defaults to the default merchant)
+ * @param {Object} [options.retry] - Overrides for config.fabricRetry
+ * @returns {Promise<Object>} Response envelope; biz_content holds the result
+ * @throws {FabricError} On transport errors, empty responses or business errors
+ *
+ * @example
+ * const result = await fabricClient.call('/payment/v1/merchant/queryOrder', 'payment.queryorder', {
+ *   appid: merchant.merchantAppId,
+ *   merch_code: merchant.merchantCode,
+ *   merch_order_id: 'ORDER_1',
+ * }, { merchant: merchant });
+ * console.log(result.biz_content.order_status);
+ */
+const call = (path, method, bizContent, options = {}) => {
+  const merchant = options.merchant || merchantRegistry.getDefaultMerchant();
+
+  return withRetry(path, {
+    idempotent: options.idempotent !== undefined ? options.idempotent : IDEMPOTENT_METHODS.includes(method),
+    merchant: merchant,
+    retry: options.retry,
+  }, async (token) => {
+    const requestObject = buildSignedRequest(method, bizContent, merchant);
+    const data = await send(path, requestObject, token, merchant, method);
+
+    if (!data || typeof data !== 'object') {
+      throw new FabricError(FABRIC_ERROR_TYPES.INVALID_RESPONSE, 'Empty response from Fabric API', {
+        path: path,
+        method: method,
+      });
+    }
+
+    const envelope = readEnvelope(data);
+
+    if (envelope.failed) {
+      throw new FabricError(FABRIC_ERROR_TYPES.BUSINESS, envelope.message || 'Fabric rejected ' + method, {
+        fabricCode: envelope.code,
+        fabricMessage: envelope.message,
+        path: path,
+        method: method,
+        data: data,
+      });
+    }
+
+    console.log('[Fabric Client] ' + method + ' succeeded (' + requestObject.nonce_str + ')');
+
+    return data;
+  });
+};
+
+/**
+ * Maps an error to the error_code / error_msg pair used in API responses
+ * @function toErrorResponse
+ * @param {Error} error - Any error; FabricErrors keep Fabric's own code
+ * @returns {{error_code: string, error_msg: string}} Error fields
+ */
+const toErrorResponse = (error) => ({
+  error_code: error.fabricCode || (error.httpStatus ? String(error.httpStatus) : null) || error.code || 'REQUEST_FAILED',
+  error_msg: error.fabricMessage || error.message,
+});
+
+module.exports = {
+  call,
+  post,
+  buildSignedRequest,
+  toErrorResponse,
+  isTransient,
+  isOutcomeUnknown,
+  toHttpStatus,
+  FabricError,
+  FABRIC_ERROR_TYPES,
+  IDEMPOTENT_METHODS,
+};
@@ -0,0 +1,548 @@
+/**
+ * @module services/mandateService
+ * @description Service for managing signed mandate contracts (query, pause, resume and terminate)
+ * through the Fabric mandate API, and for tracking whether customers signed them
+ * @version 1.0.0
+ */
+
+const fabricClient = require('./fabricClient');
+const tools = require('../utils/tools');
+const config = require('../config/config');
+const merchantRegistry = require('../config/merchantRegistry');
+const orderStore = require('../store/orderStore');
+const mandateStore = require('../store/mandateStore');
+
+const { MANDATE_STATES } = mandateStore;
+
+/**
+ * Fabric endpoint and method of each mandate operation, and for the
+ * changing ones the states they apply to and the state they lead to
+ * @type {Object}
+ * @constant
+ */
+const MANDATE_OPERATIONS = {
+  query: {
+    path: '/payment/v1/merchant/queryMandate',
+    method: 'payment.querymandate',
+  },
+  pause: {
+    path: '/payment/v1/merchant/pauseMandate',
+    method: 'payment.pausemandate',
+    from: [MANDATE_STATES.ACTIVE],
+    to: MANDATE_STATES.PAUSED,
+    message: 'Mandate paused',
+  },
+  resume: {
+    path: '/payment/v1/merchant/resumeMandate',
+    method: 'payment.resumemandate',
+    from: [MANDATE_STATES.PAUSED],
+    to: MANDATE_STATES.ACTIVE,
+    message: 'Mandate resumed',
+  },
+  terminate: {
+    path: '/payment/v1/merchant/terminateMandate',
+    method: 'payment.terminatemandate',
+    from: [MANDATE_STATES.ACTIVE, MANDATE_STATES.PAUSED],
+    to: MANDATE_STATES.TERMINATED,
+    message: 'Mandate terminated',
+  },
+};
+
+/**
+ * Maps Fabric mandate_status values to mandate states
+ * @type {Object}
+ * @constant
+ */
+const MANDATE_STATUS_MAP = {
+  UNSIGNED: MANDATE_STATES.PENDING,
+  PENDING: MANDATE_STATES.PENDING,
+  SIGNED: MANDATE_STATES.ACTIVE,
+  ACTIVE: MANDATE_STATES.ACTIVE,
+  PAUSED: MANDATE_STATES.PAUSED,
+  SUSPENDED: MANDATE_STATES.PAUSED,
+  TERMINATED: MANDATE_STATES.TERMINATED,
+  CANCELLED: MANDATE_STATES.TERMINATED,
+};
+
+/**
+ * Order states that mean the signing order will never be paid
+ * @type {string[]}
+ * @constant
+ */
+const SIGNING_FAILED_STATES = [
+  orderStore.ORDER_STATES.FAILED,
+  orderStore.ORDER_STATES.EXPIRED,
+  orderStore.ORDER_STATES.CANCELLED,
+];
+
+/**
+ * @typedef {Object} MandateReconcileResult
+ * @property {string} contract_no - Contract number
+ * @property {string} fabric_status - Raw Fabric mandate status
+ * @property {string|null} status - Fabric status mapped to a mandate state
+ * @property {string} local_status - Mandate state after reconciliation
+ * @property {boolean} changed - Whether the local state was updated
+ * @property {boolean} conflict - Whether Fabric reported a state the local mandate cannot move to
+ * @property {MandateRecord} mandate - The local mandate after reconciliation
+ */
+
+/**
+ * Removes the order transition listener (set while started)
+ * @type {Function|null}
+ */
+let stopListening = null;
+
+/**
+ * Creates an error carrying a mandate error code and HTTP status
+ * @private
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status to respond with
+ * @returns {Error} Error with code and status set
+ */
+const createMandateError = (code, message, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+/**
+ * Fields recorded when a mandate enters a state
+ * @private
+ * @param {string} state - State entered
+ * @param {string} [reason] - Reason given for the change
+ * @returns {Object} Patch
+ */
+const stateFields = (state, reason) => {
+  const now = new Date().toISOString();
+
+  switch (state) {
+    case MANDATE_STATES.ACTIVE:
+      return { paused_at: null };
+    case MANDATE_STATES.PAUSED:
+      return { paused_at: now };
+    case MANDATE_STATES.TERMINATED:
+      return { terminated_at: now, terminate_reason: reason || null };
+    default:
+      return {};
+  }
+};
+
+/**
+ * Sends a mandate operation to Fabric
+ * @async
+ * @function requestMandateOperation
+ * @param {string} operation - One of the MANDATE_OPERATIONS keys
+ * @param {string} contractNo - Contract number
+ * @param {Merchant} [merchant] - Merchant the mandate belongs to (defaults to the default merchant)
+ * @param {Object} [extra] - Additional biz_content fields (e.g. reason)
+ * @returns {Promise<Object>} Fabric response
+ * @throws {FabricError} If the API request fails or Fabric refuses the operation
+ */
+exports.requestMandateOperation = async (operation, contractNo, merchant = merchantRegistry.getDefaultMerchant(), extra = {}) => {
+  const { path, method } = MANDATE_OPERATIONS[operation];
+  const startTime = Date.now();
+
+  const responseData = await fabricClient.call(path, method, Object.assign({
+    appid: merchant.merchantAppId,
+    merch_code: merchant.merchantCode,
+    mctContractNo: contractNo,
+  }, extra), { merchant: merchant });
+
+  console.log('[Mandate Service] ' + path + ' - SUCCESS - ' + (Date.now() - startTime) + 'ms', {
+    contractNo: contractNo,
+    mandateStatus: responseData.biz_content ? responseData.biz_content.mandate_status : null,
+  });
+
+  return responseData;
+};
+
+/**
+ * Queries Fabric for a mandate and brings the local record in line with it,
+ * also picking up the customer's open_id if Fabric reports it and the
+ * mandate has none yet (a recorded open_id is never replaced)
+ * @async
+ * @function reconcileMandate
+ * @param {MandateRecord} mandate - Local mandate
+ * @returns {Promise<MandateReconcileResult>} Reconciliation result
+ * @throws {Error} If the Fabric query fails or its response has no mandate_status
+ */
+exports.reconcileMandate = async (mandate) => {
+  const merchant = merchantRegistry.resolveMerchant(mandate.merchant_id);
+  const queryResult = await exports.requestMandateOperation('query', mandate.contract_no, merchant);
+  const bizContent = queryResult.biz_content || {};
+
+  if (!bizContent.mandate_status) {
+    throw new fabricClient.FabricError(fabricClient.FABRIC_ERROR_TYPES.INVALID_RESPONSE, 'Response missing mandate_status', {
+      method: MANDATE_OPERATIONS.query.method,
+      data: queryResult,
+    });
+  }
+
+  const fabricStatus = String(bizContent.mandate_status);
+  const mappedStatus = MANDATE_STATUS_MAP[fabricStatus.toUpperCase()] || null;
+  const patch = { fabric_status: fabricStatus };
+  if (bizContent.open_id && !mandate.open_id) {
+    patch.open_id = bizContent.open_id;
+  } else if (bizContent.open_id && bizContent.open_id !== mandate.open_id) {
+    console.warn('[Mandate Service] Fabric reports another open_id for mandate:', {
+      contractNo: mandate.contract_no,
+    });
+  }
+
+  const result = {
+    contract_no: mandate.contract_no,
+    fabric_status: fabricStatus,
+    status: mappedStatus,
+    local_status: mandate.status,
+    changed: false,
+    conflict: false,
+    mandate: mandate,
+  };
+
+  if (!mappedStatus) {
+    console.warn('[Mandate Service] Unknown Fabric mandate status:', fabricStatus);
+  }
+
+  if (mappedStatus && mappedStatus !== mandate.status) {
+    try {
+      result.mandate = await mandateStore.transition(mandate.merchant_id, mandate.contract_no, mappedStatus,
+        Object.assign(stateFields(mappedStatus), patch), 'reconciled:' + fabricStatus);
+      result.changed = true;
+    } catch (error) {
+      if (error.code !== 'INVALID_STATE_TRANSITION') {
+        throw error;
+      }
+
+      console.warn('[Mandate Service] Fabric state conflicts with local mandate:', {
+        contractNo: mandate.contract_no,
+        localStatus: mandate.status,
+        fabricStatus: fabricStatus,
+      });
+      result.conflict = true;
+    }
+  }
+
+  if (!result.changed) {
+    result.mandate = await mandateStore.updateMandate(mandate.merchant_id, mandate.contract_no, patch);
+  }
+
+  result.local_status = result.mandate.status;
+  return result;
+};
+
+/**
+ * Pauses, resumes or terminates a mandate at Fabric and records the new
+ * state. Asking for the state the mandate is already in does nothing.
+ * @async
+ * @function changeMandate
+ * @param {string} operation - "pause", "resume" or "terminate"
+ * @param {string} contractNo - Contract number
+ * @param {Merchant} merchant - Merchant the mandate belongs to
+ * @param {string} [reason] - Reason, sent to Fabric and kept on terminated mandates
+ * @returns {Promise<{changed: boolean, mandate: MandateRecord}>} Result
+ * @throws {Error} With status set when the mandate cannot be changed
+ */
+exports.changeMandate = async (operation, contractNo, merchant, reason) => {
+  const definition = MANDATE_OPERATIONS[operation];
+  const mandate = await mandateStore.getMandate(merchant.id, contractNo);
+
+  if (!mandate) {
+    throw createMandateError('MANDATE_NOT_FOUND', 'Mandate not found: ' + contractNo, 404);
+  }
+
+  if (mandate.status === definition.to) {
+    return { changed: false, mandate: mandate };
+  }
+
+  if (mandate.status === MANDATE_STATES.PENDING) {
+    throw createMandateError('MANDATE_NOT_SIGNED',
+      'Mandate has not been signed yet; cancel its signing order ' + mandate.merch_order_id + ' instead', 409);
+  }
+
+  if (!definition.from.includes(mandate.status)) {
+    throw createMandateError('INVALID_MANDATE_STATE',
+      'Cannot ' + operation + ' a mandate that is ' + mandate.status, 409);
+  }
+
+  let responseData;
+  try {
+    responseData = await exports.requestMandateOperation(operation, contractNo, merchant, reason ? { reason: reason } : {});
+  } catch (error) {
+    if (!(error instanceof fabricClient.FabricError)) {
+      throw error;
+    }
+
+    const failure = createMandateError('MANDATE_OPERATION_FAILED',
+      error.fabricMessage || 'Fabric refused to ' + operation + ' the mandate', 502);
+    failure.fabricError = error;
+    throw failure;
+  }
+
+  const bizContent = responseData.biz_content || {};
+  const updated = await mandateStore.transition(merchant.id, contractNo, definition.to, Object.assign(
+    stateFields(definition.to, reason),
+    { fabric_status: bizContent.mandate_status || null }
+  ), operation);
+
+  console.log('[Mandate Service] Mandate ' + operation + 'd:', {
+    contractNo: contractNo,
+    merchantId: merchant.id,
+    status: updated.status,
+  });
+
+  return { changed: true, mandate: updated };
+};
+
+/**
+ * Tracks signing: a mandate becomes ACTIVE when its signing order is paid,
+ * and FAILED when that order fails, expires or is cancelled
+ * @private
+ * @async
+ * @param {OrderRecord} order - Order after the transition
+ * @param {StatusChange} change - The transition
+ */
+const handleTransition = async (order, change) => {
+  if (!order.mandate_data || !order.mandate_data.mctContractNo) {
+    return;
+  }
+
+  const merchantId = merchantRegistry.resolveMerchant(order.merchant_id).id;
+  const contractNo = order.mandate_data.mctContractNo;
+  const mandate = await mandateStore.getMandate(merchantId, contractNo);
+
+  if (!mandate || mandate.status !== MANDATE_STATES.PENDING || mandate.merch_order_id !== order.merch_order_id) {
+    return;
+  }
+
+  if (change.status === orderStore.ORDER_STATES.PAID) {
+    await mandateStore.transition(merchantId, contractNo, MANDATE_STATES.ACTIVE, {
+      signed_at: change.at,
+    }, 'signed:' + order.merch_order_id);
+  } else if (SIGNING_FAILED_STATES.includes(change.status)) {
+    await mandateStore.transition(merchantId, contractNo, MANDATE_STATES.FAILED, {},
+      'signing_order_' + change.status.toLowerCase());
+  }
+};
+
+/**
+ * Starts following order transitions to track mandate signing
+ * @function start
+ */
+exports.start = () => {
+  if (!stopListening) {
+    stopListening = orderStore.onTransition(handleTransition);
+  }
+};
+
+/**
+ * Stops following order transitions
+ * @function stop
+ */
+exports.stop = () => {
+  if (stopListening) {
+    stopListening();
+    stopListening = null;
+  }
+};
+
+/**
+ * Sends a mandate error response
+ * @private
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error with code and status
+ * @param {string} contractNo - Contract number
+ * @param {string} requestId - Request ID
+ */
+const sendMandateError = (res, error, contractNo, requestId) => res.status(error.status).json(Object.assign({
+  result_code: error.code,
+  result_msg: error.message,
+  contract_no: contractNo,
+}, error.fabricError ? fabricClient.toErrorResponse(error.fabricError) : {}, {
+  timestamp: tools.createTimeStamp(),
+  request_id: requestId,
+}));
+
+/**
+ * Handles mandate status requests: queries Fabric and reconciles the local mandate
+ * @async
+ * @function getMandate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @example
+ * // GET /api/v1/mandates/CONTRACT_123456
+ * {
+ *   "result_code": "0",
+ *   "contract_no": "CONTRACT_123456",
+ *   "fabric_status": "ACTIVE",
+ *   "status": "ACTIVE",
+ *   "local_status": "ACTIVE",
+ *   "changed": false,
+ *   "conflict": false,
+ *   "mandate": { "mandate_template_id": "103001", "execute_time": "2024-07-01", "open_id": "...", ... }
+ * }
+ */
+exports.getMandate = async (req, res) => {
+  const requestId = tools.createNonceStr();
+  const contractNo = req.params.contractNo;
+  const merchant = req.merchant || merchantRegistry.getDefaultMerchant();
+  let mandate = null;
+
+  try {
+    mandate = await mandateStore.getMandate(merchant.id, contractNo);
+    if (!mandate) {
+      return sendMandateError(res, createMandateError('MANDATE_NOT_FOUND', 'Mandate not found', 404), contractNo, requestId);
+    }
+
+    let result;
+    try {
+      result = await exports.reconcileMandate(mandate);
+    } catch (error) {
+      // Fabric only knows a mandate once it has been signed
+      const unsigned = mandate.status === MANDATE_STATES.PENDING || mandate.status === MANDATE_STATES.FAILED;
+      if (!unsigned || !(error instanceof fabricClient.FabricError) || error.code !== fabricClient.FABRIC_ERROR_TYPES.BUSINESS) {
+        throw error;
+      }
+
+      result = {
+        contract_no: contractNo,
+        fabric_status: null,
+        status: null,
+        local_status: mandate.status,
+        changed: false,
+        conflict: false,
+        mandate: mandate,
+      };
+    }
+
+    return res.json(Object.assign({
+      result_code: '0',
+      result_msg: 'Mandate status retrieved',
+    }, result, {
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    }));
+  } catch (error) {
+    console.error('[Mandate Service] Unexpected error in getMandate:', {
+      requestId: requestId,
+      contractNo: contractNo,
+      error: error.message,
+      errorCode: error.code,
+      stack: config.env === 'development' ? error.stack : undefined,
+    });
+
+    // The local record still helps support staff while Fabric is unreachable
+    return res.status(502).json(Object.assign({
+      result_code: 'QUERY_FAILED',
+      result_msg: 'Failed to query mandate status from Fabric',
+      contract_no: contractNo,
+      mandate: mandate,
+    }, fabricClient.toErrorResponse(error), {
+      timestamp: tools.createTimeStamp(),
+      request_id: requestId,
+    }));
+  }
+};
+
+/**
+ * Handles a pause, resume or terminate request
+ * @private
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} operation - "pause", "resume" or "terminate"
+ */
+const handleMandateOperation = async (req, res, operation) => {
+  const requestId = tools.createNonceStr();
+  const contractNo = req.params.contractNo;
+  const merchant = req.merchant || merchantRegistry.getDefaultMerchant();
+  const reason = req.body && req.body.reason;
+
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > 256)) {
+    return res.status(400).json({
+      result_code: 'VALIDATION_ERROR',
+      result_msg: 'Invalid request parameters',
+      errors: ['reason must be a string of at most 256 characters'],
+      timestamp: tools.createTimeStamp(),
+      request_id: requestId,
+    });
+  }
+
+  try {
+    const result = await exports.changeMandate(operation, contractNo, merchant, reason);
+
+    return res.json({
+      result_code: '0',
+      result_msg: result.changed ? MANDATE_OPERATIONS[operation].message : 'Mandate is already ' + result.mandate.status,
+      contract_no: contractNo,
+      status: result.mandate.status,
+      changed: result.changed,
+      mandate: result.mandate,
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    console.error('[Mandate Service] Error in ' + operation + ' mandate:', {
+      requestId: requestId,
+      contractNo: contractNo,
+      error: error.message,
+      errorCode: error.code,
+    });
+
+    if (error.status) {
+      return sendMandateError(res, error, contractNo, requestId);
+    }
+
+    return res.status(500).json({
+      result_code: 'INTERNAL_ERROR',
+      result_msg: 'Failed to ' + operation + ' mandate',
+      contract_no: contractNo,
+      timestamp: tools.createTimeStamp(),
+      request_id: requestId,
+    });
+  }
+};
+
+/**
+ * Handles mandate pause requests; no debits are taken while paused
+ * @async
+ * @function pauseMandate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @example
+ * // POST /api/v1/mandates/CONTRACT_123456/pause
+ * { "reason": "Customer is travelling" }
+ */
+exports.pauseMandate = (req, res) => handleMandateOperation(req, res, 'pause');
+
+/**
+ * Handles mandate resume requests
+ * @async
+ * @function resumeMandate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.resumeMandate = (req, res) => handleMandateOperation(req, res, 'resume');
+
+/**
+ * Handles mandate termination requests, e.g. when a subscriber cancels.
+ * Terminated mandates cannot be resumed.
+ * @async
+ * @function terminateMandate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @example
+ * // POST /api/v1/mandates/CONTRACT_123456/terminate
+ * { "reason": "Cancelled by customer" }
+ */
+exports.terminateMandate = (req, res) => handleMandateOperation(req, res, 'terminate');
+
+exports.MANDATE_OPERATIONS = MANDATE_OPERATIONS;
+exports.MANDATE_STATUS_MAP = MANDATE_STATUS_MAP;
+exports.SIGNING_FAILED_STATES = SIGNING_FAILED_STATES;
+
+module.exports = exports;
@@ -0,0 +1,478 @@
+/**
+ * @module services/notifyService
+ * @description Service for verifying and processing Fabric payment notifications
+ * @version 1.0.0
+ */
+
+const tools = require('../utils/tools');
+const config = require('../config/config');
+const merchantRegistry = require('../config/merchantRegistry');
+const orderStore = require('../store/orderStore');
+const notifyReplayStore = require('../store/notifyReplayStore');
+const auditLog = require('../store/auditLog');
+
+/**
+ * Error codes returned when a notification is rejected
+ * @type {Object}
+ * @constant
+ */
+const NOTIFY_ERRORS = {
+  VERIFICATION_UNAVAILABLE: 'NOTIFY_VERIFICATION_UNAVAILABLE',
+  SIGNATURE_MISSING: 'NOTIFY_SIGNATURE_MISSING',
+  SIGNATURE_INVALID: 'NOTIFY_SIGNATURE_INVALID',
+  INVALID_PAYLOAD: 'NOTIFY_INVALID_PAYLOAD',
+  TIMESTAMP_INVALID: 'NOTIFY_TIMESTAMP_INVALID',
+  TIMESTAMP_OUT_OF_WINDOW: 'NOTIFY_TIMESTAMP_OUT_OF_WINDOW',
+  NONCE_MISSING: 'NOTIFY_NONCE_MISSING',
+  NONCE_REPLAYED: 'NOTIFY_NONCE_REPLAYED',
+};
+
+/**
+ * Maps Fabric trade_status values to normalized payment statuses
+ * @type {Object}
+ * @constant
+ */
+const TRADE_STATUS_MAP = {
+  Completed: 'PAID',
+  Success: 'PAID',
+  Paying: 'PENDING',
+  Pending: 'PENDING',
+  Failure: 'FAILED',
+  Failed: 'FAILED',
+  Expired: 'EXPIRED',
+  Closed: 'CANCELLED',
+  Cancelled: 'CANCELLED',
+  Refunded: 'REFUNDED',
+};
+
+/**
+ * Timestamps above this value are in milliseconds rather than seconds
+ * @type {number}
+ * @constant
+ */
+const MILLISECOND_TIMESTAMP_THRESHOLD = 1e12;
+
+/**
+ * @typedef {Object} PaymentNotification
+ * @property {string} merch_order_id - Merchant order ID
+ * @property {string|null} [merchant_id] - Merchant the order belongs to (set by processNotification)
+ * @property {string} payment_order_id - Fabric payment order ID
+ * @property {string} trade_status - Raw trade status reported by Fabric
+ * @property {string} status - Normalized status (PAID, PENDING, FAILED, ...)
+ * @property {number} total_amount - Paid amount
+ * @property {string} [trans_currency] - Transaction currency
+ * @property {string} [notify_time] - Fabric notification time
+ * @property {string} received_at - ISO timestamp when we received the callback
+ * @property {boolean} [duplicate] - True if this payment and status were already processed
+ * @property {boolean} [ignored] - True if the order store refused the notification (see applyToOrderStore)
+ * @property {Object} raw - The verified callback body
+ */
+
+/**
+ * Registered notification subscribers
+ * @type {Function[]}
+ */
+const subscribers = [];
+
+/**
+ * Creates an error carrying a notify error code and HTTP status
+ * @private
+ * @param {string} code - One of NOTIFY_ERRORS
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status to respond with
+ * @returns {Error} Error with code and status set
+ */
+const createNotifyError = (code, message, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+/**
+ * Verifies the Fabric signature of a notification payload
+ * @function verifyNotification
+ * @param {Object} payload - Callback body as received from Fabric
+ * @param {string} [publicKey] - Fabric public key (defaults to config.publicKey)
+ * @throws {Error} If the payload is unsigned, tampered or cannot be verified
+ */
+const verifyNotification = (payload, publicKey = config.publicKey) => {
+  if (!publicKey) {
+    throw createNotifyError(
+      NOTIFY_ERRORS.VERIFICATION_UNAVAILABLE,
+      'Fabric public key is not configured',
+      503
+    );
+  }
+
+  if (!payload || typeof payload !== 'object' || !payload.sign) {
+    throw createNotifyError(NOTIFY_ERRORS.SIGNATURE_MISSING, 'Notification is not signed', 401);
+  }
+
+  if (!tools.validateRequestSignature(payload, publicKey)) {
+    throw createNotifyError(NOTIFY_ERRORS.SIGNATURE_INVALID, 'Notification signature is invalid', 401);
+  }
+};
+
+/**
+ * Checks that a notification was sent recently and carries a nonce.
+ * The timestamp is Unix seconds (as created by tools.createTimeStamp);
+ * callbacks without a `timestamp` field are checked by `notify_time`.
+ * Values above 1e12 are taken as milliseconds.
+ * @function checkFreshness
+ * @param {Object} payload - Verified callback body
+ * @param {number} [now] - Current time in ms
+ * @throws {Error} If the timestamp is missing, malformed or outside the skew window, or the nonce is missing
+ */
+const checkFreshness = (payload, now = Date.now()) => {
+  const raw = payload.timestamp !== undefined ? payload.timestamp : payload.notify_time;
+
+  if (raw === undefined || raw === null || !/^\d+$/.test(String(raw))) {
+    throw createNotifyError(
+      NOTIFY_ERRORS.TIMESTAMP_INVALID,
+      'timestamp is required and must be Unix seconds or milliseconds',
+      400
+    );
+  }
+
+  const value = parseInt(raw, 10);
+  const seconds = value > MILLISECOND_TIMESTAMP_THRESHOLD ? Math.floor(value / 1000) : value;
+  const skew = Math.abs(Math.floor(now / 1000) - seconds);
+  if (skew > config.notify.maxSkewSeconds) {
+    throw createNotifyError(
+      NOTIFY_ERRORS.TIMESTAMP_OUT_OF_WINDOW,
+      'Notification timestamp is ' + skew + 's away from server time (limit ' +
+        config.notify.maxSkewSeconds + 's)',
+      401
+    );
+  }
+
+  if (!payload.nonce_str) {
+    throw createNotifyError(NOTIFY_ERRORS.NONCE_MISSING, 'nonce_str is required', 400);
+  }
+};
+
+/**
+ * Parses a verified notification into a normalized payment event
+ * @function parseNotification
+ * @param {Object} payload - Verified callback body
+ * @returns {PaymentNotification} Normalized notification
+ * @throws {Error} If required fields are missing or malformed
+ */
+const parseNotification = (payload) => {
+  const errors = [];
+
+  ['trade_status', 'merch_order_id', 'payment_order_id', 'total_amount'].forEach(field => {
+    if (payload[field] === undefined || payload[field] === null || payload[field] === '') {
+      errors.push(field + ' is required');
+    }
+  });
+
+  const totalAmount = parseFloat(payload.total_amount);
+  if (payload.total_amount !== undefined && isNaN(totalAmount)) {
+    errors.push('total_amount must be a valid number');
+  }
+
+  const status = TRADE_STATUS_MAP[payload.trade_status];
+  if (payload.trade_status && !status) {
+    errors.push('Unknown trade_status: ' + payload.trade_status);
+  }
+
+  if (errors.length > 0) {
+    throw createNotifyError(NOTIFY_ERRORS.INVALID_PAYLOAD, errors.join(', '), 400);
+  }
+
+  return {
+    merch_order_id: String(payload.merch_order_id),
+    payment_order_id: String(payload.payment_order_id),
+    trade_status: payload.trade_status,
+    status: status,
+    total_amount: totalAmount,
+    trans_currency: payload.trans_currency,
+    notify_time: payload.notify_time,
+    received_at: new Date().toISOString(),
+    raw: payload,
+  };
+};
+
+/**
+ * Registers a subscriber for verified payment notifications
+ * @function subscribe
+ * @param {Function} listener - Called with each PaymentNotification; may be async
+ * @returns {Function} Function that removes the subscriber
+ */
+const subscribe = (listener) => {
+  if (typeof listener !== 'function') {
+    throw new Error('Notification listener must be a function');
+  }
+
+  subscribers.push(listener);
+
+  return () => {
+    const index = subscribers.indexOf(listener);
+    if (index !== -1) {
+      subscribers.splice(index, 1);
+    }
+  };
+};
+
+/**
+ * Hands a notification to every subscriber.
+ * A failing subscriber is logged and does not prevent the others from running.
+ * @private
+ * @async
+ * @param {PaymentNotification} notification - Normalized notification
+ */
+const dispatch = async (notification) => {
+  const results = await Promise.all(subscribers.map(listener =>
+    Promise.resolve()
+      .then(() => listener(notification))
+      .then(() => null, error => error)
+  ));
+
+  results.filter(Boolean).forEach(error => {
+    console.error('[Notify Service] Subscriber failed:', {
+      merchOrderId: notification.merch_order_id,
+      error: error.message,
+    });
+  });
+};
+
+/**
+ * Describes how a payment notification differs from the order it pays
+ * @private
+ * @param {PaymentNotification} notification - Normalized notification
+ * @param {OrderRecord} order - Stored order
+ * @returns {string|null} The discrepancy, or null if amount and currency match
+ */
+const findPaymentMismatch = (notification, order) => {
+  const mismatches = [];
+
+  if (typeof order.amount === 'number' &&
+      Math.round(notification.total_amount * 100) !== Math.round(order.amount * 100)) {
+    mismatches.push('amount ' + notification.total_amount.toFixed(2) + ' (order ' + order.amount.toFixed(2) + ')');
+  }
+
+  if (notification.trans_currency && order.currency &&
+      String(notification.trans_currency).toUpperCase() !== String(order.currency).toUpperCase()) {
+    mismatches.push('currency ' + notification.trans_currency + ' (order ' + order.currency + ')');
+  }
+
+  return mismatches.length > 0 ? 'Notified ' + mismatches.join(', ') : null;
+};
+
+/**
+ * Applies a notification to the stored order.
+ * Unknown orders and out-of-order callbacks (e.g. FAILED after PAID) are
+ * logged and acknowledged so Fabric does not keep retrying them. A payment
+ * whose amount or currency differs from the order's leaves the order as it
+ * is and is recorded in the audit log.
+ * @private
+ * @async
+ * @param {PaymentNotification} notification - Normalized notification
+ * @returns {Promise<Object|null>} Updated order, or null if nothing was applied
+ */
+const applyToOrderStore = async (notification) => {
+  const order = await orderStore.getOrder(notification.merch_order_id);
+
+  if (!order) {
+    console.warn('[Notify Service] Notification for unknown order:', notification.merch_order_id);
+    return null;
+  }
+
+  const mismatch = notification.status === orderStore.ORDER_STATES.PAID ? findPaymentMismatch(notification, order) : null;
+  if (mismatch) {
+    console.warn('[Notify Service] Payment does not match order:', {
+      merchOrderId: notification.merch_order_id,
+      paymentOrderId: notification.payment_order_id,
+      mismatch: mismatch,
+    });
+    await auditLog.record(auditLog.AUDIT_EVENTS.NOTIFY_MISMATCH, {
+      merchant_id: notification.merchant_id,
+      reason: notification.merch_order_id + ': ' + mismatch,
+    }).catch(error => {
+      console.error('[Audit] Failed to record ' + auditLog.AUDIT_EVENTS.NOTIFY_MISMATCH + ':', error.message);
+    });
+    return null;
+  }
+
+  try {
+    const result = await orderStore.syncStatus(notification.merch_order_id, notification.status, {
+      payment_order_id: notification.payment_order_id,
+      paid_amount: notification.total_amount,
+    }, 'notify:' + notification.trade_status);
+
+    return result.order;
+  } catch (error) {
+    if (error.code !== 'INVALID_STATE_TRANSITION') {
+      throw error;
+    }
+
+    console.warn('[Notify Service] Ignoring notification that conflicts with order state:', {
+      merchOrderId: notification.merch_order_id,
+      currentStatus: order.status,
+      reportedStatus: notification.status,
+    });
+    return null;
+  }
+};
+
+/**
+ * Finds the merchant whose key must verify a notification: the owner of
+ * the order if we know it, else the merchant selected by the request
+ * @private
+ * @async
+ * @param {Object} payload - Callback body
+ * @param {Merchant} [merchant] - Merchant selected by the request
+ * @returns {Promise<Merchant>} The merchant
+ */
+const resolveNotifyMerchant = async (payload, merchant) => {
+  const order = payload && payload.merch_order_id
+    ? await orderStore.getOrder(String(payload.merch_order_id))
+    : null;
+
+  if (order) {
+    return merchantRegistry.resolveMerchant(order.merchant_id);
+  }
+
+  return merchant || merchantRegistry.getDefaultMerchant();
+};
+
+/**
+ * Applies and dispatches a notification once. A notification whose payment
+ * and status were already processed (a redelivery, with the same signed body
+ * or a fresh nonce) is acknowledged without running side effects; a reused
+ * nonce is only rejected for a notification that was not processed yet.
+ * A notification the order store refused is acknowledged but neither
+ * dispatched nor marked processed, and its nonce is released so a
+ * redelivery is evaluated again.
+ * Runs under a per-payment lock so concurrent redeliveries cannot both apply.
+ * @private
+ * @async
+ * @param {PaymentNotification} notification - Normalized notification
+ * @returns {Promise<PaymentNotification>} The notification, flagged duplicate or ignored if skipped
+ */
+const applyOnce = (notification) => {
+  const merchantId = notification.merchant_id;
+  const nonce = String(notification.raw.nonce_str);
+
+  return orderStore.runExclusive('notify:' + merchantId + ':' + notification.payment_order_id, async () => {
+    if (await notifyReplayStore.isProcessed(merchantId, notification.payment_order_id, notification.status)) {
+      console.log('[Notify Service] Duplicate notification acknowledged:', {
+        merchOrderId: notification.merch_order_id,
+        paymentOrderId: notification.payment_order_id,
+        status: notification.status,
+      });
+      notification.duplicate = true;
+      return notification;
+    }
+
+    if (!await notifyReplayStore.claimNonce(merchantId, nonce, notification.merch_order_id)) {
+      throw createNotifyError(NOTIFY_ERRORS.NONCE_REPLAYED, 'Notification nonce was already used', 409);
+    }
+
+    let order;
+    try {
+      order = await applyToOrderStore(notification);
+    } catch (error) {
+      // Let a redelivery with the same nonce through once the store recovers
+      await notifyReplayStore.releaseNonce(merchantId, nonce);
+      throw error;
+    }
+
+    if (!order) {
+      await notifyReplayStore.releaseNonce(merchantId, nonce);
+      notification.duplicate = false;
+      notification.ignored = true;
+      return notification;
+    }
+
+    await notifyReplayStore.markProcessed(
+      merchantId,
+      notification.payment_order_id,
+      notification.status,
+      notification.merch_order_id
+    );
+    await dispatch(notification);
+
+    notification.duplicate = false;
+    notification.ignored = false;
+    return notification;
+  });
+};
+
+/**
+ * Verifies, parses and dispatches a Fabric notification
+ * @async
+ * @function processNotification
+ * @param {Object} payload - Callback body as received from Fabric
+ * @param {Merchant} [merchant] - Merchant selected by the request, used for unknown orders
+ * @returns {Promise<PaymentNotification>} The processed notification
+ * @throws {Error} If verification, the freshness check or parsing fails, or the nonce was replayed
+ */
+const processNotification = async (payload, merchant) => {
+  const owner = await resolveNotifyMerchant(payload, merchant);
+  verifyNotification(payload, owner.publicKey);
+  checkFreshness(payload);
+
+  const notification = parseNotification(payload);
+  notification.merchant_id = owner.id;
+
+  console.log('[Notify Service] Verified notification:', {
+    merchOrderId: notification.merch_order_id,
+    paymentOrderId: notification.payment_order_id,
+    tradeStatus: notification.trade_status,
+    amount: notification.total_amount,
+  });
+
+  return applyOnce(notification);
+};
+
+/**
+ * Handles Fabric payment notification callbacks
+ * @async
+ * @function handleNotify
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const handleNotify = async (req, res) => {
+  try {
+    const notification = await processNotification(req.body, req.merchant);
+
+    return res.status(200).json({
+      status: 'success',
+      message: notification.duplicate ? 'Notification already processed'
+        : notification.ignored ? 'Notification received but not applied' : 'Notification received and processed',
+      merch_order_id: notification.merch_order_id,
+      duplicate: notification.duplicate,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (error.status) {
+      console.warn('[Notify Service] Notification rejected:', {
+        code: error.code,
+        error: error.message,
+        merchOrderId: req.body && req.body.merch_order_id,
+      });
+
+      return res.status(error.status).json({
+        error_code: error.code,
+        error_msg: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    throw error;
+  }
+};
+
+module.exports = {
+  verifyNotification,
+  checkFreshness,
+  parseNotification,
+  processNotification,
+  subscribe,
+  handleNotify,
+  NOTIFY_ERRORS,
+  TRADE_STATUS_MAP,
+};
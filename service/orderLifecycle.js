@@ -0,0 +1,55 @@
+/**
+ * @module services/orderLifecycle
+ * @description Settles stored orders whose Fabric preorder call failed, shared by the order and mandate order services
+ * @version 1.0.0
+ */
+
+const orderStore = require('../store/orderStore');
+
+/**
+ * Marks a stored order as failed, logging instead of throwing
+ * @async
+ * @function markOrderFailed
+ * @param {string} merchOrderId - Merchant order ID
+ * @param {string} reason - Failure reason
+ */
+const markOrderFailed = async (merchOrderId, reason) => {
+  try {
+    const order = await orderStore.getOrder(merchOrderId);
+    if (order && order.status === orderStore.ORDER_STATES.CREATED) {
+      await orderStore.transition(merchOrderId, orderStore.ORDER_STATES.FAILED, {}, reason);
+    }
+  } catch (error) {
+    console.error('[Order Lifecycle] Failed to mark order as failed:', {
+      merchOrderId: merchOrderId,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Moves a stored order to PENDING when Fabric may have created it although
+ * the preorder call failed, so reconciliation settles it instead of failing
+ * an order the customer could still pay; logs instead of throwing
+ * @async
+ * @function markOrderUnconfirmed
+ * @param {string} merchOrderId - Merchant order ID
+ */
+const markOrderUnconfirmed = async (merchOrderId) => {
+  try {
+    const order = await orderStore.getOrder(merchOrderId);
+    if (order && order.status === orderStore.ORDER_STATES.CREATED) {
+      await orderStore.transition(merchOrderId, orderStore.ORDER_STATES.PENDING, {}, 'preorder_unconfirmed');
+    }
+  } catch (error) {
+    console.error('[Order Lifecycle] Failed to mark order as unconfirmed:', {
+      merchOrderId: merchOrderId,
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  markOrderFailed,
+  markOrderUnconfirmed,
+};
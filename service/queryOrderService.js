@@ -0,0 +1,267 @@
+/**
+ * @module services/queryOrderService
+ * @description Service for querying order state from Fabric API and reconciling the local order store
+ * @version 1.0.0
+ */
+
+const fabricClient = require('./fabricClient');
+const tools = require('../utils/tools');
+const config = require('../config/config');
+const merchantRegistry = require('../config/merchantRegistry');
+const orderStore = require('../store/orderStore');
+const statusTicketService = require('./statusTicketService');
+
+/**
+ * Maps Fabric order_status values to order store states
+ * @type {Object}
+ * @constant
+ */
+const ORDER_STATUS_MAP = {
+  WAIT_PAY: orderStore.ORDER_STATES.PENDING,
+  PAYING: orderStore.ORDER_STATES.PENDING,
+  ACCEPTED: orderStore.ORDER_STATES.PENDING,
+  PAY_SUCCESS: orderStore.ORDER_STATES.PAID,
+  PAY_FAILED: orderStore.ORDER_STATES.FAILED,
+  ORDER_CLOSED: orderStore.ORDER_STATES.CANCELLED,
+  EXPIRED: orderStore.ORDER_STATES.EXPIRED,
+  REFUND_SUCCESS: orderStore.ORDER_STATES.REFUNDED,
+};
+
+/**
+ * @typedef {Object} QueryOrderResponse
+ * @property {string} result_code - Result code ("0" on success)
+ * @property {string} result_msg - Result message
+ * @property {Object} biz_content - Business content
+ * @property {string} biz_content.merch_order_id - Merchant order ID
+ * @property {string} biz_content.order_status - Fabric order status (e.g. "PAY_SUCCESS")
+ * @property {string} [biz_content.payment_order_id] - Fabric payment order ID
+ * @property {string} [biz_content.total_amount] - Order amount
+ */
+
+/**
+ * @typedef {Object} ReconcileResult
+ * @property {string} merch_order_id - Merchant order ID
+ * @property {string} fabric_status - Raw Fabric order status
+ * @property {string|null} status - Fabric status mapped to an order state
+ * @property {string|null} local_status - Order state after reconciliation (null if unknown locally)
+ * @property {boolean} changed - Whether the local order was updated
+ * @property {boolean} conflict - Whether Fabric reported a state the local order cannot move to
+ */
+
+/**
+ * Requests the current order state from Fabric API
+ * @async
+ * @function requestQueryOrder
+ * @param {string} merchOrderId - Merchant order ID
+ * @param {Merchant} [merchant] - Merchant the order belongs to (defaults to the default merchant)
+ * @returns {Promise<QueryOrderResponse>} Fabric response
+ * @throws {FabricError} If the API request fails or the response has no order_status
+ */
+exports.requestQueryOrder = async (merchOrderId, merchant = merchantRegistry.getDefaultMerchant()) => {
+  const startTime = Date.now();
+
+  const responseData = await fabricClient.call('/payment/v1/merchant/queryOrder', 'payment.queryorder', {
+    appid: merchant.merchantAppId,
+    merch_code: merchant.merchantCode,
+    merch_order_id: merchOrderId,
+  }, { merchant: merchant });
+
+  console.log('[Query Order Service] ' + JSON.stringify({
+    timestamp: new Date().toISOString(),
+    merchOrderId: merchOrderId,
+    duration: (Date.now() - startTime) + 'ms',
+    orderStatus: responseData.biz_content ? responseData.biz_content.order_status : null,
+  }));
+
+  if (!responseData.biz_content || !responseData.biz_content.order_status) {
+    throw new fabricClient.FabricError(fabricClient.FABRIC_ERROR_TYPES.INVALID_RESPONSE, 'Response missing order_status', {
+      method: 'payment.queryorder',
+      data: responseData,
+    });
+  }
+
+  return responseData;
+};
+
+/**
+ * Queries Fabric for an order and brings the local record in line with it.
+ * Covers notify callbacks that never arrived.
+ * @async
+ * @function reconcileOrder
+ * @param {string} merchOrderId - Merchant order ID
+ * @param {Merchant} [merchant] - Merchant to query as when the order is not stored locally
+ * @returns {Promise<ReconcileResult>} Reconciliation result
+ * @throws {Error} If the Fabric query fails
+ */
+exports.reconcileOrder = async (merchOrderId, merchant) => {
+  const order = await orderStore.getOrder(merchOrderId);
+  if (order || !merchant) {
+    merchant = merchantRegistry.resolveMerchant(order && order.merchant_id);
+  }
+
+  const queryResult = await exports.requestQueryOrder(merchOrderId, merchant);
+  const bizContent = queryResult.biz_content;
+  const mappedStatus = ORDER_STATUS_MAP[bizContent.order_status] || null;
+
+  const result = {
+    merch_order_id: merchOrderId,
+    fabric_status: bizContent.order_status,
+    status: mappedStatus,
+    local_status: null,
+    changed: false,
+    conflict: false,
+  };
+
+  if (!order) {
+    return result;
+  }
+
+  result.local_status = order.status;
+
+  if (!mappedStatus) {
+    console.warn('[Query Order Service] Unknown Fabric order status:', bizContent.order_status);
+    return result;
+  }
+
+  try {
+    const patch = {};
+    if (bizContent.payment_order_id) {
+      patch.payment_order_id = bizContent.payment_order_id;
+    }
+
+    const syncResult = await orderStore.syncStatus(merchOrderId, mappedStatus, patch, 'reconciled:' + bizContent.order_status);
+    result.changed = syncResult.changed;
+    result.local_status = syncResult.order.status;
+
+    if (syncResult.changed) {
+      console.log('[Query Order Service] Order reconciled with Fabric:', {
+        merchOrderId: merchOrderId,
+        from: order.status,
+        to: syncResult.order.status,
+      });
+    }
+  } catch (error) {
+    if (error.code !== 'INVALID_STATE_TRANSITION') {
+      throw error;
+    }
+
+    console.warn('[Query Order Service] Fabric state conflicts with local order:', {
+      merchOrderId: merchOrderId,
+      localStatus: order.status,
+      fabricStatus: bizContent.order_status,
+    });
+    result.conflict = true;
+  }
+
+  return result;
+};
+
+/**
+ * Handles order status requests
+ * @async
+ * @function getOrderStatus
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @example
+ * // GET /api/v1/orders/ORDER_1625097600_123/status
+ * {
+ *   "result_code": "0",
+ *   "merch_order_id": "ORDER_1625097600_123",
+ *   "fabric_status": "PAY_SUCCESS",
+ *   "status": "PAID",
+ *   "local_status": "PAID",
+ *   "changed": true,
+ *   "conflict": false
+ * }
+ */
+exports.getOrderStatus = async (req, res) => {
+  const requestId = tools.createNonceStr();
+  const merchOrderId = req.params.merchOrderId;
+
+  try {
+    const result = await exports.reconcileOrder(merchOrderId, req.merchant);
+
+    return res.json(Object.assign({
+      result_code: '0',
+      result_msg: 'Order status retrieved',
+    }, result, {
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    }));
+  } catch (error) {
+    console.error('[Query Order Service] Unexpected error in getOrderStatus:', {
+      requestId: requestId,
+      merchOrderId: merchOrderId,
+      error: error.message,
+      errorCode: error.code,
+      stack: config.env === 'development' ? error.stack : undefined,
+    });
+
+    return res.status(502).json(Object.assign({
+      result_code: 'QUERY_FAILED',
+      result_msg: 'Failed to query order status from Fabric',
+    }, fabricClient.toErrorResponse(error), {
+      timestamp: tools.createTimeStamp(),
+      request_id: requestId,
+    }));
+  }
+};
+
+/**
+ * Issues a fresh status ticket for an order, e.g. when the one returned
+ * at creation expired before the frontend reconnected to /ws
+ * @async
+ * @function issueStatusTicket
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.issueStatusTicket = async (req, res) => {
+  const requestId = tools.createNonceStr();
+  const merchOrderId = req.params.merchOrderId;
+
+  try {
+    const order = await orderStore.getOrder(merchOrderId);
+
+    if (!order) {
+      return res.status(404).json({
+        result_code: 'ORDER_NOT_FOUND',
+        result_msg: 'Order not found',
+        order_id: merchOrderId,
+        timestamp: tools.createTimeStamp(),
+        request_id: requestId,
+      });
+    }
+
+    const statusTicket = statusTicketService.issueTicket(order);
+
+    return res.json({
+      result_code: '0',
+      result_msg: 'Status ticket issued',
+      merch_order_id: order.merch_order_id,
+      prepay_id: order.prepay_id,
+      status: order.status,
+      status_ticket: statusTicket.ticket,
+      status_ticket_expires_at: statusTicket.expires_at,
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    console.error('[Query Order Service] Unexpected error in issueStatusTicket:', {
+      requestId: requestId,
+      merchOrderId: merchOrderId,
+      error: error.message,
+    });
+
+    return res.status(500).json({
+      result_code: 'INTERNAL_ERROR',
+      result_msg: 'Failed to issue status ticket',
+      timestamp: tools.createTimeStamp(),
+      request_id: requestId,
+    });
+  }
+};
+
+exports.ORDER_STATUS_MAP = ORDER_STATUS_MAP;
+
+module.exports = exports;
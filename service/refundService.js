@@ -0,0 +1,433 @@
+/**
+ * @module services/refundService
+ * @description Service for full and partial refunds through Fabric API
+ * @version 1.0.0
+ */
+
+const fabricClient = require('./fabricClient');
+const tools = require('../utils/tools');
+const merchantRegistry = require('../config/merchantRegistry');
+const orderStore = require('../store/orderStore');
+const webhookService = require('./webhookService');
+
+/**
+ * Refund record states
+ * @type {Object}
+ * @constant
+ */
+const REFUND_STATES = {
+  PENDING: 'PENDING',
+  SUCCEEDED: 'SUCCEEDED',
+  FAILED: 'FAILED',
+};
+
+/**
+ * Maps Fabric refund_status values to refund record states
+ * @type {Object}
+ * @constant
+ */
+const REFUND_STATUS_MAP = {
+  REFUNDING: REFUND_STATES.PENDING,
+  REFUND_SUCCESS: REFUND_STATES.SUCCEEDED,
+  REFUND_FAILED: REFUND_STATES.FAILED,
+};
+
+/**
+ * @typedef {Object} RefundRecord
+ * @property {string} refund_request_no - Our unique refund request number
+ * @property {number} amount - Refunded amount
+ * @property {string} currency - Transaction currency
+ * @property {string} [reason] - Refund reason
+ * @property {string} status - Refund state (see REFUND_STATES)
+ * @property {string|null} refund_order_id - Fabric refund order ID
+ * @property {string|null} fabric_status - Raw Fabric refund status
+ * @property {string} created_at - ISO creation timestamp
+ * @property {string} updated_at - ISO timestamp of the last change
+ */
+
+/**
+ * Converts an amount to integer cents to avoid floating point drift
+ * @private
+ * @param {number|string} amount - Amount
+ * @returns {number} Amount in cents
+ */
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+
+/**
+ * Creates an error carrying a refund error code and HTTP status
+ * @private
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status to respond with
+ * @returns {Error} Error with code and status set
+ */
+const createRefundError = (code, message, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+/**
+ * Gets the amount that was actually captured for an order
+ * @private
+ * @param {Object} order - Order record
+ * @returns {number} Captured amount in cents
+ */
+const getCapturedCents = (order) => toCents(order.paid_amount !== undefined && order.paid_amount !== null
+  ? order.paid_amount
+  : order.amount);
+
+/**
+ * Sums refunds that are pending or succeeded
+ * @private
+ * @param {RefundRecord[]} refunds - Refund records
+ * @param {string[]} [states] - States to include
+ * @returns {number} Total in cents
+ */
+const sumRefundCents = (refunds, states = [REFUND_STATES.PENDING, REFUND_STATES.SUCCEEDED]) => (refunds || [])
+  .filter(refund => states.includes(refund.status))
+  .reduce((total, refund) => total + toCents(refund.amount), 0);
+
+/**
+ * Creates the business content for Fabric refund API
+ * @private
+ * @param {Object} order - Order record
+ * @param {RefundRecord} refund - Refund record
+ * @param {Merchant} merchant - Merchant the order belongs to
+ * @returns {Object} Business content
+ */
+const createRefundBizContent = (order, refund, merchant) => ({
+  appid: merchant.merchantAppId,
+  merch_code: merchant.merchantCode,
+  merch_order_id: order.merch_order_id,
+  refund_request_no: refund.refund_request_no,
+  refund_reason: refund.reason || 'Merchant refund',
+  actual_amount: refund.amount.toFixed(2),
+  trans_currency: refund.currency,
+});
+
+/**
+ * Applies a Fabric refund result to the stored refund record.
+ * Moves the order to REFUNDED once succeeded refunds cover the captured amount.
+ * @private
+ * @async
+ * @param {string} merchOrderId - Merchant order ID
+ * @param {string} refundRequestNo - Refund request number
+ * @param {Object} patch - Fields to merge into the refund record
+ * @returns {Promise<RefundRecord>} Updated refund record
+ */
+const updateRefund = async (merchOrderId, refundRequestNo, patch) => {
+  let updated = null;
+  let previousStatus = null;
+
+  const order = await orderStore.modifyOrder(merchOrderId, (current) => {
+    const refund = (current.refunds || []).find(item => item.refund_request_no === refundRequestNo);
+    if (!refund) {
+      throw createRefundError('REFUND_NOT_FOUND', 'Refund not found: ' + refundRequestNo, 404);
+    }
+
+    previousStatus = refund.status;
+    Object.assign(refund, patch, { updated_at: new Date().toISOString() });
+    current.refunded_amount = sumRefundCents(current.refunds, [REFUND_STATES.SUCCEEDED]) / 100;
+    updated = refund;
+  });
+
+  if (order.status === orderStore.ORDER_STATES.PAID &&
+      sumRefundCents(order.refunds, [REFUND_STATES.SUCCEEDED]) >= getCapturedCents(order)) {
+    await orderStore.transition(merchOrderId, orderStore.ORDER_STATES.REFUNDED, {}, 'refunded:' + refundRequestNo);
+  }
+
+  if (updated.status === REFUND_STATES.SUCCEEDED && previousStatus !== REFUND_STATES.SUCCEEDED) {
+    webhookService.publishRefundSucceeded(order, updated).catch(error => {
+      console.error('[Refund Service] Failed to queue refund.succeeded for ' + refundRequestNo + ':', error.message);
+    });
+  }
+
+  return updated;
+};
+
+/**
+ * Refunds all or part of a paid order.
+ * The refund amount is reserved on the order before Fabric is called, so
+ * concurrent partial refunds can never exceed the captured amount.
+ * @async
+ * @function refundOrder
+ * @param {string} merchOrderId - Merchant order ID
+ * @param {Object} [options] - Refund options
+ * @param {number|string} [options.amount] - Amount to refund (defaults to the remaining amount)
+ * @param {string} [options.reason] - Refund reason
+ * @returns {Promise<RefundRecord>} The refund record
+ * @throws {Error} With status set for requests that cannot be refunded
+ */
+exports.refundOrder = async (merchOrderId, options = {}) => {
+  const refundRequestNo = tools.createMerchantOrderId('REFUND');
+  let refund = null;
+
+  const order = await orderStore.modifyOrder(merchOrderId, (current) => {
+    if (current.status !== orderStore.ORDER_STATES.PAID) {
+      throw createRefundError('ORDER_NOT_REFUNDABLE', 'Only paid orders can be refunded (status: ' + current.status + ')', 409);
+    }
+
+    const capturedCents = getCapturedCents(current);
+    const remainingCents = capturedCents - sumRefundCents(current.refunds);
+    const requestedCents = options.amount !== undefined && options.amount !== null
+      ? toCents(options.amount)
+      : remainingCents;
+
+    if (isNaN(requestedCents) || requestedCents <= 0) {
+      throw createRefundError('VALIDATION_ERROR', 'Refund amount must be greater than 0', 400);
+    }
+
+    if (requestedCents > remainingCents) {
+      throw createRefundError(
+        'REFUND_AMOUNT_EXCEEDED',
+        'Refund amount exceeds the refundable balance of ' + (remainingCents / 100).toFixed(2),
+        409
+      );
+    }
+
+    const now = new Date().toISOString();
+    refund = {
+      refund_request_no: refundRequestNo,
+      amount: requestedCents / 100,
+      currency: current.currency,
+      reason: options.reason,
+      status: REFUND_STATES.PENDING,
+      refund_order_id: null,
+      fabric_status: null,
+      created_at: now,
+      updated_at: now,
+    };
+
+    current.refunds = (current.refunds || []).concat(refund);
+  });
+
+  console.log('[Refund Service] Refund reserved:', {
+    merchOrderId: merchOrderId,
+    refundRequestNo: refundRequestNo,
+    amount: refund.amount,
+  });
+
+  try {
+    const merchant = merchantRegistry.resolveMerchant(order.merchant_id);
+    const responseData = await fabricClient.call(
+      '/payment/v1/merchant/refund',
+      'payment.refund',
+      createRefundBizContent(order, refund, merchant),
+      { merchant: merchant }
+    );
+    const bizContent = responseData.biz_content || {};
+
+    return updateRefund(merchOrderId, refundRequestNo, {
+      status: REFUND_STATUS_MAP[bizContent.refund_status] || REFUND_STATES.PENDING,
+      fabric_status: bizContent.refund_status || null,
+      refund_order_id: bizContent.refund_order_id || null,
+    });
+  } catch (error) {
+    if (!(error instanceof fabricClient.FabricError)) {
+      throw error;
+    }
+
+    // A business error or 4xx response means Fabric rejected the refund, and
+    // without an API token it was never sent
+    if (error.code === fabricClient.FABRIC_ERROR_TYPES.BUSINESS) {
+      return updateRefund(merchOrderId, refundRequestNo, {
+        status: REFUND_STATES.FAILED,
+        error_msg: error.fabricMessage || error.message,
+      });
+    }
+
+    if (error.code === fabricClient.FABRIC_ERROR_TYPES.TOKEN ||
+        (error.code === fabricClient.FABRIC_ERROR_TYPES.HTTP && !fabricClient.isTransient(error))) {
+      await updateRefund(merchOrderId, refundRequestNo, {
+        status: REFUND_STATES.FAILED,
+        error_msg: error.message,
+      });
+      throw error;
+    }
+
+    // After a timeout, network error, 5xx or unreadable response the outcome
+    // is unknown: the refund stays PENDING with its amount reserved until
+    // queryRefund settles it
+    console.warn('[Refund Service] Refund outcome unknown, left pending:', {
+      merchOrderId: merchOrderId,
+      refundRequestNo: refundRequestNo,
+      error: error.message,
+    });
+
+    return updateRefund(merchOrderId, refundRequestNo, {
+      error_msg: error.message,
+    });
+  }
+};
+
+/**
+ * Queries Fabric for a refund and updates the stored record
+ * @async
+ * @function queryRefund
+ * @param {string} merchOrderId - Merchant order ID
+ * @param {string} refundRequestNo - Refund request number
+ * @returns {Promise<RefundRecord>} Updated refund record
+ * @throws {Error} If the order or refund is unknown, or the query fails
+ */
+exports.queryRefund = async (merchOrderId, refundRequestNo) => {
+  const order = await orderStore.getOrder(merchOrderId);
+  const refund = order && (order.refunds || []).find(item => item.refund_request_no === refundRequestNo);
+
+  if (!refund) {
+    throw createRefundError('REFUND_NOT_FOUND', 'Refund not found: ' + refundRequestNo, 404);
+  }
+
+  const merchant = merchantRegistry.resolveMerchant(order.merchant_id);
+  const responseData = await fabricClient.call('/payment/v1/merchant/queryRefund', 'payment.queryrefund', {
+    appid: merchant.merchantAppId,
+    merch_code: merchant.merchantCode,
+    merch_order_id: merchOrderId,
+    refund_request_no: refundRequestNo,
+  }, { merchant: merchant });
+  const bizContent = responseData.biz_content || {};
+
+  if (!bizContent.refund_status) {
+    return refund;
+  }
+
+  return updateRefund(merchOrderId, refundRequestNo, {
+    status: REFUND_STATUS_MAP[bizContent.refund_status] || refund.status,
+    fabric_status: bizContent.refund_status,
+    refund_order_id: bizContent.refund_order_id || refund.refund_order_id,
+  });
+};
+
+/**
+ * Sends a refund error response
+ * @private
+ * @param {Object} res - Express response object
+ * @param {Error} error - The error
+ * @param {string} requestId - Request ID
+ * @param {string} operation - Operation name for logging
+ */
+const sendRefundError = (res, error, requestId, operation) => {
+  if (error.code === 'ORDER_NOT_FOUND') {
+    error.status = 404;
+  }
+
+  console.error('[Refund Service] ' + operation + ' failed:', {
+    requestId: requestId,
+    error: error.message,
+    errorCode: error.code,
+  });
+
+  return res.status(error.status || 502).json(Object.assign({
+    result_code: error.status ? error.code : 'REFUND_FAILED',
+    result_msg: error.status ? error.message : 'Refund request to Fabric failed',
+  }, fabricClient.toErrorResponse(error), {
+    timestamp: tools.createTimeStamp(),
+    request_id: requestId,
+  }));
+};
+
+/**
+ * Handles refund creation requests
+ * @async
+ * @function createRefund
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @example
+ * // POST /api/v1/orders/ORDER_1625097600_123/refunds
+ * { "amount": 25.00, "reason": "Damaged item" }
+ */
+exports.createRefund = async (req, res) => {
+  const requestId = tools.createNonceStr();
+  const body = req.body || {};
+
+  if (body.amount !== undefined && (isNaN(parseFloat(body.amount)) || parseFloat(body.amount) <= 0)) {
+    return res.status(400).json({
+      result_code: 'VALIDATION_ERROR',
+      result_msg: 'Invalid request parameters',
+      errors: ['Amount must be a positive number'],
+      timestamp: tools.createTimeStamp(),
+      request_id: requestId,
+    });
+  }
+
+  try {
+    const refund = await exports.refundOrder(req.params.merchOrderId, {
+      amount: body.amount,
+      reason: body.reason,
+    });
+
+    return res.status(refund.status === REFUND_STATES.FAILED ? 400 : 200).json({
+      result_code: refund.status === REFUND_STATES.FAILED ? 'REFUND_FAILED' : '0',
+      result_msg: 'Refund ' + refund.status.toLowerCase(),
+      merch_order_id: req.params.merchOrderId,
+      refund: refund,
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    return sendRefundError(res, error, requestId, 'createRefund');
+  }
+};
+
+/**
+ * Handles refund listing requests
+ * @async
+ * @function listRefunds
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listRefunds = async (req, res) => {
+  const requestId = tools.createNonceStr();
+  const order = await orderStore.getOrder(req.params.merchOrderId);
+
+  if (!order) {
+    return res.status(404).json({
+      result_code: 'ORDER_NOT_FOUND',
+      result_msg: 'Order not found',
+      timestamp: tools.createTimeStamp(),
+      request_id: requestId,
+    });
+  }
+
+  return res.json({
+    result_code: '0',
+    result_msg: 'Refunds retrieved',
+    merch_order_id: order.merch_order_id,
+    refunded_amount: order.refunded_amount || 0,
+    refunds: order.refunds || [],
+    request_id: requestId,
+    timestamp: tools.createTimeStamp(),
+  });
+};
+
+/**
+ * Handles refund query requests
+ * @async
+ * @function getRefund
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getRefund = async (req, res) => {
+  const requestId = tools.createNonceStr();
+
+  try {
+    const refund = await exports.queryRefund(req.params.merchOrderId, req.params.refundRequestNo);
+
+    return res.json({
+      result_code: '0',
+      result_msg: 'Refund retrieved',
+      merch_order_id: req.params.merchOrderId,
+      refund: refund,
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    return sendRefundError(res, error, requestId, 'getRefund');
+  }
+};
+
+exports.REFUND_STATES = REFUND_STATES;
+
+module.exports = exports;
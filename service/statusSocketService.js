@@ -0,0 +1,216 @@
+/**
+ * @module services/statusSocketService
+ * @description WebSocket channel that pushes order status transitions to subscribed frontends
+ * @version 1.0.0
+ *
+ * Protocol (JSON text frames):
+ *   client -> { "type": "subscribe", "ticket": "...", "merch_order_id"?: "...", "prepay_id"?: "..." }
+ *   client -> { "type": "unsubscribe", "merch_order_id": "..." }
+ *   server -> { "type": "subscribed", "merch_order_id", "prepay_id", "status", "updated_at" }
+ *   server -> { "type": "status", "merch_order_id", "prepay_id", "status", "previous_status", "reason", "changed_at" }
+ *   server -> { "type": "error", "error_code", "error_msg" }
+ *
+ * A ticket can also be passed when connecting (/ws?ticket=...), which subscribes right away.
+ */
+
+const WebSocket = require('ws');
+const config = require('../config/config');
+const orderStore = require('../store/orderStore');
+const statusTicketService = require('./statusTicketService');
+
+/**
+ * Largest accepted client frame in bytes
+ * @type {number}
+ * @constant
+ */
+const MAX_PAYLOAD_BYTES = 4096;
+
+/**
+ * Sends a JSON message if the socket is still open
+ * @private
+ * @param {WebSocket} socket - Client socket
+ * @param {Object} message - Message to send
+ */
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+/**
+ * Sends an error message
+ * @private
+ * @param {WebSocket} socket - Client socket
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ */
+const sendError = (socket, code, message) => send(socket, {
+  type: 'error',
+  error_code: code,
+  error_msg: message,
+});
+
+/**
+ * Attaches the status WebSocket server to an HTTP server
+ * @function attachStatusSocket
+ * @param {http.Server} server - HTTP server the Express app runs on
+ * @param {Object} [options] - Overrides for config.statusUpdates ({ socketPath, heartbeatSeconds, maxSubscriptions })
+ * @returns {{wss: WebSocket.Server, close: Function}} The WebSocket server and a function that shuts it down
+ *
+ * @example
+ * const server = http.createServer(app);
+ * const statusSocket = attachStatusSocket(server);
+ */
+const attachStatusSocket = (server, options = {}) => {
+  const settings = Object.assign({}, config.statusUpdates, options);
+  const wss = new WebSocket.Server({ server: server, path: settings.socketPath, maxPayload: MAX_PAYLOAD_BYTES });
+
+  // merch_order_id -> sockets watching it
+  const watchers = new Map();
+
+  const unwatch = (socket, merchOrderId) => {
+    const sockets = watchers.get(merchOrderId);
+    if (sockets) {
+      sockets.delete(socket);
+      if (sockets.size === 0) {
+        watchers.delete(merchOrderId);
+      }
+    }
+    socket.subscriptions.delete(merchOrderId);
+  };
+
+  const subscribe = async (socket, message) => {
+    let ticket;
+    try {
+      ticket = statusTicketService.verifyTicket(message.ticket);
+    } catch (error) {
+      return sendError(socket, error.code, error.message);
+    }
+
+    if ((message.merch_order_id && message.merch_order_id !== ticket.merch_order_id) ||
+        (message.prepay_id && message.prepay_id !== ticket.prepay_id)) {
+      return sendError(socket, 'TICKET_MISMATCH', 'Status ticket was issued for another order');
+    }
+
+    if (!socket.subscriptions.has(ticket.merch_order_id) && socket.subscriptions.size >= settings.maxSubscriptions) {
+      return sendError(socket, 'TOO_MANY_SUBSCRIPTIONS', 'A socket may watch at most ' + settings.maxSubscriptions + ' orders');
+    }
+
+    const order = await orderStore.getOrder(ticket.merch_order_id);
+    if (!order || (order.merchant_id || null) !== ticket.merchant_id) {
+      return sendError(socket, 'ORDER_NOT_FOUND', 'Order not found');
+    }
+
+    if (!watchers.has(order.merch_order_id)) {
+      watchers.set(order.merch_order_id, new Set());
+    }
+    watchers.get(order.merch_order_id).add(socket);
+    socket.subscriptions.add(order.merch_order_id);
+
+    // Sent after registering, so a transition can't slip in between
+    send(socket, {
+      type: 'subscribed',
+      merch_order_id: order.merch_order_id,
+      prepay_id: order.prepay_id,
+      status: order.status,
+      updated_at: order.updated_at,
+    });
+  };
+
+  const handleMessage = (socket, data) => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return sendError(socket, 'INVALID_MESSAGE', 'Messages must be JSON');
+    }
+
+    switch (message && message.type) {
+      case 'subscribe':
+        return subscribe(socket, message).catch(error => {
+          console.error('[Status Socket] Subscribe failed:', error.message);
+          sendError(socket, 'INTERNAL_ERROR', 'Subscription failed');
+        });
+      case 'unsubscribe':
+        unwatch(socket, message.merch_order_id);
+        return send(socket, { type: 'unsubscribed', merch_order_id: message.merch_order_id });
+      case 'ping':
+        return send(socket, { type: 'pong' });
+      default:
+        return sendError(socket, 'INVALID_MESSAGE', 'Unknown message type');
+    }
+  };
+
+  wss.on('connection', (socket, req) => {
+    socket.subscriptions = new Set();
+    socket.isAlive = true;
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    socket.on('message', data => handleMessage(socket, data));
+    socket.on('close', () => {
+      Array.from(socket.subscriptions).forEach(merchOrderId => unwatch(socket, merchOrderId));
+    });
+    socket.on('error', error => {
+      console.warn('[Status Socket] Client error:', error.message);
+    });
+
+    const ticket = new URL(req.url, 'http://localhost').searchParams.get('ticket');
+    if (ticket) {
+      handleMessage(socket, JSON.stringify({ type: 'subscribe', ticket: ticket }));
+    }
+  });
+
+  const stopListening = orderStore.onTransition((order, change) => {
+    const sockets = watchers.get(order.merch_order_id);
+    if (!sockets) {
+      return;
+    }
+
+    const message = {
+      type: 'status',
+      merch_order_id: order.merch_order_id,
+      prepay_id: order.prepay_id,
+      status: change.status,
+      previous_status: change.from,
+      reason: change.reason || null,
+      changed_at: change.at,
+    };
+    sockets.forEach(socket => send(socket, message));
+  });
+
+  // Drop connections that stopped answering pings (e.g. a phone that lost signal)
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(socket => {
+      if (!socket.isAlive) {
+        return socket.terminate();
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, settings.heartbeatSeconds * 1000);
+
+  /**
+   * Closes every client connection and stops pushing updates
+   * @returns {Promise<void>}
+   */
+  const close = () => new Promise(resolve => {
+    clearInterval(heartbeat);
+    stopListening();
+    wss.clients.forEach(socket => socket.close(1001, 'Server shutting down'));
+    wss.close(() => resolve());
+  });
+
+  wss.on('error', error => {
+    console.error('[Status Socket] Server error:', error.message);
+  });
+
+  console.log('[Status Socket] Accepting status subscriptions on ' + settings.socketPath);
+
+  return { wss, close };
+};
+
+module.exports = {
+  attachStatusSocket,
+};
@@ -0,0 +1,180 @@
+/**
+ * @module services/statusStreamService
+ * @description Server-Sent Events stream of order status transitions, for clients that cannot use /ws
+ * @version 1.0.0
+ */
+
+const config = require('../config/config');
+const orderStore = require('../store/orderStore');
+const statusTicketService = require('./statusTicketService');
+
+/**
+ * Reconnect delay suggested to EventSource clients, in ms
+ * @type {number}
+ * @constant
+ */
+const RETRY_MS = 3000;
+
+/**
+ * Builds the status event for one entry of an order's status history
+ * @private
+ * @param {OrderRecord} order - Order
+ * @param {number} index - Index in order.status_history (used as the event ID)
+ * @returns {Object} Event data
+ */
+const toStatusEvent = (order, index) => {
+  const change = order.status_history[index];
+
+  return {
+    merch_order_id: order.merch_order_id,
+    prepay_id: order.prepay_id,
+    status: change.status,
+    previous_status: change.from,
+    reason: change.reason || null,
+    changed_at: change.at,
+  };
+};
+
+/**
+ * Reads the Last-Event-ID a reconnecting client sent (header, or
+ * last_event_id query parameter for polyfills that cannot set headers)
+ * @private
+ * @param {Object} req - Express request object
+ * @returns {number|null} Last received history index, or null
+ */
+const getLastEventId = (req) => {
+  const value = req.get('Last-Event-ID') || (req.query && req.query.last_event_id);
+  const index = parseInt(value, 10);
+
+  return /^\d+$/.test(String(value)) && !isNaN(index) ? index : null;
+};
+
+/**
+ * Streams an order's status as Server-Sent Events. The first event is the
+ * current state; a client reconnecting with Last-Event-ID instead gets
+ * every transition it missed. Event IDs are positions in the order's
+ * status history. Comment heartbeats keep proxies from closing the stream.
+ *
+ * Browsers cannot send X-API-Key with EventSource, so a request without an
+ * API key must carry the order's status ticket (?ticket=...).
+ * @async
+ * @function streamOrderEvents
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @example
+ * // const events = new EventSource('/api/v1/orders/ORDER_1/events?ticket=' + ticket);
+ * // events.addEventListener('status', (e) => console.log(JSON.parse(e.data).status));
+ *
+ * id: 1
+ * event: status
+ * data: {"merch_order_id":"ORDER_1","status":"PENDING","previous_status":"CREATED",...}
+ */
+exports.streamOrderEvents = async (req, res) => {
+  const merchOrderId = req.params.merchOrderId;
+
+  if (!req.apiKey) {
+    try {
+      const ticket = statusTicketService.verifyTicket(req.query.ticket);
+      if (ticket.merch_order_id !== merchOrderId) {
+        throw Object.assign(new Error('Status ticket was issued for another order'), { code: 'TICKET_MISMATCH', status: 403 });
+      }
+    } catch (error) {
+      return res.status(error.status || 401).json({
+        error_code: error.code,
+        error_msg: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  let lastSent = getLastEventId(req);
+  let pending = [];
+  let ready = false;
+
+  const write = (order, index) => {
+    if (lastSent !== null && index <= lastSent) {
+      return;
+    }
+    lastSent = index;
+    res.write('id: ' + index + '\nevent: status\ndata: ' + JSON.stringify(toStatusEvent(order, index)) + '\n\n');
+  };
+
+  // Listen before reading the order so no transition is lost in between;
+  // transitions that arrive before the first write are queued
+  const stopListening = orderStore.onTransition((order) => {
+    if (order.merch_order_id !== merchOrderId) {
+      return;
+    }
+
+    const index = order.status_history.length - 1;
+    if (ready) {
+      write(order, index);
+    } else {
+      pending.push({ order: order, index: index });
+    }
+  });
+
+  let heartbeat = null;
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    stopListening();
+  });
+
+  let order;
+  try {
+    order = await orderStore.getOrder(merchOrderId);
+  } catch (error) {
+    stopListening();
+    throw error;
+  }
+
+  if (!order) {
+    stopListening();
+    return res.status(404).json({
+      result_code: 'ORDER_NOT_FOUND',
+      result_msg: 'Order not found',
+      order_id: merchOrderId,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: ' + RETRY_MS + '\n\n');
+
+  const latest = order.status_history.length - 1;
+  if (lastSent !== null && lastSent > latest) {
+    // An ID from another order or a stale store; start over from the current state
+    lastSent = null;
+  }
+
+  if (lastSent === null) {
+    write(order, latest);
+  } else {
+    for (let index = lastSent + 1; index <= latest; index++) {
+      write(order, index);
+    }
+  }
+
+  ready = true;
+  pending.forEach(event => write(event.order, event.index));
+  pending = null;
+
+  if (closed) {
+    return;
+  }
+
+  heartbeat = setInterval(() => {
+    res.write(': heartbeat ' + new Date().toISOString() + '\n\n');
+  }, config.statusUpdates.heartbeatSeconds * 1000);
+};
+
+module.exports = exports;
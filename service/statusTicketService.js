@@ -0,0 +1,143 @@
+/**
+ * @module services/statusTicketService
+ * @description Short-lived signed tickets that let a frontend watch one order's status
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+
+/**
+ * Status ticket error codes
+ * @type {Object}
+ * @constant
+ */
+const TICKET_ERRORS = {
+  TICKET_REQUIRED: 'TICKET_REQUIRED',
+  TICKET_INVALID: 'TICKET_INVALID',
+  TICKET_EXPIRED: 'TICKET_EXPIRED',
+};
+
+/**
+ * @typedef {Object} StatusTicket
+ * @property {string} merch_order_id - Order the ticket grants access to
+ * @property {string|null} prepay_id - Fabric prepay ID of the order
+ * @property {string|null} merchant_id - Merchant the order belongs to
+ * @property {number} expires_at - Unix time (seconds) after which the ticket is refused
+ */
+
+/**
+ * HMAC secret; generated per process when none is configured, which
+ * invalidates outstanding tickets on restart
+ * @type {Buffer}
+ */
+const secret = config.statusUpdates.ticketSecret
+  ? Buffer.from(config.statusUpdates.ticketSecret)
+  : crypto.randomBytes(32);
+
+/**
+ * Encodes a buffer as URL-safe base64 without padding
+ * @private
+ * @param {Buffer} buffer - Data to encode
+ * @returns {string} Encoded string
+ */
+const toBase64Url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+/**
+ * Signs an encoded ticket payload
+ * @private
+ * @param {string} encodedPayload - URL-safe base64 payload
+ * @returns {string} URL-safe base64 HMAC-SHA256 signature
+ */
+const sign = (encodedPayload) => toBase64Url(crypto.createHmac('sha256', secret).update(encodedPayload).digest());
+
+/**
+ * Creates an error carrying a ticket error code and HTTP status
+ * @private
+ * @param {string} code - One of TICKET_ERRORS
+ * @param {string} message - Error message
+ * @returns {Error} Error with code and status 401
+ */
+const createTicketError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = 401;
+  return error;
+};
+
+/**
+ * Issues a ticket for an order
+ * @function issueTicket
+ * @param {Object} order - Order record (merch_order_id, prepay_id, merchant_id)
+ * @param {number} [ttlSeconds] - Lifetime (defaults to config.statusUpdates.ticketTtlSeconds)
+ * @returns {{ticket: string, expires_at: number}} Ticket and its unix expiry
+ *
+ * @example
+ * const { ticket } = issueTicket(order);
+ * // ws://host/ws?ticket=<ticket>
+ */
+const issueTicket = (order, ttlSeconds = config.statusUpdates.ticketTtlSeconds) => {
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const payload = toBase64Url(Buffer.from(JSON.stringify({
+    o: order.merch_order_id,
+    p: order.prepay_id || null,
+    m: order.merchant_id || null,
+    e: expiresAt,
+  })));
+
+  return {
+    ticket: payload + '.' + sign(payload),
+    expires_at: expiresAt,
+  };
+};
+
+/**
+ * Verifies a ticket and returns what it grants
+ * @function verifyTicket
+ * @param {string} ticket - Ticket from issueTicket()
+ * @returns {StatusTicket} Decoded ticket
+ * @throws {Error} With code TICKET_REQUIRED, TICKET_INVALID or TICKET_EXPIRED and status 401
+ */
+const verifyTicket = (ticket) => {
+  if (!ticket || typeof ticket !== 'string') {
+    throw createTicketError(TICKET_ERRORS.TICKET_REQUIRED, 'A status ticket is required');
+  }
+
+  const parts = ticket.split('.');
+  if (parts.length !== 2) {
+    throw createTicketError(TICKET_ERRORS.TICKET_INVALID, 'Status ticket is malformed');
+  }
+
+  const expected = Buffer.from(sign(parts[0]));
+  const actual = Buffer.from(parts[1]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw createTicketError(TICKET_ERRORS.TICKET_INVALID, 'Status ticket signature is invalid');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[0], 'base64').toString('utf8'));
+  } catch (error) {
+    throw createTicketError(TICKET_ERRORS.TICKET_INVALID, 'Status ticket is malformed');
+  }
+
+  if (!payload.e || payload.e <= Math.floor(Date.now() / 1000)) {
+    throw createTicketError(TICKET_ERRORS.TICKET_EXPIRED, 'Status ticket has expired');
+  }
+
+  return {
+    merch_order_id: payload.o,
+    prepay_id: payload.p,
+    merchant_id: payload.m,
+    expires_at: payload.e,
+  };
+};
+
+module.exports = {
+  issueTicket,
+  verifyTicket,
+  TICKET_ERRORS,
+};
@@ -0,0 +1,552 @@
+/**
+ * @module services/subscriptionService
+ * @description Customer subscriptions to priced mandate plans: signing the mandate starts the
+ * subscription, and its billing schedule charges the plan amount through the mandate payment flow
+ * @version 1.0.0
+ */
+
+const fabricClient = require('./fabricClient');
+const tools = require('../utils/tools');
+const config = require('../config/config');
+const merchantRegistry = require('../config/merchantRegistry');
+const orderStore = require('../store/orderStore');
+const mandateStore = require('../store/mandateStore');
+const subscriptionStore = require('../store/subscriptionStore');
+const createMandetOrderService = require('./createMandetOrderService');
+const mandateService = require('./mandateService');
+const billingService = require('./billingService');
+const { SESSION_ERRORS } = require('./customerSessionService');
+
+const { SUBSCRIPTION_STATES } = subscriptionStore;
+const { MANDATE_STATES } = mandateStore;
+
+/**
+ * Frequency of plans that do not fix one
+ * @type {string}
+ * @constant
+ */
+const DEFAULT_FREQUENCY = 'monthly';
+
+/**
+ * Removes the order transition listener (set while started)
+ * @type {Function|null}
+ */
+let stopListening = null;
+
+/**
+ * Removes the debit outcome listener (set while started)
+ * @type {Function|null}
+ */
+let stopDebitListening = null;
+
+/**
+ * Sends a subscription error response
+ * @private
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status
+ * @param {string} code - Result code
+ * @param {string} message - Result message
+ * @param {string} requestId - Request ID
+ * @param {Object} [extra] - Additional fields
+ */
+const sendSubscriptionError = (res, status, code, message, requestId, extra) => res.status(status).json(Object.assign({
+  result_code: code,
+  result_msg: message,
+}, extra, {
+  timestamp: tools.createTimeStamp(),
+  request_id: requestId,
+}));
+
+/**
+ * Lists the plans of a merchant that can be subscribed to (those with an amount)
+ * @private
+ * @param {Merchant} merchant - Merchant
+ * @returns {MandatePlan[]} Subscription plans
+ */
+const getSubscriptionPlans = (merchant) => (merchant.mandatePlans || []).filter(plan => plan.amount !== null);
+
+/**
+ * Validates subscription request parameters
+ * @private
+ * @param {Object} body - Request body
+ * @param {Merchant} merchant - Merchant subscribed to
+ * @param {CustomerSession} [customer] - Customer session of the request; its open_id replaces the body's
+ * @returns {{errors: string[], plan: MandatePlan|null}} Errors, or the selected plan
+ */
+const validateSubscriptionRequest = (body, merchant, customer) => {
+  const errors = [];
+
+  if (!body || typeof body !== 'object') {
+    return { errors: ['Request body is required'], plan: null };
+  }
+
+  const plans = getSubscriptionPlans(merchant);
+  const plan = typeof body.plan_id === 'string' ? merchantRegistry.getMandatePlan(merchant, body.plan_id) : null;
+  if (!plan || plan.amount === null) {
+    errors.push(plans.length > 0
+      ? 'plan_id must be one of ' + plans.map(candidate => candidate.id).join(', ')
+      : 'No subscription plans are configured');
+  }
+
+  if (customer) {
+    if (body.open_id !== undefined && body.open_id !== customer.open_id) {
+      errors.push('open_id does not match the customer session');
+    }
+  } else if (typeof body.open_id !== 'string' || body.open_id.trim() === '' || body.open_id.length > 128) {
+    errors.push('open_id must be a non-empty string of at most 128 characters (from /apply/h5token)');
+  }
+
+  if (typeof body.ContractNo !== 'string' || body.ContractNo.trim() === '' || body.ContractNo.length > 100) {
+    errors.push('ContractNo must be a non-empty string of at most 100 characters');
+  }
+
+  if (body.title !== undefined && (typeof body.title !== 'string' || body.title.trim() === '' || body.title.length > 256)) {
+    errors.push('title must be a string of 1 to 256 characters');
+  }
+
+  return { errors: errors, plan: errors.length > 0 ? null : plan };
+};
+
+/**
+ * Cancels a subscription and stops its billing schedule
+ * @private
+ * @async
+ * @param {SubscriptionRecord} subscription - Subscription
+ * @param {string} reason - Why it was cancelled
+ * @returns {Promise<SubscriptionRecord>} The cancelled subscription
+ */
+const closeSubscription = async (subscription, reason) => {
+  await billingService.stopSchedule(subscription.schedule_id, 'subscription_cancelled');
+
+  return subscriptionStore.transition(subscription.id, SUBSCRIPTION_STATES.CANCELLED, {
+    cancelled_at: new Date().toISOString(),
+    cancel_reason: reason,
+  }, reason);
+};
+
+/**
+ * Cancels a started subscription whose mandate was terminated elsewhere
+ * (e.g. through /api/v1/mandates/:contractNo/terminate or by the customer)
+ * @private
+ * @async
+ * @param {SubscriptionRecord} subscription - Subscription
+ * @returns {Promise<SubscriptionRecord>} The subscription, cancelled if its mandate is gone
+ */
+const syncWithMandate = async (subscription) => {
+  if (subscription.status === SUBSCRIPTION_STATES.PENDING || subscription.status === SUBSCRIPTION_STATES.CANCELLED) {
+    return subscription;
+  }
+
+  const mandate = await mandateStore.getMandate(subscription.merchant_id, subscription.contract_no);
+  if (mandate && mandate.merch_order_id === subscription.merch_order_id && mandate.status !== MANDATE_STATES.TERMINATED) {
+    return subscription;
+  }
+
+  return closeSubscription(subscription, mandate && mandate.status === MANDATE_STATES.TERMINATED
+    ? 'mandate_terminated' : 'mandate_replaced');
+};
+
+/**
+ * Starts a subscription once its signing order is paid (TRIALING during a
+ * trial, ACTIVE otherwise) and cancels it if the order fails, expires or is
+ * cancelled
+ * @private
+ * @async
+ * @param {OrderRecord} order - Order after the transition
+ * @param {StatusChange} change - The transition
+ */
+const handleTransition = async (order, change) => {
+  if (!order.mandate_data) {
+    return;
+  }
+
+  const subscription = (await subscriptionStore.listSubscriptions({
+    merchantId: merchantRegistry.resolveMerchant(order.merchant_id).id,
+    merchOrderId: order.merch_order_id,
+  }))[0];
+
+  if (!subscription || subscription.status !== SUBSCRIPTION_STATES.PENDING) {
+    return;
+  }
+
+  if (change.status === orderStore.ORDER_STATES.PAID) {
+    const trialing = Boolean(subscription.trial_end_at && subscription.trial_end_at > change.at);
+    await subscriptionStore.transition(subscription.id, trialing ? SUBSCRIPTION_STATES.TRIALING : SUBSCRIPTION_STATES.ACTIVE, {
+      started_at: change.at,
+      last_paid_at: trialing ? null : change.at,
+    }, 'signed:' + order.merch_order_id);
+  } else if (mandateService.SIGNING_FAILED_STATES.includes(change.status)) {
+    await closeSubscription(subscription, 'signing_order_' + change.status.toLowerCase());
+  }
+};
+
+/**
+ * Follows the plan charges: a paid debit makes the subscription ACTIVE, a
+ * declined one PAST_DUE until a retry or a later cycle is paid
+ * @private
+ * @async
+ * @param {MandateDebit} debit - Settled debit
+ * @param {boolean} succeeded - Whether the customer was charged
+ */
+const handleDebitSettled = async (debit, succeeded) => {
+  const subscription = (await subscriptionStore.listSubscriptions({
+    merchantId: debit.merchant_id,
+    scheduleId: debit.schedule_id,
+  }))[0];
+
+  if (!subscription || subscription.status === SUBSCRIPTION_STATES.PENDING ||
+      subscription.status === SUBSCRIPTION_STATES.CANCELLED) {
+    return;
+  }
+
+  if (succeeded) {
+    const patch = { last_paid_at: debit.succeeded_at };
+    if (subscription.status === SUBSCRIPTION_STATES.ACTIVE) {
+      await subscriptionStore.updateSubscription(subscription.id, patch);
+    } else {
+      await subscriptionStore.transition(subscription.id, SUBSCRIPTION_STATES.ACTIVE, patch, 'debit_succeeded:' + debit.id);
+    }
+  } else if (subscription.status !== SUBSCRIPTION_STATES.PAST_DUE) {
+    await subscriptionStore.transition(subscription.id, SUBSCRIPTION_STATES.PAST_DUE, {}, 'debit_failed:' + debit.id);
+  }
+};
+
+/**
+ * Starts following signing orders and plan charges
+ * @function start
+ */
+exports.start = () => {
+  if (!stopListening) {
+    stopListening = orderStore.onTransition(handleTransition);
+    stopDebitListening = billingService.onDebitSettled(handleDebitSettled);
+  }
+};
+
+/**
+ * Stops following signing orders and plan charges
+ * @function stop
+ */
+exports.stop = () => {
+  if (stopListening) {
+    stopListening();
+    stopDebitListening();
+    stopListening = null;
+    stopDebitListening = null;
+  }
+};
+
+/**
+ * Handles plan listing requests
+ * @function listPlans
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listPlans = (req, res) => {
+  const merchant = req.merchant || merchantRegistry.getDefaultMerchant();
+
+  return res.json({
+    result_code: '0',
+    result_msg: 'Plans retrieved',
+    plans: getSubscriptionPlans(merchant),
+    request_id: tools.createNonceStr(),
+    timestamp: tools.createTimeStamp(),
+  });
+};
+
+/**
+ * Handles subscription requests: creates the mandate signing order, a
+ * billing schedule for the plan amount and a PENDING subscription. Without
+ * a trial the signing order pays the first period; with one, the first
+ * charge is due when the trial ends.
+ * @async
+ * @function createSubscription
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @example
+ * // POST /api/v1/subscriptions
+ * // (open_id may be left out when the request carries the customer's session)
+ * { "plan_id": "premium_monthly", "open_id": "...", "ContractNo": "CONTRACT_123456" }
+ *
+ * // Response (201):
+ * {
+ *   "result_code": "0",
+ *   "subscription": { "id": "SUB_...", "status": "PENDING", ... },
+ *   "rawRequest": "appid=...&merch_code=...&...",
+ *   "prepay_id": "prepay_123456",
+ *   "merch_order_id": "ORDER_1625097600_123"
+ * }
+ */
+exports.createSubscription = async (req, res) => {
+  const requestId = tools.createNonceStr();
+  const merchant = req.merchant || merchantRegistry.getDefaultMerchant();
+
+  // The subscriber is the session's customer; only merchants that verify
+  // customers themselves may name one in the body
+  if (!req.customer && !merchant.trustClientOpenId) {
+    return sendSubscriptionError(res, 401, SESSION_ERRORS.SESSION_REQUIRED,
+      'A customer session (Authorization: Bearer <session_token>) is required to subscribe', requestId);
+  }
+
+  const validation = validateSubscriptionRequest(req.body, merchant, req.customer);
+  if (validation.errors.length > 0) {
+    return sendSubscriptionError(res, 400, 'VALIDATION_ERROR', 'Invalid request parameters', requestId, {
+      errors: validation.errors,
+    });
+  }
+
+  const plan = validation.plan;
+  const { ContractNo } = req.body;
+  const openId = req.customer ? req.customer.open_id : req.body.open_id;
+  const title = req.body.title || plan.name;
+  const now = new Date();
+  const trialEndAt = plan.trialDays > 0 ? new Date(now.getTime() + plan.trialDays * 24 * 60 * 60 * 1000).toISOString() : null;
+
+  const parsed = billingService.parseScheduleRequest({
+    amount: plan.amount,
+    frequency: plan.frequency || DEFAULT_FREQUENCY,
+    start_date: trialEndAt || now.toISOString(),
+  }, {
+    title: title,
+    plan: plan,
+    paid_cycles: trialEndAt ? 0 : 1,
+  });
+  if (parsed.errors.length > 0) {
+    console.error('[Subscription Service] Plan ' + plan.id + ' cannot be billed:', parsed.errors);
+    return sendSubscriptionError(res, 500, 'INVALID_PLAN', 'Plan ' + plan.id + ' cannot be billed', requestId, {
+      errors: parsed.errors,
+    });
+  }
+
+  let merchOrderId = null;
+
+  try {
+    // The mandate's first execution is the first charge of the schedule
+    const signing = await createMandetOrderService.createSigningOrder({
+      title: title,
+      amount: plan.signupAmount,
+      mandateData: {
+        mctContractNo: ContractNo,
+        mandateTemplateId: plan.mandateTemplateId,
+        executeTime: parsed.schedule.next_run_at.split('T')[0],
+      },
+      openId: openId,
+      plan: plan,
+    }, merchant);
+    merchOrderId = signing.order.merch_order_id;
+
+    const schedule = await billingService.createMandateSchedule(signing.mandate, parsed.schedule);
+    const subscription = await subscriptionStore.createSubscription({
+      merchant_id: merchant.id,
+      plan: plan,
+      open_id: openId,
+      contract_no: ContractNo,
+      merch_order_id: merchOrderId,
+      schedule_id: schedule.id,
+      trial_end_at: trialEndAt,
+    });
+
+    console.log('[Subscription Service] Subscription ' + subscription.id + ' created:', {
+      requestId: requestId,
+      planId: plan.id,
+      contractNo: ContractNo,
+      merchOrderId: merchOrderId,
+    });
+
+    return res.status(201).json({
+      result_code: '0',
+      result_msg: 'Subscription created; it starts once the customer signs the mandate',
+      subscription: subscription,
+      rawRequest: signing.rawRequest,
+      prepay_id: signing.prepayId,
+      merch_order_id: merchOrderId,
+      status_ticket: signing.statusTicket.ticket,
+      status_ticket_expires_at: signing.statusTicket.expires_at,
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    merchOrderId = merchOrderId || error.merchOrderId || null;
+
+    if (error.code === 'ORDER_EXISTS' || error.code === 'MANDATE_EXISTS') {
+      return sendSubscriptionError(res, 409, error.code, error.message, requestId, { merch_order_id: merchOrderId });
+    }
+
+    if (error instanceof fabricClient.FabricError) {
+      return res.status(fabricClient.toHttpStatus(error)).json(Object.assign(fabricClient.isOutcomeUnknown(error) ? {
+        result_code: 'ORDER_UNCONFIRMED',
+        result_msg: 'Fabric did not confirm the signing order; query its status before retrying',
+      } : {
+        result_code: error.fabricCode || 'ORDER_FAILED',
+        result_msg: error.fabricMessage || 'Order creation failed',
+      }, fabricClient.toErrorResponse(error), {
+        merch_order_id: merchOrderId,
+        timestamp: tools.createTimeStamp(),
+        request_id: requestId,
+      }));
+    }
+
+    console.error('[Subscription Service] Unexpected error in createSubscription:', {
+      requestId: requestId,
+      merchOrderId: merchOrderId,
+      error: error.message,
+      stack: config.env === 'development' ? error.stack : undefined,
+    });
+    return sendSubscriptionError(res, 500, 'INTERNAL_ERROR', 'Failed to create subscription', requestId);
+  }
+};
+
+/**
+ * Handles subscription listing requests, optionally filtered by open_id and status
+ * @async
+ * @function listSubscriptions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listSubscriptions = async (req, res) => {
+  const requestId = tools.createNonceStr();
+  const merchant = req.merchant || merchantRegistry.getDefaultMerchant();
+  const status = req.query.status ? String(req.query.status).toUpperCase() : undefined;
+
+  if (status && !Object.values(SUBSCRIPTION_STATES).includes(status)) {
+    return sendSubscriptionError(res, 400, 'VALIDATION_ERROR', 'Invalid request parameters', requestId, {
+      errors: ['status must be one of ' + Object.values(SUBSCRIPTION_STATES).join(', ')],
+    });
+  }
+
+  try {
+    const subscriptions = await subscriptionStore.listSubscriptions({
+      merchantId: merchant.id,
+      openId: req.query.open_id ? String(req.query.open_id) : undefined,
+    });
+    const synced = await Promise.all(subscriptions.map(syncWithMandate));
+
+    return res.json({
+      result_code: '0',
+      result_msg: 'Subscriptions retrieved',
+      subscriptions: synced.filter(subscription => !status || subscription.status === status),
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    console.error('[Subscription Service] listSubscriptions failed:', { requestId: requestId, error: error.message });
+    return sendSubscriptionError(res, 500, 'INTERNAL_ERROR', 'Failed to list subscriptions', requestId);
+  }
+};
+
+/**
+ * Handles subscription detail requests
+ * @async
+ * @function getSubscription
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSubscription = async (req, res) => {
+  const requestId = tools.createNonceStr();
+  const merchant = req.merchant || merchantRegistry.getDefaultMerchant();
+
+  try {
+    const subscription = await subscriptionStore.getSubscription(req.params.subscriptionId);
+    if (!subscription || subscription.merchant_id !== merchant.id) {
+      return sendSubscriptionError(res, 404, 'SUBSCRIPTION_NOT_FOUND', 'Subscription not found: ' + req.params.subscriptionId, requestId);
+    }
+
+    return res.json({
+      result_code: '0',
+      result_msg: 'Subscription retrieved',
+      subscription: await syncWithMandate(subscription),
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    console.error('[Subscription Service] getSubscription failed:', { requestId: requestId, error: error.message });
+    return sendSubscriptionError(res, 500, 'INTERNAL_ERROR', 'Failed to get subscription', requestId);
+  }
+};
+
+/**
+ * Handles subscription cancellation: terminates the mandate at Fabric and
+ * stops billing. A subscription that has not started yet is cancelled by
+ * closing its signing order instead.
+ * @async
+ * @function cancelSubscription
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ *
+ * @example
+ * // POST /api/v1/subscriptions/SUB_9F2C41D07A3B8E65/cancel
+ * { "reason": "Cancelled by customer" }
+ */
+exports.cancelSubscription = async (req, res) => {
+  const requestId = tools.createNonceStr();
+  const merchant = req.merchant || merchantRegistry.getDefaultMerchant();
+  const reason = req.body && req.body.reason;
+
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > 256)) {
+    return sendSubscriptionError(res, 400, 'VALIDATION_ERROR', 'Invalid request parameters', requestId, {
+      errors: ['reason must be a string of at most 256 characters'],
+    });
+  }
+
+  try {
+    const subscription = await subscriptionStore.getSubscription(req.params.subscriptionId);
+    if (!subscription || subscription.merchant_id !== merchant.id) {
+      return sendSubscriptionError(res, 404, 'SUBSCRIPTION_NOT_FOUND', 'Subscription not found: ' + req.params.subscriptionId, requestId);
+    }
+
+    if (subscription.status === SUBSCRIPTION_STATES.PENDING) {
+      return sendSubscriptionError(res, 409, 'SUBSCRIPTION_NOT_STARTED',
+        'Subscription has not started yet; cancel its signing order ' + subscription.merch_order_id + ' instead', requestId);
+    }
+
+    if (subscription.status === SUBSCRIPTION_STATES.CANCELLED) {
+      return res.json({
+        result_code: '0',
+        result_msg: 'Subscription is already cancelled',
+        changed: false,
+        subscription: subscription,
+        request_id: requestId,
+        timestamp: tools.createTimeStamp(),
+      });
+    }
+
+    try {
+      await mandateService.changeMandate('terminate', subscription.contract_no, merchant, reason || 'subscription_cancelled');
+    } catch (error) {
+      // A mandate that is already gone needs no termination
+      if (!error.status || error.code !== 'MANDATE_NOT_FOUND') {
+        throw error;
+      }
+    }
+
+    const cancelled = await closeSubscription(subscription, reason || 'cancelled');
+
+    return res.json({
+      result_code: '0',
+      result_msg: 'Subscription cancelled',
+      changed: true,
+      subscription: cancelled,
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    console.error('[Subscription Service] cancelSubscription failed:', {
+      requestId: requestId,
+      subscriptionId: req.params.subscriptionId,
+      error: error.message,
+      errorCode: error.code,
+    });
+
+    // The mandate could not be terminated, so the subscription keeps billing
+    if (error.status) {
+      return sendSubscriptionError(res, error.status, error.code, error.message, requestId,
+        error.fabricError ? fabricClient.toErrorResponse(error.fabricError) : {});
+    }
+
+    return sendSubscriptionError(res, 500, 'INTERNAL_ERROR', 'Failed to cancel subscription', requestId);
+  }
+};
+
+exports.SUBSCRIPTION_STATES = SUBSCRIPTION_STATES;
+
+module.exports = exports;
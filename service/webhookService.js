@@ -0,0 +1,499 @@
+/**
+ * @module services/webhookService
+ * @description Outbound merchant webhooks: signed event deliveries with a persistent retry queue,
+ * dead letters and replay
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config/config');
+const tools = require('../utils/tools');
+const merchantRegistry = require('../config/merchantRegistry');
+const orderStore = require('../store/orderStore');
+const webhookStore = require('../store/webhookStore');
+
+const { WEBHOOK_EVENTS, DELIVERY_STATES } = webhookStore;
+
+/**
+ * Most deliveries attempted in parallel per queue pass
+ * @type {number}
+ * @constant
+ */
+const BATCH_SIZE = 20;
+
+/**
+ * @typedef {Object} WebhookEvent
+ * @property {string} id - Event ID; receivers should use it to drop duplicates
+ * @property {string} type - One of WEBHOOK_EVENTS
+ * @property {string} created_at - ISO time the event happened
+ * @property {string} merchant_id - Merchant the event belongs to
+ * @property {Object} data - Event data
+ */
+
+/**
+ * Queue poll timer, set while the worker runs
+ * @type {NodeJS.Timeout|null}
+ */
+let pollTimer = null;
+
+/**
+ * Removes the order transition listener
+ * @type {Function|null}
+ */
+let stopListening = null;
+
+/**
+ * Queue pass in progress, if any
+ * @type {Promise|null}
+ */
+let processing = null;
+
+/**
+ * Whether another pass is needed after the current one
+ * @type {boolean}
+ */
+let passRequested = false;
+
+/**
+ * Derives a stable event ID, so an event reported twice is queued once
+ * @private
+ * @param {string} merchantId - Merchant ID
+ * @param {string} type - Event type
+ * @param {string} key - What the event is about (order ID, refund number)
+ * @returns {string} Event ID
+ */
+const createEventId = (merchantId, type, key) => 'evt_' + crypto.createHash('sha256')
+  .update(merchantId + ':' + type + ':' + key)
+  .digest('hex')
+  .slice(0, 24);
+
+/**
+ * Builds the order part of event data
+ * @private
+ * @param {OrderRecord} order - Order
+ * @returns {Object} Order summary
+ */
+const toOrderData = (order) => ({
+  merch_order_id: order.merch_order_id,
+  prepay_id: order.prepay_id,
+  payment_order_id: order.payment_order_id,
+  title: order.title,
+  amount: order.amount,
+  paid_amount: order.paid_amount !== undefined ? order.paid_amount : null,
+  refunded_amount: order.refunded_amount,
+  currency: order.currency,
+  status: order.status,
+});
+
+/**
+ * Computes when a failed delivery is tried again: exponential backoff
+ * with jitter, capped at config.webhooks.retryMaxSeconds
+ * @private
+ * @param {number} attempts - Attempts made so far
+ * @returns {string} ISO time of the next attempt
+ */
+const getNextAttemptAt = (attempts) => {
+  const ceiling = Math.min(config.webhooks.retryMaxSeconds, config.webhooks.retryBaseSeconds * Math.pow(2, attempts - 1));
+  const delaySeconds = ceiling / 2 + Math.random() * ceiling / 2;
+
+  return new Date(Date.now() + delaySeconds * 1000).toISOString();
+};
+
+/**
+ * Signs a delivery body. The signed text is "<timestamp>.<body>".
+ * HMAC endpoints get "sha256=<hex>"; RSA endpoints get a base64
+ * SHA256WithRSA signature made with the merchant's private key,
+ * the same scheme used for Fabric requests.
+ * @private
+ * @param {Merchant} merchant - Merchant sending the event
+ * @param {WebhookEndpoint} endpoint - Receiving endpoint
+ * @param {string} body - JSON body
+ * @param {string} timestamp - Unix seconds
+ * @returns {Object} Signature headers
+ */
+const signDelivery = (merchant, endpoint, body, timestamp) => {
+  const text = timestamp + '.' + body;
+
+  if (endpoint.signing === 'rsa') {
+    return {
+      'X-Webhook-Signature': tools.signString(text, merchant.privateKey),
+      'X-Webhook-Signature-Type': 'SHA256WithRSA',
+    };
+  }
+
+  return {
+    'X-Webhook-Signature': 'sha256=' + crypto.createHmac('sha256', endpoint.secret).update(text).digest('hex'),
+    'X-Webhook-Signature-Type': 'HMAC-SHA256',
+  };
+};
+
+/**
+ * Queues an event for every endpoint of the merchant that subscribed to its type
+ * @async
+ * @function publish
+ * @param {string} merchantId - Merchant the event belongs to
+ * @param {string} type - One of WEBHOOK_EVENTS
+ * @param {string} key - What the event is about; the same key never queues the event twice
+ * @param {Object} data - Event data
+ * @returns {Promise<WebhookDelivery[]>} Newly queued deliveries
+ */
+exports.publish = async (merchantId, type, key, data) => {
+  const merchant = merchantRegistry.resolveMerchant(merchantId);
+  const endpoints = (merchant.webhooks || [])
+    .filter(endpoint => endpoint.events.length === 0 || endpoint.events.includes(type));
+
+  if (endpoints.length === 0) {
+    return [];
+  }
+
+  const event = {
+    id: createEventId(merchant.id, type, key),
+    type: type,
+    created_at: new Date().toISOString(),
+    merchant_id: merchant.id,
+    data: data,
+  };
+
+  const results = await Promise.all(endpoints.map(endpoint => webhookStore.enqueue({
+    id: event.id + '_' + endpoint.id,
+    event_id: event.id,
+    event_type: type,
+    merchant_id: merchant.id,
+    endpoint_id: endpoint.id,
+    url: endpoint.url,
+    payload: event,
+  })));
+
+  const queued = results.filter(result => result.created).map(result => result.record);
+  if (queued.length > 0) {
+    console.log('[Webhook Service] Queued ' + type + ' ' + event.id + ' for ' + queued.length + ' endpoint(s)');
+    exports.processQueue();
+  }
+
+  return queued;
+};
+
+/**
+ * Queues refund.succeeded for a refund that just succeeded
+ * @async
+ * @function publishRefundSucceeded
+ * @param {OrderRecord} order - Refunded order
+ * @param {Object} refund - Refund record
+ * @returns {Promise<WebhookDelivery[]>} Newly queued deliveries
+ */
+exports.publishRefundSucceeded = (order, refund) => exports.publish(
+  order.merchant_id,
+  WEBHOOK_EVENTS.REFUND_SUCCEEDED,
+  refund.refund_request_no,
+  Object.assign(toOrderData(order), {
+    refund: {
+      refund_request_no: refund.refund_request_no,
+      refund_order_id: refund.refund_order_id,
+      amount: refund.amount,
+      currency: refund.currency,
+      reason: refund.reason || null,
+    },
+  })
+);
+
+/**
+ * Turns order state transitions into events: PAID gives order.paid (and
+ * mandate.signed for mandate orders), a payment failing after the
+ * preorder gives order.failed
+ * @private
+ * @param {OrderRecord} order - Order after the transition
+ * @param {StatusChange} change - The transition
+ * @returns {Promise<void>}
+ */
+const handleTransition = async (order, change) => {
+  if (change.status === orderStore.ORDER_STATES.PAID) {
+    await exports.publish(order.merchant_id, WEBHOOK_EVENTS.ORDER_PAID, order.merch_order_id, toOrderData(order));
+
+    if (order.mandate_data) {
+      await exports.publish(order.merchant_id, WEBHOOK_EVENTS.MANDATE_SIGNED, order.merch_order_id, Object.assign(toOrderData(order), {
+        mandate: {
+          contract_no: order.mandate_data.mctContractNo,
+          mandate_template_id: order.mandate_data.mandateTemplateId,
+          execute_time: order.mandate_data.executeTime,
+        },
+      }));
+    }
+  }
+
+  if (change.status === orderStore.ORDER_STATES.FAILED && change.from === orderStore.ORDER_STATES.PENDING) {
+    await exports.publish(order.merchant_id, WEBHOOK_EVENTS.ORDER_FAILED, order.merch_order_id, Object.assign(toOrderData(order), {
+      reason: change.reason || null,
+    }));
+  }
+};
+
+/**
+ * Makes one delivery attempt and records the outcome. A 2xx response
+ * delivers it; anything else schedules a retry, or dead-letters it once
+ * config.webhooks.maxAttempts is reached.
+ * @private
+ * @async
+ * @param {WebhookDelivery} delivery - Due delivery
+ * @returns {Promise<WebhookDelivery>} Updated delivery
+ */
+const attemptDelivery = async (delivery) => {
+  const merchant = merchantRegistry.getMerchant(delivery.merchant_id);
+  const endpoint = merchant && merchant.webhooks.find(candidate => candidate.id === delivery.endpoint_id);
+
+  let status = null;
+  let errorMessage = null;
+
+  if (!endpoint) {
+    errorMessage = 'Endpoint is no longer configured';
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = tools.createTimeStamp();
+
+    try {
+      const response = await axios.post(endpoint.url, body, {
+        headers: Object.assign({
+          'Content-Type': 'application/json',
+          'User-Agent': 'Fabric-Payment-Webhooks/1.0',
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Attempt': String(delivery.attempts + 1),
+          'X-Webhook-Timestamp': timestamp,
+        }, signDelivery(merchant, endpoint, body, timestamp)),
+        timeout: config.webhooks.timeoutMs,
+        maxRedirects: 0,
+        validateStatus: () => true,
+      });
+
+      status = response.status;
+      if (status < 200 || status >= 300) {
+        errorMessage = 'Endpoint answered HTTP ' + status;
+      }
+    } catch (error) {
+      errorMessage = error.message;
+    }
+  }
+
+  return webhookStore.updateDelivery(delivery.id, (current) => {
+    const now = new Date().toISOString();
+
+    current.attempts += 1;
+    current.last_status = status;
+    current.last_error = errorMessage;
+
+    if (!errorMessage) {
+      current.state = DELIVERY_STATES.DELIVERED;
+      current.delivered_at = now;
+      console.log('[Webhook Service] Delivered ' + current.event_type + ' ' + current.event_id + ' to ' + current.url);
+    } else if (!endpoint || current.attempts >= config.webhooks.maxAttempts) {
+      current.state = DELIVERY_STATES.DEAD;
+      current.dead_at = now;
+      console.error('[Webhook Service] Dead-lettered ' + current.id + ' after ' + current.attempts + ' attempt(s): ' + errorMessage);
+    } else {
+      current.next_attempt_at = getNextAttemptAt(current.attempts);
+      console.warn('[Webhook Service] Delivery ' + current.id + ' failed (' + errorMessage + '), retrying at ' + current.next_attempt_at);
+    }
+  });
+};
+
+/**
+ * Attempts every due delivery. Runs one pass at a time; a call during
+ * a pass schedules another pass right after it.
+ * @async
+ * @function processQueue
+ * @returns {Promise<void>}
+ */
+exports.processQueue = () => {
+  if (processing) {
+    passRequested = true;
+    return processing;
+  }
+
+  processing = (async () => {
+    do {
+      passRequested = false;
+
+      // Each delivery is attempted at most once per pass, even if recording its outcome failed
+      const attempted = new Set();
+      const nextBatch = async () => (await webhookStore.listDue())
+        .filter(delivery => !attempted.has(delivery.id))
+        .slice(0, BATCH_SIZE);
+
+      let due = await nextBatch();
+      while (due.length > 0) {
+        due.forEach(delivery => attempted.add(delivery.id));
+        await Promise.all(due.map(delivery => attemptDelivery(delivery).catch(error => {
+          console.error('[Webhook Service] Failed to process ' + delivery.id + ':', error.message);
+        })));
+        due = await nextBatch();
+      }
+    } while (passRequested);
+  })()
+    .catch(error => {
+      console.error('[Webhook Service] Queue pass failed:', error.message);
+    })
+    .then(() => {
+      processing = null;
+    });
+
+  return processing;
+};
+
+/**
+ * Starts publishing order events and delivering the queue. Deliveries
+ * left pending by a previous run are picked up on the first pass.
+ * @function start
+ */
+exports.start = () => {
+  if (pollTimer) {
+    return;
+  }
+
+  const knownEvents = Object.values(WEBHOOK_EVENTS);
+  merchantRegistry.listMerchants().forEach(merchant => {
+    merchant.webhooks.forEach(endpoint => {
+      endpoint.events.filter(event => !knownEvents.includes(event)).forEach(event => {
+        console.warn('[Webhook Service] Merchant ' + merchant.id + ' subscribes ' + endpoint.url + ' to unknown event ' + event);
+      });
+    });
+  });
+
+  stopListening = orderStore.onTransition(handleTransition);
+  pollTimer = setInterval(exports.processQueue, config.webhooks.pollIntervalMs);
+  exports.processQueue();
+};
+
+/**
+ * Stops the worker; queued deliveries stay in the store
+ * @function stop
+ */
+exports.stop = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+
+  if (stopListening) {
+    stopListening();
+    stopListening = null;
+  }
+};
+
+/**
+ * Sends a webhook admin error
+ * @private
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status
+ * @param {string} code - Result code
+ * @param {string} message - Result message
+ * @param {string} requestId - Request ID
+ */
+const sendWebhookError = (res, status, code, message, requestId) => res.status(status).json({
+  result_code: code,
+  result_msg: message,
+  timestamp: tools.createTimeStamp(),
+  request_id: requestId,
+});
+
+/**
+ * Handles delivery listing requests. Supports state and limit query parameters.
+ * @async
+ * @function listDeliveries
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listDeliveries = async (req, res) => {
+  const requestId = tools.createNonceStr();
+  const query = req.query || {};
+
+  if (query.state && !DELIVERY_STATES[query.state]) {
+    return sendWebhookError(res, 400, 'VALIDATION_ERROR', 'state must be one of ' + Object.keys(DELIVERY_STATES).join(', '), requestId);
+  }
+
+  try {
+    const deliveries = await webhookStore.listDeliveries({
+      merchantId: req.merchant.id,
+      state: query.state,
+      limit: Math.min(parseInt(query.limit) || 100, 1000),
+    });
+
+    return res.json({
+      result_code: '0',
+      result_msg: 'Webhook deliveries retrieved',
+      merchant_id: req.merchant.id,
+      deliveries: deliveries,
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    console.error('[Webhook Service] listDeliveries failed:', { requestId: requestId, error: error.message });
+    return sendWebhookError(res, 500, 'INTERNAL_ERROR', 'Failed to list webhook deliveries', requestId);
+  }
+};
+
+/**
+ * Handles dead-letter listing requests
+ * @async
+ * @function listDeadLetters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listDeadLetters = (req, res) => {
+  req.query = Object.assign({}, req.query, { state: DELIVERY_STATES.DEAD });
+  return exports.listDeliveries(req, res);
+};
+
+/**
+ * Handles replay requests: puts a dead or delivered delivery back in the
+ * queue with a fresh attempt budget. The event keeps its ID.
+ * @async
+ * @function replayDelivery
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.replayDelivery = async (req, res) => {
+  const requestId = tools.createNonceStr();
+  const deliveryId = req.params.deliveryId;
+
+  try {
+    const existing = await webhookStore.getDelivery(deliveryId);
+    if (!existing || existing.merchant_id !== req.merchant.id) {
+      return sendWebhookError(res, 404, 'DELIVERY_NOT_FOUND', 'Webhook delivery not found: ' + deliveryId, requestId);
+    }
+
+    let alreadyPending = false;
+    const delivery = await webhookStore.updateDelivery(deliveryId, (current) => {
+      if (current.state === DELIVERY_STATES.PENDING) {
+        alreadyPending = true;
+        return;
+      }
+
+      current.state = DELIVERY_STATES.PENDING;
+      current.attempts = 0;
+      current.next_attempt_at = new Date().toISOString();
+      current.replay_count = (current.replay_count || 0) + 1;
+      current.dead_at = null;
+    });
+
+    if (alreadyPending) {
+      return sendWebhookError(res, 409, 'DELIVERY_PENDING', 'Webhook delivery is already queued', requestId);
+    }
+
+    console.log('[Webhook Service] Replaying ' + deliveryId);
+    exports.processQueue();
+
+    return res.json({
+      result_code: '0',
+      result_msg: 'Webhook delivery queued for replay',
+      delivery: delivery,
+      request_id: requestId,
+      timestamp: tools.createTimeStamp(),
+    });
+  } catch (error) {
+    console.error('[Webhook Service] replayDelivery failed:', { requestId: requestId, error: error.message });
+    return sendWebhookError(res, 500, 'INTERNAL_ERROR', 'Failed to replay webhook delivery', requestId);
+  }
+};
+
+exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = exports;
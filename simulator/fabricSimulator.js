@@ -0,0 +1,1039 @@
+/**
+ * @module simulator/fabricSimulator
+ * @description Local Fabric payment gateway simulator for offline development and tests.
+ * Implements token, authToken, preOrder, queryOrder, refund, queryRefund, closeOrder and the
+ * mandate methods (queryMandate, pauseMandate, resumeMandate, terminateMandate, mandatePayment),
+ * verifies our request signatures, serves the web checkout page and sends signed notify callbacks.
+ * @version 1.0.0
+ *
+ * @example
+ * // As a script (uses the merchants from the configuration)
+ * // $ npm run simulator
+ *
+ * // As a test helper
+ * const { createFabricSimulator } = require('./simulator/fabricSimulator');
+ * const simulator = createFabricSimulator({ notifyUrl: 'http://127.0.0.1:3000/api/v1/notify' });
+ * const { url } = await simulator.listen(0);
+ * simulator.failNext('payment.queryorder', { type: 'http', status: 503 });
+ * await simulator.pay('ORDER_1');
+ * await simulator.close();
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const tools = require('../utils/tools');
+const merchantRegistry = require('../config/merchantRegistry');
+
+/**
+ * Fabric order states used by the simulator
+ * @type {Object}
+ * @constant
+ */
+const SIM_ORDER_STATES = {
+  WAIT_PAY: 'WAIT_PAY',
+  PAY_SUCCESS: 'PAY_SUCCESS',
+  PAY_FAILED: 'PAY_FAILED',
+  ORDER_CLOSED: 'ORDER_CLOSED',
+  REFUND_SUCCESS: 'REFUND_SUCCESS',
+};
+
+/**
+ * Order state reached by each notify trade_status
+ * @type {Object}
+ * @constant
+ */
+const TRADE_STATUS_STATES = {
+  Completed: SIM_ORDER_STATES.PAY_SUCCESS,
+  Failure: SIM_ORDER_STATES.PAY_FAILED,
+};
+
+/**
+ * Mandate states used by the simulator
+ * @type {Object}
+ * @constant
+ */
+const SIM_MANDATE_STATES = {
+  ACTIVE: 'ACTIVE',
+  PAUSED: 'PAUSED',
+  TERMINATED: 'TERMINATED',
+};
+
+/**
+ * Mandate state each mandate method leads to, and the states it may be called in
+ * @type {Object}
+ * @constant
+ */
+const MANDATE_ACTIONS = {
+  '/payment/v1/merchant/pauseMandate': { from: [SIM_MANDATE_STATES.ACTIVE], to: SIM_MANDATE_STATES.PAUSED },
+  '/payment/v1/merchant/resumeMandate': { from: [SIM_MANDATE_STATES.PAUSED], to: SIM_MANDATE_STATES.ACTIVE },
+  '/payment/v1/merchant/terminateMandate': {
+    from: [SIM_MANDATE_STATES.ACTIVE, SIM_MANDATE_STATES.PAUSED],
+    to: SIM_MANDATE_STATES.TERMINATED,
+  },
+};
+
+/**
+ * Failure modes that can be scripted with failNext()
+ * @type {Object}
+ * @constant
+ */
+const FAILURE_TYPES = {
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  HTTP: 'http',
+  BUSINESS: 'business',
+  DELAY: 'delay',
+};
+
+/**
+ * Fabric method expected on each endpoint
+ * @type {Object}
+ * @constant
+ */
+const ENDPOINT_METHODS = {
+  '/payment/v1/auth/authToken': 'payment.authtoken',
+  '/payment/v1/merchant/preOrder': 'payment.preorder',
+  '/payment/v1/merchant/queryOrder': 'payment.queryorder',
+  '/payment/v1/merchant/refund': 'payment.refund',
+  '/payment/v1/merchant/queryRefund': 'payment.queryrefund',
+  '/payment/v1/merchant/closeOrder': 'payment.closeorder',
+  '/payment/v1/merchant/queryMandate': 'payment.querymandate',
+  '/payment/v1/merchant/pauseMandate': 'payment.pausemandate',
+  '/payment/v1/merchant/resumeMandate': 'payment.resumemandate',
+  '/payment/v1/merchant/terminateMandate': 'payment.terminatemandate',
+  '/payment/v1/merchant/mandatePayment': 'payment.mandatepayment',
+};
+
+/**
+ * @typedef {Object} ScriptedFailure
+ * @property {string} type - One of FAILURE_TYPES
+ * @property {number} [status] - HTTP status (http)
+ * @property {string} [code] - Error code (http, business)
+ * @property {string} [msg] - Error message (http, business)
+ * @property {number} [delayMs] - How long to hold the request (timeout, delay)
+ * @property {number} [times] - How many requests to affect (default 1)
+ */
+
+/**
+ * @typedef {Object} SimulatorOptions
+ * @property {Object[]} [merchants] - Merchants to accept (defaults to the merchant registry).
+ *   Each needs fabricAppId, appSecret, merchantAppId, merchantCode and publicKey or privateKey.
+ * @property {string} [privateKey] - Key the simulator signs with (generated if omitted)
+ * @property {string} [notifyUrl] - Send every notify callback here instead of the order's notify_url
+ * @property {number} [tokenTtlSeconds] - Lifetime of issued tokens (default 3600)
+ * @property {Object} [autoPay] - Pay every new order automatically ({ tradeStatus, delayMs })
+ * @property {number} [notifyRetries] - Redeliveries of a rejected notify callback (default 2)
+ * @property {number} [notifyRetryDelayMs] - Delay between notify deliveries (default 1000)
+ * @property {boolean} [logging] - Log each request (default false)
+ */
+
+/**
+ * Derives the PEM public key belonging to a private key
+ * @private
+ * @param {string} privateKey - PEM private key
+ * @returns {string} PEM public key
+ */
+const toPublicKey = (privateKey) => crypto.createPublicKey(privateKey.trim())
+  .export({ type: 'spki', format: 'pem' });
+
+/**
+ * Creates a random ID with a prefix
+ * @private
+ * @param {string} prefix - ID prefix
+ * @returns {string} Random ID
+ */
+const createId = (prefix) => prefix + Date.now() + crypto.randomBytes(4).toString('hex').toUpperCase();
+
+/**
+ * Derives the open_id of the customer holding a super-app access token, the
+ * same for every exchange of that token
+ * @private
+ * @param {string} accessToken - Customer access token (the authToken of the mini-app)
+ * @returns {string} Simulated open_id
+ */
+const toOpenId = (accessToken) => 'SIMOPENID' + crypto.createHash('sha256').update(String(accessToken)).digest('hex')
+  .slice(0, 24).toUpperCase();
+
+/**
+ * Creates a Fabric gateway simulator
+ * @function createFabricSimulator
+ * @param {SimulatorOptions} [options] - Simulator options
+ * @returns {Object} Simulator with app, listen, close, failNext, clearFailures,
+ *   pay, resendNotify, expireTokens, getOrder, listOrders, reset, notifications and publicKey
+ */
+const createFabricSimulator = (options = {}) => {
+  let privateKey = options.privateKey;
+  if (!privateKey) {
+    privateKey = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+    }).privateKey;
+  }
+
+  const merchants = (options.merchants || merchantRegistry.listMerchants()).map(merchant => Object.assign({}, merchant, {
+    publicKey: merchant.privateKey ? toPublicKey(merchant.privateKey) : merchant.publicKey,
+  }));
+
+  const tokenTtlSeconds = options.tokenTtlSeconds || 3600;
+  const notifyRetries = options.notifyRetries !== undefined ? options.notifyRetries : 2;
+  const notifyRetryDelayMs = options.notifyRetryDelayMs !== undefined ? options.notifyRetryDelayMs : 1000;
+
+  const tokens = new Map();
+  const orders = new Map();
+  const mandates = new Map();
+  const failures = [];
+  const notifications = [];
+  const timers = new Set();
+  const heldRequests = new Set();
+  let server = null;
+
+  const log = (message) => {
+    if (options.logging) {
+      console.log('[Fabric Simulator] ' + message);
+    }
+  };
+
+  const later = (delayMs, fn) => new Promise(resolve => {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      resolve(fn());
+    }, delayMs);
+    timers.add(timer);
+  });
+
+  const findMerchant = (appKey) => merchants.find(merchant => merchant.fabricAppId === appKey) || null;
+
+  // ==========================================
+  // Envelopes
+  // ==========================================
+
+  const sendSuccess = (res, bizContent) => {
+    const envelope = {
+      result: 'SUCCESS',
+      code: '0',
+      msg: 'success',
+      nonce_str: tools.createNonceStr(),
+      biz_content: bizContent,
+      sign_type: 'SHA256WithRSA',
+    };
+    envelope.sign = tools.signRequestObject(envelope, privateKey);
+
+    return res.json(envelope);
+  };
+
+  const sendBusinessError = (res, code, msg) => res.json({
+    result: 'FAIL',
+    code: code,
+    msg: msg,
+    nonce_str: tools.createNonceStr(),
+  });
+
+  const sendHttpError = (res, status, code, msg) => res.status(status).json({
+    error_code: code,
+    error_msg: msg,
+  });
+
+  // ==========================================
+  // Scripted failures
+  // ==========================================
+
+  /**
+   * Makes the next matching request(s) fail
+   * @param {string} target - Fabric method (payment.preorder), endpoint path or "*"
+   * @param {ScriptedFailure} failure - Failure to inject
+   */
+  const failNext = (target, failure) => {
+    if (!failure || !Object.values(FAILURE_TYPES).includes(failure.type)) {
+      throw new Error('Unknown simulator failure type: ' + (failure && failure.type));
+    }
+
+    failures.push(Object.assign({ target: target || '*', times: 1 }, failure));
+  };
+
+  const clearFailures = () => {
+    failures.length = 0;
+  };
+
+  const takeFailure = (req) => {
+    const method = req.body && req.body.method;
+    const index = failures.findIndex(failure =>
+      failure.target === '*' || failure.target === req.path || failure.target === method);
+
+    if (index === -1) {
+      return null;
+    }
+
+    const failure = failures[index];
+    failure.times -= 1;
+    if (failure.times <= 0) {
+      failures.splice(index, 1);
+    }
+
+    return failure;
+  };
+
+  const applyFailures = (req, res, next) => {
+    const failure = takeFailure(req);
+    if (!failure) {
+      return next();
+    }
+
+    log('Injecting ' + failure.type + ' on ' + req.path);
+
+    switch (failure.type) {
+      case FAILURE_TYPES.TIMEOUT:
+        // Hold the request without answering, then drop the connection
+        heldRequests.add(req.socket);
+        return later(failure.delayMs || 60000, () => {
+          heldRequests.delete(req.socket);
+          req.socket.destroy();
+        });
+      case FAILURE_TYPES.NETWORK:
+        return req.socket.destroy();
+      case FAILURE_TYPES.HTTP:
+        return sendHttpError(res, failure.status || 500, failure.code || String(failure.status || 500),
+          failure.msg || 'Simulated HTTP error');
+      case FAILURE_TYPES.BUSINESS:
+        return sendBusinessError(res, failure.code || 'SYSTEM_ERROR', failure.msg || 'Simulated business error');
+      case FAILURE_TYPES.DELAY:
+        return later(failure.delayMs || 1000, next);
+    }
+  };
+
+  // ==========================================
+  // Request checks
+  // ==========================================
+
+  const requireToken = (req, res, next) => {
+    const merchant = findMerchant(req.get('X-APP-Key'));
+    if (!merchant) {
+      return sendHttpError(res, 401, 'INVALID_APP_KEY', 'Unknown X-APP-Key');
+    }
+
+    const token = tokens.get(req.get('Authorization'));
+    if (!token || token.appKey !== merchant.fabricAppId) {
+      return sendHttpError(res, 401, 'TOKEN_INVALID', 'Access token is invalid');
+    }
+
+    if (token.expiresAt <= Date.now()) {
+      return sendHttpError(res, 401, 'TOKEN_EXPIRED', 'Access token has expired');
+    }
+
+    req.simMerchant = merchant;
+    next();
+  };
+
+  const requireSignature = (req, res, next) => {
+    const body = req.body || {};
+    const expectedMethod = ENDPOINT_METHODS[req.path];
+
+    if (body.method !== expectedMethod) {
+      return sendBusinessError(res, 'INVALID_METHOD', 'Expected method ' + expectedMethod);
+    }
+
+    if (!body.biz_content || typeof body.biz_content !== 'object') {
+      return sendBusinessError(res, 'INVALID_PARAMETER', 'biz_content is required');
+    }
+
+    if (!tools.validateRequestSignature(body, req.simMerchant.publicKey)) {
+      return sendBusinessError(res, 'INVALID_SIGNATURE', 'Request signature verification failed');
+    }
+
+    const bizContent = body.biz_content;
+    if (bizContent.appid !== req.simMerchant.merchantAppId ||
+        (bizContent.merch_code !== undefined && bizContent.merch_code !== req.simMerchant.merchantCode)) {
+      return sendBusinessError(res, 'INVALID_MERCHANT', 'appid or merch_code does not match the X-APP-Key');
+    }
+
+    next();
+  };
+
+  const requireOrder = (req, res) => {
+    const order = orders.get(req.body.biz_content.merch_order_id);
+
+    if (!order || order.merchant.fabricAppId !== req.simMerchant.fabricAppId) {
+      sendBusinessError(res, 'ORDER_NOT_EXIST', 'Order does not exist');
+      return null;
+    }
+
+    return order;
+  };
+
+  const mandateKey = (merchant, contractNo) => merchant.fabricAppId + ':' + contractNo;
+
+  const requireMandate = (req, res) => {
+    const mandate = mandates.get(mandateKey(req.simMerchant, req.body.biz_content.mctContractNo));
+
+    if (!mandate) {
+      sendBusinessError(res, 'MANDATE_NOT_EXIST', 'Mandate does not exist');
+      return null;
+    }
+
+    return mandate;
+  };
+
+  // A paid mandate order means the customer who paid it signed the contract
+  const signMandate = (order) => {
+    const contractNo = order.mandate_data.mctContractNo;
+
+    mandates.set(mandateKey(order.merchant, contractNo), {
+      merchant: order.merchant,
+      mctContractNo: contractNo,
+      mandateTemplateId: order.mandate_data.mandateTemplateId,
+      executeTime: order.mandate_data.executeTime,
+      open_id: order.payer_open_id,
+      mandate_status: SIM_MANDATE_STATES.ACTIVE,
+      merch_order_id: order.merch_order_id,
+      signed_time: tools.createTimeStamp(),
+    });
+  };
+
+  // ==========================================
+  // Notify callbacks
+  // ==========================================
+
+  // A signed payload is sent again unchanged (same nonce and signature), as a
+  // gateway resending a callback whose acknowledgement it never got
+  const deliverNotify = async (order, attempt = 1, signedPayload = null) => {
+    const url = options.notifyUrl || order.notify_url || order.merchant.notifyUrl;
+    const payload = signedPayload || {
+      notify_url: url,
+      appid: order.merchant.merchantAppId,
+      notify_time: tools.createTimeStamp(),
+      timestamp: tools.createTimeStamp(),
+      nonce_str: tools.createNonceStr(),
+      merch_code: order.merchant.merchantCode,
+      merch_order_id: order.merch_order_id,
+      payment_order_id: order.payment_order_id,
+      total_amount: order.total_amount.toFixed(2),
+      trans_id: order.trans_id,
+      trans_currency: order.trans_currency,
+      trade_status: order.trade_status,
+      trans_end_time: tools.createTimeStamp(),
+      sign_type: 'SHA256WithRSA',
+    };
+    if (!signedPayload) {
+      payload.sign = tools.signRequestObject(payload, privateKey);
+    }
+
+    const delivery = { merch_order_id: order.merch_order_id, url: url, attempt: attempt, payload: payload, status: null, error: null };
+    notifications.push(delivery);
+
+    try {
+      const response = await axios.post(url, payload, { timeout: 10000, validateStatus: () => true });
+      delivery.status = response.status;
+    } catch (error) {
+      delivery.error = error.message;
+    }
+
+    log('Notify ' + order.merch_order_id + ' -> ' + url + ': ' + (delivery.status || delivery.error));
+
+    const delivered = delivery.status >= 200 && delivery.status < 300;
+    if (!delivered && attempt <= notifyRetries) {
+      return later(notifyRetryDelayMs, () => deliverNotify(order, attempt + 1, signedPayload));
+    }
+
+    return delivery;
+  };
+
+  /**
+   * Sends the last notify callback of an order again with the same signed body
+   * @param {string} merchOrderId - Merchant order ID
+   * @returns {Promise<Object>} The delivery ({ status, error, payload, ... })
+   */
+  const resendNotify = (merchOrderId) => {
+    const order = orders.get(merchOrderId);
+    const last = notifications.filter(delivery => delivery.merch_order_id === merchOrderId).pop();
+
+    if (!order || !last) {
+      return Promise.reject(new Error('Simulator sent no notify for ' + merchOrderId));
+    }
+
+    return deliverNotify(order, last.attempt + 1, last.payload);
+  };
+
+  /**
+   * Completes (or fails) the customer payment of an order and sends the notify callback
+   * @param {string} merchOrderId - Merchant order ID
+   * @param {Object} [payment] - Payment outcome
+   * @param {string} [payment.tradeStatus] - "Completed" (default) or "Failure"
+   * @param {string} [payment.openId] - open_id of the paying customer
+   * @param {string} [payment.authToken] - Access token of the paying customer (instead of openId);
+   *   gives the open_id payment.authtoken returns for it
+   * @returns {Promise<Object>} Last notify delivery ({ status, error, payload, ... })
+   */
+  const pay = (merchOrderId, payment = {}) => {
+    const order = orders.get(merchOrderId);
+    const tradeStatus = payment.tradeStatus || 'Completed';
+
+    if (!order) {
+      return Promise.reject(new Error('Simulator has no order ' + merchOrderId));
+    }
+
+    if (!TRADE_STATUS_STATES[tradeStatus]) {
+      return Promise.reject(new Error('Unsupported trade status: ' + tradeStatus));
+    }
+
+    if (order.order_status !== SIM_ORDER_STATES.WAIT_PAY) {
+      return Promise.reject(new Error('Order ' + merchOrderId + ' is ' + order.order_status));
+    }
+
+    order.order_status = TRADE_STATUS_STATES[tradeStatus];
+    order.trade_status = tradeStatus;
+    order.payment_order_id = createId('SIMPAY');
+    order.trans_id = createId('SIMTRANS');
+    order.trans_time = tools.createTimeStamp();
+    // Fabric knows who paid; without a payer the mandate gets no open_id
+    order.payer_open_id = payment.openId || (payment.authToken ? toOpenId(payment.authToken) : null);
+
+    if (order.order_status === SIM_ORDER_STATES.PAY_SUCCESS && order.mandate_data && order.mandate_data.mctContractNo) {
+      signMandate(order);
+    }
+
+    return deliverNotify(order);
+  };
+
+  // ==========================================
+  // Fabric endpoints
+  // ==========================================
+
+  const app = express();
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    log(req.method + ' ' + req.path);
+    next();
+  });
+
+  app.post('/payment/v1/token', applyFailures, (req, res) => {
+    const merchant = findMerchant(req.get('X-APP-Key'));
+
+    if (!merchant || !req.body || req.body.appSecret !== merchant.appSecret) {
+      return sendHttpError(res, 401, 'INVALID_APP_SECRET', 'X-APP-Key or appSecret is invalid');
+    }
+
+    const token = 'Bearer ' + crypto.randomBytes(24).toString('hex');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + tokenTtlSeconds * 1000);
+    const format = (date) => date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+    tokens.set(token, { appKey: merchant.fabricAppId, expiresAt: expiresAt.getTime() });
+
+    return res.json({
+      token: token,
+      effectiveDate: format(now),
+      expirationDate: format(expiresAt),
+    });
+  });
+
+  app.post('/payment/v1/auth/authToken', applyFailures, requireToken, requireSignature, (req, res) => {
+    const accessToken = req.body.biz_content.access_token;
+
+    if (!accessToken) {
+      return sendBusinessError(res, 'INVALID_PARAMETER', 'access_token is required');
+    }
+
+    const digest = crypto.createHash('sha256').update(String(accessToken)).digest('hex');
+
+    return sendSuccess(res, {
+      open_id: toOpenId(accessToken),
+      identityId: '2519' + parseInt(digest.slice(0, 8), 16).toString().padStart(8, '0').slice(0, 8),
+      identityType: '1000',
+      walletIdentityId: 'SIMWALLET' + digest.slice(24, 40).toUpperCase(),
+      nickName: 'Simulated Customer',
+    });
+  });
+
+  app.post('/payment/v1/merchant/preOrder', applyFailures, requireToken, requireSignature, (req, res) => {
+    const bizContent = req.body.biz_content;
+    const missing = ['merch_order_id', 'title', 'total_amount', 'trans_currency', 'trade_type']
+      .filter(field => bizContent[field] === undefined || bizContent[field] === '');
+
+    if (missing.length > 0) {
+      return sendBusinessError(res, 'INVALID_PARAMETER', 'Missing ' + missing.join(', '));
+    }
+
+    const amount = parseFloat(bizContent.total_amount);
+    if (isNaN(amount) || amount <= 0) {
+      return sendBusinessError(res, 'INVALID_AMOUNT', 'total_amount must be positive');
+    }
+
+    const existing = orders.get(bizContent.merch_order_id);
+    if (existing) {
+      if (existing.merchant.fabricAppId !== req.simMerchant.fabricAppId || existing.total_amount !== amount) {
+        return sendBusinessError(res, 'DUPLICATE_ORDER', 'merch_order_id was already used for another order');
+      }
+
+      return sendSuccess(res, toPreorderResult(existing));
+    }
+
+    const order = {
+      merchant: req.simMerchant,
+      merch_order_id: bizContent.merch_order_id,
+      prepay_id: createId('SIMPREPAY'),
+      title: bizContent.title,
+      total_amount: amount,
+      trans_currency: bizContent.trans_currency,
+      trade_type: bizContent.trade_type,
+      notify_url: bizContent.notify_url || null,
+      redirect_url: bizContent.redirect_url || null,
+      mandate_data: bizContent.mandate_data || null,
+      order_status: SIM_ORDER_STATES.WAIT_PAY,
+      trade_status: null,
+      payment_order_id: null,
+      trans_id: null,
+      trans_time: null,
+      refunds: [],
+      created_at: new Date().toISOString(),
+    };
+    orders.set(order.merch_order_id, order);
+
+    if (options.autoPay) {
+      later(options.autoPay.delayMs || 0, () => pay(order.merch_order_id, options.autoPay).catch(error => {
+        log('Auto pay of ' + order.merch_order_id + ' skipped: ' + error.message);
+      }));
+    }
+
+    return sendSuccess(res, toPreorderResult(order));
+  });
+
+  app.post('/payment/v1/merchant/queryOrder', applyFailures, requireToken, requireSignature, (req, res) => {
+    const order = requireOrder(req, res);
+    if (!order) {
+      return;
+    }
+
+    return sendSuccess(res, {
+      merch_order_id: order.merch_order_id,
+      order_status: order.order_status,
+      payment_order_id: order.payment_order_id,
+      trans_time: order.trans_time,
+      trans_id: order.trans_id,
+      total_amount: order.total_amount.toFixed(2),
+      trans_currency: order.trans_currency,
+    });
+  });
+
+  app.post('/payment/v1/merchant/refund', applyFailures, requireToken, requireSignature, (req, res) => {
+    const bizContent = req.body.biz_content;
+    const order = requireOrder(req, res);
+    if (!order) {
+      return;
+    }
+
+    const previous = order.refunds.find(refund => refund.refund_request_no === bizContent.refund_request_no);
+    if (previous) {
+      return sendSuccess(res, previous);
+    }
+
+    if (order.order_status !== SIM_ORDER_STATES.PAY_SUCCESS) {
+      return sendBusinessError(res, 'ORDER_STATUS_INVALID', 'Order is ' + order.order_status);
+    }
+
+    const amount = parseFloat(bizContent.actual_amount);
+    const refunded = order.refunds.reduce((sum, refund) => sum + parseFloat(refund.refund_amount), 0);
+    if (isNaN(amount) || amount <= 0 || amount > order.total_amount - refunded + 0.000001) {
+      return sendBusinessError(res, 'REFUND_AMOUNT_INVALID', 'Refund amount exceeds the refundable amount');
+    }
+
+    const refund = {
+      merch_order_id: order.merch_order_id,
+      refund_request_no: bizContent.refund_request_no,
+      refund_order_id: createId('SIMREFUND'),
+      refund_amount: amount.toFixed(2),
+      refund_status: 'REFUND_SUCCESS',
+      refund_time: tools.createTimeStamp(),
+    };
+    order.refunds.push(refund);
+
+    if (refunded + amount >= order.total_amount - 0.000001) {
+      order.order_status = SIM_ORDER_STATES.REFUND_SUCCESS;
+    }
+
+    return sendSuccess(res, refund);
+  });
+
+  app.post('/payment/v1/merchant/queryRefund', applyFailures, requireToken, requireSignature, (req, res) => {
+    const order = requireOrder(req, res);
+    if (!order) {
+      return;
+    }
+
+    const refund = order.refunds.find(item => item.refund_request_no === req.body.biz_content.refund_request_no);
+    if (!refund) {
+      return sendBusinessError(res, 'REFUND_NOT_EXIST', 'Refund does not exist');
+    }
+
+    return sendSuccess(res, refund);
+  });
+
+  app.post('/payment/v1/merchant/closeOrder', applyFailures, requireToken, requireSignature, (req, res) => {
+    const order = requireOrder(req, res);
+    if (!order) {
+      return;
+    }
+
+    if (order.order_status !== SIM_ORDER_STATES.WAIT_PAY && order.order_status !== SIM_ORDER_STATES.ORDER_CLOSED) {
+      return sendBusinessError(res, 'ORDER_STATUS_INVALID', 'Order is ' + order.order_status);
+    }
+
+    order.order_status = SIM_ORDER_STATES.ORDER_CLOSED;
+
+    return sendSuccess(res, { merch_order_id: order.merch_order_id, order_status: order.order_status });
+  });
+
+  app.post('/payment/v1/merchant/queryMandate', applyFailures, requireToken, requireSignature, (req, res) => {
+    const mandate = requireMandate(req, res);
+    if (!mandate) {
+      return;
+    }
+
+    return sendSuccess(res, toPublicMandate(mandate));
+  });
+
+  app.post(Object.keys(MANDATE_ACTIONS), applyFailures, requireToken, requireSignature, (req, res) => {
+    const action = MANDATE_ACTIONS[req.path];
+    const mandate = requireMandate(req, res);
+    if (!mandate) {
+      return;
+    }
+
+    if (!action.from.includes(mandate.mandate_status)) {
+      return sendBusinessError(res, 'MANDATE_STATUS_INVALID', 'Mandate is ' + mandate.mandate_status);
+    }
+
+    mandate.mandate_status = action.to;
+
+    return sendSuccess(res, toPublicMandate(mandate));
+  });
+
+  // Debits a signed mandate; the payment completes at once and is notified like any other
+  app.post('/payment/v1/merchant/mandatePayment', applyFailures, requireToken, requireSignature, (req, res) => {
+    const bizContent = req.body.biz_content;
+    const missing = ['mctContractNo', 'merch_order_id', 'total_amount', 'trans_currency']
+      .filter(field => bizContent[field] === undefined || bizContent[field] === '');
+
+    if (missing.length > 0) {
+      return sendBusinessError(res, 'INVALID_PARAMETER', 'Missing ' + missing.join(', '));
+    }
+
+    const mandate = requireMandate(req, res);
+    if (!mandate) {
+      return;
+    }
+
+    if (mandate.mandate_status !== SIM_MANDATE_STATES.ACTIVE) {
+      return sendBusinessError(res, 'MANDATE_STATUS_INVALID', 'Mandate is ' + mandate.mandate_status);
+    }
+
+    const amount = parseFloat(bizContent.total_amount);
+    if (isNaN(amount) || amount <= 0) {
+      return sendBusinessError(res, 'INVALID_AMOUNT', 'total_amount must be positive');
+    }
+
+    if (orders.has(bizContent.merch_order_id)) {
+      return sendBusinessError(res, 'DUPLICATE_ORDER', 'merch_order_id was already used for another order');
+    }
+
+    const order = {
+      merchant: req.simMerchant,
+      merch_order_id: bizContent.merch_order_id,
+      prepay_id: null,
+      title: bizContent.title || 'Mandate payment',
+      total_amount: amount,
+      trans_currency: bizContent.trans_currency,
+      trade_type: 'MandatePayment',
+      notify_url: bizContent.notify_url || null,
+      redirect_url: null,
+      mct_contract_no: mandate.mctContractNo,
+      mandate_data: null,
+      order_status: SIM_ORDER_STATES.WAIT_PAY,
+      trade_status: null,
+      payment_order_id: null,
+      trans_id: null,
+      trans_time: null,
+      refunds: [],
+      created_at: new Date().toISOString(),
+    };
+    orders.set(order.merch_order_id, order);
+
+    pay(order.merch_order_id).catch(error => {
+      log('Notify of mandate payment ' + order.merch_order_id + ' failed: ' + error.message);
+    });
+
+    return sendSuccess(res, {
+      merch_order_id: order.merch_order_id,
+      payment_order_id: order.payment_order_id,
+      order_status: order.order_status,
+      trans_id: order.trans_id,
+      total_amount: order.total_amount.toFixed(2),
+      trans_currency: order.trans_currency,
+    });
+  });
+
+  // ==========================================
+  // Web checkout page
+  // ==========================================
+
+  /**
+   * Finds the order behind signed checkout parameters
+   * @param {Object} params - appid, merch_code, nonce_str, prepay_id, timestamp and sign
+   * @returns {Object|null} The order, or null if the parameters are not validly signed
+   */
+  const findCheckoutOrder = (params) => {
+    const signed = {
+      appid: params.appid,
+      merch_code: params.merch_code,
+      nonce_str: params.nonce_str,
+      prepay_id: params.prepay_id,
+      timestamp: params.timestamp,
+      sign: params.sign,
+    };
+    const merchant = merchants.find(candidate =>
+      candidate.merchantAppId === params.appid && candidate.merchantCode === params.merch_code);
+
+    if (!merchant || !params.prepay_id || !tools.validateRequestSignature(signed, merchant.publicKey)) {
+      return null;
+    }
+
+    return Array.from(orders.values()).find(order =>
+      order.prepay_id === params.prepay_id && order.merchant.fabricAppId === merchant.fabricAppId) || null;
+  };
+
+  const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => '&#' + char.charCodeAt(0) + ';');
+
+  const CHECKOUT_FIELDS = ['appid', 'merch_code', 'nonce_str', 'prepay_id', 'timestamp', 'sign'];
+
+  app.get('/payment/web/paygate', (req, res) => {
+    const order = findCheckoutOrder(req.query);
+    if (!order) {
+      return res.status(400).type('text/html').send('<h1>Invalid checkout link</h1>');
+    }
+
+    const hidden = CHECKOUT_FIELDS
+      .map(field => '<input type="hidden" name="' + field + '" value="' + escapeHtml(req.query[field]) + '">')
+      .join('');
+    const button = (tradeStatus, label) => '<button name="trade_status" value="' + tradeStatus + '">' + label + '</button>';
+
+    res.type('text/html').send(
+      '<!DOCTYPE html><html><head><title>Fabric Simulator Checkout</title></head><body>' +
+      '<h1>' + escapeHtml(order.title) + '</h1>' +
+      '<p>' + order.total_amount.toFixed(2) + ' ' + escapeHtml(order.trans_currency) + ' - ' + order.order_status + '</p>' +
+      (order.order_status === SIM_ORDER_STATES.WAIT_PAY
+        ? '<form method="post">' + hidden + button('Completed', 'Pay') + ' ' + button('Failure', 'Decline') + '</form>'
+        : '') +
+      '</body></html>'
+    );
+  });
+
+  app.post('/payment/web/paygate', express.urlencoded({ extended: false }), async (req, res) => {
+    const order = findCheckoutOrder(req.body || {});
+    if (!order) {
+      return res.status(400).type('text/html').send('<h1>Invalid checkout link</h1>');
+    }
+
+    try {
+      await pay(order.merch_order_id, { tradeStatus: req.body.trade_status });
+    } catch (error) {
+      return res.status(409).type('text/html').send('<h1>' + escapeHtml(error.message) + '</h1>');
+    }
+
+    if (order.redirect_url) {
+      return res.redirect(303, order.redirect_url);
+    }
+
+    res.type('text/html').send('<h1>Payment ' + order.order_status + '</h1>');
+  });
+
+  // ==========================================
+  // Control endpoints (for scripts and manual testing)
+  // ==========================================
+
+  const publicKey = toPublicKey(privateKey);
+
+  app.get('/simulator/public-key', (req, res) => res.type('text/plain').send(publicKey));
+
+  app.get('/simulator/orders', (req, res) => res.json(listOrders()));
+
+  app.post('/simulator/orders/:merchOrderId/pay', async (req, res) => {
+    try {
+      const body = req.body || {};
+      const delivery = await pay(req.params.merchOrderId, {
+        tradeStatus: body.trade_status,
+        openId: body.open_id,
+        authToken: body.auth_token,
+      });
+      res.json({ order: getOrder(req.params.merchOrderId), notify: delivery });
+    } catch (error) {
+      sendHttpError(res, 409, 'SIMULATOR_ERROR', error.message);
+    }
+  });
+
+  app.post('/simulator/orders/:merchOrderId/notify', async (req, res) => {
+    try {
+      res.json({ notify: await resendNotify(req.params.merchOrderId) });
+    } catch (error) {
+      sendHttpError(res, 409, 'SIMULATOR_ERROR', error.message);
+    }
+  });
+
+  app.get('/simulator/mandates', (req, res) => res.json(listMandates()));
+
+  app.post('/simulator/failures', (req, res) => {
+    try {
+      failNext(req.body && req.body.target, req.body);
+      res.status(201).json({ failures: failures });
+    } catch (error) {
+      sendHttpError(res, 400, 'SIMULATOR_ERROR', error.message);
+    }
+  });
+
+  app.delete('/simulator/failures', (req, res) => {
+    clearFailures();
+    res.json({ failures: failures });
+  });
+
+  app.post('/simulator/tokens/expire', (req, res) => {
+    expireTokens();
+    res.json({ expired: tokens.size });
+  });
+
+  app.post('/simulator/reset', (req, res) => {
+    reset();
+    res.json({ reset: true });
+  });
+
+  app.use((req, res) => sendHttpError(res, 404, 'NOT_FOUND', 'Simulator has no route ' + req.method + ' ' + req.path));
+
+  // ==========================================
+  // Helpers
+  // ==========================================
+
+  // QrCode orders also get a payload for the customer to scan
+  const toPreorderResult = (order) => Object.assign(
+    { merch_order_id: order.merch_order_id, prepay_id: order.prepay_id },
+    order.trade_type === 'QrCode' ? { qr_code: 'fabricsim://pay?prepay_id=' + order.prepay_id } : {}
+  );
+
+  const toPublicOrder = (order) => {
+    const publicOrder = Object.assign({}, order, { merchant_app_key: order.merchant.fabricAppId });
+    delete publicOrder.merchant;
+    return publicOrder;
+  };
+
+  const getOrder = (merchOrderId) => (orders.has(merchOrderId) ? toPublicOrder(orders.get(merchOrderId)) : null);
+
+  const listOrders = () => Array.from(orders.values()).map(toPublicOrder);
+
+  const toPublicMandate = (mandate) => ({
+    mctContractNo: mandate.mctContractNo,
+    mandate_status: mandate.mandate_status,
+    open_id: mandate.open_id,
+    mandateTemplateId: mandate.mandateTemplateId,
+    executeTime: mandate.executeTime,
+  });
+
+  const listMandates = () => Array.from(mandates.values()).map(mandate => Object.assign(toPublicMandate(mandate), {
+    merchant_app_key: mandate.merchant.fabricAppId,
+    merch_order_id: mandate.merch_order_id,
+  }));
+
+  /**
+   * Expires every issued token, so the next call gets a 401
+   */
+  const expireTokens = () => {
+    tokens.forEach(token => {
+      token.expiresAt = 0;
+    });
+  };
+
+  const reset = () => {
+    tokens.clear();
+    orders.clear();
+    mandates.clear();
+    clearFailures();
+    notifications.length = 0;
+  };
+
+  /**
+   * Starts listening
+   * @param {number} [port] - Port (0 picks a free one)
+   * @param {string} [host] - Host (default 127.0.0.1)
+   * @returns {Promise<{url: string, port: number}>} Base URL to use as FABRIC_BASE_URL
+   */
+  const listen = (port = 0, host = '127.0.0.1') => new Promise((resolve, reject) => {
+    server = app.listen(port, host, () => {
+      const address = server.address();
+      resolve({ url: 'http://' + host + ':' + address.port, port: address.port });
+    });
+    server.on('error', reject);
+  });
+
+  /**
+   * Stops listening, drops held requests and cancels pending timers
+   * @returns {Promise<void>}
+   */
+  const close = () => new Promise(resolve => {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+    heldRequests.forEach(socket => socket.destroy());
+    heldRequests.clear();
+
+    if (!server) {
+      return resolve();
+    }
+
+    server.close(() => resolve());
+    server = null;
+  });
+
+  return {
+    app,
+    listen,
+    close,
+    failNext,
+    clearFailures,
+    pay,
+    resendNotify,
+    expireTokens,
+    getOrder,
+    listOrders,
+    listMandates,
+    reset,
+    notifications,
+    publicKey,
+  };
+};
+
+// Run as a script: node simulator/fabricSimulator.js
+if (require.main === module) {
+  const port = parseInt(process.env.SIMULATOR_PORT) || 4010;
+  const simulator = createFabricSimulator({
+    privateKey: process.env.SIMULATOR_PRIVATE_KEY ? process.env.SIMULATOR_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+    notifyUrl: process.env.SIMULATOR_NOTIFY_URL || undefined,
+    tokenTtlSeconds: parseInt(process.env.SIMULATOR_TOKEN_TTL_SECONDS) || undefined,
+    autoPay: process.env.SIMULATOR_AUTO_PAY
+      ? { tradeStatus: process.env.SIMULATOR_AUTO_PAY, delayMs: parseInt(process.env.SIMULATOR_AUTO_PAY_DELAY_MS) || 2000 }
+      : undefined,
+    logging: true,
+  });
+
+  simulator.listen(port, process.env.SIMULATOR_HOST || '127.0.0.1').then(({ url }) => {
+    console.log('[Fabric Simulator] Listening on ' + url);
+    console.log('[Fabric Simulator] Start the API with FABRIC_BASE_URL=' + url);
+    console.log('[Fabric Simulator] and PUBLIC_KEY set to the key below (also at ' + url + '/simulator/public-key):');
+    console.log(simulator.publicKey);
+  });
+
+  process.on('SIGINT', () => simulator.close().then(() => process.exit(0)));
+  process.on('SIGTERM', () => simulator.close().then(() => process.exit(0)));
+}
+
+module.exports = {
+  createFabricSimulator,
+  SIM_ORDER_STATES,
+  SIM_MANDATE_STATES,
+  FAILURE_TYPES,
+};
@@ -0,0 +1,113 @@
+/**
+ * @module store/adapters/fileAdapter
+ * @description JSON file storage adapter. Records survive restarts.
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Creates an adapter that persists records to a JSON file.
+ * The whole file is loaded on first access and rewritten atomically
+ * (temp file + rename) on every change; writes are serialized.
+ * @function createFileAdapter
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object} Adapter implementing get, save, remove and list
+ *
+ * @example
+ * const adapter = createFileAdapter('./data/orders.json');
+ */
+const createFileAdapter = (filePath) => {
+  if (!filePath) {
+    throw new Error('File adapter requires a file path');
+  }
+
+  const resolvedPath = path.resolve(filePath);
+  let records = null;
+  let writeQueue = Promise.resolve();
+
+  const clone = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+  let loading = null;
+
+  const readFile = async () => {
+    try {
+      const content = await fs.promises.readFile(resolvedPath, 'utf8');
+      return content.trim() ? JSON.parse(content) : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error('Failed to load store file ' + resolvedPath + ': ' + error.message);
+      }
+      return {};
+    }
+  };
+
+  // Concurrent first accesses share a single read of the file
+  const load = async () => {
+    if (records) {
+      return records;
+    }
+
+    if (!loading) {
+      loading = readFile().then(
+        data => {
+          records = data;
+          return records;
+        },
+        error => {
+          loading = null;
+          throw error;
+        }
+      );
+    }
+
+    return loading;
+  };
+
+  const persist = () => {
+    const snapshot = JSON.stringify(records, null, 2);
+
+    const write = writeQueue.then(async () => {
+      const tempPath = resolvedPath + '.tmp';
+      await fs.promises.mkdir(path.dirname(resolvedPath), { recursive: true });
+      await fs.promises.writeFile(tempPath, snapshot, 'utf8');
+      await fs.promises.rename(tempPath, resolvedPath);
+    });
+
+    // A failed write is reported to its caller but must not block later writes
+    writeQueue = write.catch(() => {});
+    return write;
+  };
+
+  return {
+    name: 'file',
+
+    async get(id) {
+      const data = await load();
+      return clone(data[id]);
+    },
+
+    async save(id, record) {
+      const data = await load();
+      data[id] = clone(record);
+      await persist();
+      return clone(record);
+    },
+
+    async remove(id) {
+      const data = await load();
+      const existed = Object.prototype.hasOwnProperty.call(data, id);
+      delete data[id];
+      await persist();
+      return existed;
+    },
+
+    async list() {
+      const data = await load();
+      return Object.keys(data).map(id => clone(data[id]));
+    },
+  };
+};
+
+module.exports = createFileAdapter;
@@ -0,0 +1,44 @@
+/**
+ * @module store/adapters/memoryAdapter
+ * @description In-memory storage adapter. Records are lost on restart.
+ * @version 1.0.0
+ */
+
+/**
+ * Creates an in-memory adapter
+ * @function createMemoryAdapter
+ * @returns {Object} Adapter implementing get, save, remove and list
+ *
+ * @example
+ * const adapter = createMemoryAdapter();
+ * await adapter.save('ORDER_1', { status: 'CREATED' });
+ */
+const createMemoryAdapter = () => {
+  const records = new Map();
+
+  // Records are cloned on the way in and out so callers can't mutate stored state
+  const clone = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+  return {
+    name: 'memory',
+
+    async get(id) {
+      return clone(records.get(id));
+    },
+
+    async save(id, record) {
+      records.set(id, clone(record));
+      return clone(record);
+    },
+
+    async remove(id) {
+      return records.delete(id);
+    },
+
+    async list() {
+      return Array.from(records.values()).map(clone);
+    },
+  };
+};
+
+module.exports = createMemoryAdapter;
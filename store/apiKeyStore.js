@@ -0,0 +1,462 @@
+/**
+ * @module store/apiKeyStore
+ * @description Hashed API keys with scopes, validity windows and rotation
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const merchantRegistry = require('../config/merchantRegistry');
+const { createAdapter, runExclusive } = require('./orderStore');
+
+/**
+ * API key states
+ * @type {Object}
+ * @constant
+ */
+const KEY_STATES = {
+  ACTIVE: 'ACTIVE',
+  NOT_YET_VALID: 'NOT_YET_VALID',
+  EXPIRED: 'EXPIRED',
+  REVOKED: 'REVOKED',
+};
+
+/**
+ * Scopes that can be granted to a key. "prefix:*" grants every scope
+ * with that prefix and "*" grants all of them.
+ * @type {string[]}
+ * @constant
+ */
+const SCOPES = [
+  'orders:create',
+  'orders:read',
+  'orders:cancel',
+  'orders:refund',
+  'mandates:create',
+  'mandates:read',
+  'mandates:manage',
+  'subscriptions:create',
+  'subscriptions:read',
+  'subscriptions:manage',
+  'auth:token',
+  'admin:keys',
+  'admin:audit',
+  'admin:webhooks',
+];
+
+/**
+ * Prefix of generated keys
+ * @type {string}
+ * @constant
+ */
+const KEY_PREFIX = 'fpk_';
+
+/**
+ * last_used_at is written at most this often per key
+ * @type {number}
+ * @constant
+ */
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * @typedef {Object} ApiKeyRecord
+ * @property {string} id - Key ID, derived from the hash
+ * @property {string} merchant_id - Merchant the key belongs to
+ * @property {string} hash - SHA-256 hex digest of the key
+ * @property {string|null} hint - First characters of a generated key, for display
+ * @property {string[]} scopes - Granted scopes
+ * @property {string} source - "config" for configured keys, "store" for generated ones
+ * @property {string|null} not_before - ISO time the key becomes valid
+ * @property {string|null} expires_at - ISO time the key stops working
+ * @property {string|null} revoked_at - ISO time the key was revoked
+ * @property {string|null} rotated_from - Key this one replaced
+ * @property {string|null} rotated_to - Key that replaced this one
+ * @property {string} created_at - ISO creation timestamp
+ * @property {string|null} last_used_at - ISO time of the last accepted request
+ */
+
+/**
+ * Active storage adapter
+ * @type {Object}
+ */
+let adapter = createAdapter(config.apiKeys.store);
+
+/**
+ * Creates an error carrying an API key error code
+ * @private
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with code and status set
+ */
+const createKeyError = (code, message, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+/**
+ * Derives the key ID from its hash
+ * @private
+ * @param {string} hash - SHA-256 hex digest
+ * @returns {string} Key ID
+ */
+const getKeyId = (hash) => 'key_' + hash.slice(0, 16);
+
+/**
+ * Checks whether granted scopes cover a required scope
+ * @function hasScope
+ * @param {string[]} granted - Scopes held by a key
+ * @param {string} required - Scope needed (may itself be "prefix:*")
+ * @returns {boolean} True if covered
+ */
+const hasScope = (granted, required) => (granted || []).some(scope => {
+  if (scope === '*' || scope === required) {
+    return true;
+  }
+
+  return scope.endsWith(':*') && required.indexOf(scope.slice(0, -1)) === 0;
+});
+
+/**
+ * Checks whether a scope names a known scope or a wildcard over known scopes
+ * @function isKnownScope
+ * @param {string} scope - Scope to check
+ * @returns {boolean} True if known
+ */
+const isKnownScope = (scope) => scope === '*' || SCOPES.some(known => hasScope([scope], known));
+
+/**
+ * Works out the state of a key at a point in time
+ * @function getKeyState
+ * @param {ApiKeyRecord} record - Key record
+ * @param {Date} [now] - Point in time
+ * @returns {string} One of KEY_STATES
+ */
+const getKeyState = (record, now = new Date()) => {
+  if (record.revoked_at) {
+    return KEY_STATES.REVOKED;
+  }
+
+  if (record.not_before && new Date(record.not_before) > now) {
+    return KEY_STATES.NOT_YET_VALID;
+  }
+
+  if (record.expires_at && new Date(record.expires_at) <= now) {
+    return KEY_STATES.EXPIRED;
+  }
+
+  return KEY_STATES.ACTIVE;
+};
+
+/**
+ * Returns a key record without its hash, for API responses
+ * @function toPublicKey
+ * @param {ApiKeyRecord} record - Key record
+ * @returns {Object} Key details with the current state
+ */
+const toPublicKey = (record) => {
+  const publicKey = Object.assign({}, record, { state: getKeyState(record) });
+  delete publicKey.hash;
+  return publicKey;
+};
+
+/**
+ * Brings the stored record of a configured key in line with the configuration.
+ * The configuration owns the merchant and scopes; the store keeps lifecycle
+ * changes (rotation, revocation) made at runtime.
+ * @private
+ * @async
+ * @param {string} id - Key ID
+ * @param {Object} configured - Result of merchantRegistry.findConfiguredApiKey
+ * @returns {Promise<ApiKeyRecord>} The stored record
+ */
+const importConfiguredKey = (id, configured) => runExclusive('api_key:' + id, async () => {
+  const existing = await adapter.get(id);
+  const apiKey = configured.apiKey;
+
+  const record = Object.assign({
+    id: id,
+    hash: apiKey.hash,
+    hint: null,
+    source: 'config',
+    expires_at: apiKey.expiresAt,
+    revoked_at: null,
+    rotated_from: null,
+    rotated_to: null,
+    created_at: new Date().toISOString(),
+    last_used_at: null,
+  }, existing, {
+    merchant_id: configured.merchant.id,
+    scopes: apiKey.scopes,
+    not_before: apiKey.notBefore,
+  });
+
+  // A configured expiry can only shorten a key's life, never undo a rotation
+  if (apiKey.expiresAt && (!record.expires_at || apiKey.expiresAt < record.expires_at)) {
+    record.expires_at = apiKey.expiresAt;
+  }
+
+  if (existing && JSON.stringify(existing) === JSON.stringify(record)) {
+    return existing;
+  }
+
+  return adapter.save(id, record);
+});
+
+/**
+ * Finds the record of a presented API key.
+ * Configured keys are imported into the store on first use; configured keys
+ * that have since been removed from the configuration are not found.
+ * @function findKey
+ * @async
+ * @param {string} apiKey - Plaintext API key
+ * @returns {Promise<ApiKeyRecord|null>} The key record (in any state) or null
+ */
+const findKey = async (apiKey) => {
+  if (!apiKey) {
+    return null;
+  }
+
+  const hash = merchantRegistry.hashApiKey(apiKey);
+  const id = getKeyId(hash);
+
+  const configured = merchantRegistry.findConfiguredApiKey(hash);
+  if (configured) {
+    return importConfiguredKey(id, configured);
+  }
+
+  const record = await adapter.get(id);
+  if (!record || record.source === 'config' || record.hash.length !== hash.length ||
+      !crypto.timingSafeEqual(Buffer.from(record.hash, 'hex'), Buffer.from(hash, 'hex'))) {
+    return null;
+  }
+
+  return record;
+};
+
+/**
+ * Gets a key record by ID
+ * @function getKey
+ * @async
+ * @param {string} keyId - Key ID
+ * @returns {Promise<ApiKeyRecord|null>} The key record or null
+ */
+const getKey = (keyId) => adapter.get(keyId);
+
+/**
+ * Lists the keys of a merchant, newest first, including configured keys
+ * that have not been used yet
+ * @function listKeys
+ * @async
+ * @param {string} merchantId - Merchant ID
+ * @returns {Promise<ApiKeyRecord[]>} Key records
+ */
+const listKeys = async (merchantId) => {
+  const merchant = merchantRegistry.getMerchant(merchantId);
+  if (merchant) {
+    await Promise.all(merchant.apiKeys.map(apiKey => importConfiguredKey(getKeyId(apiKey.hash), {
+      merchant: merchant,
+      apiKey: apiKey,
+    })));
+  }
+
+  const configuredIds = merchant ? merchant.apiKeys.map(apiKey => getKeyId(apiKey.hash)) : [];
+
+  const records = await adapter.list();
+  return records
+    .filter(record => record.merchant_id === merchantId)
+    .filter(record => record.source !== 'config' || configuredIds.includes(record.id))
+    .sort((a, b) => (a.created_at < b.created_at ? 1 : -1));
+};
+
+/**
+ * Validates requested scopes
+ * @private
+ * @param {string[]} scopes - Requested scopes
+ * @returns {string[]} Trimmed scopes
+ * @throws {Error} With code INVALID_SCOPE if a scope is unknown or none are given
+ */
+const validateScopes = (scopes) => {
+  const trimmed = (Array.isArray(scopes) ? scopes : []).map(scope => String(scope).trim()).filter(Boolean);
+
+  if (trimmed.length === 0) {
+    throw createKeyError('INVALID_SCOPE', 'At least one scope is required', 400);
+  }
+
+  const unknown = trimmed.filter(scope => !isKnownScope(scope));
+  if (unknown.length > 0) {
+    throw createKeyError('INVALID_SCOPE', 'Unknown scope: ' + unknown.join(', '), 400);
+  }
+
+  return trimmed;
+};
+
+/**
+ * Generates and stores a new key. The plaintext key is only returned here.
+ * @function createKey
+ * @async
+ * @param {string} merchantId - Merchant the key belongs to
+ * @param {Object} options - Key options
+ * @param {string[]} options.scopes - Scopes to grant
+ * @param {string|null} [options.notBefore] - ISO time the key becomes valid
+ * @param {string|null} [options.expiresAt] - ISO time the key stops working
+ * @param {string|null} [options.rotatedFrom] - Key this one replaces
+ * @returns {Promise<{key: string, record: ApiKeyRecord}>} Plaintext key and its record
+ * @throws {Error} With code INVALID_SCOPE if a scope is unknown
+ */
+const createKey = async (merchantId, options = {}) => {
+  const scopes = validateScopes(options.scopes);
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+  const hash = merchantRegistry.hashApiKey(key);
+
+  const record = {
+    id: getKeyId(hash),
+    merchant_id: merchantId,
+    hash: hash,
+    hint: key.slice(0, KEY_PREFIX.length + 4),
+    scopes: scopes,
+    source: 'store',
+    not_before: options.notBefore || null,
+    expires_at: options.expiresAt || null,
+    revoked_at: null,
+    rotated_from: options.rotatedFrom || null,
+    rotated_to: null,
+    created_at: new Date().toISOString(),
+    last_used_at: null,
+  };
+
+  return { key: key, record: await adapter.save(record.id, record) };
+};
+
+/**
+ * Loads a merchant's key for a management action
+ * @private
+ * @async
+ * @param {string} merchantId - Merchant ID
+ * @param {string} keyId - Key ID
+ * @returns {Promise<ApiKeyRecord>} The key record
+ * @throws {Error} With code API_KEY_NOT_FOUND if the merchant has no such key
+ */
+const requireKey = async (merchantId, keyId) => {
+  const record = await adapter.get(keyId);
+
+  if (!record || record.merchant_id !== merchantId) {
+    throw createKeyError('API_KEY_NOT_FOUND', 'API key not found: ' + keyId, 404);
+  }
+
+  return record;
+};
+
+/**
+ * Replaces a key with a new one carrying the same scopes. The old key keeps
+ * working for the overlap period so clients can switch over without downtime.
+ * @function rotateKey
+ * @async
+ * @param {string} merchantId - Merchant ID
+ * @param {string} keyId - Key to rotate
+ * @param {Object} [options] - Rotation options
+ * @param {number} [options.overlapSeconds] - How long the old key keeps working
+ * @returns {Promise<{key: string, record: ApiKeyRecord, previous: ApiKeyRecord}>} New key and both records
+ * @throws {Error} With code API_KEY_NOT_FOUND or API_KEY_INACTIVE
+ */
+const rotateKey = (merchantId, keyId, options = {}) => runExclusive('api_key:' + keyId, async () => {
+  const previous = await requireKey(merchantId, keyId);
+
+  if (getKeyState(previous) !== KEY_STATES.ACTIVE || previous.rotated_to) {
+    throw createKeyError('API_KEY_INACTIVE', 'Only active keys that have not been rotated can be rotated', 409);
+  }
+
+  const overlapSeconds = options.overlapSeconds !== undefined
+    ? options.overlapSeconds
+    : config.apiKeys.rotationOverlapSeconds;
+  const overlapEnds = new Date(Date.now() + overlapSeconds * 1000).toISOString();
+
+  const created = await createKey(merchantId, {
+    scopes: previous.scopes,
+    expiresAt: previous.expires_at && previous.expires_at > overlapEnds ? previous.expires_at : null,
+    rotatedFrom: previous.id,
+  });
+
+  previous.rotated_to = created.record.id;
+  if (!previous.expires_at || previous.expires_at > overlapEnds) {
+    previous.expires_at = overlapEnds;
+  }
+
+  return {
+    key: created.key,
+    record: created.record,
+    previous: await adapter.save(previous.id, previous),
+  };
+});
+
+/**
+ * Revokes a key immediately
+ * @function revokeKey
+ * @async
+ * @param {string} merchantId - Merchant ID
+ * @param {string} keyId - Key to revoke
+ * @returns {Promise<ApiKeyRecord>} The revoked key
+ * @throws {Error} With code API_KEY_NOT_FOUND if the merchant has no such key
+ */
+const revokeKey = (merchantId, keyId) => runExclusive('api_key:' + keyId, async () => {
+  const record = await requireKey(merchantId, keyId);
+
+  if (!record.revoked_at) {
+    record.revoked_at = new Date().toISOString();
+    await adapter.save(record.id, record);
+  }
+
+  return record;
+});
+
+/**
+ * Records that a key was used. Writes at most once per TOUCH_INTERVAL_MS.
+ * @function touchKey
+ * @async
+ * @param {ApiKeyRecord} record - Key record
+ * @returns {Promise<void>}
+ */
+const touchKey = async (record) => {
+  if (record.last_used_at && Date.now() - new Date(record.last_used_at).getTime() < TOUCH_INTERVAL_MS) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  record.last_used_at = now;
+
+  await runExclusive('api_key:' + record.id, async () => {
+    const current = await adapter.get(record.id);
+    if (current) {
+      current.last_used_at = now;
+      await adapter.save(current.id, current);
+    }
+  });
+};
+
+/**
+ * Replaces the storage adapter (e.g. in tests or at startup)
+ * @function setAdapter
+ * @param {Object} newAdapter - Adapter implementing get, save, remove and list
+ */
+const setAdapter = (newAdapter) => {
+  adapter = newAdapter;
+};
+
+module.exports = {
+  findKey,
+  getKey,
+  listKeys,
+  createKey,
+  rotateKey,
+  revokeKey,
+  touchKey,
+  getKeyState,
+  hasScope,
+  isKnownScope,
+  toPublicKey,
+  setAdapter,
+  KEY_STATES,
+  SCOPES,
+};
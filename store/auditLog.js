@@ -0,0 +1,133 @@
+/**
+ * @module store/auditLog
+ * @description Append-only audit log of API key usage, key management and
+ * payment notifications that did not match their order
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const { createAdapter } = require('./orderStore');
+
+/**
+ * Audit event names
+ * @type {Object}
+ * @constant
+ */
+const AUDIT_EVENTS = {
+  KEY_USED: 'api_key.used',
+  KEY_DENIED: 'api_key.denied',
+  KEY_CREATED: 'api_key.created',
+  KEY_ROTATED: 'api_key.rotated',
+  KEY_REVOKED: 'api_key.revoked',
+  NOTIFY_MISMATCH: 'notify.payment_mismatch',
+};
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} id - Entry ID
+ * @property {string} event - Event name (see AUDIT_EVENTS)
+ * @property {string} at - ISO timestamp
+ * @property {string|null} merchant_id - Merchant the event concerns
+ * @property {string|null} key_id - API key the event concerns
+ * @property {string|null} actor_key_id - API key that performed a management action
+ * @property {string|null} scope - Scope that was checked
+ * @property {string|null} method - HTTP method of the request
+ * @property {string|null} path - Request path
+ * @property {string|null} ip - Client IP address
+ * @property {string|null} reason - Why access was denied, or other detail
+ */
+
+/**
+ * Active storage adapter
+ * @type {Object}
+ */
+let adapter = createAdapter(config.audit);
+
+/**
+ * Records an audit entry
+ * @function record
+ * @async
+ * @param {string} event - Event name (see AUDIT_EVENTS)
+ * @param {Object} [details] - Entry fields (merchant_id, key_id, scope, ...)
+ * @returns {Promise<AuditEntry>} The stored entry
+ */
+const record = (event, details = {}) => {
+  const entry = {
+    id: 'AUD_' + Date.now() + '_' + crypto.randomBytes(4).toString('hex'),
+    event: event,
+    at: new Date().toISOString(),
+    merchant_id: details.merchant_id || null,
+    key_id: details.key_id || null,
+    actor_key_id: details.actor_key_id || null,
+    scope: details.scope || null,
+    method: details.method || null,
+    path: details.path || null,
+    ip: details.ip || null,
+    reason: details.reason || null,
+  };
+
+  return adapter.save(entry.id, entry);
+};
+
+/**
+ * Records an audit entry for a request without failing it.
+ * Storage errors are logged rather than surfaced to the caller.
+ * @function recordRequest
+ * @param {string} event - Event name (see AUDIT_EVENTS)
+ * @param {Object} req - Express request object
+ * @param {Object} [details] - Additional entry fields
+ */
+const recordRequest = (event, req, details = {}) => {
+  const entry = Object.assign({
+    merchant_id: req.merchant ? req.merchant.id : null,
+    key_id: req.apiKey ? req.apiKey.id : null,
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip,
+  }, details);
+
+  record(event, entry).catch(error => {
+    console.error('[Audit] Failed to record ' + event + ':', error.message);
+  });
+};
+
+/**
+ * Lists audit entries, newest first
+ * @function listEntries
+ * @async
+ * @param {Object} [filter] - Filters
+ * @param {string} [filter.merchantId] - Only entries for this merchant
+ * @param {string} [filter.keyId] - Only entries for this key
+ * @param {string} [filter.event] - Only entries of this event
+ * @param {number} [filter.limit] - Maximum number of entries
+ * @returns {Promise<AuditEntry[]>} Matching entries
+ */
+const listEntries = async (filter = {}) => {
+  const entries = await adapter.list();
+
+  const matching = entries
+    .filter(entry => !filter.merchantId || entry.merchant_id === filter.merchantId)
+    .filter(entry => !filter.keyId || entry.key_id === filter.keyId || entry.actor_key_id === filter.keyId)
+    .filter(entry => !filter.event || entry.event === filter.event)
+    .sort((a, b) => (a.at < b.at ? 1 : -1));
+
+  return filter.limit ? matching.slice(0, filter.limit) : matching;
+};
+
+/**
+ * Replaces the storage adapter (e.g. in tests or at startup)
+ * @function setAdapter
+ * @param {Object} newAdapter - Adapter implementing get, save, remove and list
+ */
+const setAdapter = (newAdapter) => {
+  adapter = newAdapter;
+};
+
+module.exports = {
+  record,
+  recordRequest,
+  listEntries,
+  setAdapter,
+  AUDIT_EVENTS,
+};
@@ -0,0 +1,377 @@
+/**
+ * @module store/billingStore
+ * @description Recurring billing schedules of mandate contracts and the debits they produce
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const { createAdapter, runExclusive } = require('./orderStore');
+
+/**
+ * Kinds of billing records
+ * @type {Object}
+ * @constant
+ */
+const RECORD_KINDS = {
+  SCHEDULE: 'schedule',
+  DEBIT: 'debit',
+};
+
+/**
+ * How often a schedule bills
+ * @type {Object}
+ * @constant
+ */
+const FREQUENCIES = {
+  MONTHLY: 'monthly',
+  WEEKLY: 'weekly',
+  CRON: 'cron',
+};
+
+/**
+ * Schedule states
+ * @type {Object}
+ * @constant
+ */
+const SCHEDULE_STATES = {
+  ACTIVE: 'ACTIVE',
+  COMPLETED: 'COMPLETED',
+  CANCELLED: 'CANCELLED',
+};
+
+/**
+ * Debit states. PROCESSING debits were sent to Fabric and are never sent
+ * again; their outcome is confirmed by a notify or an order query.
+ * @type {Object}
+ * @constant
+ */
+const DEBIT_STATES = {
+  PENDING: 'PENDING',
+  PROCESSING: 'PROCESSING',
+  SUCCEEDED: 'SUCCEEDED',
+  FAILED: 'FAILED',
+  SKIPPED: 'SKIPPED',
+};
+
+/**
+ * @typedef {Object} BillingSchedule
+ * @property {string} id - Schedule ID
+ * @property {string} kind - RECORD_KINDS.SCHEDULE
+ * @property {string} merchant_id - Merchant the mandate belongs to
+ * @property {string} contract_no - Mandate contract number (mctContractNo)
+ * @property {string|null} mandate_order_id - Signing order of the mandate the schedule was created for
+ * @property {string} title - Title of the debit orders
+ * @property {number} amount - Amount of each debit
+ * @property {string} currency - Currency of each debit
+ * @property {string} frequency - One of FREQUENCIES
+ * @property {number} interval - Months or weeks between debits (monthly and weekly)
+ * @property {string|null} cron - Cron expression (cron)
+ * @property {string} start_at - ISO time of the first debit (or earliest, for cron)
+ * @property {string|null} end_at - No debits are due after this ISO time
+ * @property {number|null} max_debits - Number of cycles after which the schedule completes
+ * @property {string} status - One of SCHEDULE_STATES
+ * @property {number} cycle - Index of the next cycle
+ * @property {string|null} next_run_at - ISO time the next cycle is due
+ * @property {number} missed_cycles - Cycles skipped because they fell due while the server was down
+ * @property {string|null} cancel_reason - Why the schedule was cancelled
+ * @property {string} created_at - ISO creation time
+ * @property {string} updated_at - ISO time of the last change
+ */
+
+/**
+ * @typedef {Object} MandateDebit
+ * @property {string} id - Debit ID (schedule and cycle), so a cycle is never billed twice
+ * @property {string} kind - RECORD_KINDS.DEBIT
+ * @property {string} schedule_id - Schedule the debit belongs to
+ * @property {string} merchant_id - Merchant the mandate belongs to
+ * @property {string} contract_no - Mandate contract number
+ * @property {number} cycle - Cycle index
+ * @property {string} due_at - ISO time the cycle fell due
+ * @property {string} title - Order title
+ * @property {number} amount - Amount to debit
+ * @property {string} currency - Currency
+ * @property {string} state - One of DEBIT_STATES
+ * @property {number} attempts - Attempts sent to Fabric so far
+ * @property {string|null} merch_order_id - Order of the latest attempt
+ * @property {string[]} merch_order_ids - Orders of every attempt
+ * @property {string|null} next_attempt_at - ISO time of the next attempt (PENDING only)
+ * @property {string|null} last_attempt_at - ISO time the latest attempt was sent
+ * @property {string|null} last_error - Why the latest attempt failed
+ * @property {string|null} payment_order_id - Fabric payment order ID once succeeded
+ * @property {string|null} skip_reason - Why the cycle was not billed (SKIPPED only)
+ * @property {string|null} succeeded_at - ISO time the debit succeeded
+ * @property {string|null} failed_at - ISO time the last retry failed
+ * @property {string} created_at - ISO creation time
+ * @property {string} updated_at - ISO time of the last change
+ */
+
+/**
+ * Active storage adapter
+ * @type {Object}
+ */
+let adapter = createAdapter(config.billing.store);
+
+/**
+ * Builds the ID of the debit of a schedule cycle
+ * @private
+ * @param {string} scheduleId - Schedule ID
+ * @param {number} cycle - Cycle index
+ * @returns {string} Debit ID
+ */
+const debitId = (scheduleId, cycle) => scheduleId + ':' + cycle;
+
+/**
+ * Reads, modifies and saves a record of the given kind while holding its lock
+ * @private
+ * @async
+ * @param {string} kind - One of RECORD_KINDS
+ * @param {string} id - Record ID
+ * @param {Function} mutator - Called with the record; may throw to abort
+ * @returns {Promise<Object|null>} The updated record, or null if unknown
+ */
+const updateRecord = (kind, id, mutator) => runExclusive('billing:' + id, async () => {
+  const record = await adapter.get(id);
+  if (!record || record.kind !== kind) {
+    return null;
+  }
+
+  await mutator(record);
+  record.updated_at = new Date().toISOString();
+
+  return adapter.save(id, record);
+});
+
+/**
+ * Lists records of a kind
+ * @private
+ * @async
+ * @param {string} kind - One of RECORD_KINDS
+ * @returns {Promise<Object[]>} Records
+ */
+const listKind = async (kind) => (await adapter.list()).filter(record => record.kind === kind);
+
+/**
+ * Creates an ACTIVE schedule
+ * @function createSchedule
+ * @async
+ * @param {Object} data - merchant_id, contract_no, mandate_order_id, title, amount, currency, frequency,
+ * interval, cron, start_at, end_at, max_debits, next_run_at and cycle (of next_run_at, default 0)
+ * @returns {Promise<BillingSchedule>} The stored schedule
+ */
+const createSchedule = (data) => {
+  const now = new Date().toISOString();
+  const schedule = {
+    id: 'SCHED_' + crypto.randomBytes(8).toString('hex').toUpperCase(),
+    kind: RECORD_KINDS.SCHEDULE,
+    merchant_id: data.merchant_id,
+    contract_no: data.contract_no,
+    mandate_order_id: data.mandate_order_id || null,
+    title: data.title,
+    amount: data.amount,
+    currency: data.currency,
+    frequency: data.frequency,
+    interval: data.interval || 1,
+    cron: data.cron || null,
+    start_at: data.start_at,
+    end_at: data.end_at || null,
+    max_debits: data.max_debits || null,
+    status: SCHEDULE_STATES.ACTIVE,
+    cycle: data.cycle || 0,
+    next_run_at: data.next_run_at,
+    missed_cycles: 0,
+    cancel_reason: null,
+    created_at: now,
+    updated_at: now,
+  };
+
+  return adapter.save(schedule.id, schedule);
+};
+
+/**
+ * Gets a schedule by ID
+ * @function getSchedule
+ * @async
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<BillingSchedule|null>} The schedule or null
+ */
+const getSchedule = async (scheduleId) => {
+  const record = await adapter.get(scheduleId);
+  return record && record.kind === RECORD_KINDS.SCHEDULE ? record : null;
+};
+
+/**
+ * Lists schedules, newest first
+ * @function listSchedules
+ * @async
+ * @param {Object} [filter] - Filter
+ * @param {string} [filter.merchantId] - Only this merchant's schedules
+ * @param {string} [filter.contractNo] - Only schedules of this contract
+ * @param {string} [filter.status] - Only schedules in this state
+ * @returns {Promise<BillingSchedule[]>} Matching schedules
+ */
+const listSchedules = async (filter = {}) => (await listKind(RECORD_KINDS.SCHEDULE))
+  .filter(schedule => !filter.merchantId || schedule.merchant_id === filter.merchantId)
+  .filter(schedule => !filter.contractNo || schedule.contract_no === filter.contractNo)
+  .filter(schedule => !filter.status || schedule.status === filter.status)
+  .sort((a, b) => (a.created_at < b.created_at ? 1 : -1));
+
+/**
+ * Lists active schedules whose next cycle is due, oldest first
+ * @function listDueSchedules
+ * @async
+ * @returns {Promise<BillingSchedule[]>} Due schedules
+ */
+const listDueSchedules = async () => {
+  const now = new Date().toISOString();
+
+  return (await listKind(RECORD_KINDS.SCHEDULE))
+    .filter(schedule => schedule.status === SCHEDULE_STATES.ACTIVE && schedule.next_run_at && schedule.next_run_at <= now)
+    .sort((a, b) => (a.next_run_at > b.next_run_at ? 1 : -1));
+};
+
+/**
+ * Reads, modifies and saves a schedule while holding its lock
+ * @function updateSchedule
+ * @async
+ * @param {string} scheduleId - Schedule ID
+ * @param {Function} mutator - Called with the schedule; may throw to abort
+ * @returns {Promise<BillingSchedule|null>} The updated schedule, or null if unknown
+ */
+const updateSchedule = (scheduleId, mutator) => updateRecord(RECORD_KINDS.SCHEDULE, scheduleId, mutator);
+
+/**
+ * Creates the debit of a schedule cycle unless it exists, so a cycle is
+ * billed at most once even if the schedule is processed again after a restart
+ * @function createDebit
+ * @async
+ * @param {Object} data - schedule_id, cycle, merchant_id, contract_no, due_at, title, amount, currency,
+ * and optionally state and skip_reason
+ * @returns {Promise<{created: boolean, record: MandateDebit}>} The new (or existing) debit
+ */
+const createDebit = (data) => {
+  const id = debitId(data.schedule_id, data.cycle);
+
+  return runExclusive('billing:' + id, async () => {
+    const existing = await adapter.get(id);
+    if (existing) {
+      return { created: false, record: existing };
+    }
+
+    const now = new Date().toISOString();
+    const state = data.state || DEBIT_STATES.PENDING;
+    const debit = {
+      id: id,
+      kind: RECORD_KINDS.DEBIT,
+      schedule_id: data.schedule_id,
+      merchant_id: data.merchant_id,
+      contract_no: data.contract_no,
+      cycle: data.cycle,
+      due_at: data.due_at,
+      title: data.title,
+      amount: data.amount,
+      currency: data.currency,
+      state: state,
+      attempts: 0,
+      merch_order_id: null,
+      merch_order_ids: [],
+      next_attempt_at: state === DEBIT_STATES.PENDING ? now : null,
+      last_attempt_at: null,
+      last_error: null,
+      payment_order_id: null,
+      skip_reason: data.skip_reason || null,
+      succeeded_at: null,
+      failed_at: null,
+      created_at: now,
+      updated_at: now,
+    };
+
+    return { created: true, record: await adapter.save(id, debit) };
+  });
+};
+
+/**
+ * Gets a debit by ID
+ * @function getDebit
+ * @async
+ * @param {string} id - Debit ID
+ * @returns {Promise<MandateDebit|null>} The debit or null
+ */
+const getDebit = async (id) => {
+  const record = await adapter.get(id);
+  return record && record.kind === RECORD_KINDS.DEBIT ? record : null;
+};
+
+/**
+ * Lists debits, newest cycle first
+ * @function listDebits
+ * @async
+ * @param {Object} [filter] - Filter
+ * @param {string} [filter.scheduleId] - Only debits of this schedule
+ * @param {string} [filter.merchantId] - Only this merchant's debits
+ * @param {string} [filter.state] - Only debits in this state
+ * @param {number} [filter.limit] - Maximum number of debits
+ * @returns {Promise<MandateDebit[]>} Matching debits
+ */
+const listDebits = async (filter = {}) => {
+  const debits = (await listKind(RECORD_KINDS.DEBIT))
+    .filter(debit => !filter.scheduleId || debit.schedule_id === filter.scheduleId)
+    .filter(debit => !filter.merchantId || debit.merchant_id === filter.merchantId)
+    .filter(debit => !filter.state || debit.state === filter.state)
+    .sort((a, b) => (a.due_at < b.due_at ? 1 : -1));
+
+  return filter.limit ? debits.slice(0, filter.limit) : debits;
+};
+
+/**
+ * Lists pending debits whose next attempt is due, oldest first
+ * @function listDueDebits
+ * @async
+ * @param {number} [limit] - Maximum number of debits
+ * @returns {Promise<MandateDebit[]>} Due debits
+ */
+const listDueDebits = async (limit) => {
+  const now = new Date().toISOString();
+  const due = (await listKind(RECORD_KINDS.DEBIT))
+    .filter(debit => debit.state === DEBIT_STATES.PENDING && debit.next_attempt_at <= now)
+    .sort((a, b) => (a.next_attempt_at > b.next_attempt_at ? 1 : -1));
+
+  return limit ? due.slice(0, limit) : due;
+};
+
+/**
+ * Reads, modifies and saves a debit while holding its lock
+ * @function updateDebit
+ * @async
+ * @param {string} id - Debit ID
+ * @param {Function} mutator - Called with the debit; may throw to abort
+ * @returns {Promise<MandateDebit|null>} The updated debit, or null if unknown
+ */
+const updateDebit = (id, mutator) => updateRecord(RECORD_KINDS.DEBIT, id, mutator);
+
+/**
+ * Replaces the storage adapter (e.g. in tests or at startup)
+ * @function setAdapter
+ * @param {Object} newAdapter - Adapter implementing get, save, remove and list
+ */
+const setAdapter = (newAdapter) => {
+  adapter = newAdapter;
+};
+
+module.exports = {
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  listDueSchedules,
+  updateSchedule,
+  createDebit,
+  getDebit,
+  listDebits,
+  listDueDebits,
+  updateDebit,
+  setAdapter,
+  RECORD_KINDS,
+  FREQUENCIES,
+  SCHEDULE_STATES,
+  DEBIT_STATES,
+};
@@ -0,0 +1,109 @@
+/**
+ * @module store/customerStore
+ * @description Customers known by their telebirr open_id, per merchant
+ * @version 1.0.0
+ */
+
+const config = require('../config/config');
+const { createAdapter, runExclusive } = require('./orderStore');
+
+/**
+ * @typedef {Object} CustomerRecord
+ * @property {string} id - Record ID (merchant and open_id)
+ * @property {string} merchant_id - Merchant the customer signed in to
+ * @property {string} open_id - Customer open_id from payment.authtoken
+ * @property {string|null} display_name - Name Fabric reported for the customer, if any
+ * @property {number} sign_in_count - Successful authToken exchanges
+ * @property {string} first_seen_at - ISO time the customer was first seen
+ * @property {string} last_seen_at - ISO time the customer last signed in
+ * @property {string} created_at - ISO creation timestamp
+ * @property {string} updated_at - ISO timestamp of the last change
+ */
+
+/**
+ * Active storage adapter
+ * @type {Object}
+ */
+let adapter = createAdapter(config.customers.store);
+
+/**
+ * Builds the record ID of a customer; open_ids are issued per merchant app
+ * @private
+ * @param {string} merchantId - Merchant ID
+ * @param {string} openId - Customer open_id
+ * @returns {string} Record ID
+ */
+const customerId = (merchantId, openId) => merchantId + ':' + openId;
+
+/**
+ * Creates a customer record first seen now
+ * @private
+ * @param {string} merchantId - Merchant ID
+ * @param {string} openId - Customer open_id
+ * @param {string} now - ISO timestamp
+ * @returns {CustomerRecord} New record (not yet saved)
+ */
+const newCustomer = (merchantId, openId, now) => ({
+  id: customerId(merchantId, openId),
+  merchant_id: merchantId,
+  open_id: openId,
+  display_name: null,
+  sign_in_count: 0,
+  first_seen_at: now,
+  last_seen_at: now,
+  created_at: now,
+  updated_at: now,
+});
+
+/**
+ * Records a sign-in, creating the customer on first sight
+ * @function recordSignIn
+ * @async
+ * @param {string} merchantId - Merchant ID
+ * @param {string} openId - Customer open_id
+ * @param {Object} [profile] - What Fabric reported about the customer
+ * @param {string} [profile.display_name] - Display name; kept from earlier sign-ins when missing
+ * @returns {Promise<CustomerRecord>} The stored customer
+ */
+const recordSignIn = (merchantId, openId, profile = {}) => {
+  const id = customerId(merchantId, openId);
+
+  return runExclusive('customer:' + id, async () => {
+    const now = new Date().toISOString();
+    const customer = (await adapter.get(id)) || newCustomer(merchantId, openId, now);
+
+    if (profile.display_name) {
+      customer.display_name = profile.display_name;
+    }
+    customer.sign_in_count += 1;
+    customer.last_seen_at = now;
+    customer.updated_at = now;
+
+    return adapter.save(id, customer);
+  });
+};
+
+/**
+ * Gets a customer by open_id
+ * @function getCustomer
+ * @async
+ * @param {string} merchantId - Merchant ID
+ * @param {string} openId - Customer open_id
+ * @returns {Promise<CustomerRecord|null>} The customer or null
+ */
+const getCustomer = (merchantId, openId) => adapter.get(customerId(merchantId, openId));
+
+/**
+ * Replaces the storage adapter (e.g. in tests or at startup)
+ * @function setAdapter
+ * @param {Object} newAdapter - Adapter implementing get, save, remove and list
+ */
+const setAdapter = (newAdapter) => {
+  adapter = newAdapter;
+};
+
+module.exports = {
+  recordSignIn,
+  getCustomer,
+  setAdapter,
+};
@@ -0,0 +1,221 @@
+/**
+ * @module store/idempotencyStore
+ * @description Stored responses of idempotent requests, replayed when a client retries
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const { createAdapter, runExclusive } = require('./orderStore');
+
+/**
+ * Idempotency record states
+ * @type {Object}
+ * @constant
+ */
+const IDEMPOTENCY_STATES = {
+  IN_PROGRESS: 'IN_PROGRESS',
+  COMPLETED: 'COMPLETED',
+};
+
+/**
+ * Expired records are swept at most this often
+ * @type {number}
+ * @constant
+ */
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * @typedef {Object} IdempotencyRecord
+ * @property {string} id - Record ID (merchant, scope and key)
+ * @property {string} claim_id - Identifies the request that claimed the key
+ * @property {string} fingerprint - Hash of the request body
+ * @property {string} state - One of IDEMPOTENCY_STATES
+ * @property {number|null} status_code - HTTP status of the stored response
+ * @property {*} response - Stored response body
+ * @property {string|null} [location] - Location header of the stored response (redirects)
+ * @property {string} created_at - ISO time the first request arrived
+ * @property {string|null} completed_at - ISO time the response was stored
+ */
+
+/**
+ * Active storage adapter
+ * @type {Object}
+ */
+let adapter = createAdapter(config.idempotency.store);
+
+/**
+ * Time of the last sweep of expired records
+ * @type {number}
+ */
+let lastPurge = 0;
+
+/**
+ * Serializes a value with object keys sorted, so equal bodies hash equally
+ * @private
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return '[' + value.map(canonicalJson).join(',') + ']';
+  }
+
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => JSON.stringify(key) + ':' + canonicalJson(value[key]))
+      .join(',') + '}';
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hashes a request body
+ * @function fingerprint
+ * @param {*} body - Request body
+ * @returns {string} SHA-256 hex digest of the canonical body
+ */
+const fingerprint = (body) => crypto.createHash('sha256').update(canonicalJson(body || {})).digest('hex');
+
+/**
+ * Checks whether a record has outlived its window: the retention period
+ * once completed, the lock timeout while still in progress
+ * @private
+ * @param {IdempotencyRecord} record - Record
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True if expired
+ */
+const isExpired = (record, now) => {
+  const age = now - new Date(record.created_at).getTime();
+  const windowSeconds = record.state === IDEMPOTENCY_STATES.COMPLETED
+    ? config.idempotency.retentionSeconds
+    : config.idempotency.lockTimeoutSeconds;
+
+  return age > windowSeconds * 1000;
+};
+
+/**
+ * Removes expired records
+ * @function purgeExpired
+ * @async
+ * @returns {Promise<number>} Number of records removed
+ */
+const purgeExpired = async () => {
+  const now = Date.now();
+  lastPurge = now;
+
+  const expired = (await adapter.list()).filter(record => isExpired(record, now));
+  await Promise.all(expired.map(record => adapter.remove(record.id)));
+
+  return expired.length;
+};
+
+/**
+ * Claims a key for a request. The first request with a key gets
+ * { outcome: 'new' } and must later call complete() or release().
+ * Retries get the stored response, or a conflict.
+ * @function begin
+ * @async
+ * @param {string} id - Record ID (merchant, scope and key)
+ * @param {string} bodyFingerprint - Fingerprint of the request body
+ * @returns {Promise<{outcome: string, record: IdempotencyRecord}>} outcome is
+ *   'new', 'replay', 'in_progress' or 'mismatch'
+ */
+const begin = (id, bodyFingerprint) => {
+  if (Date.now() - lastPurge > PURGE_INTERVAL_MS) {
+    purgeExpired().catch(error => {
+      console.error('[Idempotency] Failed to purge expired records:', error.message);
+    });
+  }
+
+  return runExclusive('idempotency:' + id, async () => {
+    const existing = await adapter.get(id);
+
+    if (existing && !isExpired(existing, Date.now())) {
+      if (existing.fingerprint !== bodyFingerprint) {
+        return { outcome: 'mismatch', record: existing };
+      }
+
+      return {
+        outcome: existing.state === IDEMPOTENCY_STATES.COMPLETED ? 'replay' : 'in_progress',
+        record: existing,
+      };
+    }
+
+    const record = {
+      id: id,
+      claim_id: crypto.randomBytes(8).toString('hex'),
+      fingerprint: bodyFingerprint,
+      state: IDEMPOTENCY_STATES.IN_PROGRESS,
+      status_code: null,
+      response: null,
+      created_at: new Date().toISOString(),
+      completed_at: null,
+    };
+
+    return { outcome: 'new', record: await adapter.save(id, record) };
+  });
+};
+
+/**
+ * Stores the response of a claimed key for replay. Does nothing if the
+ * claim was abandoned and the key has since been claimed by another request.
+ * @function complete
+ * @async
+ * @param {IdempotencyRecord} claimed - Record returned by begin()
+ * @param {number} statusCode - HTTP status
+ * @param {*} response - Response body
+ * @param {string} [location] - Location header of the response
+ * @returns {Promise<IdempotencyRecord|null>} The completed record, or null if the claim was lost
+ */
+const complete = (claimed, statusCode, response, location) => runExclusive('idempotency:' + claimed.id, async () => {
+  const record = await adapter.get(claimed.id);
+  if (!record || record.claim_id !== claimed.claim_id) {
+    return null;
+  }
+
+  record.state = IDEMPOTENCY_STATES.COMPLETED;
+  record.status_code = statusCode;
+  record.response = response;
+  record.location = location || null;
+  record.completed_at = new Date().toISOString();
+
+  return adapter.save(record.id, record);
+});
+
+/**
+ * Releases a claimed key without storing a response, so a retry runs again
+ * @function release
+ * @async
+ * @param {IdempotencyRecord} claimed - Record returned by begin()
+ * @returns {Promise<boolean>} True if the claim was removed
+ */
+const release = (claimed) => runExclusive('idempotency:' + claimed.id, async () => {
+  const record = await adapter.get(claimed.id);
+  if (!record || record.claim_id !== claimed.claim_id) {
+    return false;
+  }
+
+  return adapter.remove(claimed.id);
+});
+
+/**
+ * Replaces the storage adapter (e.g. in tests or at startup)
+ * @function setAdapter
+ * @param {Object} newAdapter - Adapter implementing get, save, remove and list
+ */
+const setAdapter = (newAdapter) => {
+  adapter = newAdapter;
+};
+
+module.exports = {
+  begin,
+  complete,
+  release,
+  fingerprint,
+  purgeExpired,
+  setAdapter,
+  IDEMPOTENCY_STATES,
+};
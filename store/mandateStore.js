@@ -0,0 +1,272 @@
+/**
+ * @module store/mandateStore
+ * @description Local records of mandate contracts (recurring payment agreements) and their lifecycle
+ * @version 1.0.0
+ */
+
+const config = require('../config/config');
+const { createAdapter, runExclusive } = require('./orderStore');
+
+/**
+ * Mandate states
+ * @type {Object}
+ * @constant
+ */
+const MANDATE_STATES = {
+  PENDING: 'PENDING',
+  ACTIVE: 'ACTIVE',
+  PAUSED: 'PAUSED',
+  TERMINATED: 'TERMINATED',
+  FAILED: 'FAILED',
+};
+
+/**
+ * Allowed transitions keyed by source state. PENDING mandates wait for the
+ * customer to sign (pay the signing order); FAILED ones were never signed.
+ * @type {Object<string, string[]>}
+ * @constant
+ */
+const TRANSITIONS = {
+  PENDING: [MANDATE_STATES.ACTIVE, MANDATE_STATES.FAILED, MANDATE_STATES.TERMINATED],
+  ACTIVE: [MANDATE_STATES.PAUSED, MANDATE_STATES.TERMINATED],
+  PAUSED: [MANDATE_STATES.ACTIVE, MANDATE_STATES.TERMINATED],
+  TERMINATED: [],
+  FAILED: [],
+};
+
+/**
+ * Fields that may only be changed through transition()
+ * @type {string[]}
+ * @constant
+ */
+const PROTECTED_FIELDS = ['id', 'contract_no', 'merchant_id', 'status', 'status_history', 'created_at'];
+
+/**
+ * @typedef {Object} MandateRecord
+ * @property {string} id - Record ID (merchant and contract number)
+ * @property {string} contract_no - Merchant contract number (mctContractNo)
+ * @property {string} merchant_id - Merchant the mandate belongs to
+ * @property {string} mandate_template_id - Fabric mandate template ID
+ * @property {string} execute_time - First execution date (YYYY-MM-DD)
+ * @property {string|null} plan_id - Mandate plan the customer signed up for
+ * @property {MandatePlan|null} plan - The plan as configured at signing; later catalog changes do not apply
+ * @property {string|null} open_id - Customer open_id, once known
+ * @property {string|null} merch_order_id - Order the customer signs the mandate with
+ * @property {string} status - Current state (see MANDATE_STATES)
+ * @property {string|null} fabric_status - Mandate status last reported by Fabric
+ * @property {StatusChange[]} status_history - Every state the mandate has been in
+ * @property {string|null} signed_at - ISO time the customer signed
+ * @property {string|null} paused_at - ISO time of the last pause
+ * @property {string|null} terminated_at - ISO time the mandate was terminated
+ * @property {string|null} terminate_reason - Why it was terminated
+ * @property {string} created_at - ISO creation timestamp
+ * @property {string} updated_at - ISO timestamp of the last change
+ */
+
+/**
+ * Active storage adapter
+ * @type {Object}
+ */
+let adapter = createAdapter(config.mandates.store);
+
+/**
+ * Creates an error carrying a mandate store error code
+ * @private
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with code set
+ */
+const createStoreError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Builds the record ID of a contract; contract numbers are chosen by the
+ * merchant, so they are only unique per merchant
+ * @private
+ * @param {string} merchantId - Merchant ID
+ * @param {string} contractNo - Contract number
+ * @returns {string} Record ID
+ */
+const mandateId = (merchantId, contractNo) => merchantId + ':' + contractNo;
+
+/**
+ * Checks whether a mandate may move from one state to another
+ * @function canTransition
+ * @param {string} from - Current state
+ * @param {string} to - Target state
+ * @returns {boolean} True if the transition is allowed
+ */
+const canTransition = (from, to) => Object.prototype.hasOwnProperty.call(TRANSITIONS, from) &&
+  TRANSITIONS[from].includes(to);
+
+/**
+ * Creates a PENDING mandate. A contract number whose earlier mandate was
+ * never signed (FAILED) may be used again.
+ * @function createMandate
+ * @async
+ * @param {Object} data - contract_no, merchant_id, mandate_template_id, execute_time, plan, open_id, merch_order_id
+ * @returns {Promise<MandateRecord>} The stored mandate
+ * @throws {Error} With code MANDATE_EXISTS if the contract number is taken
+ */
+const createMandate = (data) => {
+  const id = mandateId(data.merchant_id, data.contract_no);
+
+  return runExclusive('mandate:' + id, async () => {
+    const existing = await adapter.get(id);
+    if (existing && existing.status !== MANDATE_STATES.FAILED) {
+      throw createStoreError('MANDATE_EXISTS', 'Mandate already exists for contract ' + data.contract_no);
+    }
+
+    const now = new Date().toISOString();
+    const mandate = {
+      id: id,
+      contract_no: data.contract_no,
+      merchant_id: data.merchant_id,
+      mandate_template_id: data.mandate_template_id,
+      execute_time: data.execute_time,
+      plan_id: data.plan ? data.plan.id : null,
+      plan: data.plan || null,
+      open_id: data.open_id || null,
+      merch_order_id: data.merch_order_id || null,
+      status: MANDATE_STATES.PENDING,
+      fabric_status: null,
+      status_history: (existing ? existing.status_history : [])
+        .concat([{ status: MANDATE_STATES.PENDING, from: existing ? existing.status : null, at: now }]),
+      signed_at: null,
+      paused_at: null,
+      terminated_at: null,
+      terminate_reason: null,
+      created_at: existing ? existing.created_at : now,
+      updated_at: now,
+    };
+
+    return adapter.save(id, mandate);
+  });
+};
+
+/**
+ * Gets a mandate by contract number
+ * @function getMandate
+ * @async
+ * @param {string} merchantId - Merchant ID
+ * @param {string} contractNo - Contract number
+ * @returns {Promise<MandateRecord|null>} The mandate or null
+ */
+const getMandate = (merchantId, contractNo) => adapter.get(mandateId(merchantId, contractNo));
+
+/**
+ * Lists mandates, newest first
+ * @function listMandates
+ * @async
+ * @param {Object} [filter] - Filter
+ * @param {string} [filter.merchantId] - Only this merchant's mandates
+ * @param {string} [filter.openId] - Only this customer's mandates
+ * @param {string} [filter.status] - Only mandates in this state
+ * @returns {Promise<MandateRecord[]>} Matching mandates
+ */
+const listMandates = async (filter = {}) => (await adapter.list())
+  .filter(mandate => !filter.merchantId || mandate.merchant_id === filter.merchantId)
+  .filter(mandate => !filter.openId || mandate.open_id === filter.openId)
+  .filter(mandate => !filter.status || mandate.status === filter.status)
+  .sort((a, b) => (a.created_at < b.created_at ? 1 : -1));
+
+/**
+ * Moves a mandate to another state
+ * @function transition
+ * @async
+ * @param {string} merchantId - Merchant ID
+ * @param {string} contractNo - Contract number
+ * @param {string} toState - Target state
+ * @param {Object} [patch] - Non-state fields to update alongside
+ * @param {string} [reason] - Why the state changed (stored in status_history)
+ * @returns {Promise<MandateRecord>} The updated mandate
+ * @throws {Error} With code MANDATE_NOT_FOUND or INVALID_STATE_TRANSITION
+ */
+const transition = (merchantId, contractNo, toState, patch = {}, reason) => {
+  const id = mandateId(merchantId, contractNo);
+
+  return runExclusive('mandate:' + id, async () => {
+    const mandate = await adapter.get(id);
+    if (!mandate) {
+      throw createStoreError('MANDATE_NOT_FOUND', 'Mandate not found: ' + contractNo);
+    }
+
+    if (!canTransition(mandate.status, toState)) {
+      const error = createStoreError('INVALID_STATE_TRANSITION',
+        'Illegal mandate state transition: ' + mandate.status + ' -> ' + toState);
+      error.from = mandate.status;
+      error.to = toState;
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+
+    Object.keys(patch).forEach(key => {
+      if (!PROTECTED_FIELDS.includes(key)) {
+        mandate[key] = patch[key];
+      }
+    });
+
+    mandate.status_history.push({ status: toState, from: mandate.status, at: now, reason: reason });
+    mandate.status = toState;
+    mandate.updated_at = now;
+
+    console.log('[Mandate Store] ' + contractNo + ': ' + mandate.status_history[mandate.status_history.length - 1].from +
+      ' -> ' + toState);
+
+    return adapter.save(id, mandate);
+  });
+};
+
+/**
+ * Updates non-state fields of a mandate
+ * @function updateMandate
+ * @async
+ * @param {string} merchantId - Merchant ID
+ * @param {string} contractNo - Contract number
+ * @param {Object} patch - Fields to update (state fields are ignored)
+ * @returns {Promise<MandateRecord|null>} The updated mandate, or null if unknown
+ */
+const updateMandate = (merchantId, contractNo, patch) => {
+  const id = mandateId(merchantId, contractNo);
+
+  return runExclusive('mandate:' + id, async () => {
+    const mandate = await adapter.get(id);
+    if (!mandate) {
+      return null;
+    }
+
+    Object.keys(patch).forEach(key => {
+      if (!PROTECTED_FIELDS.includes(key)) {
+        mandate[key] = patch[key];
+      }
+    });
+    mandate.updated_at = new Date().toISOString();
+
+    return adapter.save(id, mandate);
+  });
+};
+
+/**
+ * Replaces the storage adapter (e.g. in tests or at startup)
+ * @function setAdapter
+ * @param {Object} newAdapter - Adapter implementing get, save, remove and list
+ */
+const setAdapter = (newAdapter) => {
+  adapter = newAdapter;
+};
+
+module.exports = {
+  createMandate,
+  getMandate,
+  listMandates,
+  transition,
+  updateMandate,
+  canTransition,
+  setAdapter,
+  MANDATE_STATES,
+  TRANSITIONS,
+};
@@ -0,0 +1,216 @@
+/**
+ * @module store/notifyReplayStore
+ * @description Seen notify nonces and processed notifications, used to reject replayed Fabric callbacks
+ * @version 1.0.0
+ */
+
+const config = require('../config/config');
+const { createAdapter, runExclusive } = require('./orderStore');
+
+/**
+ * Kinds of replay records
+ * @type {Object}
+ * @constant
+ */
+const RECORD_KINDS = {
+  NONCE: 'nonce',
+  NOTIFICATION: 'notification',
+};
+
+/**
+ * Expired records are swept at most this often
+ * @type {number}
+ * @constant
+ */
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * @typedef {Object} ReplayRecord
+ * @property {string} id - Record ID (kind, merchant and nonce or payment)
+ * @property {string} kind - One of RECORD_KINDS
+ * @property {string} merchant_id - Merchant the callback was verified for
+ * @property {string|null} merch_order_id - Order the callback was about
+ * @property {string} created_at - ISO time the callback was accepted
+ * @property {string} expires_at - ISO time after which the record is forgotten
+ */
+
+/**
+ * Active storage adapter
+ * @type {Object}
+ */
+let adapter = createAdapter(config.notify.store);
+
+/**
+ * Time of the last sweep of expired records
+ * @type {number}
+ */
+let lastPurge = 0;
+
+/**
+ * Builds the ID of a nonce record
+ * @private
+ * @param {string} merchantId - Merchant ID
+ * @param {string} nonce - nonce_str of the callback
+ * @returns {string} Record ID
+ */
+const nonceId = (merchantId, nonce) => RECORD_KINDS.NONCE + ':' + merchantId + ':' + nonce;
+
+/**
+ * Builds the ID of a processed notification record
+ * @private
+ * @param {string} merchantId - Merchant ID
+ * @param {string} paymentOrderId - Fabric payment order ID
+ * @param {string} status - Normalized payment status
+ * @returns {string} Record ID
+ */
+const notificationId = (merchantId, paymentOrderId, status) =>
+  RECORD_KINDS.NOTIFICATION + ':' + merchantId + ':' + paymentOrderId + ':' + status;
+
+/**
+ * Checks whether a record has passed its expiry time
+ * @private
+ * @param {ReplayRecord} record - Record
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True if expired
+ */
+const isExpired = (record, now) => new Date(record.expires_at).getTime() <= now;
+
+/**
+ * Removes expired records
+ * @function purgeExpired
+ * @async
+ * @returns {Promise<number>} Number of records removed
+ */
+const purgeExpired = async () => {
+  const now = Date.now();
+  lastPurge = now;
+
+  const expired = (await adapter.list()).filter(record => isExpired(record, now));
+  await Promise.all(expired.map(record => adapter.remove(record.id)));
+
+  return expired.length;
+};
+
+/**
+ * Starts a sweep of expired records if the last one is long enough ago
+ * @private
+ */
+const maybePurge = () => {
+  if (Date.now() - lastPurge > PURGE_INTERVAL_MS) {
+    purgeExpired().catch(error => {
+      console.error('[Notify Replay] Failed to purge expired records:', error.message);
+    });
+  }
+};
+
+/**
+ * Saves a record that expires after ttlSeconds
+ * @private
+ * @async
+ * @param {string} id - Record ID
+ * @param {string} kind - One of RECORD_KINDS
+ * @param {string} merchantId - Merchant ID
+ * @param {string|null} merchOrderId - Merchant order ID
+ * @param {number} ttlSeconds - Lifetime of the record
+ * @returns {Promise<ReplayRecord>} The saved record
+ */
+const saveRecord = (id, kind, merchantId, merchOrderId, ttlSeconds) => {
+  const now = Date.now();
+
+  return adapter.save(id, {
+    id: id,
+    kind: kind,
+    merchant_id: merchantId,
+    merch_order_id: merchOrderId || null,
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + ttlSeconds * 1000).toISOString(),
+  });
+};
+
+/**
+ * Remembers a nonce unless it was seen within its TTL
+ * @function claimNonce
+ * @async
+ * @param {string} merchantId - Merchant ID
+ * @param {string} nonce - nonce_str of the callback
+ * @param {string} [merchOrderId] - Order the callback is about
+ * @returns {Promise<boolean>} True if the nonce is new, false if it was replayed
+ */
+const claimNonce = (merchantId, nonce, merchOrderId) => {
+  maybePurge();
+
+  const id = nonceId(merchantId, nonce);
+  return runExclusive('notify-replay:' + id, async () => {
+    const existing = await adapter.get(id);
+    if (existing && !isExpired(existing, Date.now())) {
+      return false;
+    }
+
+    await saveRecord(id, RECORD_KINDS.NONCE, merchantId, merchOrderId, config.notify.nonceTtlSeconds);
+    return true;
+  });
+};
+
+/**
+ * Forgets a claimed nonce, so a callback that failed to process can be redelivered
+ * @function releaseNonce
+ * @async
+ * @param {string} merchantId - Merchant ID
+ * @param {string} nonce - nonce_str of the callback
+ * @returns {Promise<boolean>} True if the nonce was removed
+ */
+const releaseNonce = (merchantId, nonce) => {
+  const id = nonceId(merchantId, nonce);
+  return runExclusive('notify-replay:' + id, () => adapter.remove(id));
+};
+
+/**
+ * Checks whether a notification for this payment and status was already processed
+ * @function isProcessed
+ * @async
+ * @param {string} merchantId - Merchant ID
+ * @param {string} paymentOrderId - Fabric payment order ID
+ * @param {string} status - Normalized payment status
+ * @returns {Promise<boolean>} True if it was processed within the retention period
+ */
+const isProcessed = async (merchantId, paymentOrderId, status) => {
+  const record = await adapter.get(notificationId(merchantId, paymentOrderId, status));
+  return Boolean(record) && !isExpired(record, Date.now());
+};
+
+/**
+ * Records that a notification for this payment and status was processed
+ * @function markProcessed
+ * @async
+ * @param {string} merchantId - Merchant ID
+ * @param {string} paymentOrderId - Fabric payment order ID
+ * @param {string} status - Normalized payment status
+ * @param {string} [merchOrderId] - Merchant order ID
+ * @returns {Promise<ReplayRecord>} The saved record
+ */
+const markProcessed = (merchantId, paymentOrderId, status, merchOrderId) => saveRecord(
+  notificationId(merchantId, paymentOrderId, status),
+  RECORD_KINDS.NOTIFICATION,
+  merchantId,
+  merchOrderId,
+  config.notify.retentionSeconds
+);
+
+/**
+ * Replaces the storage adapter (e.g. in tests or at startup)
+ * @function setAdapter
+ * @param {Object} newAdapter - Adapter implementing get, save, remove and list
+ */
+const setAdapter = (newAdapter) => {
+  adapter = newAdapter;
+};
+
+module.exports = {
+  claimNonce,
+  releaseNonce,
+  isProcessed,
+  markProcessed,
+  purgeExpired,
+  setAdapter,
+  RECORD_KINDS,
+};
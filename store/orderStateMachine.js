@@ -0,0 +1,86 @@
+/**
+ * @module store/orderStateMachine
+ * @description Payment order states and the transitions allowed between them
+ * @version 1.0.0
+ */
+
+/**
+ * Order states
+ * @type {Object}
+ * @constant
+ */
+const ORDER_STATES = {
+  CREATED: 'CREATED',
+  PENDING: 'PENDING',
+  PAID: 'PAID',
+  FAILED: 'FAILED',
+  EXPIRED: 'EXPIRED',
+  CANCELLED: 'CANCELLED',
+  REFUNDED: 'REFUNDED',
+};
+
+/**
+ * Allowed transitions keyed by source state
+ * @type {Object<string, string[]>}
+ * @constant
+ */
+const TRANSITIONS = {
+  CREATED: [ORDER_STATES.PENDING, ORDER_STATES.FAILED, ORDER_STATES.CANCELLED],
+  PENDING: [ORDER_STATES.PAID, ORDER_STATES.FAILED, ORDER_STATES.EXPIRED, ORDER_STATES.CANCELLED],
+  PAID: [ORDER_STATES.REFUNDED],
+  FAILED: [],
+  EXPIRED: [],
+  CANCELLED: [],
+  REFUNDED: [],
+};
+
+/**
+ * Checks whether a state is a known order state
+ * @function isValidState
+ * @param {string} state - State to check
+ * @returns {boolean} True if the state exists
+ */
+const isValidState = (state) => Object.prototype.hasOwnProperty.call(TRANSITIONS, state);
+
+/**
+ * Checks whether an order may move from one state to another
+ * @function canTransition
+ * @param {string} from - Current state
+ * @param {string} to - Target state
+ * @returns {boolean} True if the transition is allowed
+ */
+const canTransition = (from, to) => isValidState(from) && TRANSITIONS[from].includes(to);
+
+/**
+ * Checks whether a state has no outgoing transitions
+ * @function isTerminal
+ * @param {string} state - State to check
+ * @returns {boolean} True if the state is terminal
+ */
+const isTerminal = (state) => isValidState(state) && TRANSITIONS[state].length === 0;
+
+/**
+ * Throws if the transition is not allowed
+ * @function assertTransition
+ * @param {string} from - Current state
+ * @param {string} to - Target state
+ * @throws {Error} With code INVALID_STATE_TRANSITION
+ */
+const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) {
+    const error = new Error('Illegal order state transition: ' + from + ' -> ' + to);
+    error.code = 'INVALID_STATE_TRANSITION';
+    error.from = from;
+    error.to = to;
+    throw error;
+  }
+};
+
+module.exports = {
+  ORDER_STATES,
+  TRANSITIONS,
+  isValidState,
+  canTransition,
+  isTerminal,
+  assertTransition,
+};
@@ -0,0 +1,438 @@
+/**
+ * @module store/orderStore
+ * @description Order repository with pluggable storage adapters and a payment state machine
+ * @version 1.0.0
+ */
+
+const config = require('../config/config');
+const createMemoryAdapter = require('./adapters/memoryAdapter');
+const createFileAdapter = require('./adapters/fileAdapter');
+const { ORDER_STATES, assertTransition, isValidState } = require('./orderStateMachine');
+
+/**
+ * @typedef {Object} StatusChange
+ * @property {string} status - State entered
+ * @property {string|null} from - Previous state
+ * @property {string} at - ISO timestamp of the change
+ * @property {string} [reason] - Why the state changed
+ */
+
+/**
+ * @typedef {Object} OrderRecord
+ * @property {string} merch_order_id - Merchant order ID (primary key)
+ * @property {string|null} merchant_id - Merchant (tenant) the order belongs to
+ * @property {string|null} prepay_id - Fabric prepay ID
+ * @property {string|null} payment_order_id - Fabric payment order ID, set once paid
+ * @property {string} title - Order title
+ * @property {number} amount - Order amount
+ * @property {string} currency - Transaction currency
+ * @property {string} trade_type - Fabric trade type
+ * @property {Object|null} mandate_data - Mandate data for mandate orders
+ * @property {string|null} open_id - Paying customer's open_id, if known
+ * @property {string|null} raw_request - Raw request string handed to the client SDK
+ * @property {string} [checkout_url] - Signed Fabric web checkout URL (Checkout orders)
+ * @property {string} [redirect_url] - Where Fabric sends the customer after a web checkout
+ * @property {string} [qr_code] - QR payload from Fabric (QrCode orders)
+ * @property {Object[]} refunds - Refund records (see services/refundService)
+ * @property {number} refunded_amount - Total of succeeded refunds
+ * @property {string} status - Current state (see ORDER_STATES)
+ * @property {StatusChange[]} status_history - Every state the order has been in
+ * @property {string} created_at - ISO creation timestamp
+ * @property {string} updated_at - ISO timestamp of the last change
+ */
+
+/**
+ * Fields that may only be changed through transition()
+ * @type {string[]}
+ * @constant
+ */
+const PROTECTED_FIELDS = ['merch_order_id', 'merchant_id', 'status', 'status_history', 'created_at'];
+
+/**
+ * Creates the storage adapter named in the configuration
+ * @function createAdapter
+ * @param {Object} [options] - Store options ({ driver, filePath })
+ * @returns {Object} Storage adapter
+ */
+const createAdapter = (options = {}) => {
+  switch (options.driver) {
+    case 'file':
+      return createFileAdapter(options.filePath);
+    case 'memory':
+    case undefined:
+      return createMemoryAdapter();
+    default:
+      throw new Error('Unknown order store driver: ' + options.driver);
+  }
+};
+
+/**
+ * Active storage adapter
+ * @type {Object}
+ */
+let adapter = createAdapter(config.orderStore);
+
+/**
+ * Tail of the pending operation chain per order
+ * @type {Map<string, Promise>}
+ */
+const locks = new Map();
+
+/**
+ * Registered state transition listeners
+ * @type {Function[]}
+ */
+const transitionListeners = [];
+
+/**
+ * Creates an error carrying a store error code
+ * @private
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with code set
+ */
+const createStoreError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Runs fn while holding the lock for key.
+ * Operations on the same key run one after another; different keys run freely.
+ * @function runExclusive
+ * @async
+ * @param {string} key - Lock key (usually merch_order_id)
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Result of fn
+ */
+const runExclusive = (key, fn) => {
+  const previous = locks.get(key) || Promise.resolve();
+  const run = previous.then(() => fn());
+  const tail = run.catch(() => {});
+
+  locks.set(key, tail);
+  tail.then(() => {
+    if (locks.get(key) === tail) {
+      locks.delete(key);
+    }
+  });
+
+  return run;
+};
+
+/**
+ * Loads an order or throws ORDER_NOT_FOUND
+ * @private
+ * @async
+ * @param {string} merchOrderId - Merchant order ID
+ * @returns {Promise<OrderRecord>} The order
+ */
+const requireOrder = async (merchOrderId) => {
+  const order = await adapter.get(merchOrderId);
+
+  if (!order) {
+    throw createStoreError('ORDER_NOT_FOUND', 'Order not found: ' + merchOrderId);
+  }
+
+  return order;
+};
+
+/**
+ * Records a new order in the CREATED state
+ * @function createOrder
+ * @async
+ * @param {Object} data - Order data; merch_order_id is required
+ * @returns {Promise<OrderRecord>} The stored order
+ * @throws {Error} With code ORDER_EXISTS if the ID is already taken
+ */
+const createOrder = (data) => {
+  if (!data || !data.merch_order_id) {
+    return Promise.reject(new Error('merch_order_id is required'));
+  }
+
+  return runExclusive(data.merch_order_id, async () => {
+    const existing = await adapter.get(data.merch_order_id);
+    if (existing) {
+      throw createStoreError('ORDER_EXISTS', 'Order already exists: ' + data.merch_order_id);
+    }
+
+    const now = new Date().toISOString();
+    const order = {
+      merch_order_id: data.merch_order_id,
+      merchant_id: data.merchant_id || null,
+      prepay_id: data.prepay_id || null,
+      payment_order_id: null,
+      title: data.title,
+      amount: data.amount !== undefined ? parseFloat(data.amount) : null,
+      currency: data.currency || config.currency,
+      trade_type: data.trade_type || 'InApp',
+      mandate_data: data.mandate_data || null,
+      open_id: data.open_id || null,
+      raw_request: data.raw_request || null,
+      refunds: [],
+      refunded_amount: 0,
+      status: ORDER_STATES.CREATED,
+      status_history: [{ status: ORDER_STATES.CREATED, from: null, at: now }],
+      created_at: now,
+      updated_at: now,
+    };
+
+    return adapter.save(order.merch_order_id, order);
+  });
+};
+
+/**
+ * Gets an order by merchant order ID
+ * @function getOrder
+ * @async
+ * @param {string} merchOrderId - Merchant order ID
+ * @returns {Promise<OrderRecord|null>} The order or null
+ */
+const getOrder = (merchOrderId) => adapter.get(merchOrderId);
+
+/**
+ * Finds an order by Fabric prepay ID
+ * @function findByPrepayId
+ * @async
+ * @param {string} prepayId - Prepay ID
+ * @returns {Promise<OrderRecord|null>} The order or null
+ */
+const findByPrepayId = async (prepayId) => {
+  const orders = await adapter.list();
+  return orders.find(order => order.prepay_id === prepayId) || null;
+};
+
+/**
+ * Lists orders, optionally filtered
+ * @function listOrders
+ * @async
+ * @param {Function} [predicate] - Filter applied to each order
+ * @returns {Promise<OrderRecord[]>} Matching orders, newest first
+ */
+const listOrders = async (predicate) => {
+  const orders = await adapter.list();
+  return orders
+    .filter(order => !predicate || predicate(order))
+    .sort((a, b) => (a.created_at < b.created_at ? 1 : -1));
+};
+
+/**
+ * Reads, modifies and saves an order while holding its lock.
+ * The mutator may change non-state fields in place and may throw to
+ * abort without saving; protected fields are restored before saving.
+ * @function modifyOrder
+ * @async
+ * @param {string} merchOrderId - Merchant order ID
+ * @param {Function} mutator - Called with the order; may be async
+ * @returns {Promise<OrderRecord>} The updated order
+ */
+const modifyOrder = (merchOrderId, mutator) => runExclusive(merchOrderId, async () => {
+  const order = await requireOrder(merchOrderId);
+  const original = {};
+  PROTECTED_FIELDS.forEach(key => {
+    original[key] = order[key];
+  });
+
+  await mutator(order);
+
+  Object.assign(order, original);
+  order.updated_at = new Date().toISOString();
+
+  return adapter.save(merchOrderId, order);
+});
+
+/**
+ * Updates non-state fields of an order
+ * @function updateOrder
+ * @async
+ * @param {string} merchOrderId - Merchant order ID
+ * @param {Object} patch - Fields to update
+ * @returns {Promise<OrderRecord>} The updated order
+ */
+const updateOrder = (merchOrderId, patch) => modifyOrder(merchOrderId, (order) => {
+  Object.keys(patch || {}).forEach(key => {
+    order[key] = patch[key];
+  });
+});
+
+/**
+ * Registers a listener for order state transitions. Listeners are called
+ * after the new state is saved, with the order and its StatusChange; a
+ * failing listener is logged and never affects the transition.
+ * @function onTransition
+ * @param {Function} listener - Called with (order, change); may be async
+ * @returns {Function} Function that removes the listener
+ */
+const onTransition = (listener) => {
+  if (typeof listener !== 'function') {
+    throw new Error('Transition listener must be a function');
+  }
+
+  transitionListeners.push(listener);
+
+  return () => {
+    const index = transitionListeners.indexOf(listener);
+    if (index !== -1) {
+      transitionListeners.splice(index, 1);
+    }
+  };
+};
+
+/**
+ * Hands a saved transition to every listener
+ * @private
+ * @param {OrderRecord} order - The saved order
+ * @param {StatusChange} change - The transition
+ */
+const emitTransition = (order, change) => {
+  transitionListeners.slice().forEach(listener => {
+    Promise.resolve()
+      .then(() => listener(order, change))
+      .catch(error => {
+        console.error('[Order Store] Transition listener failed:', {
+          merchOrderId: order.merch_order_id,
+          error: error.message,
+        });
+      });
+  });
+};
+
+/**
+ * Moves a loaded order to a new state in memory; the caller holds the
+ * order's lock and saves it
+ * @private
+ * @param {OrderRecord} order - Order to change
+ * @param {string} toState - Target state
+ * @param {Object} patch - Non-state fields to update alongside
+ * @param {string} [reason] - Why the state changed (stored in status_history)
+ * @returns {StatusChange} The recorded transition
+ * @throws {Error} With code INVALID_STATE_TRANSITION if the move is illegal
+ */
+const applyTransition = (order, toState, patch, reason) => {
+  assertTransition(order.status, toState);
+
+  const now = new Date().toISOString();
+
+  Object.keys(patch).forEach(key => {
+    if (!PROTECTED_FIELDS.includes(key)) {
+      order[key] = patch[key];
+    }
+  });
+
+  order.status_history.push({ status: toState, from: order.status, at: now, reason: reason });
+  order.status = toState;
+  order.updated_at = now;
+
+  const change = order.status_history[order.status_history.length - 1];
+  console.log('[Order Store] ' + order.merch_order_id + ': ' + change.from + ' -> ' + toState);
+
+  return change;
+};
+
+/**
+ * Moves an order to a new state
+ * @function transition
+ * @async
+ * @param {string} merchOrderId - Merchant order ID
+ * @param {string} toState - Target state
+ * @param {Object} [patch] - Non-state fields to update alongside
+ * @param {string} [reason] - Why the state changed (stored in status_history)
+ * @returns {Promise<OrderRecord>} The updated order
+ * @throws {Error} With code INVALID_STATE_TRANSITION if the move is illegal
+ */
+const transition = (merchOrderId, toState, patch = {}, reason) => runExclusive(merchOrderId, async () => {
+  const order = await requireOrder(merchOrderId);
+  const change = applyTransition(order, toState, patch, reason);
+
+  const saved = await adapter.save(merchOrderId, order);
+  emitTransition(saved, change);
+
+  return saved;
+});
+
+/**
+ * Brings an order to the given state if it is not already there.
+ * Orders still in CREATED pass through PENDING on their way to a
+ * payment outcome, since Fabric may report the outcome before we saw
+ * the prepay response.
+ * @function syncStatus
+ * @async
+ * @param {string} merchOrderId - Merchant order ID
+ * @param {string} targetState - State reported by Fabric
+ * @param {Object} [patch] - Non-state fields to update
+ * @param {string} [reason] - Why the state changed
+ * @returns {Promise<{changed: boolean, order: OrderRecord}>} Result
+ * @throws {Error} With code INVALID_STATE_TRANSITION if the target is unreachable
+ */
+const syncStatus = async (merchOrderId, targetState, patch = {}, reason) => {
+  if (!isValidState(targetState)) {
+    throw createStoreError('INVALID_STATE', 'Unknown order state: ' + targetState);
+  }
+
+  // Both hops happen under one lock, so a concurrent notify and query
+  // cannot interleave between them
+  return runExclusive(merchOrderId, async () => {
+    const order = await requireOrder(merchOrderId);
+
+    if (order.status === targetState) {
+      return { changed: false, order: order };
+    }
+
+    // Listeners of the intermediate hop get the order as it was after it
+    let passedPending = null;
+    if (order.status === ORDER_STATES.CREATED && targetState !== ORDER_STATES.PENDING &&
+        targetState !== ORDER_STATES.FAILED && targetState !== ORDER_STATES.CANCELLED) {
+      const change = applyTransition(order, ORDER_STATES.PENDING, {}, reason);
+      passedPending = { order: JSON.parse(JSON.stringify(order)), change: change };
+    }
+    const change = applyTransition(order, targetState, patch, reason);
+
+    const saved = await adapter.save(merchOrderId, order);
+    if (passedPending) {
+      emitTransition(passedPending.order, passedPending.change);
+    }
+    emitTransition(saved, change);
+
+    return { changed: true, order: saved };
+  });
+};
+
+/**
+ * Replaces the storage adapter (e.g. in tests or at startup)
+ * @function setAdapter
+ * @param {Object} newAdapter - Adapter implementing get, save, remove and list
+ */
+const setAdapter = (newAdapter) => {
+  ['get', 'save', 'remove', 'list'].forEach(method => {
+    if (!newAdapter || typeof newAdapter[method] !== 'function') {
+      throw new Error('Order store adapter must implement ' + method + '()');
+    }
+  });
+
+  adapter = newAdapter;
+};
+
+/**
+ * Gets the active storage adapter
+ * @function getAdapter
+ * @returns {Object} Storage adapter
+ */
+const getAdapter = () => adapter;
+
+module.exports = {
+  createOrder,
+  getOrder,
+  findByPrepayId,
+  listOrders,
+  modifyOrder,
+  updateOrder,
+  transition,
+  syncStatus,
+  onTransition,
+  runExclusive,
+  createAdapter,
+  setAdapter,
+  getAdapter,
+  ORDER_STATES,
+};
@@ -0,0 +1,242 @@
+/**
+ * @module store/subscriptionStore
+ * @description Customer subscriptions to mandate plans and their lifecycle
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const { createAdapter, runExclusive } = require('./orderStore');
+
+/**
+ * Subscription states
+ * @type {Object}
+ * @constant
+ */
+const SUBSCRIPTION_STATES = {
+  PENDING: 'PENDING',
+  TRIALING: 'TRIALING',
+  ACTIVE: 'ACTIVE',
+  PAST_DUE: 'PAST_DUE',
+  CANCELLED: 'CANCELLED',
+};
+
+/**
+ * Allowed transitions keyed by source state. PENDING subscriptions wait for
+ * the customer to sign the mandate; PAST_DUE ones have an unpaid debit.
+ * @type {Object<string, string[]>}
+ * @constant
+ */
+const TRANSITIONS = {
+  PENDING: [SUBSCRIPTION_STATES.TRIALING, SUBSCRIPTION_STATES.ACTIVE, SUBSCRIPTION_STATES.CANCELLED],
+  TRIALING: [SUBSCRIPTION_STATES.ACTIVE, SUBSCRIPTION_STATES.PAST_DUE, SUBSCRIPTION_STATES.CANCELLED],
+  ACTIVE: [SUBSCRIPTION_STATES.PAST_DUE, SUBSCRIPTION_STATES.CANCELLED],
+  PAST_DUE: [SUBSCRIPTION_STATES.ACTIVE, SUBSCRIPTION_STATES.CANCELLED],
+  CANCELLED: [],
+};
+
+/**
+ * Fields that may only be changed through transition()
+ * @type {string[]}
+ * @constant
+ */
+const PROTECTED_FIELDS = ['id', 'merchant_id', 'contract_no', 'status', 'status_history', 'created_at'];
+
+/**
+ * @typedef {Object} SubscriptionRecord
+ * @property {string} id - Subscription ID
+ * @property {string} merchant_id - Merchant the subscription belongs to
+ * @property {string} plan_id - Subscribed plan
+ * @property {MandatePlan} plan - The plan as configured when subscribing
+ * @property {string} open_id - Customer open_id (from /apply/h5token)
+ * @property {string} contract_no - Contract number of the subscription's mandate
+ * @property {string} merch_order_id - Order the customer signs the mandate with
+ * @property {string} schedule_id - Billing schedule charging the plan amount
+ * @property {string} status - Current state (see SUBSCRIPTION_STATES)
+ * @property {StatusChange[]} status_history - Every state the subscription has been in
+ * @property {string|null} trial_end_at - ISO time the trial ends (first charge)
+ * @property {string|null} started_at - ISO time the mandate was signed
+ * @property {string|null} last_paid_at - ISO time of the last successful charge
+ * @property {string|null} cancelled_at - ISO time it was cancelled
+ * @property {string|null} cancel_reason - Why it was cancelled
+ * @property {string} created_at - ISO creation timestamp
+ * @property {string} updated_at - ISO timestamp of the last change
+ */
+
+/**
+ * Active storage adapter
+ * @type {Object}
+ */
+let adapter = createAdapter(config.subscriptions.store);
+
+/**
+ * Creates an error carrying a subscription store error code
+ * @private
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with code set
+ */
+const createStoreError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Checks whether a subscription may move from one state to another
+ * @function canTransition
+ * @param {string} from - Current state
+ * @param {string} to - Target state
+ * @returns {boolean} True if the transition is allowed
+ */
+const canTransition = (from, to) => Object.prototype.hasOwnProperty.call(TRANSITIONS, from) &&
+  TRANSITIONS[from].includes(to);
+
+/**
+ * Creates a PENDING subscription
+ * @function createSubscription
+ * @async
+ * @param {Object} data - merchant_id, plan, open_id, contract_no, merch_order_id, schedule_id and trial_end_at
+ * @returns {Promise<SubscriptionRecord>} The stored subscription
+ */
+const createSubscription = (data) => {
+  const now = new Date().toISOString();
+  const subscription = {
+    id: 'SUB_' + crypto.randomBytes(8).toString('hex').toUpperCase(),
+    merchant_id: data.merchant_id,
+    plan_id: data.plan.id,
+    plan: data.plan,
+    open_id: data.open_id,
+    contract_no: data.contract_no,
+    merch_order_id: data.merch_order_id,
+    schedule_id: data.schedule_id,
+    status: SUBSCRIPTION_STATES.PENDING,
+    status_history: [{ status: SUBSCRIPTION_STATES.PENDING, from: null, at: now }],
+    trial_end_at: data.trial_end_at || null,
+    started_at: null,
+    last_paid_at: null,
+    cancelled_at: null,
+    cancel_reason: null,
+    created_at: now,
+    updated_at: now,
+  };
+
+  return adapter.save(subscription.id, subscription);
+};
+
+/**
+ * Gets a subscription by ID
+ * @function getSubscription
+ * @async
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<SubscriptionRecord|null>} The subscription or null
+ */
+const getSubscription = (subscriptionId) => adapter.get(subscriptionId);
+
+/**
+ * Lists subscriptions, newest first
+ * @function listSubscriptions
+ * @async
+ * @param {Object} [filter] - Filter
+ * @param {string} [filter.merchantId] - Only this merchant's subscriptions
+ * @param {string} [filter.openId] - Only this customer's subscriptions
+ * @param {string} [filter.status] - Only subscriptions in this state
+ * @param {string} [filter.merchOrderId] - Only the subscription signed with this order
+ * @param {string} [filter.scheduleId] - Only the subscription billed by this schedule
+ * @returns {Promise<SubscriptionRecord[]>} Matching subscriptions
+ */
+const listSubscriptions = async (filter = {}) => (await adapter.list())
+  .filter(subscription => !filter.merchantId || subscription.merchant_id === filter.merchantId)
+  .filter(subscription => !filter.openId || subscription.open_id === filter.openId)
+  .filter(subscription => !filter.status || subscription.status === filter.status)
+  .filter(subscription => !filter.merchOrderId || subscription.merch_order_id === filter.merchOrderId)
+  .filter(subscription => !filter.scheduleId || subscription.schedule_id === filter.scheduleId)
+  .sort((a, b) => (a.created_at < b.created_at ? 1 : -1));
+
+/**
+ * Moves a subscription to another state
+ * @function transition
+ * @async
+ * @param {string} subscriptionId - Subscription ID
+ * @param {string} toState - Target state
+ * @param {Object} [patch] - Non-state fields to update alongside
+ * @param {string} [reason] - Why the state changed (stored in status_history)
+ * @returns {Promise<SubscriptionRecord>} The updated subscription
+ * @throws {Error} With code SUBSCRIPTION_NOT_FOUND or INVALID_STATE_TRANSITION
+ */
+const transition = (subscriptionId, toState, patch = {}, reason) => runExclusive('subscription:' + subscriptionId, async () => {
+  const subscription = await adapter.get(subscriptionId);
+  if (!subscription) {
+    throw createStoreError('SUBSCRIPTION_NOT_FOUND', 'Subscription not found: ' + subscriptionId);
+  }
+
+  if (!canTransition(subscription.status, toState)) {
+    const error = createStoreError('INVALID_STATE_TRANSITION',
+      'Illegal subscription state transition: ' + subscription.status + ' -> ' + toState);
+    error.from = subscription.status;
+    error.to = toState;
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+
+  Object.keys(patch).forEach(key => {
+    if (!PROTECTED_FIELDS.includes(key)) {
+      subscription[key] = patch[key];
+    }
+  });
+
+  subscription.status_history.push({ status: toState, from: subscription.status, at: now, reason: reason });
+  subscription.status = toState;
+  subscription.updated_at = now;
+
+  console.log('[Subscription Store] ' + subscriptionId + ': ' +
+    subscription.status_history[subscription.status_history.length - 1].from + ' -> ' + toState);
+
+  return adapter.save(subscriptionId, subscription);
+});
+
+/**
+ * Updates non-state fields of a subscription
+ * @function updateSubscription
+ * @async
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Object} patch - Fields to update (state fields are ignored)
+ * @returns {Promise<SubscriptionRecord|null>} The updated subscription, or null if unknown
+ */
+const updateSubscription = (subscriptionId, patch) => runExclusive('subscription:' + subscriptionId, async () => {
+  const subscription = await adapter.get(subscriptionId);
+  if (!subscription) {
+    return null;
+  }
+
+  Object.keys(patch).forEach(key => {
+    if (!PROTECTED_FIELDS.includes(key)) {
+      subscription[key] = patch[key];
+    }
+  });
+  subscription.updated_at = new Date().toISOString();
+
+  return adapter.save(subscriptionId, subscription);
+});
+
+/**
+ * Replaces the storage adapter (e.g. in tests or at startup)
+ * @function setAdapter
+ * @param {Object} newAdapter - Adapter implementing get, save, remove and list
+ */
+const setAdapter = (newAdapter) => {
+  adapter = newAdapter;
+};
+
+module.exports = {
+  createSubscription,
+  getSubscription,
+  listSubscriptions,
+  transition,
+  updateSubscription,
+  canTransition,
+  setAdapter,
+  SUBSCRIPTION_STATES,
+  TRANSITIONS,
+};
@@ -0,0 +1,180 @@
+/**
+ * @module store/webhookStore
+ * @description Persistent queue of outbound merchant webhook deliveries, including dead letters
+ * @version 1.0.0
+ */
+
+const config = require('../config/config');
+const { createAdapter, runExclusive } = require('./orderStore');
+
+/**
+ * Outbound webhook event types
+ * @type {Object}
+ * @constant
+ */
+const WEBHOOK_EVENTS = {
+  ORDER_PAID: 'order.paid',
+  ORDER_FAILED: 'order.failed',
+  REFUND_SUCCEEDED: 'refund.succeeded',
+  MANDATE_SIGNED: 'mandate.signed',
+};
+
+/**
+ * Delivery states
+ * @type {Object}
+ * @constant
+ */
+const DELIVERY_STATES = {
+  PENDING: 'PENDING',
+  DELIVERED: 'DELIVERED',
+  DEAD: 'DEAD',
+};
+
+/**
+ * @typedef {Object} WebhookDelivery
+ * @property {string} id - Delivery ID (event and endpoint)
+ * @property {string} event_id - Event ID, the same for every endpoint and attempt
+ * @property {string} event_type - One of WEBHOOK_EVENTS
+ * @property {string} merchant_id - Merchant the event belongs to
+ * @property {string} endpoint_id - Endpoint ID from the merchant's webhook settings
+ * @property {string} url - URL the delivery is posted to
+ * @property {Object} payload - Event body
+ * @property {string} state - One of DELIVERY_STATES
+ * @property {number} attempts - Attempts made so far
+ * @property {string} next_attempt_at - ISO time of the next attempt (PENDING only)
+ * @property {number|null} last_status - HTTP status of the last attempt
+ * @property {string|null} last_error - Error of the last attempt
+ * @property {number} replay_count - How often the delivery was replayed by hand
+ * @property {string} created_at - ISO creation time
+ * @property {string} updated_at - ISO time of the last change
+ * @property {string|null} delivered_at - ISO time the endpoint accepted it
+ * @property {string|null} dead_at - ISO time it was dead-lettered
+ */
+
+/**
+ * Active storage adapter
+ * @type {Object}
+ */
+let adapter = createAdapter(config.webhooks.store);
+
+/**
+ * Adds a delivery to the queue unless one with the same ID exists,
+ * so an event is never queued twice for the same endpoint
+ * @function enqueue
+ * @async
+ * @param {Object} data - Delivery fields (id, event_id, event_type, merchant_id, endpoint_id, url, payload)
+ * @returns {Promise<{created: boolean, record: WebhookDelivery}>} The queued (or existing) delivery
+ */
+const enqueue = (data) => runExclusive('webhook:' + data.id, async () => {
+  const existing = await adapter.get(data.id);
+  if (existing) {
+    return { created: false, record: existing };
+  }
+
+  const now = new Date().toISOString();
+  const record = {
+    id: data.id,
+    event_id: data.event_id,
+    event_type: data.event_type,
+    merchant_id: data.merchant_id,
+    endpoint_id: data.endpoint_id,
+    url: data.url,
+    payload: data.payload,
+    state: DELIVERY_STATES.PENDING,
+    attempts: 0,
+    next_attempt_at: now,
+    last_status: null,
+    last_error: null,
+    replay_count: 0,
+    created_at: now,
+    updated_at: now,
+    delivered_at: null,
+    dead_at: null,
+  };
+
+  return { created: true, record: await adapter.save(record.id, record) };
+});
+
+/**
+ * Gets a delivery by ID
+ * @function getDelivery
+ * @async
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<WebhookDelivery|null>} The delivery or null
+ */
+const getDelivery = (deliveryId) => adapter.get(deliveryId);
+
+/**
+ * Lists deliveries, newest first
+ * @function listDeliveries
+ * @async
+ * @param {Object} [filter] - Filter
+ * @param {string} [filter.merchantId] - Only this merchant's deliveries
+ * @param {string} [filter.state] - Only deliveries in this state
+ * @param {number} [filter.limit] - Maximum number of deliveries
+ * @returns {Promise<WebhookDelivery[]>} Matching deliveries
+ */
+const listDeliveries = async (filter = {}) => {
+  const deliveries = (await adapter.list())
+    .filter(delivery => !filter.merchantId || delivery.merchant_id === filter.merchantId)
+    .filter(delivery => !filter.state || delivery.state === filter.state)
+    .sort((a, b) => (a.created_at < b.created_at ? 1 : -1));
+
+  return filter.limit ? deliveries.slice(0, filter.limit) : deliveries;
+};
+
+/**
+ * Lists pending deliveries whose next attempt is due, oldest first
+ * @function listDue
+ * @async
+ * @param {number} [limit] - Maximum number of deliveries
+ * @returns {Promise<WebhookDelivery[]>} Due deliveries
+ */
+const listDue = async (limit) => {
+  const now = new Date().toISOString();
+  const due = (await adapter.list())
+    .filter(delivery => delivery.state === DELIVERY_STATES.PENDING && delivery.next_attempt_at <= now)
+    .sort((a, b) => (a.next_attempt_at > b.next_attempt_at ? 1 : -1));
+
+  return limit ? due.slice(0, limit) : due;
+};
+
+/**
+ * Reads, modifies and saves a delivery while holding its lock
+ * @function updateDelivery
+ * @async
+ * @param {string} deliveryId - Delivery ID
+ * @param {Function} mutator - Called with the delivery; may throw to abort
+ * @returns {Promise<WebhookDelivery|null>} The updated delivery, or null if unknown
+ */
+const updateDelivery = (deliveryId, mutator) => runExclusive('webhook:' + deliveryId, async () => {
+  const delivery = await adapter.get(deliveryId);
+  if (!delivery) {
+    return null;
+  }
+
+  await mutator(delivery);
+  delivery.updated_at = new Date().toISOString();
+
+  return adapter.save(deliveryId, delivery);
+});
+
+/**
+ * Replaces the storage adapter (e.g. in tests or at startup)
+ * @function setAdapter
+ * @param {Object} newAdapter - Adapter implementing get, save, remove and list
+ */
+const setAdapter = (newAdapter) => {
+  adapter = newAdapter;
+};
+
+module.exports = {
+  enqueue,
+  getDelivery,
+  listDeliveries,
+  listDue,
+  updateDelivery,
+  setAdapter,
+  WEBHOOK_EVENTS,
+  DELIVERY_STATES,
+};
@@ -0,0 +1,174 @@
+/**
+ * @module test/helpers/testServer
+ * @description Serves the API routers, as app.js mounts them, against the Fabric
+ * simulator for route tests. Call configure() before requiring any module of the
+ * app: config/config reads the environment once, when it is first required.
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+
+/**
+ * API keys of the test merchants
+ * @type {Object}
+ * @constant
+ */
+const API_KEYS = {
+  // Default scopes of the default merchant
+  default: 'test-default-key-0123456789',
+  // Default merchant, orders:read only
+  readOnly: 'test-read-only-key-0123456789',
+  // The second merchant ("shop1")
+  shop: 'test-shop1-key-0123456789',
+};
+
+/**
+ * Creates an RSA key pair in PEM
+ * @private
+ * @returns {{privateKey: string, publicKey: string}} Key pair
+ */
+const createKeyPair = () => crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+});
+
+/**
+ * Keys and ports of the configured test run
+ * @type {Object|null}
+ */
+let settings = null;
+
+/**
+ * Sets the environment of a test file: the simulator listens on port and the
+ * API on port + 1. Give every test file its own port.
+ * @function configure
+ * @param {number} port - Port of the Fabric simulator
+ * @param {Object} [env] - Additional environment variables
+ */
+const configure = (port, env = {}) => {
+  const fabricKeys = createKeyPair();
+  const shopKeys = createKeyPair();
+  const apiUrl = 'http://127.0.0.1:' + (port + 1);
+
+  settings = { port: port, fabricPrivateKey: fabricKeys.privateKey };
+
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    PORT: String(port + 1),
+    PUBLIC_KEY: fabricKeys.publicKey,
+    FABRIC_BASE_URL: 'http://127.0.0.1:' + port,
+    FABRIC_MAX_RETRIES: '0',
+    API_TIMEOUT: '20000',
+    NOTIFY_URL: apiUrl + '/api/v1/notify',
+    API_KEYS: API_KEYS.default + ',' + API_KEYS.readOnly + '=orders:read',
+    MANDATE_PLANS_FILE: path.join(__dirname, '..', 'fixtures', 'plans.json'),
+    CUSTOMER_SESSION_SECRET: 'test-session-secret',
+    STATUS_TICKET_SECRET: 'test-ticket-secret',
+    TENANT_SHOP1_FABRIC_APP_ID: 'shop1-fabric-app',
+    TENANT_SHOP1_FABRIC_APP_SECRET: 'shop1-fabric-secret',
+    TENANT_SHOP1_MERCHANT_APP_ID: 'shop1-merchant-app',
+    TENANT_SHOP1_MERCHANT_CODE: '100001',
+    TENANT_SHOP1_PRIVATE_KEY: shopKeys.privateKey,
+    TENANT_SHOP1_API_KEYS: API_KEYS.shop,
+  }, env);
+};
+
+/**
+ * Starts the simulator and an API server with the body parser, merchant
+ * selection, the auth, order, mandate and customer routers and the notify
+ * endpoint of app.js
+ * @async
+ * @function start
+ * @returns {Promise<Object>} { server, simulator, stop }
+ */
+const start = async () => {
+  if (!settings) {
+    throw new Error('Call configure() before start()');
+  }
+
+  const express = require('express');
+  const bodyParser = require('body-parser');
+  const { createFabricSimulator } = require('../../simulator/fabricSimulator');
+  const selectMerchant = require('../../middleware/selectMerchant');
+  const notifyService = require('../../service/notifyService');
+  const mandateService = require('../../service/mandateService');
+  const subscriptionService = require('../../service/subscriptionService');
+
+  const simulator = createFabricSimulator({ privateKey: settings.fabricPrivateKey, notifyRetries: 0 });
+  await simulator.listen(settings.port);
+
+  const app = express();
+  app.use(bodyParser.json());
+  app.use(selectMerchant);
+  app.use(require('../../routes/auth'));
+  app.use(require('../../routes/orders'));
+  app.use(require('../../routes/mandates'));
+  app.use(require('../../routes/customers'));
+  app.post('/api/v1/notify', (req, res) => notifyService.handleNotify(req, res));
+
+  const server = http.createServer(app);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(settings.port + 1, '127.0.0.1', resolve);
+  });
+
+  mandateService.start();
+  subscriptionService.start();
+
+  const stop = async () => {
+    mandateService.stop();
+    subscriptionService.stop();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await simulator.close();
+  };
+
+  return { server, simulator, stop };
+};
+
+/**
+ * Signs a payload with the simulator's key, as Fabric signs its callbacks
+ * @function signAsFabric
+ * @param {Object} payload - Payload without sign
+ * @returns {Object} The payload with sign and sign_type
+ */
+const signAsFabric = (payload) => {
+  const tools = require('../../utils/tools');
+  const signed = Object.assign({ sign_type: 'SHA256WithRSA' }, payload);
+  signed.sign = tools.signRequestObject(signed, settings.fabricPrivateKey);
+  return signed;
+};
+
+/**
+ * Polls until a check returns a truthy value
+ * @async
+ * @function waitFor
+ * @param {Function} check - Returns (or resolves to) the awaited value
+ * @param {number} [timeoutMs] - Give up after this long (default 10000)
+ * @returns {Promise<*>} The value
+ */
+const waitFor = async (check, timeoutMs = 10000) => {
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    const value = await check();
+    if (value) {
+      return value;
+    }
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for ' + check);
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+module.exports = {
+  API_KEYS,
+  configure,
+  start,
+  signAsFabric,
+  waitFor,
+};
@@ -0,0 +1,121 @@
+const testServer = require('../helpers/testServer');
+
+testServer.configure(47010);
+
+const request = require('supertest');
+
+const { API_KEYS } = testServer;
+
+describe('routes/auth', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await testServer.start();
+  });
+
+  afterAll(() => api.stop());
+
+  describe('POST /api/v1/auth/token', () => {
+    it('exchanges an authToken for the open_id and a customer session', async () => {
+      const response = await request(api.server)
+        .post('/api/v1/auth/token')
+        .set('X-API-Key', API_KEYS.default)
+        .send({ authToken: 'auth-customer-1' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.biz_content.open_id).toMatch(/^SIMOPENID/);
+      expect(typeof response.body.session_token).toBe('string');
+    });
+
+    it('gives the same open_id for the same authToken', async () => {
+      const exchange = () => request(api.server)
+        .post('/api/v1/auth/token')
+        .set('X-API-Key', API_KEYS.default)
+        .send({ authToken: 'auth-customer-2' });
+
+      const first = await exchange();
+      const second = await exchange();
+
+      expect(second.body.biz_content.open_id).toBe(first.body.biz_content.open_id);
+    });
+
+    it('requires an authToken', async () => {
+      const response = await request(api.server)
+        .post('/api/v1/auth/token')
+        .set('X-API-Key', API_KEYS.default)
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+
+    it('requires an API key', async () => {
+      const response = await request(api.server)
+        .post('/api/v1/auth/token')
+        .send({ authToken: 'auth-customer-1' });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('requires the auth:token scope', async () => {
+      const response = await request(api.server)
+        .post('/api/v1/auth/token')
+        .set('X-API-Key', API_KEYS.readOnly)
+        .send({ authToken: 'auth-customer-1' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('answers 502 when Fabric fails', async () => {
+      api.simulator.failNext('payment.authtoken', { type: 'http', status: 500 });
+
+      const response = await request(api.server)
+        .post('/api/v1/auth/token')
+        .set('X-API-Key', API_KEYS.default)
+        .send({ authToken: 'auth-customer-1' });
+
+      expect(response.status).toBe(502);
+    });
+  });
+
+  describe('POST /apply/h5token', () => {
+    it('is an alias of /api/v1/auth/token', async () => {
+      const response = await request(api.server)
+        .post('/apply/h5token')
+        .set('X-API-Key', API_KEYS.default)
+        .send({ authToken: 'auth-customer-1' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.biz_content.open_id).toMatch(/^SIMOPENID/);
+    });
+  });
+
+  describe('/merchants/:merchantId prefix', () => {
+    it('serves the merchant of the path with its own key', async () => {
+      const response = await request(api.server)
+        .post('/merchants/shop1/api/v1/auth/token')
+        .set('X-API-Key', API_KEYS.shop)
+        .send({ authToken: 'auth-customer-1' });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('refuses another merchant\'s key', async () => {
+      const response = await request(api.server)
+        .post('/merchants/shop1/api/v1/auth/token')
+        .set('X-API-Key', API_KEYS.default)
+        .send({ authToken: 'auth-customer-1' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error_code).toBe('MERCHANT_MISMATCH');
+    });
+
+    it('answers 404 for unknown merchants', async () => {
+      const response = await request(api.server)
+        .post('/merchants/nobody/api/v1/auth/token')
+        .send({ authToken: 'auth-customer-1' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error_code).toBe('MERCHANT_NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const testServer = require('../helpers/testServer');
+
+testServer.configure(47040);
+
+const request = require('supertest');
+
+const { API_KEYS } = testServer;
+
+describe('routes/customers', () => {
+  let api;
+  let session;
+  let contractNo;
+  let merchOrderId;
+
+  const signIn = async (authToken, prefix = '', apiKey = API_KEYS.default) => {
+    const response = await request(api.server)
+      .post(prefix + '/api/v1/auth/token')
+      .set('X-API-Key', apiKey)
+      .send({ authToken: authToken });
+
+    return { Authorization: 'Bearer ' + response.body.session_token };
+  };
+
+  beforeAll(async () => {
+    api = await testServer.start();
+    session = await signIn('customers-customer');
+
+    const order = await request(api.server)
+      .post('/api/v1/orders/create')
+      .set('X-API-Key', API_KEYS.default)
+      .set(session)
+      .send({ title: 'Gift card', amount: 25 });
+    merchOrderId = order.body.merch_order_id;
+
+    // Someone else pays the signing order: the mandate stays the session customer's
+    contractNo = 'CONTRACT_CUSTOMER_1';
+    const mandateOrder = await request(api.server)
+      .post('/api/v1/orders/mandate')
+      .set('X-API-Key', API_KEYS.default)
+      .set(session)
+      .send({ title: 'Weekly box', amount: 50, plan_id: 'basic', ContractNo: contractNo });
+    await api.simulator.pay(mandateOrder.body.merch_order_id, { openId: 'SIMOPENID_SOMEONE_ELSE' });
+    await testServer.waitFor(async () => {
+      const response = await request(api.server)
+        .get('/api/v1/mandates/' + contractNo)
+        .set('X-API-Key', API_KEYS.default);
+      return response.body.status === 'ACTIVE';
+    });
+  });
+
+  afterAll(() => api.stop());
+
+  describe('GET /api/v1/me', () => {
+    it('returns the session customer with the mandates of /me/mandates', async () => {
+      const response = await request(api.server).get('/api/v1/me').set(session);
+
+      expect(response.status).toBe(200);
+      expect(response.body.customer.sign_in_count).toBe(1);
+      expect(response.body.customer.display_name).toBe('Simulated Customer');
+      expect(response.body.customer.mandates).toEqual([contractNo]);
+    });
+
+    it('requires a customer session', async () => {
+      const response = await request(api.server).get('/api/v1/me');
+
+      expect(response.status).toBe(401);
+      expect(response.body.error_code).toBe('SESSION_REQUIRED');
+    });
+
+    it('refuses invalid sessions', async () => {
+      const response = await request(api.server)
+        .get('/api/v1/me')
+        .set('Authorization', 'Bearer not-a-session');
+
+      expect(response.status).toBe(401);
+      expect(response.body.error_code).toBe('SESSION_INVALID');
+    });
+
+    it('refuses sessions of other merchants', async () => {
+      const shopSession = await signIn('customers-customer', '/merchants/shop1', API_KEYS.shop);
+
+      const response = await request(api.server).get('/api/v1/me').set(shopSession);
+
+      expect(response.status).toBe(401);
+      expect(response.body.error_code).toBe('SESSION_MERCHANT_MISMATCH');
+    });
+  });
+
+  describe('GET /api/v1/me/orders', () => {
+    it('lists the orders of the session customer', async () => {
+      const response = await request(api.server).get('/api/v1/me/orders').set(session);
+
+      expect(response.status).toBe(200);
+      expect(response.body.orders.map(order => order.merch_order_id)).toContain(merchOrderId);
+    });
+
+    it('filters by status', async () => {
+      const response = await request(api.server)
+        .get('/api/v1/me/orders')
+        .query({ status: 'pending' })
+        .set(session);
+
+      expect(response.status).toBe(200);
+      expect(response.body.orders.map(order => order.merch_order_id)).toEqual([merchOrderId]);
+    });
+
+    it('validates the status filter', async () => {
+      const response = await request(api.server)
+        .get('/api/v1/me/orders')
+        .query({ status: 'LOST' })
+        .set(session);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/v1/me/mandates', () => {
+    it('lists the mandates of the session customer', async () => {
+      const response = await request(api.server).get('/api/v1/me/mandates').set(session);
+
+      expect(response.status).toBe(200);
+      expect(response.body.mandates.map(mandate => mandate.contract_no)).toEqual([contractNo]);
+    });
+
+    it('keeps listing a mandate after Fabric reports another open_id for it', async () => {
+      await request(api.server)
+        .get('/api/v1/mandates/' + contractNo)
+        .set('X-API-Key', API_KEYS.default);
+
+      const response = await request(api.server)
+        .get('/api/v1/me/mandates')
+        .query({ status: 'ACTIVE' })
+        .set(session);
+
+      expect(response.body.mandates.map(mandate => mandate.contract_no)).toEqual([contractNo]);
+    });
+
+    it('requires a customer session', async () => {
+      const response = await request(api.server).get('/api/v1/me/mandates');
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,317 @@
+const testServer = require('../helpers/testServer');
+
+testServer.configure(47030);
+
+const request = require('supertest');
+
+const { API_KEYS } = testServer;
+
+describe('routes/mandates', () => {
+  let api;
+  let customer;
+
+  const signIn = async (authToken) => {
+    const response = await request(api.server)
+      .post('/api/v1/auth/token')
+      .set('X-API-Key', API_KEYS.default)
+      .send({ authToken: authToken });
+
+    return {
+      authToken: authToken,
+      open_id: response.body.biz_content.open_id,
+      session: { Authorization: 'Bearer ' + response.body.session_token },
+    };
+  };
+
+  const createMandateOrder = (body, headers = {}) => request(api.server)
+    .post('/api/v1/orders/mandate')
+    .set('X-API-Key', API_KEYS.default)
+    .set(headers)
+    .send(Object.assign({ title: 'Weekly box', amount: 50, plan_id: 'basic' }, body));
+
+  const getMandate = contractNo => request(api.server)
+    .get('/api/v1/mandates/' + contractNo)
+    .set('X-API-Key', API_KEYS.default);
+
+  beforeAll(async () => {
+    api = await testServer.start();
+    customer = await signIn('mandates-customer');
+  });
+
+  afterAll(() => api.stop());
+
+  describe('POST /api/v1/orders/mandate', () => {
+    it('creates the signing order of a mandate for the session customer', async () => {
+      const response = await createMandateOrder({ ContractNo: 'CONTRACT_ORDER_1' }, customer.session);
+
+      expect(response.status).toBe(200);
+      expect(response.body.result_code).toBe('0');
+      expect(response.body.plan_id).toBe('basic');
+
+      const mandate = await getMandate('CONTRACT_ORDER_1');
+      expect(mandate.body.mandate.status).toBe('PENDING');
+      expect(mandate.body.mandate.open_id).toBe(customer.open_id);
+    });
+
+    it('validates the request', async () => {
+      const response = await createMandateOrder({}, customer.session);
+
+      expect(response.status).toBe(400);
+      expect(response.body.result_code).toBe('VALIDATION_ERROR');
+    });
+
+    it('refuses unknown plans', async () => {
+      const response = await createMandateOrder({ ContractNo: 'CONTRACT_ORDER_2', plan_id: 'gold' }, customer.session);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('only accepts an open_id with a customer session', async () => {
+      const response = await createMandateOrder({ ContractNo: 'CONTRACT_ORDER_3', open_id: customer.open_id });
+
+      expect(response.status).toBe(401);
+      expect(response.body.result_code).toBe('SESSION_REQUIRED');
+    });
+
+    it('requires the mandates:create scope', async () => {
+      const response = await request(api.server)
+        .post('/api/v1/orders/mandate')
+        .set('X-API-Key', API_KEYS.readOnly)
+        .send({ title: 'Weekly box', amount: 50, plan_id: 'basic', ContractNo: 'CONTRACT_ORDER_4' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /create/mandetOrder', () => {
+    it('is an alias of /api/v1/orders/mandate', async () => {
+      const response = await request(api.server)
+        .post('/create/mandetOrder')
+        .set('X-API-Key', API_KEYS.default)
+        .send({ title: 'Weekly box', amount: 50, plan_id: 'basic', ContractNo: 'CONTRACT_ALIAS_1' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.result_code).toBe('0');
+    });
+  });
+
+  describe('signed mandates', () => {
+    const contractNo = 'CONTRACT_SIGNED_1';
+
+    beforeAll(async () => {
+      const order = await createMandateOrder({ ContractNo: contractNo }, customer.session);
+      await api.simulator.pay(order.body.merch_order_id, { authToken: customer.authToken });
+      await testServer.waitFor(async () => (await getMandate(contractNo)).body.status === 'ACTIVE');
+    });
+
+    it('GET /api/v1/mandates/:contractNo returns the mandate as Fabric reports it', async () => {
+      const response = await getMandate(contractNo);
+
+      expect(response.status).toBe(200);
+      expect(response.body.fabric_status).toBe('ACTIVE');
+      expect(response.body.mandate.open_id).toBe(customer.open_id);
+    });
+
+    it('GET /api/v1/mandates/:contractNo answers 404 for unknown mandates', async () => {
+      const response = await getMandate('CONTRACT_UNKNOWN');
+
+      expect(response.status).toBe(404);
+      expect(response.body.result_code).toBe('MANDATE_NOT_FOUND');
+    });
+
+    it('GET /api/v1/mandates/:contractNo requires the mandates:read scope', async () => {
+      const response = await request(api.server)
+        .get('/api/v1/mandates/' + contractNo)
+        .set('X-API-Key', API_KEYS.readOnly);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('hides the mandates of other merchants', async () => {
+      const response = await request(api.server)
+        .get('/merchants/shop1/api/v1/mandates/' + contractNo)
+        .set('X-API-Key', API_KEYS.shop);
+
+      expect(response.status).toBe(404);
+    });
+
+    describe('billing schedules', () => {
+      let scheduleId;
+
+      it('POST /api/v1/mandates/:contractNo/schedules creates a schedule on the plan', async () => {
+        const response = await request(api.server)
+          .post('/api/v1/mandates/' + contractNo + '/schedules')
+          .set('X-API-Key', API_KEYS.default)
+          .send({ amount: 50 });
+
+        expect(response.status).toBe(201);
+        expect(response.body.schedule.frequency).toBe('weekly');
+        scheduleId = response.body.schedule.id;
+      });
+
+      it('POST /api/v1/mandates/:contractNo/schedules keeps to the plan frequency', async () => {
+        const response = await request(api.server)
+          .post('/api/v1/mandates/' + contractNo + '/schedules')
+          .set('X-API-Key', API_KEYS.default)
+          .send({ amount: 50, frequency: 'monthly' });
+
+        expect(response.status).toBe(400);
+      });
+
+      it('GET /api/v1/mandates/:contractNo/schedules lists the schedules', async () => {
+        const response = await request(api.server)
+          .get('/api/v1/mandates/' + contractNo + '/schedules')
+          .set('X-API-Key', API_KEYS.default);
+
+        expect(response.status).toBe(200);
+        expect(response.body.schedules.map(schedule => schedule.id)).toContain(scheduleId);
+      });
+
+      it('GET /api/v1/mandates/:contractNo/schedules/:scheduleId returns the schedule', async () => {
+        const response = await request(api.server)
+          .get('/api/v1/mandates/' + contractNo + '/schedules/' + scheduleId)
+          .set('X-API-Key', API_KEYS.default);
+
+        expect(response.status).toBe(200);
+        expect(response.body.schedule.id).toBe(scheduleId);
+      });
+
+      it('GET /api/v1/mandates/:contractNo/schedules/:scheduleId answers 404 for unknown schedules', async () => {
+        const response = await request(api.server)
+          .get('/api/v1/mandates/' + contractNo + '/schedules/SCHED_UNKNOWN')
+          .set('X-API-Key', API_KEYS.default);
+
+        expect(response.status).toBe(404);
+      });
+
+      it('POST /api/v1/mandates/:contractNo/schedules/:scheduleId/cancel cancels the schedule', async () => {
+        const response = await request(api.server)
+          .post('/api/v1/mandates/' + contractNo + '/schedules/' + scheduleId + '/cancel')
+          .set('X-API-Key', API_KEYS.default);
+
+        expect(response.status).toBe(200);
+        expect(response.body.result_msg).toBe('Billing schedule cancelled');
+      });
+    });
+
+    describe('mandate management', () => {
+      const manage = operation => request(api.server)
+        .post('/api/v1/mandates/' + contractNo + '/' + operation)
+        .set('X-API-Key', API_KEYS.default);
+
+      it('POST /api/v1/mandates/:contractNo/pause pauses the mandate', async () => {
+        const response = await manage('pause');
+
+        expect(response.status).toBe(200);
+        expect(response.body.status).toBe('PAUSED');
+      });
+
+      it('POST /api/v1/mandates/:contractNo/resume resumes the mandate', async () => {
+        const response = await manage('resume');
+
+        expect(response.status).toBe(200);
+        expect(response.body.status).toBe('ACTIVE');
+      });
+
+      it('POST /api/v1/mandates/:contractNo/terminate terminates the mandate', async () => {
+        const response = await manage('terminate');
+
+        expect(response.status).toBe(200);
+        expect(response.body.status).toBe('TERMINATED');
+      });
+
+      it('requires the mandates:manage scope', async () => {
+        const response = await request(api.server)
+          .post('/api/v1/mandates/' + contractNo + '/pause')
+          .set('X-API-Key', API_KEYS.readOnly);
+
+        expect(response.status).toBe(403);
+      });
+    });
+  });
+
+  describe('GET /api/v1/plans', () => {
+    it('lists the mandate plans', async () => {
+      const response = await request(api.server)
+        .get('/api/v1/plans')
+        .set('X-API-Key', API_KEYS.default);
+
+      expect(response.status).toBe(200);
+      expect(response.body.plans.map(plan => plan.id)).toEqual(['basic', 'trial']);
+    });
+  });
+
+  describe('subscriptions', () => {
+    let subscription;
+
+    const getSubscription = id => request(api.server)
+      .get('/api/v1/subscriptions/' + id)
+      .set('X-API-Key', API_KEYS.default);
+
+    it('POST /api/v1/subscriptions requires a customer session', async () => {
+      const response = await request(api.server)
+        .post('/api/v1/subscriptions')
+        .set('X-API-Key', API_KEYS.default)
+        .send({ plan_id: 'basic', open_id: customer.open_id, ContractNo: 'CONTRACT_SUB_0' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.result_code).toBe('SESSION_REQUIRED');
+    });
+
+    it('POST /api/v1/subscriptions subscribes the session customer to a plan', async () => {
+      const response = await request(api.server)
+        .post('/api/v1/subscriptions')
+        .set('X-API-Key', API_KEYS.default)
+        .set(customer.session)
+        .send({ plan_id: 'basic', ContractNo: 'CONTRACT_SUB_1' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.subscription.status).toBe('PENDING');
+      expect(response.body.subscription.open_id).toBe(customer.open_id);
+      subscription = response.body.subscription;
+    });
+
+    it('starts the subscription once the customer signs the mandate', async () => {
+      await api.simulator.pay(subscription.merch_order_id, { authToken: customer.authToken });
+
+      const active = await testServer.waitFor(async () => {
+        const response = await getSubscription(subscription.id);
+        return response.body.subscription.status === 'ACTIVE' && response.body.subscription;
+      });
+      expect(active.started_at).toBeTruthy();
+    });
+
+    it('GET /api/v1/subscriptions lists the subscriptions', async () => {
+      const response = await request(api.server)
+        .get('/api/v1/subscriptions')
+        .set('X-API-Key', API_KEYS.default)
+        .query({ open_id: customer.open_id });
+
+      expect(response.status).toBe(200);
+      expect(response.body.subscriptions.map(item => item.id)).toEqual([subscription.id]);
+    });
+
+    it('GET /api/v1/subscriptions/:subscriptionId returns the subscription', async () => {
+      const response = await getSubscription(subscription.id);
+
+      expect(response.status).toBe(200);
+      expect(response.body.subscription.plan_id).toBe('basic');
+    });
+
+    it('GET /api/v1/subscriptions/:subscriptionId answers 404 for unknown subscriptions', async () => {
+      const response = await getSubscription('SUB_UNKNOWN');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('POST /api/v1/subscriptions/:subscriptionId/cancel cancels the subscription', async () => {
+      const response = await request(api.server)
+        .post('/api/v1/subscriptions/' + subscription.id + '/cancel')
+        .set('X-API-Key', API_KEYS.default);
+
+      expect(response.status).toBe(200);
+      expect(response.body.result_msg).toBe('Subscription cancelled');
+      expect(response.body.subscription.status).toBe('CANCELLED');
+    });
+  });
+});
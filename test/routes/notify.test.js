@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const testServer = require('../helpers/testServer');
+
+testServer.configure(47050);
+
+const request = require('supertest');
+const auditLog = require('../../store/auditLog');
+
+const { API_KEYS } = testServer;
+
+describe('POST /api/v1/notify', () => {
+  let api;
+
+  const createOrder = async () => {
+    const response = await request(api.server)
+      .post('/api/v1/orders/create')
+      .set('X-API-Key', API_KEYS.default)
+      .send({ title: 'Gift card', amount: 25 });
+    return response.body.merch_order_id;
+  };
+
+  const getStatus = async (merchOrderId) => {
+    const response = await request(api.server)
+      .get('/api/v1/orders/' + merchOrderId)
+      .set('X-API-Key', API_KEYS.default);
+    return response.body.status;
+  };
+
+  // Fields set to undefined are left out of the callback
+  const notify = (merchOrderId, fields = {}) => request(api.server)
+    .post('/api/v1/notify')
+    .send(testServer.signAsFabric(JSON.parse(JSON.stringify(Object.assign({
+      merch_order_id: merchOrderId,
+      payment_order_id: 'PAY_' + crypto.randomBytes(6).toString('hex'),
+      trade_status: 'Completed',
+      total_amount: '25.00',
+      trans_currency: 'ETB',
+      timestamp: String(Math.floor(Date.now() / 1000)),
+      nonce_str: crypto.randomBytes(16).toString('hex'),
+    }, fields)))));
+
+  beforeAll(async () => {
+    api = await testServer.start();
+  });
+
+  afterAll(() => api.stop());
+
+  it('settles the order it pays', async () => {
+    const merchOrderId = await createOrder();
+
+    const response = await notify(merchOrderId);
+
+    expect(response.status).toBe(200);
+    expect(await getStatus(merchOrderId)).toBe('PAID');
+  });
+
+  it('leaves an underpaid order pending and audits the payment', async () => {
+    const merchOrderId = await createOrder();
+
+    const response = await notify(merchOrderId, { total_amount: '20.00' });
+
+    expect(response.status).toBe(200);
+    expect(await getStatus(merchOrderId)).toBe('PENDING');
+
+    const entries = await auditLog.listEntries({ event: auditLog.AUDIT_EVENTS.NOTIFY_MISMATCH });
+    expect(entries.map(entry => entry.reason)).toContainEqual(expect.stringContaining(merchOrderId));
+  });
+
+  it('leaves an order paid in another currency pending', async () => {
+    const merchOrderId = await createOrder();
+
+    await notify(merchOrderId, { trans_currency: 'USD' });
+
+    expect(await getStatus(merchOrderId)).toBe('PENDING');
+  });
+
+  it('applies a payment that follows a refused notification of the same payment', async () => {
+    const merchOrderId = await createOrder();
+    const paymentOrderId = 'PAY_' + crypto.randomBytes(6).toString('hex');
+
+    const refused = await notify(merchOrderId, { payment_order_id: paymentOrderId, total_amount: '20.00' });
+    const response = await notify(merchOrderId, { payment_order_id: paymentOrderId });
+
+    expect(refused.body.message).toBe('Notification received but not applied');
+    expect(response.body.duplicate).toBe(false);
+    expect(await getStatus(merchOrderId)).toBe('PAID');
+  });
+
+  it('accepts a notify_time in milliseconds when there is no timestamp', async () => {
+    const merchOrderId = await createOrder();
+
+    const response = await notify(merchOrderId, { timestamp: undefined, notify_time: String(Date.now()) });
+
+    expect(response.status).toBe(200);
+    expect(await getStatus(merchOrderId)).toBe('PAID');
+  });
+});
@@ -0,0 +1,380 @@
+const http = require('http');
+const QRCode = require('qrcode');
+const testServer = require('../helpers/testServer');
+
+testServer.configure(47020);
+
+const request = require('supertest');
+
+const { API_KEYS } = testServer;
+
+/**
+ * Reads a stream up to its first server-sent event
+ * @param {http.Server} server - API server
+ * @param {string} path - Stream path
+ * @returns {Promise<{status: number, event: string}>} Status and first event
+ */
+const readFirstEvent = (server, path) => new Promise((resolve, reject) => {
+  const req = http.get({ port: server.address().port, host: '127.0.0.1', path: path }, (res) => {
+    let data = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      data += chunk;
+      if (/event: .*\n\n/s.test(data)) {
+        req.destroy();
+        resolve({ status: res.statusCode, event: data });
+      }
+    });
+    res.on('end', () => resolve({ status: res.statusCode, event: data }));
+  });
+  req.on('error', reject);
+});
+
+describe('routes/orders', () => {
+  let api;
+
+  const createOrder = (body = { title: 'Gift card', amount: 25 }, headers = {}) => request(api.server)
+    .post('/api/v1/orders/create')
+    .set('X-API-Key', API_KEYS.default)
+    .set(headers)
+    .send(body);
+
+  const payOrder = async (merchOrderId) => {
+    await api.simulator.pay(merchOrderId);
+    await testServer.waitFor(async () => {
+      const response = await request(api.server)
+        .get('/api/v1/orders/' + merchOrderId)
+        .set('X-API-Key', API_KEYS.default);
+      return response.body.status === 'PAID';
+    });
+  };
+
+  beforeAll(async () => {
+    api = await testServer.start();
+  });
+
+  afterAll(() => api.stop());
+
+  describe('POST /api/v1/orders/create', () => {
+    it('creates a pending order at Fabric', async () => {
+      const response = await createOrder();
+
+      expect(response.status).toBe(200);
+      expect(response.body.result_code).toBe('0');
+      expect(response.body.prepay_id).toMatch(/^SIMPREPAY/);
+      expect(api.simulator.getOrder(response.body.merch_order_id)).toBeTruthy();
+    });
+
+    it('records the open_id of the customer session', async () => {
+      const auth = await request(api.server)
+        .post('/api/v1/auth/token')
+        .set('X-API-Key', API_KEYS.default)
+        .send({ authToken: 'orders-customer' });
+
+      const response = await createOrder(undefined, { Authorization: 'Bearer ' + auth.body.session_token });
+      const details = await request(api.server)
+        .get('/api/v1/orders/' + response.body.merch_order_id)
+        .set('X-API-Key', API_KEYS.default);
+
+      expect(details.body.order.open_id).toBe(auth.body.biz_content.open_id);
+    });
+
+    it('validates the request', async () => {
+      const response = await createOrder({ title: 'Gift card' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.result_code).toBe('VALIDATION_ERROR');
+    });
+
+    it('replays the response of a repeated Idempotency-Key', async () => {
+      const first = await createOrder(undefined, { 'Idempotency-Key': 'orders-idem-1' });
+      const second = await createOrder(undefined, { 'Idempotency-Key': 'orders-idem-1' });
+
+      expect(second.status).toBe(200);
+      expect(second.body.merch_order_id).toBe(first.body.merch_order_id);
+    });
+
+    it('answers 400 when Fabric rejects the order', async () => {
+      api.simulator.failNext('payment.preorder', { type: 'business', code: 'INVALID_AMOUNT', msg: 'Amount not allowed' });
+
+      const response = await createOrder();
+
+      expect(response.status).toBe(400);
+    });
+
+    it('keeps the order pending when Fabric does not confirm it', async () => {
+      api.simulator.failNext('payment.preorder', { type: 'http', status: 503 });
+
+      const response = await createOrder();
+
+      expect(response.status).toBe(502);
+      expect(response.body.result_code).toBe('ORDER_UNCONFIRMED');
+
+      const details = await request(api.server)
+        .get('/api/v1/orders/' + response.body.merch_order_id)
+        .set('X-API-Key', API_KEYS.default);
+      expect(details.body.status).toBe('PENDING');
+    });
+
+    it('requires the orders:create scope', async () => {
+      const response = await request(api.server)
+        .post('/api/v1/orders/create')
+        .set('X-API-Key', API_KEYS.readOnly)
+        .send({ title: 'Gift card', amount: 25 });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /create/order', () => {
+    it('is an alias of /api/v1/orders/create', async () => {
+      const response = await request(api.server)
+        .post('/create/order')
+        .set('X-API-Key', API_KEYS.default)
+        .send({ title: 'Gift card', amount: 25 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.prepay_id).toMatch(/^SIMPREPAY/);
+    });
+  });
+
+  describe('POST /api/v1/orders/checkout', () => {
+    it('creates a web checkout order', async () => {
+      const response = await request(api.server)
+        .post('/api/v1/orders/checkout')
+        .set('X-API-Key', API_KEYS.default)
+        .send({ title: 'Gift card', amount: 25 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.checkout_url).toContain('prepay_id=');
+    });
+  });
+
+  describe('POST /api/v1/orders/qr', () => {
+    it('creates a QR code order', async () => {
+      const response = await request(api.server)
+        .post('/api/v1/orders/qr')
+        .set('X-API-Key', API_KEYS.default)
+        .send({ title: 'Gift card', amount: 25 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.qr_code).toContain('prepay_id=');
+    });
+
+    it('returns the QR payload without images when they cannot be rendered', async () => {
+      jest.spyOn(QRCode, 'toString').mockRejectedValueOnce(new Error('Render failed'));
+
+      const response = await request(api.server)
+        .post('/api/v1/orders/qr')
+        .set('X-API-Key', API_KEYS.default)
+        .send({ title: 'Gift card', amount: 25, qr_format: 'svg' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.qr_code).toContain('prepay_id=');
+      expect(response.body.qr_image).toBeUndefined();
+
+      const details = await request(api.server)
+        .get('/api/v1/orders/' + response.body.merch_order_id)
+        .set('X-API-Key', API_KEYS.default);
+      expect(details.body.status).toBe('PENDING');
+    });
+  });
+
+  describe('order reads', () => {
+    let merchOrderId;
+
+    beforeAll(async () => {
+      merchOrderId = (await createOrder()).body.merch_order_id;
+    });
+
+    it('GET /api/v1/orders/:merchOrderId returns the order', async () => {
+      const response = await request(api.server)
+        .get('/api/v1/orders/' + merchOrderId)
+        .set('X-API-Key', API_KEYS.readOnly);
+
+      expect(response.status).toBe(200);
+      expect(response.body.order.merch_order_id).toBe(merchOrderId);
+    });
+
+    it('GET /orders/:merchOrderId is an alias', async () => {
+      const response = await request(api.server)
+        .get('/orders/' + merchOrderId)
+        .set('X-API-Key', API_KEYS.default);
+
+      expect(response.status).toBe(200);
+    });
+
+    it('requires an API key', async () => {
+      const response = await request(api.server).get('/api/v1/orders/' + merchOrderId);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('hides orders of other merchants', async () => {
+      const response = await request(api.server)
+        .get('/merchants/shop1/api/v1/orders/' + merchOrderId)
+        .set('X-API-Key', API_KEYS.shop);
+
+      expect(response.status).toBe(404);
+      expect(response.body.result_code).toBe('ORDER_NOT_FOUND');
+    });
+
+    it('answers 404 for unknown orders', async () => {
+      const response = await request(api.server)
+        .get('/api/v1/orders/ORDER_UNKNOWN')
+        .set('X-API-Key', API_KEYS.default);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('GET /api/v1/orders/:merchOrderId/status queries Fabric', async () => {
+      const response = await request(api.server)
+        .get('/api/v1/orders/' + merchOrderId + '/status')
+        .set('X-API-Key', API_KEYS.default);
+
+      expect(response.status).toBe(200);
+      expect(response.body.fabric_status).toBe('WAIT_PAY');
+      expect(response.body.status).toBe('PENDING');
+    });
+
+    describe('with a status ticket', () => {
+      let ticket;
+
+      beforeAll(async () => {
+        const response = await request(api.server)
+          .post('/api/v1/orders/' + merchOrderId + '/status-ticket')
+          .set('X-API-Key', API_KEYS.default);
+        ticket = response.body.status_ticket;
+      });
+
+      it('POST /api/v1/orders/:merchOrderId/status-ticket issues a ticket', () => {
+        expect(typeof ticket).toBe('string');
+      });
+
+      it('GET /status accepts the ticket instead of an API key', async () => {
+        const response = await request(api.server)
+          .get('/api/v1/orders/' + merchOrderId + '/status')
+          .query({ ticket: ticket });
+
+        expect(response.status).toBe(200);
+        expect(response.body.status).toBe('PENDING');
+      });
+
+      it('GET /status refuses the ticket of another order', async () => {
+        const other = (await createOrder()).body.merch_order_id;
+        const response = await request(api.server)
+          .get('/api/v1/orders/' + other + '/status')
+          .query({ ticket: ticket });
+
+        expect(response.status).toBe(403);
+        expect(response.body.error_code).toBe('TICKET_MISMATCH');
+      });
+
+      it('GET /status needs a ticket or an API key', async () => {
+        const response = await request(api.server).get('/api/v1/orders/' + merchOrderId + '/status');
+
+        expect(response.status).toBe(401);
+      });
+
+      it('GET /api/v1/orders/:merchOrderId/events streams the status', async () => {
+        const { status, event } = await readFirstEvent(api.server,
+          '/api/v1/orders/' + merchOrderId + '/events?ticket=' + encodeURIComponent(ticket));
+
+        expect(status).toBe(200);
+        expect(event).toContain('event: status');
+        expect(event).toContain('"status":"PENDING"');
+      });
+    });
+  });
+
+  describe('POST /api/v1/orders/:merchOrderId/cancel', () => {
+    it('closes a pending order', async () => {
+      const merchOrderId = (await createOrder()).body.merch_order_id;
+
+      const response = await request(api.server)
+        .post('/api/v1/orders/' + merchOrderId + '/cancel')
+        .set('X-API-Key', API_KEYS.default);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('CANCELLED');
+    });
+
+    it('refuses paid orders', async () => {
+      const merchOrderId = (await createOrder()).body.merch_order_id;
+      await payOrder(merchOrderId);
+
+      const response = await request(api.server)
+        .post('/api/v1/orders/' + merchOrderId + '/cancel')
+        .set('X-API-Key', API_KEYS.default);
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('refunds', () => {
+    let merchOrderId;
+    let refundRequestNo;
+
+    beforeAll(async () => {
+      merchOrderId = (await createOrder()).body.merch_order_id;
+      await payOrder(merchOrderId);
+    });
+
+    it('POST /api/v1/orders/:merchOrderId/refunds refunds part of a paid order', async () => {
+      const response = await request(api.server)
+        .post('/api/v1/orders/' + merchOrderId + '/refunds')
+        .set('X-API-Key', API_KEYS.default)
+        .send({ amount: 5, reason: 'Returned' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.refund.status).toBe('SUCCEEDED');
+      refundRequestNo = response.body.refund.refund_request_no;
+    });
+
+    it('refuses refunds above the refundable balance', async () => {
+      const response = await request(api.server)
+        .post('/api/v1/orders/' + merchOrderId + '/refunds')
+        .set('X-API-Key', API_KEYS.default)
+        .send({ amount: 100 });
+
+      expect(response.status).toBe(409);
+      expect(response.body.result_code).toBe('REFUND_AMOUNT_EXCEEDED');
+    });
+
+    it('requires the orders:refund scope', async () => {
+      const response = await request(api.server)
+        .post('/api/v1/orders/' + merchOrderId + '/refunds')
+        .set('X-API-Key', API_KEYS.readOnly)
+        .send({ amount: 5 });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('GET /api/v1/orders/:merchOrderId/refunds lists the refunds', async () => {
+      const response = await request(api.server)
+        .get('/api/v1/orders/' + merchOrderId + '/refunds')
+        .set('X-API-Key', API_KEYS.readOnly);
+
+      expect(response.status).toBe(200);
+      expect(response.body.refunded_amount).toBe(5);
+      expect(response.body.refunds.map(refund => refund.refund_request_no)).toEqual([refundRequestNo]);
+    });
+
+    it('GET /api/v1/orders/:merchOrderId/refunds/:refundRequestNo returns the refund', async () => {
+      const response = await request(api.server)
+        .get('/api/v1/orders/' + merchOrderId + '/refunds/' + refundRequestNo)
+        .set('X-API-Key', API_KEYS.readOnly);
+
+      expect(response.status).toBe(200);
+      expect(response.body.refund.status).toBe('SUCCEEDED');
+    });
+
+    it('GET /api/v1/orders/:merchOrderId/refunds/:refundRequestNo answers 404 for unknown refunds', async () => {
+      const response = await request(api.server)
+        .get('/api/v1/orders/' + merchOrderId + '/refunds/REFUND_UNKNOWN')
+        .set('X-API-Key', API_KEYS.default);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
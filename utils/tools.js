@@ -105,6 +105,47 @@ const flattenObjectForSigning = (requestObject) => {
   return flattened;
 };
 
+/**
+ * Builds the canonical sign string for a request object.
+ * Fields are flattened (biz_content merged into the top level), excluded
+ * fields are dropped and the remainder is joined as key=value pairs in
+ * ASCII order.
+ * @function buildSignString
+ * @param {Object} requestObject - The request object to canonicalize
+ * @returns {string} The sign origin string
+ * @throws {Error} If the object is invalid or has no signable fields
+ *
+ * @example
+ * buildSignString({ nonce_str: 'ABC', biz_content: { amount: '1.00' } });
+ * // "amount=1.00&nonce_str=ABC"
+ */
+const buildSignString = (requestObject) => {
+  const validatedObject = validateAndPrepareObject(requestObject);
+  const flattenedObject = flattenObjectForSigning(validatedObject);
+
+  // Get all field names that should participate in signing
+  const fieldNames = Object.keys(flattenedObject)
+    .filter(key => !EXCLUDE_FIELDS.includes(key))
+    .sort(); // Sort by ASCII order
+
+  if (fieldNames.length === 0) {
+    throw new Error('No signable fields found in request object');
+  }
+
+  // Build the sign string
+  const signParts = fieldNames.map(key => {
+    const value = flattenedObject[key];
+    const stringValue = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return `${key}=${stringValue}`;
+  });
+
+  if (config.enableDebugLogging) {
+    console.log('[Tools] Fields included:', fieldNames);
+  }
+
+  return signParts.join('&');
+};
+
 /**
  * Generates a signature for a request object
  * @function signRequestObject
@@ -134,30 +175,10 @@ const signRequestObject = (requestObject, privateKey = config.privateKey) => {
       throw new Error('Private key is required for signing');
     }
 
-    const validatedObject = validateAndPrepareObject(requestObject);
-    const flattenedObject = flattenObjectForSigning(validatedObject);
-
-    // Get all field names that should participate in signing
-    const fieldNames = Object.keys(flattenedObject)
-      .filter(key => !EXCLUDE_FIELDS.includes(key))
-      .sort(); // Sort by ASCII order
-
-    if (fieldNames.length === 0) {
-      throw new Error('No signable fields found in request object');
-    }
-
-    // Build the sign string
-    const signParts = fieldNames.map(key => {
-      const value = flattenedObject[key];
-      const stringValue = typeof value === 'object' ? JSON.stringify(value) : String(value);
-      return `${key}=${stringValue}`;
-    });
-
-    const signOriginStr = signParts.join('&');
+    const signOriginStr = buildSignString(requestObject);
     
     if (config.enableDebugLogging) {
       console.log('[Tools] Sign origin string:', signOriginStr);
-      console.log('[Tools] Fields included:', fieldNames);
     }
 
     // Generate the signature
@@ -233,6 +254,25 @@ const signString = (text, privateKey, algorithm = SIGNING_ALGORITHMS.SHA256WithR
   }
 };
 
+/**
+ * Wraps a bare base64 public key in PEM armour.
+ * Fabric hands out its public key as a single base64 line; keys that are
+ * already PEM encoded are returned unchanged.
+ * @function toPublicKeyPem
+ * @param {string} publicKey - PEM or bare base64 public key
+ * @returns {string} PEM encoded public key
+ */
+const toPublicKeyPem = (publicKey) => {
+  const trimmed = String(publicKey).trim();
+
+  if (trimmed.includes('-----BEGIN')) {
+    return trimmed;
+  }
+
+  const body = trimmed.replace(/\s+/g, '').match(/.{1,64}/g).join('\n');
+  return `-----BEGIN PUBLIC KEY-----\n${body}\n-----END PUBLIC KEY-----`;
+};
+
 /**
  * Verifies a signature against a string using public key
  * @function verifySignature
@@ -257,7 +297,7 @@ const verifySignature = (text, signature, publicKey, algorithm = SIGNING_ALGORIT
     
     // Create verifier
     const verifier = new pmlib.rs.KJUR.crypto.Signature({ alg: algorithm });
-    verifier.init(publicKey);
+    verifier.init(toPublicKeyPem(publicKey));
     verifier.updateString(text);
     
     const isValid = verifier.verify(hexSignature);
@@ -362,6 +402,8 @@ const createMerchantOrderId = (prefix = 'ORDER') => {
 
 /**
  * Validates a signature for a request object
+ * The sign string is rebuilt with the same canonicalization used by
+ * signRequestObject and checked against the counterparty's public key.
  * @function validateRequestSignature
  * @param {Object} requestObject - The request object with signature
  * @param {string} publicKey - The RSA public key
@@ -381,19 +423,12 @@ const validateRequestSignature = (requestObject, publicKey) => {
       throw new Error('Public key is required for validation');
     }
 
-    // Extract signature and sign_type from request
-    const { sign, sign_type, ...objectWithoutSignature } = requestObject;
-    
-    // Recreate the signature using the same logic
-    const expectedSignature = signRequestObject(objectWithoutSignature, config.privateKey);
-    
-    // Compare signatures
-    const isValid = sign === expectedSignature;
+    const { sign, sign_type } = requestObject;
+    const isValid = verifySignature(buildSignString(requestObject), sign, publicKey);
     
     if (!isValid && config.enableDebugLogging) {
       console.warn('[Tools] Signature validation failed:', {
-        providedSignature: sign.substring(0, 20) + '...',
-        expectedSignature: expectedSignature.substring(0, 20) + '...',
+        providedSignature: String(sign).substring(0, 20) + '...',
         signType: sign_type,
       });
     }
@@ -429,11 +464,13 @@ const createHash = (text, algorithm = 'sha256') => {
 module.exports = {
   signString,
   signRequestObject,
+  buildSignString,
   createTimeStamp,
   createNonceStr,
   createMerchantOrderId,
   verifySignature,
   validateRequestSignature,
+  toPublicKeyPem,
   createHash,
   SIGNING_ALGORITHMS,
 };
\ No newline at end of file